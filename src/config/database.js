@@ -1,11 +1,37 @@
+const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 
 dotenv.config();
 
-// No database connection - just configuration
+let connectPromise = null;
+
+// Connects to MongoDB when MONGODB_URI is set. Safe to call more than once.
+// Resolves to true when a connection is live, false otherwise.
 const connectDB = async () => {
-  console.log('📊 Database-free mode enabled');
-  console.log('💾 Using in-memory storage for chat history');
+  if (connectPromise) return connectPromise;
+
+  connectPromise = (async () => {
+    if (!process.env.MONGODB_URI) {
+      console.log('📊 No MONGODB_URI set - database features disabled');
+      return false;
+    }
+
+    try {
+      await mongoose.connect(process.env.MONGODB_URI, {
+        serverSelectionTimeoutMS: parseInt(process.env.MONGODB_TIMEOUT_MS, 10) || 5000
+      });
+      console.log('📊 MongoDB connected successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ MongoDB connection error:', error.message);
+      return false;
+    }
+  })();
+
+  return connectPromise;
 };
 
+const isDBConnected = () => mongoose.connection.readyState === 1;
+
 module.exports = connectDB;
+module.exports.isDBConnected = isDBConnected;
@@ -0,0 +1,52 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// API_KEYS accepts "name:key" pairs or bare keys, comma separated
+function parseApiKeys(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const separator = entry.indexOf(':');
+      return separator > 0
+        ? { name: entry.slice(0, separator), key: entry.slice(separator + 1) }
+        : { name: `service-${index + 1}`, key: entry };
+    })
+    .filter(entry => entry.key.length > 0);
+}
+
+const getAuthConfig = () => {
+  const jwtSecret = process.env.JWT_SECRET || null;
+  const apiKeys = parseApiKeys(process.env.API_KEYS);
+
+  return {
+    jwtSecret,
+    jwtIssuer: process.env.JWT_ISSUER || undefined,
+    jwtAudience: process.env.JWT_AUDIENCE || undefined,
+    tokenTtl: process.env.JWT_EXPIRES_IN || '12h',
+    apiKeys,
+    configured: !!jwtSecret || apiKeys.length > 0,
+    // Without any credentials configured (or with AUTH_DISABLED=true), development
+    // runs open; production never does and rejects requests instead
+    openMode: process.env.NODE_ENV !== 'production' &&
+      (process.env.AUTH_DISABLED === 'true' || (!jwtSecret && apiKeys.length === 0))
+  };
+};
+
+// CORS_ORIGINS is a comma separated allowlist; unset keeps the old allow-all behaviour
+const getCorsOptions = () => {
+  const origins = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+  return {
+    origin: origins.length === 0 || origins.includes('*') ? '*' : origins,
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-User-Id']
+  };
+};
+
+module.exports = { getAuthConfig, getCorsOptions };
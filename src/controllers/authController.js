@@ -0,0 +1,59 @@
+const { issueToken } = require('../middleware/auth');
+
+class AuthController {
+  constructor() {
+    this.createToken = this.createToken.bind(this);
+    this.whoAmI = this.whoAmI.bind(this);
+  }
+
+  // Service-to-service: an API key holder exchanges a userId for a user token
+  async createToken(req, res) {
+    try {
+      if (!req.auth || req.auth.type !== 'service') {
+        return res.status(403).json({
+          success: false,
+          error: 'Only API key callers can issue tokens',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const { userId, expiresIn } = req.body;
+      if (!userId || typeof userId !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'userId is required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const token = issueToken(userId, { expiresIn });
+
+      console.log(`🔑 ${req.auth.service} issued a token for ${userId}`);
+
+      res.status(201).json({
+        success: true,
+        userId,
+        ...token,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Token issue error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to issue token',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  async whoAmI(req, res) {
+    res.json({
+      success: true,
+      identity: req.auth,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new AuthController();
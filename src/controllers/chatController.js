@@ -1,144 +1,378 @@
 const aiService = require('../services/aiService');
 const marketService = require('../services/marketService');
-
-// In-memory chat history storage (temporary, resets on server restart)
-const chatHistoryStore = new Map();
+const watchlistService = require('../services/watchlistService');
+const alertEngine = require('../services/alertEngine');
+const portfolioService = require('../services/portfolioService');
+const recommendationService = require('../services/recommendationService');
+const userProfileService = require('../services/userProfileService');
+const technicalAnalysisService = require('../services/technicalAnalysisService');
+const fundamentalAnalysisService = require('../services/fundamentalAnalysisService');
+const backtestService = require('../services/backtestService');
+const comparisonService = require('../services/comparisonService');
+const marketOverviewService = require('../services/marketOverviewService');
+const intentService = require('../services/intentService');
+const intentHandlers = require('../services/intentHandlers');
+const commandService = require('../services/commandService');
+const conversationMemoryService = require('../services/conversationMemoryService');
+const conversationService = require('../services/conversationService');
+const transcriptService = require('../services/transcriptService');
+const { getHistoryStore } = require('../stores/history');
 
 class ChatController {
   constructor() {
     // Bind all methods to ensure 'this' works correctly in Express routes
     this.sendMessage = this.sendMessage.bind(this);
+    this.streamMessage = this.streamMessage.bind(this);
     this.getChatHistoryEndpoint = this.getChatHistoryEndpoint.bind(this);
     this.clearChatHistory = this.clearChatHistory.bind(this);
     this.getMarketData = this.getMarketData.bind(this);
     this.addToWatchlist = this.addToWatchlist.bind(this);
     this.getWatchlist = this.getWatchlist.bind(this);
+    this.updateWatchlistAlert = this.updateWatchlistAlert.bind(this);
     this.removeFromWatchlist = this.removeFromWatchlist.bind(this);
+    this.getTriggeredAlerts = this.getTriggeredAlerts.bind(this);
     this.getPortfolio = this.getPortfolio.bind(this);
     this.updatePortfolio = this.updatePortfolio.bind(this);
+    this.getPortfolioTransactions = this.getPortfolioTransactions.bind(this);
+    this.deletePortfolioTransaction = this.deletePortfolioTransaction.bind(this);
+    this.getMarketSummary = this.getMarketSummary.bind(this);
+    this.getHistoricalData = this.getHistoricalData.bind(this);
+    this.compareSymbols = this.compareSymbols.bind(this);
     this.getAnalysis = this.getAnalysis.bind(this);
+    this.runBacktest = this.runBacktest.bind(this);
     this.getRecommendations = this.getRecommendations.bind(this);
     this.healthCheck = this.healthCheck.bind(this);
+    this.clearAllHistory = this.clearAllHistory.bind(this);
+    this.listConversations = this.listConversations.bind(this);
+    this.createConversation = this.createConversation.bind(this);
+    this.updateConversation = this.updateConversation.bind(this);
+    this.deleteConversation = this.deleteConversation.bind(this);
+    this.exportChatHistory = this.exportChatHistory.bind(this);
+    this.importChatHistory = this.importChatHistory.bind(this);
     
-    console.log('✅ Chat Controller initialized with in-memory storage');
+    console.log('✅ Chat Controller initialized');
+  }
+
+  // Chat history goes through the configured history store (memory, MongoDB or file),
+  // one history per conversation thread
+  async getChatHistory(userId, limit = 10, conversationId) {
+    const store = await getHistoryStore();
+    return store.getHistory(userId, limit, conversationId);
+  }
+
+  // data is the snapshot kept with the reply for transcript exports
+  async addToHistory(userId, message, response, conversationId, data = null) {
+    const store = await getHistoryStore();
+    return store.addExchange(userId, message, response, conversationId, data);
   }
 
-  // Helper to manage in-memory chat history
-  getChatHistory(userId, limit = 10) {
-    if (!chatHistoryStore.has(userId)) {
-      chatHistoryStore.set(userId, []);
+  // Returns an error message for invalid chat input, or null when it's fine
+  validateChatInput(userId, message) {
+    if (!userId || !message) {
+      return 'UserId and message are required';
+    }
+    if (typeof message !== 'string' || message.trim().length === 0) {
+      return 'Message must be a non-empty string';
     }
-    const history = chatHistoryStore.get(userId);
-    return history.slice(-limit);
+    if (message.length > 5000) {
+      return 'Message too long (max 5000 characters)';
+    }
+    return null;
   }
 
-  addToHistory(userId, message, response) {
-    if (!chatHistoryStore.has(userId)) {
-      chatHistoryStore.set(userId, []);
+  // History and market data for a chat message, scoped to its conversation thread
+  async buildChatContext(userId, message, conversationId) {
+    console.log(`📨 Chat request from user: ${userId}`);
+    console.log(`💬 Message: ${message.substring(0, 100)}${message.length > 100 ? '...' : ''}`);
+
+    // Recent turns plus the rolling summary and pinned facts, within the prompt budget
+    let memory = null;
+    let chatHistory = [];
+    try {
+      const { recentTurns, ...rest } = await conversationMemoryService.getPromptMemory(userId, conversationId);
+      memory = rest;
+      chatHistory = recentTurns;
+    } catch (error) {
+      console.error('⚠️ Conversation memory unavailable:', error.message);
+      chatHistory = await this.getChatHistory(userId, 5, conversationId);
     }
-    const history = chatHistoryStore.get(userId);
-    history.push({
-      role: 'user',
-      content: message,
-      timestamp: new Date()
-    });
-    history.push({
-      role: 'assistant',
-      content: response,
-      timestamp: new Date()
-    });
-    
-    // Keep only last 100 messages (50 exchanges) per user
-    if (history.length > 100) {
-      chatHistoryStore.set(userId, history.slice(-100));
+
+    // Stored risk tolerance and goals let the AI tailor its answer
+    const userProfile = await userProfileService.getPromptProfile(userId);
+
+    // Classify the message, then let that intent's handler fetch what the answer needs.
+    // Follow-ups without a ticker pick up the symbols the conversation is about.
+    const intent = await intentService.classify(message, { activeSymbols: memory ? memory.activeSymbols : [] });
+    console.log(`🧭 Intent: ${intent.intent} (${intent.method}, ${intent.confidence})${intent.entities.symbols.length > 0 ? ` for ${intent.entities.symbols.join(', ')}` : ''}`);
+    if (intent.context.inherited.length > 0) {
+      console.log(`🔗 Follow-up inherits ${intent.context.inherited.join(', ')}`);
     }
+
+    let intentData = {};
+    try {
+      intentData = await intentHandlers.dispatch(intent, { userId, message });
+    } catch (error) {
+      console.error(`⚠️ ${intent.intent} handler error:`, error.message);
+      // Continue without data; the reply falls back to a general answer
+    }
+
+    return { userId, conversationId, marketContext: null, chatHistory, memory, userProfile, intent, ...intentData };
+  }
+
+  // Saves the exchange and shapes the reply sent to clients
+  async completeChat(userId, message, aiResponse, chatContext, responseTime) {
+    console.log(`✅ AI response generated in ${responseTime}ms`);
+
+    // Save to chat history (a storage failure shouldn't lose the reply)
+    try {
+      await this.addToHistory(userId, message, aiResponse.text, chatContext.conversationId,
+        transcriptService.buildSnapshot(chatContext, aiResponse));
+      await conversationService.titleFromMessage(userId, chatContext.conversationId, message);
+    } catch (error) {
+      console.error('⚠️ Failed to save chat history:', error.message);
+    }
+
+    try {
+      await conversationMemoryService.recordExchange(userId, message, aiResponse.text, {
+        symbols: chatContext.intent ? chatContext.intent.entities.symbols : [],
+        resetContext: chatContext.intent ? chatContext.intent.context.reset : false,
+        conversationId: chatContext.conversationId
+      });
+    } catch (error) {
+      console.error('⚠️ Failed to update conversation memory:', error.message);
+    }
+
+    return {
+      conversationId: chatContext.conversationId,
+      response: aiResponse.text,
+      type: aiResponse.type || 'text',
+      suggestions: aiResponse.suggestions || [],
+      marketData: aiResponse.marketData || null,
+      backtest: chatContext.backtest ? this.summarizeBacktest(chatContext.backtest) : undefined,
+      comparison: chatContext.comparison || undefined,
+      marketOverview: chatContext.marketOverview || undefined,
+      priceHistory: chatContext.priceHistory || undefined,
+      clarification: chatContext.clarification ? chatContext.clarification.ambiguous : undefined,
+      proposedCommand: chatContext.proposedCommand || undefined,
+      metadata: {
+        responseTime: `${responseTime}ms`,
+        hasMarketContext: !!chatContext.marketContext,
+        hasBacktest: !!chatContext.backtest,
+        hasComparison: !!chatContext.comparison,
+        hasMarketOverview: !!chatContext.marketOverview,
+        intent: chatContext.intent ? {
+          name: chatContext.intent.intent,
+          confidence: chatContext.intent.confidence,
+          method: chatContext.intent.method,
+          entities: chatContext.intent.entities,
+          // Which symbols the user named and which came from earlier turns
+          symbols: {
+            stated: chatContext.intent.context.stated,
+            inherited: chatContext.intent.context.inherited
+          },
+          contextReset: chatContext.intent.context.reset
+        } : undefined,
+        historyLength: chatContext.chatHistory.length,
+        memory: chatContext.memory ? {
+          summarized: !!chatContext.memory.summary,
+          facts: chatContext.memory.facts.length,
+          symbols: chatContext.memory.symbols,
+          promptTokens: chatContext.memory.tokens
+        } : undefined,
+        personalized: !!chatContext.userProfile,
+        source: aiResponse.source,
+        // Set when a language model wrote the text
+        model: aiResponse.model,
+        // Tools the model called while answering, with their arguments
+        tools: aiResponse.tools,
+        truncated: aiResponse.truncated || undefined,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  // Backtest results without the equity curve, for chat payloads
+  summarizeBacktest(backtest) {
+    const { equityCurve, trades, ...summary } = backtest;
+    return { ...summary, trades: trades.length, recentTrades: trades.slice(-5) };
+  }
+
+  // Runs a "/command" and shapes the reply like a chat response. Failed commands
+  // come back with success: false, the error and the command's usage.
+  async processCommand(userId, message, conversationId) {
+    const startTime = Date.now();
+    const result = await commandService.execute(userId, message, { conversationId });
+
+    // /clear must not leave its own exchange behind
+    if (result.success && result.command.name !== 'clear') {
+      try {
+        await this.addToHistory(userId, message, result.text, conversationId, { type: result.type, command: result.command.name });
+      } catch (error) {
+        console.error('⚠️ Failed to save chat history:', error.message);
+      }
+    }
+
+    return {
+      success: result.success,
+      conversationId,
+      response: result.text,
+      type: result.type,
+      suggestions: result.suggestions,
+      command: result.command,
+      result: result.data,
+      status: result.status,
+      error: result.error,
+      usage: result.usage,
+      metadata: {
+        responseTime: `${Date.now() - startTime}ms`,
+        source: 'command',
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  // Shared chat pipeline for HTTP and WebSocket clients. Without a conversationId
+  // the message goes to the default thread; an unknown or archived one is an HttpError.
+  async processMessage(userId, message, options = {}) {
+    const conversationId = await conversationService.resolveForMessage(userId, options.conversationId);
+
+    if (commandService.isCommand(message)) {
+      return this.processCommand(userId, message, conversationId);
+    }
+
+    const chatContext = await this.buildChatContext(userId, message, conversationId);
+    
+    // Generate AI response
+    const startTime = Date.now();
+    const aiResponse = await aiService.generateResponse(message, chatContext);
+
+    return this.completeChat(userId, message, aiResponse, chatContext, Date.now() - startTime);
   }
 
   async sendMessage(req, res) {
     try {
-      const { userId, message } = req.body;
+      const { userId, message, conversationId } = req.body;
 
       // Validation
-      if (!userId || !message) {
+      const validationError = this.validateChatInput(userId, message);
+      if (validationError) {
         return res.status(400).json({
           success: false,
-          error: 'UserId and message are required',
+          error: validationError,
           timestamp: new Date().toISOString()
         });
       }
 
-      if (typeof message !== 'string' || message.trim().length === 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Message must be a non-empty string',
-          timestamp: new Date().toISOString()
-        });
-      }
+      const result = await this.processMessage(userId, message, { conversationId });
 
-      if (message.length > 5000) {
-        return res.status(400).json({
+      res.status(result.success === false ? result.status || 400 : 200).json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
           success: false,
-          error: 'Message too long (max 5000 characters)',
+          error: error.message,
           timestamp: new Date().toISOString()
         });
       }
 
-      console.log(`📨 Chat request from user: ${userId}`);
-      console.log(`💬 Message: ${message.substring(0, 100)}${message.length > 100 ? '...' : ''}`);
+      console.error('❌ Chat error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to process message',
+        message: 'An error occurred while processing your request. Please try again.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
 
-      // Get conversation history for context
-      const chatHistory = this.getChatHistory(userId, 5);
+  // Server-Sent Events variant of sendMessage. Events, in order:
+  // context (market data), chunk (text pieces), done (full reply, suggestions, metadata).
+  // An error event replaces done if the reply could not be produced.
+  async streamMessage(req, res) {
+    const { userId, message } = req.body;
 
-      // Get market context if message relates to trading
-      let marketContext = null;
-      try {
-        marketContext = await marketService.getRelevantMarketData(message);
-        if (marketContext) {
-          console.log(`📊 Market context retrieved`);
-        }
-      } catch (error) {
-        console.error('⚠️ Market service error:', error.message);
-        // Continue without market context
-      }
-      
-      // Generate AI response
-      const startTime = Date.now();
-      const aiResponse = await aiService.generateResponse(message, {
-        userId,
-        marketContext,
-        chatHistory
+    const validationError = this.validateChatInput(userId, message);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+        timestamp: new Date().toISOString()
       });
-      const responseTime = Date.now() - startTime;
+    }
 
-      console.log(`✅ AI response generated in ${responseTime}ms`);
+    // Resolved before the stream starts so a bad conversationId gets a normal error response
+    let conversationId;
+    try {
+      conversationId = await conversationService.resolveForMessage(userId, req.body.conversationId);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to process message',
+        timestamp: new Date().toISOString()
+      });
+    }
 
-      // Save to in-memory history
-      this.addToHistory(userId, message, aiResponse.text);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
 
-      res.json({
-        success: true,
-        response: aiResponse.text,
-        type: aiResponse.type || 'text',
-        suggestions: aiResponse.suggestions || [],
-        marketData: aiResponse.marketData || null,
-        metadata: {
-          responseTime: `${responseTime}ms`,
-          hasMarketContext: !!marketContext,
-          historyLength: chatHistory.length,
-          timestamp: new Date().toISOString()
-        }
+    let clientGone = false;
+    res.on('close', () => {
+      clientGone = true;
+    });
+
+    const send = (event, data) => {
+      if (clientGone) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+      // Commands answer in one piece
+      if (commandService.isCommand(message)) {
+        const result = await this.processCommand(userId, message, conversationId);
+        send('chunk', { text: result.response });
+        send('done', { success: true, ...result });
+        return res.end();
+      }
+
+      const chatContext = await this.buildChatContext(userId, message, conversationId);
+
+      send('context', {
+        conversationId,
+        marketData: chatContext.marketContext,
+        hasMarketContext: !!chatContext.marketContext,
+        intent: chatContext.intent.intent,
+        inheritedSymbols: chatContext.intent.context.inherited,
+        historyLength: chatContext.chatHistory.length
       });
 
+      const startTime = Date.now();
+      const aiResponse = await aiService.streamResponse(message, chatContext, text => send('chunk', { text }));
+
+      // Saved even if the client disconnected mid-stream
+      const result = await this.completeChat(userId, message, aiResponse, chatContext, Date.now() - startTime);
+      send('done', { success: true, ...result });
+
     } catch (error) {
-      console.error('❌ Chat error:', error);
-      res.status(500).json({
+      console.error('❌ Chat stream error:', error);
+      send('error', {
         success: false,
         error: 'Failed to process message',
-        message: 'An error occurred while processing your request. Please try again.',
         details: process.env.NODE_ENV === 'development' ? error.message : undefined,
         timestamp: new Date().toISOString()
       });
     }
+
+    res.end();
   }
 
   async getChatHistoryEndpoint(req, res) {
@@ -153,21 +387,33 @@ class ChatController {
         });
       }
 
-      const history = this.getChatHistory(userId, parseInt(limit));
+      const conversation = await conversationService.requireConversation(
+        userId,
+        req.query.conversationId || conversationService.DEFAULT_CONVERSATION_ID
+      );
+      const store = await getHistoryStore();
+      const history = await store.getHistory(userId, parseInt(limit) || 20, conversation.conversationId);
+      const memory = await store.getMemory(userId, conversation.conversationId);
+      const storage = store.describe();
 
       res.json({
         success: true,
+        conversationId: conversation.conversationId,
         chatHistory: history,
         total: history.length,
-        note: 'History is stored in-memory and will reset on server restart',
+        memory: memory || undefined,
+        storage: storage.backend,
+        note: storage.persistent
+          ? undefined
+          : 'History is stored in-memory and will reset on server restart',
         timestamp: new Date().toISOString()
       });
 
     } catch (error) {
-      console.error('Get chat history error:', error);
-      res.status(500).json({
+      console.error('Get chat history error:', error.message);
+      res.status(error.status || 500).json({
         success: false,
-        error: 'Failed to retrieve chat history'
+        error: error.status ? error.message : 'Failed to retrieve chat history'
       });
     }
   }
@@ -183,8 +429,14 @@ class ChatController {
         });
       }
 
-      const hadHistory = chatHistoryStore.has(userId);
-      chatHistoryStore.delete(userId);
+      // ?conversationId= clears one thread; without it every thread of the user is cleared
+      const { conversationId } = req.query;
+      if (conversationId) {
+        await conversationService.requireConversation(userId, conversationId);
+      }
+
+      const store = await getHistoryStore();
+      const hadHistory = await store.clear(userId, conversationId || null);
 
       res.json({
         success: true,
@@ -193,10 +445,157 @@ class ChatController {
       });
 
     } catch (error) {
-      console.error('Clear chat history error:', error);
-      res.status(500).json({
+      console.error('Clear chat history error:', error.message);
+      res.status(error.status || 500).json({
         success: false,
-        error: 'Failed to clear chat history'
+        error: error.status ? error.message : 'Failed to clear chat history'
+      });
+    }
+  }
+
+  // ?format=markdown|html|json and ?conversationId= (default thread otherwise)
+  async exportChatHistory(req, res) {
+    try {
+      const { userId } = req.params;
+      const { format, conversationId } = req.query;
+
+      const transcript = await transcriptService.exportConversation(userId, { format, conversationId });
+
+      res.set({
+        'Content-Type': transcript.contentType,
+        'Content-Disposition': `attachment; filename="${transcript.filename}"`
+      });
+      res.send(transcript.body);
+
+    } catch (error) {
+      console.error('Export chat history error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to export chat history',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Body is a JSON export. It becomes a new conversation unless ?conversationId=
+  // names one to append to; ?title= overrides the new conversation's title.
+  async importChatHistory(req, res) {
+    try {
+      const { userId } = req.params;
+      const { conversationId, title } = req.query;
+
+      const result = await transcriptService.importTranscript(userId, req.body, { conversationId, title });
+
+      res.status(201).json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Import chat history error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to import chat history',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Conversation threads: ?archived=true includes archived ones
+  async listConversations(req, res) {
+    try {
+      const { userId } = req.params;
+      const conversations = await conversationService.listConversations(userId, {
+        includeArchived: req.query.archived === 'true'
+      });
+
+      res.json({
+        success: true,
+        conversations,
+        total: conversations.length,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('List conversations error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to list conversations',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  async createConversation(req, res) {
+    try {
+      const { userId, title } = req.body;
+
+      if (!userId) {
+        return res.status(400).json({
+          success: false,
+          error: 'UserId is required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const conversation = await conversationService.createConversation(userId, { title });
+
+      res.status(201).json({
+        success: true,
+        conversation,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Create conversation error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to create conversation',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Rename ({ title }) and/or archive ({ archived })
+  async updateConversation(req, res) {
+    try {
+      const { userId, conversationId } = req.params;
+      const conversation = await conversationService.updateConversation(userId, conversationId, req.body || {});
+
+      res.json({
+        success: true,
+        conversation,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Update conversation error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to update conversation',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  async deleteConversation(req, res) {
+    try {
+      const { userId, conversationId } = req.params;
+      await conversationService.deleteConversation(userId, conversationId);
+
+      res.json({
+        success: true,
+        message: 'Conversation deleted',
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Delete conversation error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to delete conversation',
+        timestamp: new Date().toISOString()
       });
     }
   }
@@ -234,53 +633,387 @@ class ChatController {
     }
   }
 
+  async getMarketSummary(req, res) {
+    try {
+      console.log('🌎 Building market summary');
+
+      const overview = await marketOverviewService.getOverview();
+      const narrative = await aiService.generateMarketNarrative(overview);
+
+      res.json({
+        success: true,
+        ...overview,
+        narrative: narrative ? narrative.text : null,
+        narrativeSource: narrative ? narrative.source : null,
+        narrativeModel: narrative ? narrative.model : null
+      });
+
+    } catch (error) {
+      console.error('Market summary error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to build market summary',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Historical OHLCV bars as paginated JSON or a streamed CSV download
+  async getHistoricalData(req, res) {
+    try {
+      const { symbol } = req.params;
+      const { period = '1y', interval = '1d', format = 'json' } = req.query;
+      const adjusted = req.query.adjusted === 'true';
+
+      if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid format. Use json or csv',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const offset = req.query.offset !== undefined ? parseInt(req.query.offset) : 0;
+      // CSV downloads default to the full range; JSON pages default to 500 bars
+      const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : (format === 'csv' ? null : 500);
+      if (!Number.isInteger(offset) || offset < 0 || (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > 5000))) {
+        return res.status(400).json({
+          success: false,
+          error: 'offset must be >= 0 and limit between 1 and 5000',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const history = await marketService.getHistoricalData(symbol, { period, interval, adjusted });
+      const total = history.bars.length;
+      const bars = history.bars.slice(offset, limit === null ? undefined : offset + limit);
+
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${history.symbol}_${period}_${interval}${adjusted ? '_adjusted' : ''}.csv"`);
+        res.write('Date,Open,High,Low,Close,Adj Close,Volume\n');
+        // Write in chunks so long ranges don't become one huge string
+        for (let i = 0; i < bars.length; i += 250) {
+          res.write(bars.slice(i, i + 250)
+            .map(bar => [bar.date.slice(0, 10), bar.open, bar.high, bar.low, bar.close, bar.adjClose, bar.volume].map(value => (value === null ? '' : value)).join(','))
+            .join('\n') + '\n');
+        }
+        return res.end();
+      }
+
+      const nextOffset = offset + bars.length;
+      res.json({
+        success: true,
+        symbol: history.symbol,
+        period: history.period,
+        interval: history.interval,
+        adjusted: history.adjusted,
+        start: history.start,
+        end: history.end,
+        bars,
+        pagination: {
+          offset,
+          limit,
+          returned: bars.length,
+          total,
+          hasMore: nextOffset < total,
+          nextOffset: nextOffset < total ? nextOffset : null
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Historical data error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to retrieve historical data',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  async compareSymbols(req, res) {
+    try {
+      const { symbols, period = '1y' } = req.query;
+
+      if (!symbols) {
+        return res.status(400).json({
+          success: false,
+          error: 'symbols query parameter is required (e.g. symbols=AAPL,MSFT)',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      console.log(`⚖️ Comparing: ${symbols}`);
+
+      const comparison = await comparisonService.compare(symbols, { period });
+
+      res.json({
+        success: true,
+        ...comparison
+      });
+
+    } catch (error) {
+      console.error('Comparison error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to compare symbols',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   async addToWatchlist(req, res) {
-    res.status(501).json({
-      success: false,
-      error: 'Feature not available',
-      message: 'Watchlist requires database. This feature will be available in a future update.',
-      timestamp: new Date().toISOString()
-    });
+    try {
+      const { userId, symbol, alertPrice, alertType } = req.body;
+
+      if (!userId || !symbol) {
+        return res.status(400).json({
+          success: false,
+          error: 'UserId and symbol are required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const item = await watchlistService.addSymbol(userId, { symbol, alertPrice, alertType });
+
+      console.log(`👀 ${userId} added ${item.symbol} to watchlist`);
+
+      res.status(201).json({
+        success: true,
+        item,
+        message: `${item.symbol} added to watchlist`,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Add to watchlist error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to add to watchlist',
+        timestamp: new Date().toISOString()
+      });
+    }
   }
 
   async getWatchlist(req, res) {
-    res.status(501).json({
-      success: false,
-      error: 'Feature not available',
-      message: 'Watchlist requires database. This feature will be available in a future update.',
-      watchlist: [],
-      timestamp: new Date().toISOString()
-    });
+    try {
+      const { userId } = req.params;
+      const withQuotes = req.query.quotes !== 'false';
+
+      const watchlist = await watchlistService.getWatchlist(userId, { withQuotes });
+
+      res.json({
+        success: true,
+        watchlist,
+        total: watchlist.length,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get watchlist error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to retrieve watchlist',
+        watchlist: [],
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  async updateWatchlistAlert(req, res) {
+    try {
+      const { userId, symbol } = req.params;
+      const { alertPrice, alertType } = req.body;
+
+      const item = await watchlistService.updateAlert(userId, symbol, { alertPrice, alertType });
+
+      res.json({
+        success: true,
+        item,
+        message: item.alertType === 'none'
+          ? `Alert cleared for ${item.symbol}`
+          : `Alert set: ${item.symbol} ${item.alertType} $${item.alertPrice}`,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Update watchlist alert error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to update alert',
+        timestamp: new Date().toISOString()
+      });
+    }
   }
 
   async removeFromWatchlist(req, res) {
-    res.status(501).json({
-      success: false,
-      error: 'Feature not available',
-      message: 'Watchlist requires database. This feature will be available in a future update.',
-      timestamp: new Date().toISOString()
-    });
+    try {
+      const { userId, symbol } = req.params;
+
+      await watchlistService.removeSymbol(userId, symbol);
+
+      res.json({
+        success: true,
+        message: `${symbol.toUpperCase()} removed from watchlist`,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Remove from watchlist error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to remove from watchlist',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  async getTriggeredAlerts(req, res) {
+    try {
+      const { userId } = req.params;
+      const { since, limit = 50 } = req.query;
+
+      if (since && isNaN(new Date(since).getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'since must be a valid date',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const alerts = await alertEngine.getTriggeredAlerts(userId, {
+        since,
+        limit: Math.min(parseInt(limit) || 50, 100)
+      });
+
+      res.json({
+        success: true,
+        alerts,
+        total: alerts.length,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get triggered alerts error:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve alerts',
+        timestamp: new Date().toISOString()
+      });
+    }
   }
 
   async getPortfolio(req, res) {
-    res.status(501).json({
-      success: false,
-      error: 'Feature not available',
-      message: 'Portfolio tracking requires database. This feature will be available in a future update.',
-      portfolio: [],
-      totalValue: 0,
-      totalGainLoss: 0,
-      timestamp: new Date().toISOString()
-    });
+    try {
+      const { userId } = req.params;
+      const withQuotes = req.query.quotes !== 'false';
+
+      const result = await portfolioService.getPortfolio(userId, { withQuotes });
+
+      res.json({
+        success: true,
+        holdings: result.holdings,
+        closedPositions: result.closedPositions,
+        summary: result.summary,
+        // Original response fields, derived from the transaction ledger
+        portfolio: result.portfolio,
+        totalValue: result.summary.marketValue ?? 0,
+        totalGainLoss: result.summary.unrealizedPnL ?? 0,
+        pricedAt: result.pricedAt,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get portfolio error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to retrieve portfolio',
+        portfolio: [],
+        totalValue: 0,
+        totalGainLoss: 0,
+        timestamp: new Date().toISOString()
+      });
+    }
   }
 
   async updatePortfolio(req, res) {
-    res.status(501).json({
-      success: false,
-      error: 'Feature not available',
-      message: 'Portfolio tracking requires database. This feature will be available in a future update.',
-      timestamp: new Date().toISOString()
-    });
+    try {
+      const { userId, ...transaction } = req.body;
+
+      if (!userId) {
+        return res.status(400).json({
+          success: false,
+          error: 'UserId is required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const result = await portfolioService.recordTransaction(userId, transaction);
+
+      console.log(`💼 ${userId} recorded ${result.transaction.type} ${result.transaction.quantity} ${result.transaction.symbol} @ $${result.transaction.price}`);
+
+      res.status(201).json({
+        success: true,
+        transaction: result.transaction,
+        position: result.position,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Update portfolio error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to record transaction',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  async getPortfolioTransactions(req, res) {
+    try {
+      const { userId } = req.params;
+      const { symbol } = req.query;
+
+      const transactions = await portfolioService.getTransactionHistory(userId, { symbol });
+
+      res.json({
+        success: true,
+        transactions,
+        total: transactions.length,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get transactions error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to retrieve transactions',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  async deletePortfolioTransaction(req, res) {
+    try {
+      const { userId, transactionId } = req.params;
+
+      await portfolioService.deleteTransaction(userId, transactionId);
+
+      res.json({
+        success: true,
+        message: 'Transaction deleted',
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Delete transaction error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to delete transaction',
+        timestamp: new Date().toISOString()
+      });
+    }
   }
 
   async getAnalysis(req, res) {
@@ -297,8 +1030,13 @@ class ChatController {
 
       console.log(`🔍 Generating ${analysisType} analysis for: ${symbol.toUpperCase()}`);
 
-      const marketData = await marketService.getDetailedStockData(symbol.toUpperCase());
-      const analysis = await aiService.generateAnalysis(symbol.toUpperCase(), marketData, analysisType);
+      // Technical analysis needs enough history for the 200-day average
+      const marketData = await marketService.getDetailedStockData(symbol.toUpperCase(), {
+        period: analysisType === 'technical' ? '1y' : '1mo'
+      });
+      const technical = technicalAnalysisService.computeSnapshot(marketData?.historical);
+      const fundamental = fundamentalAnalysisService.analyze(marketData);
+      const analysis = await aiService.generateAnalysis(symbol.toUpperCase(), marketData, analysisType, { technical, fundamental });
 
       res.json({
         success: true,
@@ -308,6 +1046,25 @@ class ChatController {
         recommendation: analysis.recommendation,
         confidence: analysis.confidence,
         keyPoints: analysis.keyPoints || [],
+        outlook: analysis.outlook || null,
+        indicators: technical ? {
+          asOf: technical.asOf,
+          bars: technical.bars,
+          price: technical.price,
+          movingAverages: technical.movingAverages,
+          rsi: technical.rsi,
+          macd: technical.macd,
+          bollinger: technical.bollinger,
+          atr: technical.atr,
+          volume: technical.volume
+        } : null,
+        levels: technical ? technical.levels : null,
+        signals: technical ? technical.signals : [],
+        score: technical ? technical.score : null,
+        bias: technical ? technical.bias : null,
+        fundamentals: fundamental,
+        source: analysis.source,
+        model: analysis.model,
         timestamp: new Date().toISOString()
       });
 
@@ -322,36 +1079,115 @@ class ChatController {
     }
   }
 
+  async runBacktest(req, res) {
+    try {
+      const { symbol, period, strategy, initialCapital, commissionPerTrade, commissionPercent, slippagePercent } = req.body;
+
+      if (!symbol || !strategy) {
+        return res.status(400).json({
+          success: false,
+          error: 'Symbol and strategy are required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      console.log(`🧪 Backtesting ${symbol.toUpperCase()}`);
+
+      const result = await backtestService.run({
+        symbol,
+        period,
+        strategy,
+        initialCapital,
+        commissionPerTrade,
+        commissionPercent,
+        slippagePercent
+      });
+
+      res.json({
+        success: true,
+        ...result,
+        disclaimer: 'Simulated results on historical data. Past performance does not guarantee future results.',
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Backtest error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to run backtest',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   async getRecommendations(req, res) {
     try {
-      const { category = 'general' } = req.query;
+      const { category = 'general', userId, limit = 5 } = req.query;
 
       console.log(`💡 Generating ${category} recommendations`);
 
-      const recommendations = await aiService.generateRecommendations(null, category);
+      const result = await recommendationService.getRecommendations({
+        category,
+        userId: userId || null,
+        limit: parseInt(limit) || 5
+      });
 
       res.json({
         success: true,
-        recommendations: recommendations.items || [],
-        category,
-        basedOn: 'general market analysis',
-        personalized: false,
-        note: 'Personalized recommendations require database integration',
+        recommendations: result.items,
+        category: result.category,
+        basedOn: result.personalized
+          ? 'market data scored against your risk tolerance and preferred sectors'
+          : 'market data scored on valuation, growth, quality and momentum',
+        personalized: result.personalized,
+        personalization: result.personalization,
+        candidatesEvaluated: result.candidatesEvaluated,
+        weights: result.weights,
+        disclaimer: 'For informational purposes only. Not investment advice.',
         timestamp: new Date().toISOString()
       });
 
     } catch (error) {
-      console.error('Recommendations error:', error);
-      res.status(500).json({
+      console.error('Recommendations error:', error.message);
+      res.status(error.status || 500).json({
         success: false,
-        error: 'Failed to generate recommendations',
+        error: error.status ? error.message : 'Failed to generate recommendations',
         timestamp: new Date().toISOString()
       });
     }
   }
 
   // Health check endpoint for chat service
+  // A history store that fails to open reports the service as degraded (503)
+  // rather than rejecting the request
   async healthCheck(req, res) {
+    let store;
+    let storage;
+    try {
+      store = await getHistoryStore();
+      storage = store.describe();
+    } catch (error) {
+      console.error('❌ History store unavailable:', error.message);
+      return res.status(503).json({
+        success: false,
+        service: 'Chat Controller',
+        status: 'degraded',
+        error: 'History store unavailable',
+        features: {
+          history: 'unavailable',
+          alerts: alertEngine.status().running ? 'active' : 'stopped'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let activeUsers = null;
+    try {
+      activeUsers = await store.countUsers();
+    } catch (error) {
+      console.error('⚠️ Could not count history users:', error.message);
+    }
+
     res.json({
       success: true,
       service: 'Chat Controller',
@@ -361,14 +1197,16 @@ class ChatController {
         marketData: 'available',
         analysis: 'available',
         recommendations: 'available',
-        history: 'in-memory only',
-        watchlist: 'not available',
-        portfolio: 'not available'
+        history: storage.backend,
+        watchlist: 'available',
+        alerts: alertEngine.status().running ? 'active' : 'stopped',
+        portfolio: 'available'
       },
       storage: {
-        type: 'in-memory',
-        activeUsers: chatHistoryStore.size,
-        note: 'Data resets on server restart'
+        type: storage.backend,
+        persistent: storage.persistent,
+        activeUsers,
+        note: storage.persistent ? undefined : 'Data resets on server restart'
       },
       timestamp: new Date().toISOString()
     });
@@ -377,8 +1215,8 @@ class ChatController {
   // Admin endpoint to clear all chat history (useful for testing)
   async clearAllHistory(req, res) {
     try {
-      const userCount = chatHistoryStore.size;
-      chatHistoryStore.clear();
+      const store = await getHistoryStore();
+      const userCount = await store.clearAll();
 
       res.json({
         success: true,
@@ -0,0 +1,90 @@
+const userProfileService = require('../services/userProfileService');
+
+class UserController {
+  constructor() {
+    // Bind all methods to ensure 'this' works correctly in Express routes
+    this.createProfile = this.createProfile.bind(this);
+    this.getProfile = this.getProfile.bind(this);
+    this.updateProfile = this.updateProfile.bind(this);
+    this.deleteProfile = this.deleteProfile.bind(this);
+  }
+
+  async createProfile(req, res) {
+    try {
+      const { userId, ...data } = req.body;
+
+      const profile = await userProfileService.createProfile(userId, data);
+
+      console.log(`👤 Created profile for ${profile.userId}`);
+
+      res.status(201).json({
+        success: true,
+        profile,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create profile');
+    }
+  }
+
+  async getProfile(req, res) {
+    try {
+      const profile = await userProfileService.getProfile(req.params.userId);
+
+      res.json({
+        success: true,
+        profile,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Failed to retrieve profile');
+    }
+  }
+
+  async updateProfile(req, res) {
+    try {
+      const { userId, ...data } = req.body;
+
+      const profile = await userProfileService.updateProfile(req.params.userId, data);
+
+      res.json({
+        success: true,
+        profile,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update profile');
+    }
+  }
+
+  async deleteProfile(req, res) {
+    try {
+      await userProfileService.deleteProfile(req.params.userId);
+
+      res.json({
+        success: true,
+        message: 'Profile and associated data deleted',
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete profile');
+    }
+  }
+
+  handleError(res, error, fallbackMessage) {
+    if (!error.status) {
+      console.error(`❌ ${fallbackMessage}:`, error);
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : fallbackMessage,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new UserController();
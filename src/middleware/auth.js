@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getAuthConfig } = require('../config/security');
+const HttpError = require('../utils/httpError');
+
+const sendAuthError = (res, error) => {
+  res.status(error.status || 401).json({
+    success: false,
+    error: error.message,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const safeEqual = (a, b) => {
+  const left = crypto.createHash('sha256').update(String(a)).digest();
+  const right = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(left, right);
+};
+
+// Resolves credentials to an identity:
+//   user    - a verified JWT; the userId is the token subject
+//   service - a static API key; acts for the userId named in the request
+//   anonymous - open mode only (no credentials configured in development)
+function verifyCredentials({ token, apiKey, requestedUserId } = {}) {
+  const config = getAuthConfig();
+
+  if (token) {
+    if (!config.jwtSecret) {
+      throw new HttpError(401, 'Bearer tokens are not accepted by this server');
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, config.jwtSecret, {
+        algorithms: ['HS256'],
+        issuer: config.jwtIssuer,
+        audience: config.jwtAudience
+      });
+    } catch (error) {
+      throw new HttpError(401, error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    }
+
+    if (!payload.sub) {
+      throw new HttpError(401, 'Token has no subject');
+    }
+    return { type: 'user', userId: String(payload.sub) };
+  }
+
+  if (apiKey) {
+    const match = config.apiKeys.find(entry => safeEqual(entry.key, apiKey));
+    if (!match) {
+      throw new HttpError(401, 'Invalid API key');
+    }
+    return { type: 'service', service: match.name, userId: requestedUserId || null };
+  }
+
+  if (config.openMode) {
+    return { type: 'anonymous', userId: requestedUserId || null };
+  }
+
+  throw new HttpError(401, config.configured ? 'Authentication required' : 'Authentication is not configured on this server');
+}
+
+function readBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Verifies the caller and stores the identity on req.auth
+function authenticate(req, res, next) {
+  try {
+    req.auth = verifyCredentials({
+      token: readBearerToken(req),
+      apiKey: req.get('X-API-Key'),
+      requestedUserId: req.get('X-User-Id') || (req.body && req.body.userId) || req.query.userId
+    });
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+}
+
+// Users may only act as themselves: a userId in the body or query must match
+// the token, and is filled in from the token when omitted.
+function bindUserFromRequest(req, res, next) {
+  const identity = req.auth;
+  if (!identity || identity.type !== 'user') return next();
+
+  const claimed = [req.body && req.body.userId, req.query.userId].filter(value => value !== undefined && value !== '');
+  if (claimed.some(value => String(value) !== identity.userId)) {
+    return sendAuthError(res, new HttpError(403, 'userId does not match the authenticated user'));
+  }
+
+  if (req.body && typeof req.body === 'object') {
+    req.body.userId = identity.userId;
+  }
+  next();
+}
+
+// router.param handler for :userId route parameters
+function bindUserParam(req, res, next, userId) {
+  const identity = req.auth;
+  if (identity && identity.type === 'user' && userId !== identity.userId) {
+    return sendAuthError(res, new HttpError(403, 'You can only access your own data'));
+  }
+  next();
+}
+
+// Lets a trusted service mint a user token (e.g. after its own login flow)
+function issueToken(userId, options = {}) {
+  const config = getAuthConfig();
+  if (!config.jwtSecret) {
+    throw new HttpError(503, 'JWT_SECRET is not configured');
+  }
+
+  const expiresIn = options.expiresIn || config.tokenTtl;
+  const signOptions = { algorithm: 'HS256', subject: String(userId), expiresIn };
+  if (config.jwtIssuer) signOptions.issuer = config.jwtIssuer;
+  if (config.jwtAudience) signOptions.audience = config.jwtAudience;
+
+  let token;
+  try {
+    token = jwt.sign({}, config.jwtSecret, signOptions);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+
+  return { token, tokenType: 'Bearer', expiresIn };
+}
+
+module.exports = {
+  authenticate,
+  bindUserFromRequest,
+  bindUserParam,
+  verifyCredentials,
+  issueToken
+};
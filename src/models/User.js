@@ -14,12 +14,92 @@ const chatHistorySchema = new mongoose.Schema({
     enum: ['text', 'market_data', 'analysis', 'recommendation', 'error'], // Added 'error'
     default: 'text'
   },
+  // Quotes, analysis and other results the response was based on (see transcriptService)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
   timestamp: {
     type: Date,
     default: Date.now
   }
 });
 
+// Rolling summary of older chat turns plus what the conversation is about
+const conversationMemorySchema = new mongoose.Schema({
+  summary: {
+    type: String,
+    default: ''
+  },
+  summarySource: {
+    type: String,
+    enum: ['llm', 'extractive', null],
+    default: null
+  },
+  summarizedThrough: {
+    type: Date,
+    default: null
+  },
+  summarizedMessages: {
+    type: Number,
+    default: 0
+  },
+  symbols: [{
+    _id: false,
+    symbol: String,
+    mentions: Number,
+    lastMentionedAt: Date
+  }],
+  // Symbols follow-up questions ("and its P/E?") refer to
+  activeSymbols: [String],
+  activeSymbolsAt: {
+    type: Date,
+    default: null
+  },
+  facts: [{
+    _id: false,
+    key: String,
+    kind: String,
+    text: String,
+    createdAt: Date
+  }],
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Conversation threads other than the default one, which keeps using
+// chatHistory and conversationMemory on the user. An entry for the default
+// thread only holds its title.
+const conversationSchema = new mongoose.Schema({
+  conversationId: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    default: null
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  chatHistory: [chatHistorySchema],
+  memory: {
+    type: conversationMemorySchema,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const watchlistSchema = new mongoose.Schema({
   symbol: {
     type: String,
@@ -35,12 +115,48 @@ const watchlistSchema = new mongoose.Schema({
     enum: ['above', 'below', 'none'],
     default: 'none'
   },
+  // Alert engine state: an alert fires once, then waits for the price to
+  // move back across the threshold (re-arm) before it can fire again
+  alertArmed: {
+    type: Boolean,
+    default: true
+  },
+  lastTriggeredAt: {
+    type: Date,
+    default: null
+  },
   addedAt: {
     type: Date,
     default: Date.now
   }
 });
 
+const triggeredAlertSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  alertType: {
+    type: String,
+    enum: ['above', 'below'],
+    required: true
+  },
+  alertPrice: {
+    type: Number,
+    required: true
+  },
+  triggerPrice: {
+    type: Number,
+    required: true
+  },
+  triggeredAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// No price is stored here: value and P&L come from live quotes in PortfolioService
 const portfolioSchema = new mongoose.Schema({
   symbol: {
     type: String,
@@ -56,13 +172,46 @@ const portfolioSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
-  currentPrice: {
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Portfolio source of truth; the portfolio array above is derived from these
+const transactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['buy', 'sell'],
+    required: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  quantity: {
     type: Number,
-    default: 0
+    required: true,
+    min: 0
   },
-  lastUpdated: {
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  fees: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  executedAt: {
     type: Date,
     default: Date.now
+  },
+  note: {
+    type: String,
+    default: ''
   }
 });
 
@@ -97,8 +246,15 @@ const userSchema = new mongoose.Schema({
     }
   },
   chatHistory: [chatHistorySchema],
+  conversationMemory: {
+    type: conversationMemorySchema,
+    default: null
+  },
+  conversations: [conversationSchema],
   watchlist: [watchlistSchema],
+  triggeredAlerts: [triggeredAlertSchema],
   portfolio: [portfolioSchema],
+  transactions: [transactionSchema],
   createdAt: {
     type: Date,
     default: Date.now
@@ -108,23 +264,9 @@ const userSchema = new mongoose.Schema({
     default: Date.now
   }
 }, {
-  timestamps: true
-});
-
-// Virtual for portfolio value
-userSchema.virtual('portfolioValue').get(function() {
-  return this.portfolio.reduce((total, holding) => {
-    return total + (holding.currentPrice * holding.quantity);
-  }, 0);
-});
-
-// Virtual for total gain/loss
-userSchema.virtual('totalGainLoss').get(function() {
-  return this.portfolio.reduce((total, holding) => {
-    const costBasis = holding.averagePrice * holding.quantity;
-    const currentValue = holding.currentPrice * holding.quantity;
-    return total + (currentValue - costBasis);
-  }, 0);
+  timestamps: true,
+  // Any concurrent save of the same document fails with a VersionError (see MongoUserStore.updateUser)
+  optimisticConcurrency: true
 });
 
 // Update lastActive on save
@@ -0,0 +1,162 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODEL = 'gemini-2.0-flash';
+// Function calling is served by the v1beta endpoint
+const API_VERSION = 'v1beta';
+
+// Google Gemini through @google/generative-ai
+class GeminiProvider {
+  constructor(config = {}) {
+    if (!config.apiKey) {
+      throw new Error('GEMINI_API_KEY is not set');
+    }
+
+    this.name = 'gemini';
+    this.model = config.model || DEFAULT_MODEL;
+    this.generationConfig = {
+      temperature: config.temperature,
+      topK: config.topK,
+      topP: config.topP,
+      maxOutputTokens: config.maxOutputTokens
+    };
+    this.client = new GoogleGenerativeAI(config.apiKey).getGenerativeModel(
+      { model: this.model, generationConfig: this.generationConfig },
+      { timeout: config.timeoutMs, apiVersion: API_VERSION }
+    );
+  }
+
+  async generate(prompt, options = {}) {
+    const result = await this.client.generateContent(this.buildRequest(prompt, options), this.requestOptions(options));
+    return this.extractText(result.response);
+  }
+
+  async *stream(prompt, options = {}) {
+    yield* this.streamChat([{ role: 'user', content: prompt }], options);
+  }
+
+  // Streams a text reply to a multi-turn conversation; declared tools can't be called
+  async *streamChat(turns, options = {}) {
+    const request = this.buildChatRequest(turns, { ...options, toolChoice: 'none' });
+    const result = await this.client.generateContentStream(request, this.requestOptions(options));
+
+    for await (const chunk of result.stream) {
+      let text = '';
+      try {
+        text = chunk.text();
+      } catch (error) {
+        // Chunks without text (e.g. safety metadata) are skipped
+      }
+      if (text) yield text;
+    }
+  }
+
+  // Multi-turn call that may answer with function calls instead of text
+  async chat(turns, options = {}) {
+    const result = await this.client.generateContent(this.buildChatRequest(turns, options), this.requestOptions(options));
+    const candidate = result.response.candidates && result.response.candidates[0];
+    const parts = candidate && candidate.content && candidate.content.parts ? candidate.content.parts : [];
+
+    return {
+      text: parts.map(part => part.text || '').join(''),
+      toolCalls: parts
+        .filter(part => part.functionCall)
+        .map((part, index) => ({ id: `call_${index}`, name: part.functionCall.name, args: part.functionCall.args || {} }))
+    };
+  }
+
+  // toolChoice 'none' keeps the tools declared (earlier turns call them) but makes the model answer in text
+  buildChatRequest(turns, options) {
+    const request = this.buildRequest('', options);
+    request.contents = this.toContents(turns);
+    if (options.tools && options.tools.length > 0) {
+      request.tools = [{ functionDeclarations: options.tools.map(tool => this.toFunctionDeclaration(tool)) }];
+      if (options.toolChoice === 'none') {
+        request.toolConfig = { functionCallingConfig: { mode: 'NONE' } };
+      }
+    }
+    return request;
+  }
+
+  // Consecutive tool results answer one model turn, so they share one function content
+  toContents(turns) {
+    return turns.reduce((contents, turn) => {
+      if (turn.role === 'tool') {
+        const part = { functionResponse: { name: turn.name, response: { name: turn.name, content: turn.result } } };
+        const previous = contents[contents.length - 1];
+        if (previous && previous.role === 'function') {
+          previous.parts.push(part);
+        } else {
+          contents.push({ role: 'function', parts: [part] });
+        }
+      } else if (turn.role === 'assistant') {
+        contents.push({
+          role: 'model',
+          parts: [
+            ...(turn.content ? [{ text: turn.content }] : []),
+            ...(turn.toolCalls || []).map(call => ({ functionCall: { name: call.name, args: call.args } }))
+          ]
+        });
+      } else {
+        contents.push({ role: 'user', parts: [{ text: turn.content }] });
+      }
+      return contents;
+    }, []);
+  }
+
+  // Gemini takes an OpenAPI-style schema (upper-case types) and no parameters for argument-less functions
+  toFunctionDeclaration({ name, description, parameters }) {
+    const toSchema = schema => Object.keys(schema).reduce((converted, key) => {
+      const value = schema[key];
+      if (key === 'type') converted.type = value.toUpperCase();
+      else if (key === 'properties') converted.properties = Object.fromEntries(Object.entries(value).map(([prop, propSchema]) => [prop, toSchema(propSchema)]));
+      else if (key === 'items') converted.items = toSchema(value);
+      else converted[key] = value;
+      return converted;
+    }, {});
+
+    const hasParameters = parameters && parameters.properties && Object.keys(parameters.properties).length > 0;
+    return hasParameters ? { name, description, parameters: toSchema(parameters) } : { name, description };
+  }
+
+  // Per-call timeoutMs / signal bound this request only
+  requestOptions(options) {
+    const requestOptions = {};
+    if (options.timeoutMs !== undefined) requestOptions.timeout = options.timeoutMs;
+    if (options.signal) requestOptions.signal = options.signal;
+    return requestOptions;
+  }
+
+  // Per-call temperature / maxTokens override the configured generation settings
+  buildRequest(prompt, options) {
+    const generationConfig = { ...this.generationConfig };
+    if (options.temperature !== undefined) generationConfig.temperature = options.temperature;
+    if (options.maxTokens !== undefined) generationConfig.maxOutputTokens = options.maxTokens;
+
+    return {
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig
+    };
+  }
+
+  extractText(response) {
+    try {
+      return response.text();
+    } catch (error) {
+      // text() throws when the first candidate was blocked; use any text part there is
+      const candidate = response.candidates && response.candidates[0];
+      const parts = candidate && candidate.content && candidate.content.parts ? candidate.content.parts : [];
+      const text = parts.map(part => part.text || '').join('');
+      if (!text) {
+        throw new Error(`Unable to extract text from Gemini response: ${error.message}`);
+      }
+      return text;
+    }
+  }
+
+  describe() {
+    return { provider: this.name, model: this.model, apiVersion: API_VERSION, generation: this.generationConfig };
+  }
+}
+
+module.exports = GeminiProvider;
+module.exports.DEFAULT_MODEL = DEFAULT_MODEL;
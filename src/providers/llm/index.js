@@ -0,0 +1,79 @@
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openaiProvider');
+const ScriptedProvider = require('./scriptedProvider');
+
+// Language model behind the chat, selected with LLM_PROVIDER=gemini|openai|scripted|none.
+// Every provider has a name and model, generate(prompt, options) resolving to
+// text, stream(prompt, options) yielding text pieces, chat(turns, options)
+// resolving to { text, toolCalls } for tool calling (see aiService.runToolLoop),
+// streamChat(turns, options) yielding the text reply to a conversation, and
+// describe().
+// options: { purpose, message, temperature, maxTokens, tools, toolChoice,
+// timeoutMs, signal }; message is the user's text behind the prompt, used by the
+// scripted provider only. toolChoice 'none' declares tools without letting the
+// model call them; timeoutMs and signal bound that one request.
+// Without LLM_PROVIDER, Gemini is used when GEMINI_API_KEY is set. If the
+// configured provider cannot start, chat answers with formatted responses.
+const LLM_PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  scripted: ScriptedProvider
+};
+
+const parseNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+function getLLMConfig() {
+  const provider = (process.env.LLM_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'none')).toLowerCase();
+
+  return {
+    provider,
+    model: process.env.LLM_MODEL || null,
+    apiKey: provider === 'gemini'
+      ? process.env.GEMINI_API_KEY || process.env.LLM_API_KEY
+      : process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    baseUrl: process.env.LLM_BASE_URL || process.env.OPENAI_BASE_URL || null,
+    scriptFile: process.env.LLM_SCRIPT_FILE || null,
+    temperature: parseNumber(process.env.LLM_TEMPERATURE, 0.7),
+    topP: parseNumber(process.env.LLM_TOP_P, 0.95),
+    topK: parseInt(process.env.LLM_TOP_K, 10) || 40,
+    maxOutputTokens: parseInt(process.env.LLM_MAX_TOKENS, 10) || 2048,
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 30000
+  };
+}
+
+// null for LLM_PROVIDER=none
+function createLLMProvider(config = getLLMConfig()) {
+  if (config.provider === 'none') return null;
+
+  const ProviderClass = LLM_PROVIDERS[config.provider];
+  if (!ProviderClass) {
+    throw new Error(`Unknown LLM_PROVIDER "${config.provider}" (expected one of: ${[...Object.keys(LLM_PROVIDERS), 'none'].join(', ')})`);
+  }
+  return new ProviderClass(config);
+}
+
+function initLLMProvider(config = getLLMConfig()) {
+  try {
+    const provider = createLLMProvider(config);
+    if (provider) {
+      console.log(`✅ LLM provider: ${provider.name} (${provider.model})`);
+    } else {
+      console.log('⚠️  No LLM provider configured (set LLM_PROVIDER or GEMINI_API_KEY) - using formatted responses');
+    }
+    return provider;
+  } catch (error) {
+    console.error(`❌ Failed to start "${config.provider}" LLM provider:`, error.message);
+    console.log('⚠️  Falling back to formatted responses');
+    return null;
+  }
+}
+
+module.exports = {
+  initLLMProvider,
+  createLLMProvider,
+  getLLMConfig,
+  LLM_PROVIDERS
+};
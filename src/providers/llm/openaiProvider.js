@@ -0,0 +1,175 @@
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Any OpenAI-compatible /chat/completions endpoint: OpenAI itself, or local
+// servers such as Ollama (LLM_BASE_URL=http://localhost:11434/v1) and
+// llama.cpp / vLLM. The API key is optional because local servers don't use one.
+class OpenAIProvider {
+  constructor(config = {}) {
+    const baseUrl = (config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    if (baseUrl === DEFAULT_BASE_URL && !config.apiKey) {
+      throw new Error('LLM_API_KEY (or OPENAI_API_KEY) is not set');
+    }
+
+    this.name = 'openai';
+    this.model = config.model || DEFAULT_MODEL;
+    this.baseUrl = baseUrl;
+    this.generationConfig = {
+      temperature: config.temperature,
+      top_p: config.topP,
+      max_tokens: config.maxOutputTokens
+    };
+    this.client = axios.create({
+      baseURL: baseUrl,
+      timeout: config.timeoutMs,
+      headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}
+    });
+  }
+
+  async generate(prompt, options = {}) {
+    try {
+      const { data } = await this.client.post('/chat/completions', this.buildRequest(prompt, options), this.requestConfig(options));
+      const choice = data.choices && data.choices[0];
+      return choice && choice.message ? choice.message.content || '' : '';
+    } catch (error) {
+      throw this.describeError(error);
+    }
+  }
+
+  async *stream(prompt, options = {}) {
+    yield* this.streamChat([{ role: 'user', content: prompt }], options);
+  }
+
+  // Streams a text reply to a multi-turn conversation; declared tools can't be called.
+  // Server-sent events: "data: {json}" lines, ended by "data: [DONE]"
+  async *streamChat(turns, options = {}) {
+    const request = this.buildChatRequest(turns, { ...options, toolChoice: 'none' }, true);
+    let response;
+    try {
+      response = await this.client.post('/chat/completions', request, { ...this.requestConfig(options), responseType: 'stream' });
+    } catch (error) {
+      throw this.describeError(error);
+    }
+
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const payload = line.trim();
+        if (!payload.startsWith('data:')) continue;
+
+        const json = payload.slice(5).trim();
+        if (json === '[DONE]') return;
+
+        let event;
+        try {
+          event = JSON.parse(json);
+        } catch (error) {
+          continue;
+        }
+        const delta = event.choices && event.choices[0] && event.choices[0].delta;
+        if (delta && delta.content) yield delta.content;
+      }
+    }
+  }
+
+  // Multi-turn call that may answer with tool calls instead of text
+  async chat(turns, options = {}) {
+    let data;
+    try {
+      ({ data } = await this.client.post('/chat/completions', this.buildChatRequest(turns, options), this.requestConfig(options)));
+    } catch (error) {
+      throw this.describeError(error);
+    }
+
+    const message = data.choices && data.choices[0] ? data.choices[0].message || {} : {};
+    return {
+      text: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        args: this.parseArguments(call.function.arguments)
+      }))
+    };
+  }
+
+  // toolChoice 'none' keeps the tools declared (earlier turns call them) but makes the model answer in text
+  buildChatRequest(turns, options, stream = false) {
+    const request = this.buildRequest('', options, stream);
+    request.messages = turns.map(turn => this.toMessage(turn));
+    if (options.tools && options.tools.length > 0) {
+      request.tools = options.tools.map(tool => ({ type: 'function', function: tool }));
+      if (options.toolChoice) request.tool_choice = options.toolChoice;
+    }
+    return request;
+  }
+
+  toMessage(turn) {
+    if (turn.role === 'tool') {
+      return { role: 'tool', tool_call_id: turn.id, content: JSON.stringify(turn.result) };
+    }
+    if (turn.role === 'assistant' && turn.toolCalls && turn.toolCalls.length > 0) {
+      return {
+        role: 'assistant',
+        content: turn.content || null,
+        tool_calls: turn.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.args) }
+        }))
+      };
+    }
+    return { role: turn.role, content: turn.content };
+  }
+
+  // Arguments arrive as a JSON string; malformed ones become {} and fail the tool's validation
+  parseArguments(text) {
+    try {
+      return JSON.parse(text || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // Per-call timeoutMs / signal bound this request only
+  requestConfig(options) {
+    const config = {};
+    // axios reads a timeout of 0 as "no timeout"
+    if (options.timeoutMs !== undefined) config.timeout = Math.max(options.timeoutMs, 1);
+    if (options.signal) config.signal = options.signal;
+    return config;
+  }
+
+  buildRequest(prompt, options, stream = false) {
+    const request = {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      ...this.generationConfig,
+      stream
+    };
+    if (options.temperature !== undefined) request.temperature = options.temperature;
+    if (options.maxTokens !== undefined) request.max_tokens = options.maxTokens;
+    return request;
+  }
+
+  // Keeps the HTTP status in the message so callers can spot rate limits (429)
+  describeError(error) {
+    if (!error.response) return error;
+
+    const body = error.response.data;
+    const detail = body && body.error && body.error.message ? `: ${body.error.message}` : '';
+    return new Error(`OpenAI-compatible API error ${error.response.status}${detail}`);
+  }
+
+  describe() {
+    return { provider: this.name, model: this.model, baseUrl: this.baseUrl, generation: this.generationConfig };
+  }
+}
+
+module.exports = OpenAIProvider;
+module.exports.DEFAULT_MODEL = DEFAULT_MODEL;
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MODEL = 'scripted-v1';
+
+// Built-in answers when no script rule matches. Other purposes (intent,
+// summary, narrative) get an empty reply, which sends the caller down its
+// non-LLM path exactly as a failed call would.
+const DEFAULT_RESPONSES = {
+  chat: 'This is a scripted reply from the offline test provider; no language model was called. ' +
+    'The market data shown with it is real.',
+  analysis: 'Scripted analysis from the offline test provider.\n\n• Recommendation: HOLD\n• Risk level: Medium'
+};
+
+// Deterministic provider for tests and offline demos. Replies come from rules
+// in LLM_SCRIPT_FILE (a JSON array), checked in order:
+//   { "purpose": "chat", "match": "nvda", "response": "..." }
+// purpose is the kind of call (chat, analysis, summary, intent, narrative),
+// match a case-insensitive regex tested against the user's message (for
+// analysis, the chat message or else the symbol), or the whole prompt for calls without one. "responses": [...]
+// replies with each entry in turn (the last one repeats) and "error": "..."
+// makes the call fail, e.g. to exercise rate-limit fallbacks. In chat() a rule
+// with "toolCalls": [{ "name": "getStockData", "args": { "symbol": "AAPL" } }]
+// requests those tools first and answers with its response once they ran.
+// "delayMs": 500 makes a matching call that slow; a shorter options.timeoutMs
+// or an aborted options.signal fails it like a real request would.
+class ScriptedProvider {
+  constructor(config = {}) {
+    this.name = 'scripted';
+    this.model = config.model || DEFAULT_MODEL;
+    this.rules = (config.script || this.loadScript(config.scriptFile)).map((rule, index) => this.compileRule(rule, index));
+    // Recent calls, so tests can check what was asked
+    this.calls = [];
+  }
+
+  loadScript(scriptFile) {
+    if (!scriptFile) return [];
+
+    const script = JSON.parse(fs.readFileSync(path.resolve(scriptFile), 'utf8'));
+    if (!Array.isArray(script)) {
+      throw new Error(`LLM_SCRIPT_FILE ${scriptFile} must contain a JSON array of rules`);
+    }
+    return script;
+  }
+
+  compileRule(rule, index) {
+    if (!rule || (rule.response === undefined && !Array.isArray(rule.responses) && !rule.error)) {
+      throw new Error(`Script rule ${index} needs "response", "responses" or "error"`);
+    }
+    if (rule.toolCalls && (!Array.isArray(rule.toolCalls) || rule.toolCalls.some(call => !call || !call.name))) {
+      throw new Error(`Script rule ${index}: "toolCalls" must be an array of { name, args }`);
+    }
+    return {
+      purpose: rule.purpose || null,
+      match: rule.match ? new RegExp(rule.match, 'i') : null,
+      responses: Array.isArray(rule.responses) ? rule.responses.map(String) : [String(rule.response || '')],
+      error: rule.error || null,
+      toolCalls: rule.toolCalls || null,
+      delayMs: Number(rule.delayMs) || 0,
+      uses: 0
+    };
+  }
+
+  async generate(prompt, options = {}) {
+    const purpose = options.purpose || 'chat';
+    const input = options.message || prompt;
+    this.record({ purpose, message: options.message || null, prompt });
+
+    const rule = this.findRule(purpose, input);
+    if (!rule) return DEFAULT_RESPONSES[purpose] || '';
+
+    await this.wait(rule.delayMs, options);
+    if (rule.error) throw new Error(rule.error);
+    const response = rule.responses[Math.min(rule.uses, rule.responses.length - 1)];
+    rule.uses += 1;
+    return response;
+  }
+
+  async chat(turns, options = {}) {
+    const prompt = turns.filter(turn => turn.role === 'user').map(turn => turn.content).join('\n');
+    const rule = this.findRule(options.purpose || 'chat', options.message || prompt);
+    const canCallTools = options.tools && options.tools.length > 0 && options.toolChoice !== 'none';
+
+    if (rule && rule.toolCalls && !rule.error && canCallTools && !turns.some(turn => turn.role === 'tool')) {
+      this.record({ purpose: options.purpose || 'chat', message: options.message || null, prompt, tools: options.tools.map(tool => tool.name) });
+      await this.wait(rule.delayMs, options);
+      return {
+        text: '',
+        toolCalls: rule.toolCalls.map((call, index) => ({ id: `call_${index}`, name: call.name, args: call.args || {} }))
+      };
+    }
+    const text = await this.generate(prompt, options);
+    this.recordToolResults(turns);
+    return { text, toolCalls: [] };
+  }
+
+  wait(ms, options) {
+    if (!ms) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const timesOut = options.timeoutMs !== undefined && options.timeoutMs < ms;
+      const timer = setTimeout(() => {
+        if (timesOut) reject(new Error(`Scripted call timed out after ${options.timeoutMs}ms`));
+        else resolve();
+      }, timesOut ? options.timeoutMs : ms);
+
+      if (options.signal) {
+        options.signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(new Error('Scripted call aborted'));
+        }, { once: true });
+      }
+    });
+  }
+
+  record(call) {
+    this.calls.push(call);
+    if (this.calls.length > 50) this.calls.shift();
+  }
+
+  // The answer's recorded call keeps the tool results it was given
+  recordToolResults(turns) {
+    const results = turns.filter(turn => turn.role === 'tool').map(turn => ({ name: turn.name, result: turn.result }));
+    if (results.length > 0) this.calls[this.calls.length - 1].toolResults = results;
+  }
+
+  findRule(purpose, input) {
+    return this.rules.find(rule =>
+      (!rule.purpose || rule.purpose === purpose) && (!rule.match || rule.match.test(input)));
+  }
+
+  async *stream(prompt, options = {}) {
+    yield* this.splitWords(await this.generate(prompt, options));
+  }
+
+  // Streamed reply to a conversation, e.g. the answer after tool calls
+  async *streamChat(turns, options = {}) {
+    const prompt = turns.filter(turn => turn.role === 'user').map(turn => turn.content).join('\n');
+    const text = await this.generate(prompt, options);
+    this.recordToolResults(turns);
+    yield* this.splitWords(text);
+  }
+
+  *splitWords(text) {
+    for (const piece of text.split(/(?<=\s)/)) {
+      if (piece) yield piece;
+    }
+  }
+
+  describe() {
+    return { provider: this.name, model: this.model, rules: this.rules.length };
+  }
+}
+
+module.exports = ScriptedProvider;
+module.exports.DEFAULT_MODEL = DEFAULT_MODEL;
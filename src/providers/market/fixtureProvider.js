@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// <dir>/<kind>/<key>.json, e.g. quote/AAPL.json, historical/1d/%5EGSPC.json
+// or search/apple.json. Keys are URI-encoded so any symbol is a safe file name.
+function fixturePath(dir, kind, key) {
+  return path.join(dir, kind, `${encodeURIComponent(key)}.json`);
+}
+
+// JSON turns yahoo-finance2's Date fields into strings; revive them so
+// replayed data has the same types as live data
+function reviveDates(key, value) {
+  return typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value;
+}
+
+async function readFixture(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'), reviveDates);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Invalid market fixture ${file}: ${error.message}`);
+  }
+}
+
+// Replays market data recorded by MARKET_RECORD=true from JSON files, so the
+// app runs and tests pass without network access. A request without a
+// fixture fails the way an unknown symbol or network error would.
+class FixtureProvider {
+  constructor(config = {}) {
+    this.name = 'fixture';
+    this.source = 'fixture';
+    this.dir = path.resolve(config.fixturesDir);
+  }
+
+  async init() {
+    const stats = await fs.promises.stat(this.dir).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      throw new Error(`Market fixtures directory not found: ${this.dir}`);
+    }
+    console.log(`📼 Replaying market data from ${this.dir}`);
+    return this;
+  }
+
+  async load(kind, key) {
+    const file = fixturePath(this.dir, kind, key);
+    const data = await readFixture(file);
+    if (data === null) {
+      throw new Error(`No market fixture for ${kind} ${key} (${file})`);
+    }
+    return data;
+  }
+
+  // Recorded quotes hold every field, so options.fields is not needed
+  async quote(symbol) {
+    return this.load('quote', symbol);
+  }
+
+  async quotes(symbols) {
+    const quotes = await Promise.all(symbols.map(symbol => this.load('quote', symbol).catch(() => null)));
+    return quotes.filter(Boolean);
+  }
+
+  async quoteSummary(symbol, options = {}) {
+    const summary = await this.load('quoteSummary', symbol);
+    if (!options.modules) return summary;
+
+    return options.modules.reduce((picked, module) => {
+      if (summary[module] !== undefined) picked[module] = summary[module];
+      return picked;
+    }, {});
+  }
+
+  // The requested window is measured back from the last recorded bar, not from
+  // today, so a fixture keeps answering "1mo" or "1y" as it ages
+  async historical(symbol, options = {}) {
+    const bars = await this.load(`historical/${options.interval || '1d'}`, symbol);
+    if (!Array.isArray(bars) || bars.length === 0 || !options.period1) return bars;
+
+    const span = new Date(options.period2 || Date.now()) - new Date(options.period1);
+    const start = new Date(bars[bars.length - 1].date).getTime() - span;
+    return bars.filter(bar => new Date(bar.date).getTime() >= start);
+  }
+
+  async search(query) {
+    return this.load('search', query.toLowerCase());
+  }
+
+  describe() {
+    return { provider: this.name, live: false, fixturesDir: this.dir };
+  }
+}
+
+module.exports = FixtureProvider;
+module.exports.fixturePath = fixturePath;
+module.exports.readFixture = readFixture;
@@ -0,0 +1,55 @@
+const YahooProvider = require('./yahooProvider');
+const FixtureProvider = require('./fixtureProvider');
+const RecordingProvider = require('./recordingProvider');
+
+// Market data source, selected with MARKET_PROVIDER=yahoo|fixture.
+// Every provider has name and source (reported as the quote source), init(),
+// quote(symbol, { fields }), quotes(symbols), quoteSummary(symbol, { modules }),
+// historical(symbol, { period1, period2, interval }), search(query, options) and
+// describe(), all returning yahoo-finance2 shaped data. MARKET_RECORD=true saves
+// live responses to MARKET_FIXTURES_DIR for the fixture provider to replay.
+// The default, fixtures/market, is committed with a small sample (AAPL and MSFT
+// quotes, AAPL daily history, an "apple" search) that the tests replay.
+const MARKET_PROVIDERS = {
+  yahoo: YahooProvider,
+  fixture: FixtureProvider
+};
+
+function getMarketConfig() {
+  return {
+    provider: (process.env.MARKET_PROVIDER || 'yahoo').toLowerCase(),
+    fixturesDir: process.env.MARKET_FIXTURES_DIR || 'fixtures/market',
+    record: process.env.MARKET_RECORD === 'true'
+  };
+}
+
+function createMarketProvider(config = getMarketConfig()) {
+  const ProviderClass = MARKET_PROVIDERS[config.provider];
+  if (!ProviderClass) {
+    throw new Error(`Unknown MARKET_PROVIDER "${config.provider}" (expected one of: ${Object.keys(MARKET_PROVIDERS).join(', ')})`);
+  }
+  if (config.record && ProviderClass === FixtureProvider) {
+    throw new Error('MARKET_RECORD needs a live MARKET_PROVIDER, not fixture');
+  }
+
+  const provider = new ProviderClass(config);
+  return config.record ? new RecordingProvider(provider, config) : provider;
+}
+
+async function initMarketProvider(config = getMarketConfig()) {
+  try {
+    const provider = await createMarketProvider(config).init();
+    console.log(`📈 Market data provider: ${provider.name}${config.record ? ' (recording)' : ''}`);
+    return provider;
+  } catch (error) {
+    console.error(`❌ Failed to start "${config.provider}" market data provider:`, error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  initMarketProvider,
+  createMarketProvider,
+  getMarketConfig,
+  MARKET_PROVIDERS
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { fixturePath, readFixture } = require('./fixtureProvider');
+
+// Record mode (MARKET_RECORD=true): passes every call to a live provider and
+// saves the responses as fixtures for FixtureProvider. Longer histories and
+// extra quoteSummary modules are merged into what is already recorded.
+// A failed write is logged and never fails the request.
+class RecordingProvider {
+  constructor(provider, config = {}) {
+    this.provider = provider;
+    this.name = provider.name;
+    this.source = provider.source;
+    this.dir = path.resolve(config.fixturesDir);
+  }
+
+  async init() {
+    await this.provider.init();
+    console.log(`⏺️  Recording market data to ${this.dir}`);
+    return this;
+  }
+
+  async save(kind, key, data) {
+    const file = fixturePath(this.dir, kind, key);
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.warn(`⚠️ Could not record market fixture ${file}:`, error.message);
+    }
+  }
+
+  async quote(symbol, options = {}) {
+    const quote = await this.provider.quote(symbol, options);
+    await this.save('quote', symbol, quote);
+    return quote;
+  }
+
+  async quotes(symbols) {
+    const quotes = await this.provider.quotes(symbols);
+    await Promise.all(quotes
+      .filter(quote => quote && quote.symbol)
+      .map(quote => this.save('quote', quote.symbol.toUpperCase(), quote)));
+    return quotes;
+  }
+
+  async quoteSummary(symbol, options = {}) {
+    const summary = await this.provider.quoteSummary(symbol, options);
+    const recorded = await readFixture(fixturePath(this.dir, 'quoteSummary', symbol)).catch(() => null);
+    await this.save('quoteSummary', symbol, { ...recorded, ...summary });
+    return summary;
+  }
+
+  async historical(symbol, options = {}) {
+    const bars = await this.provider.historical(symbol, options);
+    const kind = `historical/${options.interval || '1d'}`;
+    const recorded = await readFixture(fixturePath(this.dir, kind, symbol)).catch(() => null);
+
+    // Newly fetched bars replace recorded ones for the same date
+    const byDate = new Map();
+    [...(Array.isArray(recorded) ? recorded : []), ...bars].forEach(bar => {
+      byDate.set(new Date(bar.date).toISOString(), bar);
+    });
+    await this.save(kind, symbol, [...byDate.values()].sort((a, b) => new Date(a.date) - new Date(b.date)));
+    return bars;
+  }
+
+  async search(query, options = {}) {
+    const result = await this.provider.search(query, options);
+    await this.save('search', query.toLowerCase(), result);
+    return result;
+  }
+
+  describe() {
+    return { ...this.provider.describe(), recording: true, fixturesDir: this.dir };
+  }
+}
+
+module.exports = RecordingProvider;
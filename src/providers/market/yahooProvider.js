@@ -0,0 +1,55 @@
+// Live market data from yahoo-finance2 (an ES module, loaded on init)
+class YahooProvider {
+  constructor() {
+    this.name = 'yahoo';
+    this.source = 'yahoo-finance';
+    this.client = null;
+  }
+
+  async init() {
+    console.log('🔄 Loading yahoo-finance2 module...');
+    const module = await import('yahoo-finance2');
+
+    if (typeof module.default === 'function') {
+      console.log('📦 Creating yahooFinance instance...');
+      // Simple initialization without cookieJar to avoid errors
+      this.client = new module.default({
+        suppressNotices: ['yahooSurvey']
+      });
+      console.log('✅ Yahoo Finance instance created successfully');
+    } else {
+      this.client = module.default;
+      console.log('✅ Yahoo Finance loaded as object');
+    }
+    return this;
+  }
+
+  async quote(symbol, options = {}) {
+    return this.client.quote(symbol, options);
+  }
+
+  // One request for many symbols; unknown symbols are left out
+  async quotes(symbols) {
+    const quotes = await this.client.quote(symbols);
+    return Array.isArray(quotes) ? quotes : [quotes];
+  }
+
+  async quoteSummary(symbol, options = {}) {
+    return this.client.quoteSummary(symbol, options);
+  }
+
+  // options: { period1, period2, interval }
+  async historical(symbol, options = {}) {
+    return this.client.historical(symbol, options);
+  }
+
+  async search(query, options = {}) {
+    return this.client.search(query, options);
+  }
+
+  describe() {
+    return { provider: this.name, live: true };
+  }
+}
+
+module.exports = YahooProvider;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { authenticate } = require('../middleware/auth');
+
+router.use(authenticate);
+
+router.post('/token', (req, res) => authController.createToken(req, res));
+router.get('/me', (req, res) => authController.whoAmI(req, res));
+
+module.exports = router;
@@ -1,27 +1,51 @@
 const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chatController');
+const { authenticate, bindUserFromRequest, bindUserParam } = require('../middleware/auth');
+
+// Health check (public)
+router.get('/health', (req, res) => chatController.healthCheck(req, res));
+
+// Everything below requires a verified caller; user tokens can only touch their own userId
+router.use(authenticate, bindUserFromRequest);
+router.param('userId', bindUserParam);
 
 // Bind all methods to the controller instance
 router.post('/message', (req, res) => chatController.sendMessage(req, res));
+router.post('/message/stream', (req, res) => chatController.streamMessage(req, res));
 router.get('/history/:userId', (req, res) => chatController.getChatHistoryEndpoint(req, res));
 router.delete('/history/:userId', (req, res) => chatController.clearChatHistory(req, res));
+router.get('/history/:userId/export', (req, res) => chatController.exportChatHistory(req, res));
+router.post('/history/:userId/import', (req, res) => chatController.importChatHistory(req, res));
+
+// Conversation threads (history and memory are kept per thread)
+router.get('/conversations/:userId', (req, res) => chatController.listConversations(req, res));
+router.post('/conversations', (req, res) => chatController.createConversation(req, res));
+router.put('/conversations/:userId/:conversationId', (req, res) => chatController.updateConversation(req, res));
+router.delete('/conversations/:userId/:conversationId', (req, res) => chatController.deleteConversation(req, res));
 
 // Market data endpoints
+router.get('/market-summary', (req, res) => chatController.getMarketSummary(req, res));
 router.get('/market/:symbol', (req, res) => chatController.getMarketData(req, res));
+router.get('/market/:symbol/history', (req, res) => chatController.getHistoricalData(req, res));
+router.get('/compare', (req, res) => chatController.compareSymbols(req, res));
 
 // Analysis endpoints
 router.post('/analyze', (req, res) => chatController.getAnalysis(req, res));
+router.post('/backtest', (req, res) => chatController.runBacktest(req, res));
 router.get('/recommendations', (req, res) => chatController.getRecommendations(req, res));
 
-// Health check
-router.get('/health', (req, res) => chatController.healthCheck(req, res));
-
-// Not implemented features
+// Watchlist and price alerts
 router.post('/watchlist', (req, res) => chatController.addToWatchlist(req, res));
 router.get('/watchlist/:userId', (req, res) => chatController.getWatchlist(req, res));
+router.put('/watchlist/:userId/:symbol', (req, res) => chatController.updateWatchlistAlert(req, res));
 router.delete('/watchlist/:userId/:symbol', (req, res) => chatController.removeFromWatchlist(req, res));
+router.get('/alerts/:userId', (req, res) => chatController.getTriggeredAlerts(req, res));
+
+// Portfolio (transaction ledger with FIFO lots)
 router.get('/portfolio/:userId', (req, res) => chatController.getPortfolio(req, res));
 router.post('/portfolio', (req, res) => chatController.updatePortfolio(req, res));
+router.get('/portfolio/:userId/transactions', (req, res) => chatController.getPortfolioTransactions(req, res));
+router.delete('/portfolio/:userId/transactions/:transactionId', (req, res) => chatController.deletePortfolioTransaction(req, res));
 
 module.exports = router;
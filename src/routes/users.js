@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { authenticate, bindUserFromRequest, bindUserParam } = require('../middleware/auth');
+
+router.use(authenticate, bindUserFromRequest);
+router.param('userId', bindUserParam);
+
+// User profile and preferences
+router.post('/', (req, res) => userController.createProfile(req, res));
+router.get('/:userId', (req, res) => userController.getProfile(req, res));
+router.put('/:userId', (req, res) => userController.updateProfile(req, res));
+router.delete('/:userId', (req, res) => userController.deleteProfile(req, res));
+
+module.exports = router;
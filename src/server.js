@@ -5,21 +5,27 @@ const morgan = require('morgan');
 require('dotenv').config();
 
 const chatRoutes = require('./routes/chat');
+const userRoutes = require('./routes/users');
+const authRoutes = require('./routes/auth');
+const { getAuthConfig, getCorsOptions } = require('./config/security');
+const { initHistoryStore, getHistoryStore } = require('./stores/history');
+const { initUserStore } = require('./stores/users');
+const aiService = require('./services/aiService');
+const marketService = require('./services/marketService');
+const alertEngine = require('./services/alertEngine');
+const quoteStream = require('./services/quoteStreamService');
+const attachSocketServer = require('./sockets');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Optional: Initialize database config (but no actual connection)
-const connectDB = require('./config/database');
-connectDB();
+// Connects MongoDB when configured, then starts the chat history backend
+const historyReady = initHistoryStore();
+initUserStore();
 
 // Middleware
 app.use(helmet());
-app.use(cors({
-  origin: '*', // Allow all origins
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
-}));
+app.use(cors(getCorsOptions()));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(morgan('dev'));
@@ -32,9 +38,13 @@ app.use((req, res, next) => {
 
 // Routes
 app.use('/api/chat', chatRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/auth', authRoutes);
 
 // Root route
-app.get('/', (req, res) => {
+app.get('/', async (req, res) => {
+  const storage = (await getHistoryStore()).describe();
+
   res.json({
     success: true,
     message: 'Trading Chatbot API',
@@ -45,21 +55,36 @@ app.get('/', (req, res) => {
       marketData: 'available',
       analysis: 'available',
       recommendations: 'available',
-      history: 'in-memory',
-      database: 'disabled'
+      history: storage.backend,
+      llm: aiService.describeLLM().provider,
+      database: storage.backend === 'mongodb' ? 'enabled' : 'disabled'
     },
     endpoints: {
       health: '/health',
       chat: '/api/chat/message',
+      chatStream: '/api/chat/message/stream',
+      websocket: '/socket.io',
       history: '/api/chat/history/:userId',
+      historyExport: '/api/chat/history/:userId/export',
+      conversations: '/api/chat/conversations/:userId',
+      marketSummary: '/api/chat/market-summary',
       market: '/api/chat/market/:symbol',
-      analysis: '/api/chat/analyze'
+      marketHistory: '/api/chat/market/:symbol/history',
+      compare: '/api/chat/compare',
+      analysis: '/api/chat/analyze',
+      backtest: '/api/chat/backtest',
+      watchlist: '/api/chat/watchlist/:userId',
+      alerts: '/api/chat/alerts/:userId',
+      portfolio: '/api/chat/portfolio/:userId',
+      users: '/api/users/:userId'
     }
   });
 });
 
 // Health check
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  const storage = (await getHistoryStore()).describe();
+
   res.json({ 
     success: true,
     status: 'OK',
@@ -68,9 +93,14 @@ app.get('/health', (req, res) => {
     uptime: Math.floor(process.uptime()),
     uptimeFormatted: formatUptime(process.uptime()),
     database: {
-      enabled: false,
-      mode: 'in-memory'
+      enabled: storage.backend === 'mongodb',
+      mode: storage.backend,
+      persistent: storage.persistent
     },
+    llm: aiService.describeLLM(),
+    marketData: marketService.describeProvider(),
+    alerts: alertEngine.status(),
+    realtime: quoteStream.status(),
     memory: {
       used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + 'MB',
       total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + 'MB',
@@ -108,9 +138,31 @@ app.use((req, res) => {
       'GET /',
       'GET /health',
       'POST /api/chat/message',
+      'POST /api/chat/message/stream',
       'GET /api/chat/history/:userId',
+      'GET /api/chat/history/:userId/export',
+      'POST /api/chat/history/:userId/import',
+      'GET /api/chat/conversations/:userId',
+      'POST /api/chat/conversations',
+      'PUT /api/chat/conversations/:userId/:conversationId',
+      'DELETE /api/chat/conversations/:userId/:conversationId',
+      'GET /api/chat/market-summary',
       'GET /api/chat/market/:symbol',
-      'POST /api/chat/analyze'
+      'GET /api/chat/market/:symbol/history',
+      'GET /api/chat/compare',
+      'POST /api/chat/analyze',
+      'POST /api/chat/backtest',
+      'POST /api/chat/watchlist',
+      'GET /api/chat/watchlist/:userId',
+      'PUT /api/chat/watchlist/:userId/:symbol',
+      'DELETE /api/chat/watchlist/:userId/:symbol',
+      'GET /api/chat/alerts/:userId',
+      'GET /api/chat/portfolio/:userId',
+      'POST /api/chat/portfolio',
+      'POST /api/users',
+      'GET /api/users/:userId',
+      'PUT /api/users/:userId',
+      'DELETE /api/users/:userId'
     ]
   });
 });
@@ -128,25 +180,49 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-const server = app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', async () => {
+  const storage = (await historyReady).describe();
+  await marketService.ensureReady().catch(error => console.error('❌ Market data:', error.message));
+
   console.log('\n╔════════════════════════════════════════╗');
   console.log('║   🚀 Trading Chatbot Server Started   ║');
   console.log('╚════════════════════════════════════════╝\n');
   console.log(`📡 Port: ${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`💾 Storage Mode: In-Memory`);
+  console.log(`💾 Storage Mode: ${storage.backend}${storage.persistent ? ' (persistent)' : ' (in-memory)'}`);
+  const llm = aiService.describeLLM();
+  console.log(`🤖 LLM: ${llm.model ? `${llm.provider} (${llm.model})` : 'none (formatted responses)'}`);
   console.log(`🔗 Local: http://localhost:${PORT}`);
   console.log(`🔗 Network: http://192.168.1.x:${PORT} (check ipconfig)`);
   console.log(`💚 Health: http://localhost:${PORT}/health`);
   console.log(`📡 API Docs: http://localhost:${PORT}/`);
+
+  const auth = getAuthConfig();
+  if (auth.openMode) {
+    console.log('⚠️  Authentication is OFF (set JWT_SECRET and/or API_KEYS to enable it)');
+  } else if (!auth.configured) {
+    console.log('⚠️  No credentials configured: every authenticated request will be rejected (AUTH_DISABLED is ignored in production)');
+  } else {
+    console.log(`🔐 Auth: ${[auth.jwtSecret && 'JWT', auth.apiKeys.length > 0 && `${auth.apiKeys.length} API key(s)`].filter(Boolean).join(' + ')}`);
+  }
+
+  if (process.env.ALERT_ENGINE_ENABLED !== 'false') {
+    alertEngine.start();
+  }
   console.log(`\n⏰ Started at: ${new Date().toLocaleString()}`);
   console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 });
 
+// Real-time quotes, chat and alert notifications over Socket.IO
+const io = attachSocketServer(server, { cors: getCorsOptions() });
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('\n🔴 SIGTERM received. Shutting down gracefully...');
-  server.close(() => {
+  alertEngine.stop();
+  quoteStream.stop();
+  // Closing the socket server also closes the HTTP server
+  io.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
   });
@@ -154,7 +230,10 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('\n🔴 SIGINT received. Shutting down gracefully...');
-  server.close(() => {
+  alertEngine.stop();
+  quoteStream.stop();
+  // Closing the socket server also closes the HTTP server
+  io.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
   });
@@ -1,49 +1,137 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { initLLMProvider } = require('../providers/llm');
+const technicalAnalysisService = require('./technicalAnalysisService');
+const fundamentalAnalysisService = require('./fundamentalAnalysisService');
+const toolService = require('./toolService');
+
+// Response type reported to clients for each chat intent
+const MESSAGE_TYPES = {
+  quote: 'stock_quote',
+  compare: 'comparison',
+  analysis: 'analysis',
+  history: 'history',
+  backtest: 'backtest',
+  market_summary: 'market_data',
+  watchlist: 'watchlist',
+  portfolio: 'portfolio',
+  education: 'text',
+  small_talk: 'text',
+  general: 'text'
+};
+
+const GLOSSARY = [
+  {
+    term: 'P/E Ratio',
+    pattern: /\bp\/?e\b|price[\s-]to[\s-]earnings/,
+    text: 'The price-to-earnings ratio is the share price divided by earnings per share. A P/E of 20 means investors pay $20 for each $1 of annual profit. Higher values usually mean the market expects faster growth; compare it with peers in the same industry rather than across sectors.',
+    suggestions: ['Fundamental analysis of AAPL', 'Compare AAPL and MSFT']
+  },
+  {
+    term: 'RSI (Relative Strength Index)',
+    pattern: /\brsi\b|relative strength/,
+    text: 'RSI is a 0-100 momentum oscillator over (usually) 14 periods. Readings above 70 are considered overbought and below 30 oversold. It works best in ranging markets; in strong trends RSI can stay extreme for a long time.',
+    suggestions: ['Technical analysis of MSFT', 'Backtest RSI strategy on AAPL']
+  },
+  {
+    term: 'Moving Averages',
+    pattern: /moving average|\bsma\b|\bema\b|golden cross|death cross/,
+    text: 'A moving average smooths price by averaging the last N closes (SMA) or weighting recent closes more (EMA). A short average crossing above a long one (e.g. 50 over 200, the "golden cross") is read as bullish; crossing below ("death cross") as bearish.',
+    suggestions: ['Backtest 50/200 SMA crossover on SPY', 'Technical analysis of AAPL']
+  },
+  {
+    term: 'MACD',
+    pattern: /\bmacd\b/,
+    text: 'MACD is the 12-period EMA minus the 26-period EMA, with a 9-period EMA of that line as the signal. MACD crossing above its signal line is a bullish momentum signal; the histogram shows the gap between the two.',
+    suggestions: ['Technical analysis of NVDA']
+  },
+  {
+    term: 'Dividend Yield',
+    pattern: /dividend/,
+    text: 'Dividend yield is the annual dividend per share divided by the share price. A $2 dividend on a $50 stock is a 4% yield. Very high yields can signal a falling share price or an unsustainable payout.',
+    suggestions: ['Compare KO and PEP', 'Fundamental analysis of JNJ']
+  },
+  {
+    term: 'Market Capitalization',
+    pattern: /market cap/,
+    text: 'Market cap is the share price times shares outstanding: the market value of the whole company. Large caps are typically above $10B, mid caps $2-10B and small caps below $2B.',
+    suggestions: ['Market summary', 'Show AAPL price']
+  },
+  {
+    term: 'ETFs',
+    pattern: /\betfs?\b|index fund/,
+    text: 'An exchange-traded fund holds a basket of assets and trades like a single stock. Index ETFs such as SPY track a benchmark at low cost and give instant diversification.',
+    suggestions: ['Show SPY price', 'Sector performance']
+  }
+];
+
+// Intents whose answers can need more than the handler fetched (longer history,
+// fundamentals), so tools are offered even for symbols that are already grounded
+const ANALYSIS_INTENTS = ['analysis', 'history', 'compare', 'backtest', 'general'];
+
+// What each tool adds, for the note that tells the model which tools it has
+const TOOL_TOPICS = {
+  getStockData: 'quotes for other symbols',
+  getDetailedStockData: 'fundamentals and technical indicators',
+  getHistoricalData: 'price history over other periods',
+  compareStocks: 'comparisons',
+  getWatchlist: "the user's watchlist",
+  getPortfolio: "the user's portfolio"
+};
+
+// General questions that are about market data (and so may need tools)
+const MARKET_DATA_PATTERN = /\b(stocks?|shares?|equit(y|ies)|prices?|quotes?|markets?|index|indices|etfs?|sectors?|earnings|dividends?|yields?|tickers?|rall(y|ied|ies)|sell-?offs?|crypto|bitcoin|nasdaq|dow|s&p|portfolio|watchlist|holdings?)\b/i;
 
 class AIService {
   constructor() {
-    if (process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== '') {
-      try {
-        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        
-        // Use the correct, stable Gemini model
-        this.model = this.genAI.getGenerativeModel({ 
-          model: 'gemini-2.0-flash', // CORRECTED: Use stable model instead of experimental
-          generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 2048,
-          }
-        });
-        
-        console.log('✅ Gemini AI initialized successfully with gemini-1.5-flash');
-        this.isGeminiActive = true;
-      } catch (error) {
-        console.error('❌ Gemini initialization failed:', error.message);
-        console.log('⚠️  Falling back to formatted responses');
-        this.model = null;
-        this.isGeminiActive = false;
-      }
-    } else {
-      console.log('⚠️  No GEMINI_API_KEY found - using formatted responses');
-      this.model = null;
-      this.isGeminiActive = false;
+    // null when no provider is configured: every answer is then formatted from data
+    this.llm = initLLMProvider();
+  }
+
+  // Swaps the language model at runtime (tests inject a scripted provider); null disables it
+  setLLMProvider(provider) {
+    this.llm = provider || null;
+  }
+
+  // Which provider and model answer, for health checks and response metadata
+  describeLLM() {
+    return this.llm ? this.llm.describe() : { provider: 'none', model: null };
+  }
+
+  // One prompt to the configured model; throws on failure or an empty reply
+  async complete(prompt, options = {}) {
+    const text = await this.llm.generate(prompt, options);
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      throw new Error(`Invalid or empty response from ${this.llm.name}`);
     }
+    return text;
   }
 
   async generateResponse(message, context) {
     try {
+      // The analysis handler already ran its own model prompt
+      if (context.analysis) {
+        return this.generateAnalysisResponse(context);
+      }
+
+      // Asking which ticker was meant never needs the model
+      if (context.clarification) {
+        return this.generateClarificationResponse(context);
+      }
+
+      // Changes asked for in words are confirmed by sending the matching command
+      if (context.proposedCommand) {
+        return this.generateProposedCommandResponse(context);
+      }
+
       // Always try to format with real data first if available
-      if (context.marketContext && context.marketContext.relevantData && context.marketContext.relevantData.length > 0) {
-        // If we have real market data, use Gemini to enhance the response
-        if (this.isGeminiActive && this.model) {
+      if (this.hasGroundingData(context) || this.isConversational(context)) {
+        // If we have real market data, use the model to enhance the response
+        if (this.llm && !context.skipLLM) {
           try {
-            const geminiResponse = await this.generateGeminiResponse(message, context);
-            console.log('✅ Gemini response generated successfully');
-            return geminiResponse;
+            const llmResponse = await this.generateLLMResponse(message, context);
+            console.log(`✅ ${this.llm.name} response generated successfully`);
+            return llmResponse;
           } catch (error) {
-            console.error('Gemini API Error:', error.message);
+            console.error(`${this.llm.name} API Error:`, error.message);
             
             // Handle rate limits gracefully
             if (error.message.includes('429') || error.message.includes('quota')) {
@@ -57,7 +145,7 @@ class AIService {
           }
         }
         
-        // No Gemini, but we have data - format it nicely
+        // No model, but we have data - format it nicely
         return this.generateFormattedResponse(message, context);
       }
       
@@ -70,51 +158,286 @@ class AIService {
     }
   }
 
-  async generateGeminiResponse(message, context) {
-    try {
+  // Streaming variant of generateResponse: calls onChunk(text) as text becomes
+  // available and resolves with the same final shape. Fallback responses are
+  // streamed too, so callers only need one code path.
+  async streamResponse(message, context, onChunk) {
+    const canStream = !context.analysis && !context.clarification && !context.proposedCommand && (this.hasGroundingData(context) || this.isConversational(context));
+
+    if (canStream && this.llm) {
+      const { name, model } = this.llm;
       const prompt = this.buildEnhancedPrompt(message, context);
-      
-      const result = await this.model.generateContent(prompt);
-      const response = result.response;
-      
-      let text = '';
+      const tools = this.getTools(message, context);
+      let toolRun = null;
+      let streamedText = '';
       try {
-        text = response.text();
-      } catch (textError) {
-        console.warn('Error extracting text, trying alternative method:', textError.message);
-        
-        if (response.candidates && response.candidates.length > 0) {
-          const candidate = response.candidates[0];
-          if (candidate.content && candidate.content.parts && candidate.content.parts.length > 0) {
-            text = candidate.content.parts[0].text || '';
+        // Tool rounds run first without streaming; the answer is its own streamed turn
+        if (tools.length > 0) {
+          try {
+            toolRun = await this.runToolLoop(prompt, tools, { message, userId: context.userId, maxTokens: toolService.config.roundMaxTokens });
+          } catch (error) {
+            console.error(`${name} tool loop error:`, error.message);
           }
         }
-        
-        if (!text) {
-          throw new Error('Unable to extract text from Gemini response');
+
+        const pieces = toolRun && toolRun.calls.length > 0
+          ? this.llm.streamChat(toolRun.turns, { purpose: 'chat', message, tools, toolChoice: 'none' })
+          : this.llm.stream(prompt, { purpose: 'chat', message });
+        for await (const text of pieces) {
+          streamedText += text;
+          onChunk(text);
+        }
+
+        if (streamedText.trim().length === 0) {
+          throw new Error(`Invalid or empty response from ${name}`);
+        }
+
+        const suggestions = this.extractSuggestionsFromText(streamedText);
+        console.log(`✅ ${name} streamed response generated successfully`);
+
+        return {
+          text: streamedText,
+          type: this.determineMessageType(message, context),
+          suggestions: suggestions.length > 0 ? suggestions : this.getContextualSuggestions(message, context),
+          marketData: context.marketContext || null,
+          source: name,
+          model,
+          tools: this.describeToolRun(toolRun)
+        };
+
+      } catch (error) {
+        console.error(`${name} stream error:`, error.message);
+
+        // Text already sent can't be taken back; finish with what we have
+        if (streamedText.trim().length > 0) {
+          return {
+            text: streamedText,
+            type: this.determineMessageType(message, context),
+            suggestions: this.getContextualSuggestions(message, context),
+            marketData: context.marketContext || null,
+            source: name,
+            model,
+            tools: this.describeToolRun(toolRun),
+            truncated: true
+          };
         }
       }
+    }
+
+    const fallback = await this.generateResponse(message, { ...context, skipLLM: true });
+    this.chunkText(fallback.text).forEach(piece => onChunk(piece));
+    return fallback;
+  }
 
-      if (!text || typeof text !== 'string' || text.trim().length === 0) {
-        throw new Error('Invalid or empty response from Gemini');
+  // Live data fetched for this message by an intent handler
+  hasGroundingData(context) {
+    const hasMarketData = context.marketContext && context.marketContext.relevantData && context.marketContext.relevantData.length > 0;
+    return !!(hasMarketData || context.backtest || context.comparison || context.marketOverview ||
+      context.priceHistory || context.watchlist || context.portfolio);
+  }
+
+  // Intents answered without market data
+  isConversational(context) {
+    return !!context.intent && ['education', 'small_talk', 'general'].includes(context.intent.intent);
+  }
+
+  // Splits text into small word-aligned pieces for streaming a finished response
+  chunkText(text, size = 40) {
+    const pieces = [];
+    let current = '';
+
+    (text || '').split(/(\s+)/).forEach(part => {
+      if (current.length + part.length > size && current.length > 0) {
+        pieces.push(current);
+        current = '';
       }
+      current += part;
+    });
 
-      const suggestions = this.extractSuggestionsFromText(text);
+    if (current.length > 0) pieces.push(current);
+    return pieces;
+  }
 
-      return {
-        text: text,
-        type: this.determineMessageType(message),
-        suggestions: suggestions.length > 0 ? suggestions : this.getContextualSuggestions(message, context),
-        marketData: context.marketContext || null,
-        source: 'gemini'
-      };
-      
+  async generateLLMResponse(message, context) {
+    const { name, model } = this.llm;
+    const prompt = this.buildEnhancedPrompt(message, context);
+    const tools = this.getTools(message, context);
+
+    const { text, toolRun } = await this.answerWithTools(prompt, tools, { purpose: 'chat', message, userId: context.userId });
+    const suggestions = this.extractSuggestionsFromText(text);
+
+    return {
+      text: text,
+      type: this.determineMessageType(message, context),
+      suggestions: suggestions.length > 0 ? suggestions : this.getContextualSuggestions(message, context),
+      marketData: context.marketContext || null,
+      source: name,
+      model,
+      tools: this.describeToolRun(toolRun)
+    };
+  }
+
+  // One non-streamed answer to prompt, letting the model call tools first when
+  // any are offered. Falls back to the prompt alone when the loop fails (e.g. a
+  // local model without tool support) or ends without text. Returns { text, toolRun }.
+  async answerWithTools(prompt, tools, { purpose, message, userId }) {
+    let text;
+    let toolRun = null;
+    if (tools.length > 0) {
+      try {
+        toolRun = await this.runToolLoop(prompt, tools, { purpose, message, userId });
+        if (toolRun.answered) {
+          text = toolRun.text;
+        } else if (toolRun.calls.length > 0) {
+          // Stopped by a limit: answer from the tool results gathered so far
+          text = (await this.llm.chat(toolRun.turns, { purpose, message, tools, toolChoice: 'none' })).text;
+        }
+      } catch (error) {
+        console.error(`${this.llm.name} tool loop error:`, error.message);
+      }
+    }
+    if (!text || text.trim().length === 0) {
+      text = await this.complete(prompt, { purpose, message });
+    }
+    return { text, toolRun };
+  }
+
+  // Tools the model may call for this message: none when the provider can't
+  // call them or the message needs no data beyond what the intent handler fetched
+  getTools(message, context) {
+    if (!this.llm || typeof this.llm.chat !== 'function' || !this.needsMarketData(message, context)) return [];
+    return toolService.getDeclarations({ userId: context.userId });
+  }
+
+  // A tool round delays the answer, so it is only worth it for analysis-style
+  // questions about symbols, messages naming symbols the intent handler didn't
+  // fetch, and general market questions no handler fetched anything for. A plain
+  // quote of grounded symbols needs nothing more. maxCalls and maxLatencyMs bound the rest.
+  needsMarketData(message, context) {
+    const intent = context.intent ? context.intent.intent : 'general';
+    if (intent === 'education' || intent === 'small_talk') return false;
+
+    const symbols = context.intent && context.intent.entities ? context.intent.entities.symbols || [] : [];
+    if (symbols.length > 0 && ANALYSIS_INTENTS.includes(intent)) return true;
+
+    const fetched = this.getGroundedSymbols(context);
+    if (symbols.some(symbol => !fetched.has(symbol))) return true;
+
+    return intent === 'general' && !this.hasGroundingData(context) && MARKET_DATA_PATTERN.test(message || '');
+  }
+
+  // Symbols the intent handler already fetched data for
+  getGroundedSymbols(context) {
+    const symbols = [];
+    if (context.marketContext && context.marketContext.relevantData) {
+      symbols.push(...context.marketContext.relevantData.map(quote => quote && quote.symbol));
+    }
+    if (context.comparison) symbols.push(...(context.comparison.symbols || []));
+    if (context.priceHistory) symbols.push(context.priceHistory.symbol);
+    if (context.backtest) symbols.push(context.backtest.symbol);
+    if (Array.isArray(context.watchlist)) symbols.push(...context.watchlist.map(item => item.symbol));
+    if (context.portfolio && context.portfolio.holdings) symbols.push(...context.portfolio.holdings.map(holding => holding.symbol));
+    return new Set(symbols.filter(Boolean).map(symbol => String(symbol).toUpperCase()));
+  }
+
+  // Lets the model fetch data it decides it needs before answering. Each round
+  // is one chat call that may ask for tools; their results go back to the model
+  // in the next round. Rounds and tools share the maxLatencyMs budget: each
+  // model call gets the time that is left and a tool still running at the
+  // deadline is aborted. The loop stops once the model replies without tool
+  // calls (answered, with that reply as text), or when maxCalls calls ran or the
+  // time is up (limit). Returns { turns, text, answered, calls, limit, latencyMs },
+  // where calls lists every requested call with its arguments and outcome; without
+  // an answer, callers ask for one as its own turn over turns, tools withdrawn.
+  async runToolLoop(prompt, tools, { purpose = 'chat', message, userId, maxTokens }) {
+    const { maxCalls, maxLatencyMs } = toolService.config;
+    const startedAt = Date.now();
+    const deadline = startedAt + maxLatencyMs;
+    const offered = new Set(tools.map(tool => tool.name));
+    const topics = tools.map(tool => TOOL_TOPICS[tool.name]).filter(Boolean);
+    const turns = [{
+      role: 'user',
+      content: `${prompt}\n\nYou can call the provided tools for data that is not above${topics.length > 0 ? ` (${topics.join(', ')})` : ''}. Only call a tool when the answer needs it.`
+    }];
+    const calls = [];
+    const result = fields => ({ turns, text: '', answered: false, calls, limit: null, latencyMs: Date.now() - startedAt, ...fields });
+    const stop = limit => {
+      console.log(`⏱️ Tool loop stopped (${limit}) after ${calls.length} call(s)`);
+      turns.push({ role: 'user', content: 'No more tool calls are available. Answer now with the data you have.' });
+      return result({ limit });
+    };
+
+    for (;;) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) return stop('maxLatency');
+
+      let reply;
+      try {
+        reply = await this.llm.chat(turns, { purpose, message, tools, maxTokens, timeoutMs: remaining });
+      } catch (error) {
+        // A round cut off by the deadline ends the loop; earlier failures are the caller's
+        if (Date.now() < deadline) throw error;
+        return stop('maxLatency');
+      }
+      if (reply.toolCalls.length === 0) {
+        return result({ text: reply.text, answered: true });
+      }
+
+      turns.push({ role: 'assistant', content: reply.text, toolCalls: reply.toolCalls });
+      let limit = null;
+      for (const call of reply.toolCalls) {
+        let output;
+        if (calls.length >= maxCalls || Date.now() >= deadline) {
+          limit = limit || (calls.length >= maxCalls ? 'maxCalls' : 'maxLatency');
+          calls.push({ name: call.name, args: call.args, skipped: true });
+          output = { error: 'Tool limit reached for this message' };
+        } else if (!offered.has(call.name)) {
+          calls.push({ name: call.name, args: call.args, ok: false, error: 'Unknown tool', durationMs: 0 });
+          output = { error: `Unknown tool: ${call.name}` };
+        } else {
+          output = await this.runToolCall(call, { userId, calls, deadline });
+        }
+        turns.push({ role: 'tool', id: call.id, name: call.name, result: output });
+      }
+
+      if (!limit && calls.length >= maxCalls) limit = 'maxCalls';
+      if (!limit && Date.now() >= deadline) limit = 'maxLatency';
+      if (limit) return stop(limit);
+    }
+  }
+
+  // Runs one tool within the loop's remaining time and records it in calls. At
+  // the deadline the tool is aborted, so it makes no further market requests.
+  async runToolCall(call, { userId, calls, deadline }) {
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    let timer;
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          const error = new Error('Tool call timed out');
+          controller.abort(error);
+          reject(error);
+        }, Math.max(deadline - startedAt, 0));
+      });
+      const result = await Promise.race([toolService.execute(call.name, call.args, { userId, signal: controller.signal }), timeout]);
+      calls.push({ name: call.name, args: call.args, ok: true, durationMs: Date.now() - startedAt });
+      console.log(`🛠️ Tool ${call.name}(${JSON.stringify(call.args)}) ran in ${Date.now() - startedAt}ms`);
+      return result;
     } catch (error) {
-      console.error('Gemini response generation error:', error.message);
-      throw error;
+      calls.push({ name: call.name, args: call.args, ok: false, error: error.message, durationMs: Date.now() - startedAt });
+      console.warn(`⚠️ Tool ${call.name} failed:`, error.message);
+      return { error: error.message };
+    } finally {
+      clearTimeout(timer);
     }
   }
 
+  // Tool use reported with a response
+  describeToolRun(toolRun) {
+    return toolRun ? { calls: toolRun.calls, limit: toolRun.limit, latencyMs: toolRun.latencyMs } : undefined;
+  }
+
   buildEnhancedPrompt(message, context) {
     let prompt = `You are Sentivest AI, an expert financial advisor and trading assistant specializing in stock market analysis.\n\n`;
     
@@ -156,13 +479,45 @@ class AIService {
       prompt += `**⚠️ CRITICAL: You HAVE live real-time data above. Use these exact numbers in your response. Do NOT claim you lack real-time data.**\n\n`;
     }
 
-    // Add conversation history for context
+    if (context.backtest) {
+      prompt += this.buildBacktestSection(context.backtest);
+    }
+
+    if (context.comparison) {
+      prompt += this.buildComparisonSection(context.comparison);
+    }
+
+    if (context.marketOverview) {
+      prompt += this.buildMarketOverviewSection(context.marketOverview);
+    }
+
+    if (context.priceHistory) {
+      prompt += this.buildPriceHistorySection(context.priceHistory);
+    }
+
+    if (context.watchlist) {
+      prompt += this.buildWatchlistSection(context.watchlist);
+    }
+
+    if (context.portfolio) {
+      prompt += this.buildPortfolioSection(context.portfolio);
+    }
+
+    // Tailor the answer to the user's stored profile
+    if (context.userProfile) {
+      prompt += this.buildProfileSection(context.userProfile);
+    }
+
+    // Conversation memory: pinned facts, the rolling summary and recent turns
+    if (context.memory) {
+      prompt += this.buildMemorySection(context.memory);
+    }
+
     if (context.chatHistory && Array.isArray(context.chatHistory) && context.chatHistory.length > 0) {
-      prompt += `**Conversation History:**\n`;
-      context.chatHistory.slice(-2).forEach((msg) => {
+      prompt += `**Recent Conversation:**\n`;
+      context.chatHistory.forEach((msg) => {
         if (msg && msg.content && typeof msg.content === 'string') {
-          const content = msg.content.substring(0, 100);
-          prompt += `${msg.role === 'user' ? '👤 User' : '🤖 Assistant'}: ${content}${msg.content.length > 100 ? '...' : ''}\n`;
+          prompt += `${msg.role === 'user' ? '👤 User' : '🤖 Assistant'}: ${msg.content}\n`;
         }
       });
       prompt += `\n`;
@@ -170,7 +525,16 @@ class AIService {
 
     // Add the current user question
     prompt += `**👤 Current Question:** ${message}\n\n`;
+
+    if (context.intent && context.intent.context && context.intent.context.inherited.length > 0) {
+      prompt += `**🔗 Follow-up:** the question does not name ${context.intent.context.inherited.join(', ')}; it refers to ${context.intent.context.inherited.length > 1 ? 'them' : 'it'} from earlier in the conversation.\n\n`;
+    }
     
+    if (this.isConversational(context)) {
+      prompt += this.buildConversationalInstructions(context.intent.intent, !!context.userProfile);
+      return prompt;
+    }
+
     // Provide response guidelines
     prompt += `**📝 Response Instructions:**\n`;
     prompt += `1. Answer directly using the LIVE DATA provided above\n`;
@@ -179,7 +543,7 @@ class AIService {
     prompt += `4. Format with clear bullet points\n`;
     prompt += `5. Keep response 200-300 words\n`;
     prompt += `6. End with 2-3 actionable next steps\n`;
-    prompt += `7. Be conversational yet professional\n`;
+    prompt += `7. Be conversational yet professional${context.userProfile ? ' and fit the advice to the investor profile above' : ''}\n`;
     prompt += `8. NEVER say you lack real-time data - you have it above!\n\n`;
 
     prompt += `Generate your expert response now:`;
@@ -187,7 +551,498 @@ class AIService {
     return prompt;
   }
 
+  describeStrategy(strategy) {
+    let description = strategy.type === 'crossover'
+      ? `${strategy.fast}/${strategy.slow} ${strategy.indicator.toUpperCase()} crossover`
+      : strategy.type === 'rsi'
+        ? `RSI(${strategy.period}) buy below ${strategy.oversold}, sell above ${strategy.overbought}`
+        : 'Buy and hold';
+    if (strategy.stopLossPercent) description += `, ${strategy.stopLossPercent}% stop-loss`;
+    if (strategy.takeProfitPercent) description += `, ${strategy.takeProfitPercent}% take-profit`;
+    return description;
+  }
+
+  formatBacktestMetrics(metrics) {
+    const value = (number, suffix = '') => (number === null || number === undefined ? 'N/A' : `${number}${suffix}`);
+    return [
+      `Total return ${value(metrics.totalReturnPercent, '%')}`,
+      `CAGR ${value(metrics.cagrPercent, '%')}`,
+      `Max drawdown ${value(metrics.maxDrawdownPercent, '%')}`,
+      `Sharpe ${value(metrics.sharpeRatio)}`,
+      `Win rate ${value(metrics.winRatePercent, '%')} over ${metrics.trades} trade${metrics.trades === 1 ? '' : 's'}`
+    ];
+  }
+
+  buildBacktestSection(backtest) {
+    let section = `**🧪 BACKTEST RESULTS (simulated on ${backtest.symbol} daily prices, ${backtest.start.slice(0, 10)} to ${backtest.end.slice(0, 10)}):**\n`;
+    section += `• Rules: ${this.describeStrategy(backtest.strategy)}\n`;
+    section += `• Costs: ${backtest.costs.commissionPercent}% commission + $${backtest.costs.commissionPerTrade}/trade, ${backtest.costs.slippagePercent}% slippage\n`;
+    section += `• Result: ${this.formatBacktestMetrics(backtest.metrics).join(', ')}\n`;
+    if (backtest.benchmark) {
+      section += `• Buy and hold: ${this.formatBacktestMetrics(backtest.benchmark.metrics).join(', ')}\n`;
+    }
+    backtest.trades.slice(-3).forEach(trade => {
+      section += `• Trade ${trade.entryDate.slice(0, 10)} → ${trade.exitDate.slice(0, 10)}: ${trade.returnPercent}% (${trade.exitReason})\n`;
+    });
+    section += `\n**Use these exact backtest figures, compare against buy and hold, and note that past performance does not guarantee future results.**\n\n`;
+    return section;
+  }
+
+  generateBacktestResponse(context) {
+    const { backtest } = context;
+    const metrics = backtest.metrics;
+
+    let text = `🧪 **Backtest: ${this.describeStrategy(backtest.strategy)} on ${backtest.symbol}**\n`;
+    text += `${backtest.start.slice(0, 10)} to ${backtest.end.slice(0, 10)} • $${metrics.initialCapital.toLocaleString()} starting capital\n\n`;
+    text += `**📊 Strategy:**\n${this.formatBacktestMetrics(metrics).map(line => `• ${line}`).join('\n')}\n`;
+    text += `• Final equity: $${metrics.finalEquity.toLocaleString()}\n\n`;
+
+    if (backtest.benchmark) {
+      const benchmark = backtest.benchmark.metrics;
+      const edge = metrics.totalReturnPercent - benchmark.totalReturnPercent;
+      text += `**📈 Buy and hold:**\n${this.formatBacktestMetrics(benchmark).map(line => `• ${line}`).join('\n')}\n\n`;
+      text += `💡 The strategy ${edge >= 0 ? 'beat' : 'trailed'} buy and hold by ${Math.abs(edge).toFixed(2)} percentage points`;
+      text += metrics.maxDrawdownPercent < benchmark.maxDrawdownPercent ? ' with a smaller drawdown.\n' : '.\n';
+    }
+
+    text += `\n⚠️ *Simulated with ${backtest.costs.commissionPercent}% commission and ${backtest.costs.slippagePercent}% slippage. Past performance does not guarantee future results.*`;
+
+    return {
+      text,
+      type: 'backtest',
+      suggestions: [
+        `Analyze ${backtest.symbol}`,
+        `Backtest buy and hold on ${backtest.symbol}`,
+        `Set price alert for ${backtest.symbol}`
+      ],
+      marketData: context.marketContext || null,
+      source: 'formatted'
+    };
+  }
+
+  formatComparisonRow(row, comparison) {
+    const value = (number, prefix = '', suffix = '') => (number === null || number === undefined ? 'N/A' : `${prefix}${number}${suffix}`);
+    const performance = comparison.performance && comparison.performance.totalReturnPercent[row.symbol];
+    let line = `**${row.symbol}** ${value(row.price !== null ? row.price.toFixed(2) : null, '$')} (${row.changePercent >= 0 ? '+' : ''}${value(row.changePercent, '', '%')})`;
+    line += ` • P/E ${value(row.trailingPE)} • 52w position ${value(row.fiftyTwoWeekPosition, '', '%')}`;
+    if (row.marketCap) line += ` • Cap ${this.formatMarketCap(row.marketCap)}`;
+    if (performance !== undefined && performance !== null) line += ` • ${comparison.period} ${performance >= 0 ? '+' : ''}${performance}%`;
+    return line;
+  }
+
+  formatCorrelationPairs(correlation) {
+    const pairs = [];
+    correlation.symbols.forEach((a, i) => {
+      correlation.symbols.slice(i + 1).forEach((b, offset) => {
+        const coefficient = correlation.matrix[i][i + 1 + offset];
+        if (coefficient !== null) pairs.push({ pair: `${a}/${b}`, coefficient });
+      });
+    });
+    return pairs.sort((x, y) => y.coefficient - x.coefficient);
+  }
+
+  buildComparisonSection(comparison) {
+    let section = `**⚖️ COMPARISON (${comparison.symbols.join(' vs ')}, ${comparison.period} performance):**\n`;
+    comparison.table.forEach(row => {
+      section += `• ${this.formatComparisonRow(row, comparison)}\n`;
+    });
+    if (comparison.performance) {
+      section += `• Best performer: ${comparison.performance.best}, worst: ${comparison.performance.worst}\n`;
+    }
+    if (comparison.correlation) {
+      section += `• Daily return correlations: ${this.formatCorrelationPairs(comparison.correlation).map(entry => `${entry.pair} ${entry.coefficient}`).join(', ')}\n`;
+    }
+    section += `\n**Compare the symbols side by side using these figures rather than describing only one of them.**\n\n`;
+    return section;
+  }
+
+  generateComparisonResponse(context) {
+    const { comparison } = context;
+
+    let text = `⚖️ **${comparison.symbols.join(' vs ')}**\n\n`;
+    comparison.table.forEach(row => {
+      text += `• ${this.formatComparisonRow(row, comparison)}\n`;
+    });
+
+    if (comparison.performance) {
+      const { performance } = comparison;
+      text += `\n**📈 ${comparison.period} performance (${performance.start} to ${performance.end}):**\n`;
+      text += `🏆 ${performance.best} led with ${performance.totalReturnPercent[performance.best]}%, `;
+      text += `${performance.worst} trailed with ${performance.totalReturnPercent[performance.worst]}%\n`;
+    }
+
+    if (comparison.correlation) {
+      const pairs = this.formatCorrelationPairs(comparison.correlation);
+      if (pairs.length > 0) {
+        text += `\n**🔗 Correlation of daily returns:**\n`;
+        text += `• Most correlated: ${pairs[0].pair} (${pairs[0].coefficient})\n`;
+        if (pairs.length > 1) {
+          text += `• Least correlated: ${pairs[pairs.length - 1].pair} (${pairs[pairs.length - 1].coefficient})\n`;
+        }
+      }
+    }
+
+    if (comparison.unavailable.length > 0) {
+      text += `\n⚠️ No data for: ${comparison.unavailable.join(', ')}`;
+    }
+
+    text = `${text.trimEnd()}\n\n💡 *Real-time data powered by Yahoo Finance*`;
+
+    return {
+      text,
+      type: 'comparison',
+      suggestions: [
+        ...comparison.symbols.slice(0, 2).map(symbol => `Detailed analysis of ${symbol}`),
+        `Set price alert for ${comparison.symbols[0]}`
+      ],
+      marketData: context.marketContext || null,
+      source: 'formatted'
+    };
+  }
+
+  formatChange(changePercent) {
+    if (changePercent === null || changePercent === undefined) return 'N/A';
+    return `${changePercent >= 0 ? '+' : ''}${changePercent}%`;
+  }
+
+  buildMarketOverviewSection(overview) {
+    let section = `**🌎 MARKET OVERVIEW (live):**\n`;
+    if (overview.indices.length > 0) {
+      section += `• Indices: ${overview.indices.map(index => `${index.name} ${this.formatChange(index.changePercent)} at ${index.price}`).join(', ')}\n`;
+    }
+    if (overview.volatility) {
+      section += `• VIX: ${overview.volatility.level} (${overview.volatility.regime})\n`;
+    }
+    if (overview.sectors.length > 0) {
+      section += `• Sectors (best to worst): ${overview.sectors.map(sector => `${sector.sector} ${this.formatChange(sector.changePercent)}`).join(', ')}\n`;
+    }
+    if (overview.movers.gainers.length > 0) {
+      section += `• Top gainers: ${overview.movers.gainers.map(entry => `${entry.symbol} ${this.formatChange(entry.changePercent)}`).join(', ')}\n`;
+    }
+    if (overview.movers.losers.length > 0) {
+      section += `• Top losers: ${overview.movers.losers.map(entry => `${entry.symbol} ${this.formatChange(entry.changePercent)}`).join(', ')}\n`;
+    }
+    section += `• Breadth: ${overview.breadth.advancers} advancing, ${overview.breadth.decliners} declining (of ${overview.movers.universeSize} large caps)\n`;
+    section += `• Computed sentiment: ${overview.sentiment}\n\n`;
+    return section;
+  }
+
+  // Short narrative for the market-summary endpoint: { text, source, model }, or null without a model
+  async generateMarketNarrative(overview) {
+    if (!this.llm) return null;
+
+    try {
+      let prompt = `You are Sentivest AI, a financial markets assistant.\n\n`;
+      prompt += this.buildMarketOverviewSection(overview);
+      prompt += `Write a 120-180 word market summary from the data above: the overall tone, what drove it (sectors and notable movers), and what the VIX level implies. Use only these figures. End with one sentence on what to watch next.`;
+
+      const text = await this.complete(prompt, { purpose: 'narrative' });
+      return { text, source: this.llm.name, model: this.llm.model };
+    } catch (error) {
+      console.error(`${this.llm.name} market narrative error:`, error.message);
+      return null;
+    }
+  }
+
+  generateMarketOverviewResponse(context) {
+    const overview = context.marketOverview;
+    const sentimentEmoji = overview.sentiment.includes('bullish') ? '🟢' : overview.sentiment.includes('bearish') ? '🔴' : '⚪';
+
+    let text = `🌎 **Market Summary** ${sentimentEmoji} ${overview.sentiment}\n\n`;
+
+    if (overview.indices.length > 0) {
+      text += `**📊 Indices:**\n`;
+      text += overview.indices.map(index => `• ${index.name}: ${index.price !== null ? index.price.toLocaleString() : 'N/A'} (${this.formatChange(index.changePercent)})`).join('\n');
+      text += `\n`;
+    }
+    if (overview.volatility) {
+      text += `• VIX: ${overview.volatility.level} (${overview.volatility.regime} volatility)\n`;
+    }
+
+    if (overview.sectors.length > 0) {
+      const best = overview.sectors[0];
+      const worst = overview.sectors[overview.sectors.length - 1];
+      text += `\n**🏭 Sectors:** ${best.sector} led (${this.formatChange(best.changePercent)}), ${worst.sector} lagged (${this.formatChange(worst.changePercent)})\n`;
+    }
+
+    if (overview.movers.gainers.length > 0) {
+      text += `\n**🚀 Top gainers:** ${overview.movers.gainers.map(entry => `${entry.symbol} ${this.formatChange(entry.changePercent)}`).join(', ')}\n`;
+    }
+    if (overview.movers.losers.length > 0) {
+      text += `**📉 Top losers:** ${overview.movers.losers.map(entry => `${entry.symbol} ${this.formatChange(entry.changePercent)}`).join(', ')}\n`;
+    }
+
+    text += `\n**📏 Breadth:** ${overview.breadth.advancers} up / ${overview.breadth.decliners} down across ${overview.movers.universeSize} large caps`;
+    text += `\n\n💡 *Real-time data powered by Yahoo Finance*`;
+
+    return {
+      text,
+      type: 'market_data',
+      suggestions: ['Top gainers today', 'Sector performance', ...overview.movers.gainers.slice(0, 1).map(entry => `Analyze ${entry.symbol}`)],
+      marketData: context.marketContext || null,
+      source: 'formatted'
+    };
+  }
+
+  buildPriceHistorySection(history) {
+    if (!history.bars) {
+      return `**📜 PRICE HISTORY:** no ${history.period} data returned for ${history.symbol}\n\n`;
+    }
+    let section = `**📜 PRICE HISTORY (${history.symbol}, ${history.period}, adjusted daily closes):**\n`;
+    section += `• ${history.start} → ${history.end}: $${history.firstClose} → $${history.lastClose} (${this.formatChange(history.changePercent)})\n`;
+    section += `• High: $${history.high.price} on ${history.high.date}; Low: $${history.low.price} on ${history.low.date}\n`;
+    section += `• Recent closes: ${history.recentCloses.map(bar => `${bar.date} $${bar.close}`).join(', ')}\n\n`;
+    return section;
+  }
+
+  generatePriceHistoryResponse(context) {
+    const history = context.priceHistory;
+    if (!history.bars) {
+      return {
+        text: `📜 No ${history.period} price history is available for **${history.symbol}** right now.`,
+        type: 'history',
+        suggestions: [`${history.symbol} price`],
+        source: 'formatted'
+      };
+    }
+
+    const emoji = history.changePercent >= 0 ? '📈 🟢' : '📉 🔴';
+    let text = `${emoji} **${history.symbol} - ${history.period} Price History**\n\n`;
+    text += `**📊 Performance:** ${this.formatChange(history.changePercent)} ($${history.firstClose} → $${history.lastClose})\n`;
+    text += `**🗓️ Range:** ${history.start} to ${history.end} (${history.bars} trading days)\n`;
+    text += `**📈 High:** $${history.high.price} on ${history.high.date}\n`;
+    text += `**📉 Low:** $${history.low.price} on ${history.low.date}\n\n`;
+    text += `**🕐 Recent Closes:**\n${history.recentCloses.map(bar => `• ${bar.date}: $${bar.close}`).join('\n')}`;
+    text += `\n\n💡 *Split- and dividend-adjusted data from Yahoo Finance*`;
+
+    return {
+      text,
+      type: 'history',
+      suggestions: [`Detailed analysis of ${history.symbol}`, `Backtest buy and hold on ${history.symbol}`, `${history.symbol} price`],
+      source: 'formatted'
+    };
+  }
+
+  buildWatchlistSection(watchlist) {
+    if (watchlist.length === 0) {
+      return `**👀 USER WATCHLIST:** empty\n\n`;
+    }
+    let section = `**👀 USER WATCHLIST (live):**\n`;
+    watchlist.forEach(item => {
+      section += `• ${item.symbol}: ${item.quote ? `$${item.quote.price} (${this.formatChange(item.quote.changePercent === null ? null : Number(item.quote.changePercent.toFixed(2)))})` : 'quote unavailable'}`;
+      if (item.alertType !== 'none') section += `, alert ${item.alertType} $${item.alertPrice}`;
+      section += `\n`;
+    });
+    return `${section}\n`;
+  }
+
+  generateWatchlistResponse(context) {
+    const { watchlist } = context;
+    if (watchlist.length === 0) {
+      return {
+        text: `👀 **Your watchlist is empty.**\n\nAdd symbols through the watchlist API or the app to track prices and alerts here.`,
+        type: 'watchlist',
+        suggestions: ['Show AAPL price', 'Market summary'],
+        source: 'formatted'
+      };
+    }
+
+    let text = `👀 **Your Watchlist** (${watchlist.length} symbol${watchlist.length === 1 ? '' : 's'})\n\n`;
+    text += watchlist.map(item => {
+      const quote = item.quote;
+      let line = `• **${item.symbol}**: ${quote && quote.price !== null ? `$${quote.price.toFixed(2)} (${this.formatChange(quote.changePercent === null ? null : Number(quote.changePercent.toFixed(2)))})` : 'quote unavailable'}`;
+      if (item.alertType !== 'none') {
+        line += ` • alert ${item.alertType} $${item.alertPrice}${item.alert ? ` (${item.alert.conditionMet ? 'condition met' : `${this.formatChange(item.alert.distancePercent)} away`})` : ''}`;
+      }
+      return line;
+    }).join('\n');
+
+    return {
+      text,
+      type: 'watchlist',
+      suggestions: watchlist.slice(0, 2).map(item => `Detailed analysis of ${item.symbol}`),
+      source: 'formatted'
+    };
+  }
+
+  buildPortfolioSection(portfolio) {
+    const { summary, holdings } = portfolio;
+    if (holdings.length === 0) {
+      return `**💼 USER PORTFOLIO:** no open positions (realized P&L $${summary.realizedPnL})\n\n`;
+    }
+    let section = `**💼 USER PORTFOLIO (live):**\n`;
+    section += `• Market value: ${summary.marketValue !== null ? `$${summary.marketValue}` : 'N/A'}, cost basis $${summary.costBasis}, unrealized P&L ${summary.unrealizedPnL !== null ? `$${summary.unrealizedPnL} (${this.formatChange(summary.unrealizedPnLPercent)})` : 'N/A'}, realized P&L $${summary.realizedPnL}\n`;
+    holdings.forEach(holding => {
+      section += `• ${holding.symbol}: ${holding.quantity} @ avg $${holding.averageCost}, now ${holding.currentPrice !== null ? `$${holding.currentPrice}` : 'N/A'}, P&L ${holding.unrealizedPnL !== null ? `$${holding.unrealizedPnL} (${this.formatChange(holding.unrealizedPnLPercent)})` : 'N/A'}\n`;
+    });
+    return `${section}\n`;
+  }
+
+  generatePortfolioResponse(context) {
+    const { summary, holdings } = context.portfolio;
+    if (holdings.length === 0) {
+      return {
+        text: `💼 **You have no open positions.**\n\nRecord buys and sells through the portfolio API to track holdings and P&L here.`,
+        type: 'portfolio',
+        suggestions: ['Market summary', 'Show AAPL price'],
+        source: 'formatted'
+      };
+    }
+
+    const emoji = (summary.unrealizedPnL || 0) >= 0 ? '🟢' : '🔴';
+    let text = `💼 **Your Portfolio** ${emoji}\n\n`;
+    text += `**💰 Market Value:** ${summary.marketValue !== null ? `$${summary.marketValue.toLocaleString()}` : 'N/A'}\n`;
+    text += `**🧾 Cost Basis:** $${summary.costBasis.toLocaleString()}\n`;
+    text += `**📊 Unrealized P&L:** ${summary.unrealizedPnL !== null ? `$${summary.unrealizedPnL.toLocaleString()} (${this.formatChange(summary.unrealizedPnLPercent)})` : 'N/A'}\n`;
+    text += `**✅ Realized P&L:** $${summary.realizedPnL.toLocaleString()}\n\n`;
+    text += `**📈 Holdings:**\n`;
+    text += holdings.map(holding => `• **${holding.symbol}**: ${holding.quantity} shares @ $${holding.averageCost} → ${holding.currentPrice !== null ? `$${holding.currentPrice} (${this.formatChange(holding.unrealizedPnLPercent)})` : 'price unavailable'}`).join('\n');
+
+    return {
+      text,
+      type: 'portfolio',
+      suggestions: holdings.slice(0, 2).map(holding => `Detailed analysis of ${holding.symbol}`),
+      source: 'formatted'
+    };
+  }
+
+  generateAnalysisResponse(context) {
+    const { analysis } = context;
+    return {
+      text: analysis.text,
+      type: 'analysis',
+      suggestions: [
+        `${analysis.analysisType === 'fundamental' ? 'Technical' : 'Fundamental'} analysis of ${analysis.symbol}`,
+        `${analysis.symbol} price history`,
+        `Set price alert for ${analysis.symbol}`
+      ],
+      marketData: null,
+      source: analysis.source,
+      model: analysis.model,
+      tools: analysis.tools
+    };
+  }
+
+  // Suggestions repeat the question with each candidate as a cashtag, which the resolver treats as authoritative
+  generateClarificationResponse(context) {
+    const { message, ambiguous } = context.clarification;
+
+    let text = `🤔 **Which one did you mean?**\n\n`;
+    ambiguous.forEach(entry => {
+      text += `"${entry.input}" could be:\n`;
+      text += entry.candidates.map(candidate => `• **${candidate.symbol}** - ${candidate.name}`).join('\n');
+      text += `\n\n`;
+    });
+    text += `Reply with the ticker, e.g. $${ambiguous[0].candidates[0].symbol}.`;
+
+    const first = ambiguous[0];
+    return {
+      text,
+      type: 'clarification',
+      suggestions: first.candidates.slice(0, 3).map(candidate => message.split(first.input).join(`$${candidate.symbol}`)),
+      source: 'formatted'
+    };
+  }
+
+  // The suggestion is the command itself, so confirming is one tap
+  generateProposedCommandResponse(context) {
+    const { command, description } = context.proposedCommand;
+    return {
+      text: `📝 **Confirm the change**\n\nThis will ${description}. Nothing has been changed yet; send \`${command}\` to confirm.`,
+      type: 'command_proposal',
+      suggestions: [command],
+      source: 'formatted'
+    };
+  }
+
+  buildConversationalInstructions(intent, hasProfile) {
+    let section = `**📝 Response Instructions:**\n`;
+    if (intent === 'education') {
+      section += `1. Explain the concept clearly for a retail investor, with a short example\n`;
+      section += `2. Keep it under 200 words and use bullet points where they help\n`;
+      section += `3. Do not quote live prices; none were fetched for this question\n`;
+      section += `4. Educational only, not personal financial advice${hasProfile ? ', though you may relate it to the investor profile above' : ''}\n\n`;
+    } else if (intent === 'general') {
+      section += `1. Answer helpfully and concisely (under 200 words)\n`;
+      section += `2. No live market data was fetched; do not quote prices. If the user needs figures, ask which ticker they mean\n`;
+      section += `3. Not personal financial advice${hasProfile ? '; consider the investor profile above' : ''}\n\n`;
+    } else {
+      section += `1. Reply briefly and warmly (1-3 sentences)\n`;
+      section += `2. Mention what you can help with: quotes, comparisons, analysis, price history, backtests and market summaries\n\n`;
+    }
+    return `${section}Generate your response now:`;
+  }
+
+  // Offline answers for common questions when no model is available
+  generateEducationResponse(message) {
+    const lower = (message || '').toLowerCase();
+    const entry = GLOSSARY.find(term => term.pattern.test(lower));
+    if (!entry) return this.generateMockResponse(message, {});
+
+    return {
+      text: `📚 **${entry.term}**\n\n${entry.text}\n\n💡 *Educational information, not financial advice.*`,
+      type: 'text',
+      suggestions: entry.suggestions,
+      source: 'formatted'
+    };
+  }
+
+  buildProfileSection(profile) {
+    const guidance = {
+      conservative: 'Prioritize capital preservation, diversification and downside risk. Favor established, dividend-paying companies and broad funds. Flag volatility clearly and do not suggest leverage, options or concentrated speculative positions.',
+      moderate: 'Balance growth and risk. Mention both upside and downside scenarios and encourage diversification.',
+      aggressive: 'The user accepts higher volatility for higher potential returns. Growth and momentum opportunities are appropriate, but still state the main risks and position-sizing considerations.'
+    };
+
+    let section = `**👤 Investor Profile:**\n`;
+    if (profile.name) {
+      section += `• Name: ${profile.name}\n`;
+    }
+    section += `• Risk Tolerance: ${profile.riskTolerance}\n`;
+    if (profile.investmentGoals.length > 0) {
+      section += `• Investment Goals: ${profile.investmentGoals.join(', ')}\n`;
+    }
+    if (profile.preferredSectors.length > 0) {
+      section += `• Preferred Sectors: ${profile.preferredSectors.join(', ')}\n`;
+    }
+    section += `• Guidance: ${guidance[profile.riskTolerance] || guidance.moderate}\n\n`;
+
+    return section;
+  }
+
   generateFormattedResponse(message, context) {
+    if (context.analysis) {
+      return this.generateAnalysisResponse(context);
+    }
+
+    if (context.backtest) {
+      return this.generateBacktestResponse(context);
+    }
+
+    if (context.comparison) {
+      return this.generateComparisonResponse(context);
+    }
+
+    if (context.marketOverview) {
+      return this.generateMarketOverviewResponse(context);
+    }
+
+    if (context.priceHistory) {
+      return this.generatePriceHistoryResponse(context);
+    }
+
+    if (context.watchlist) {
+      return this.generateWatchlistResponse(context);
+    }
+
+    if (context.portfolio) {
+      return this.generatePortfolioResponse(context);
+    }
+
+    if (context.intent && context.intent.intent === 'education') {
+      return this.generateEducationResponse(message);
+    }
+
     // Format real market data into a professional response
     if (context.marketContext && context.marketContext.relevantData && context.marketContext.relevantData.length > 0) {
       const stock = context.marketContext.relevantData[0];
@@ -270,7 +1125,7 @@ class AIService {
           `Detailed analysis of ${symbol}`,
           `Compare ${symbol}`,
           `Historical chart`,
-          'Set price alert'
+          `Set price alert for ${symbol}`
         ],
         marketData: context.marketContext,
         source: 'formatted'
@@ -377,13 +1232,20 @@ class AIService {
     const lower = (message || '').toLowerCase();
     
     // If we have market data, provide symbol-specific suggestions
+    if (context.comparison) {
+      return [
+        ...context.comparison.symbols.slice(0, 2).map(symbol => `Detailed analysis of ${symbol}`),
+        `Backtest buy and hold on ${context.comparison.symbols[0]}`
+      ];
+    }
+
     if (context.marketContext && context.marketContext.extractedSymbols && context.marketContext.extractedSymbols.length > 0) {
       const symbol = context.marketContext.extractedSymbols[0];
       return [
         `Detailed analysis of ${symbol}`,
         `Compare ${symbol} with peers`,
         `${symbol} historical chart`,
-        'Set price alert'
+        `Set price alert for ${symbol}`
       ];
     }
     
@@ -399,38 +1261,231 @@ class AIService {
     }
   }
 
-  async generateAnalysis(symbol, marketData, analysisType) {
-    if (this.isGeminiActive && this.model) {
+  // Flattens either getDetailedStockData's shape ({ quote, summaryDetail, historical })
+  // or getStockData's fallback shape into the few fields the analysis prompt needs
+  summarizeMarketData(marketData, technical = null) {
+    const quote = marketData?.quote || null;
+    const bars = (marketData?.historical || []).filter(bar => Number.isFinite(bar?.close));
+
+    let changePercent = null;
+    if (bars.length >= 2) {
+      const previous = bars[bars.length - 2].close;
+      changePercent = ((bars[bars.length - 1].close - previous) / previous) * 100;
+    } else if (Number.isFinite(quote?.regularMarketChangePercent)) {
+      // quoteSummary reports this as a fraction, unlike quote()
+      changePercent = quote.regularMarketChangePercent * 100;
+    } else if (Number.isFinite(marketData?.changePercent)) {
+      changePercent = marketData.changePercent;
+    }
+
+    return {
+      price: quote?.regularMarketPrice ?? marketData?.price ?? technical?.price ?? (bars.length > 0 ? bars[bars.length - 1].close : null),
+      changePercent: changePercent === null ? null : parseFloat(changePercent.toFixed(2)),
+      volume: quote?.regularMarketVolume ?? marketData?.volume ?? (bars.length > 0 ? bars[bars.length - 1].volume : null),
+      pe: marketData?.summaryDetail?.trailingPE ?? marketData?.pe ?? null
+    };
+  }
+
+  formatTechnicalSection(technical, outlook) {
+    const value = (number, prefix = '', suffix = '') => (number === null || number === undefined ? 'N/A' : `${prefix}${number}${suffix}`);
+    const ma = technical.movingAverages;
+
+    let section = `\nTechnical indicators (${technical.bars} daily bars to ${technical.asOf.slice(0, 10)}):\n`;
+    section += `• SMA20/50/200: ${value(ma.sma20, '$')} / ${value(ma.sma50, '$')} / ${value(ma.sma200, '$')}\n`;
+    section += `• EMA12/26: ${value(ma.ema12, '$')} / ${value(ma.ema26, '$')}\n`;
+    if (ma.crossover) section += `• Recent ${ma.crossover === 'bullish' ? 'golden' : 'death'} cross\n`;
+    section += `• RSI(14): ${value(technical.rsi.value)} (${technical.rsi.state || 'n/a'})\n`;
+    section += `• MACD: ${value(technical.macd.macd)} vs signal ${value(technical.macd.signal)}, histogram ${value(technical.macd.histogram)}\n`;
+    section += `• Bollinger(20,2): ${value(technical.bollinger.lower, '$')} - ${value(technical.bollinger.upper, '$')}, %B ${value(technical.bollinger.percentB)}\n`;
+    section += `• ATR(14): ${value(technical.atr.value, '$')} (${value(technical.atr.percent, '', '%')} of price)\n`;
+    section += `• Support: ${technical.levels.support.map(level => `$${level.price}`).join(', ') || 'none found'}\n`;
+    section += `• Resistance: ${technical.levels.resistance.map(level => `$${level.price}`).join(', ') || 'none found'}\n`;
+    section += `• Volume: ${technical.volume.trend || 'n/a'} (${value(technical.volume.ratio, '', 'x')} of the 50-day average)\n`;
+    section += `• Signal score: ${technical.score} (${technical.bias})\n`;
+    if (outlook) {
+      section += `• Rule-based levels: target $${outlook.priceTarget}, stop $${outlook.stopLoss}\n`;
+    }
+    return section;
+  }
+
+  formatFundamentalSection(fundamental) {
+    let section = `\nFundamentals (overall score ${fundamental.scores.overall ?? 'unavailable'}/100, grade ${fundamental.grade || 'n/a'}):\n`;
+    Object.entries(fundamental.metrics).forEach(([category, metrics]) => {
+      const score = fundamental.scores[category];
+      section += `• ${category[0].toUpperCase()}${category.slice(1)} (${score === null ? 'unavailable' : `${score}/100`}): `;
+      section += Object.values(metrics).map(metric => `${metric.label} ${metric.display}`).join(', ');
+      section += `\n`;
+    });
+    return section;
+  }
+
+  // `indicators` carries the computed technical snapshot and/or fundamental scores.
+  // options.skipLLM forces the computed fallback (slash commands never call the model).
+  async generateAnalysis(symbol, marketData, analysisType, indicators = {}, options = {}) {
+    const { technical = null, fundamental = null } = indicators;
+    const snapshot = this.summarizeMarketData(marketData, technical);
+    const outlook = technicalAnalysisService.deriveOutlook(technical);
+    const fundamentalOutlook = fundamentalAnalysisService.deriveOutlook(fundamental);
+    const price = snapshot.price === null ? 'N/A' : `$${snapshot.price.toFixed(2)}`;
+    const change = snapshot.changePercent === null ? 'N/A' : `${snapshot.changePercent}%`;
+
+    if (this.llm && !options.skipLLM) {
       try {
-        const prompt = `Provide a concise ${analysisType} analysis for ${symbol}:\n\nPrice: $${marketData?.price}\nChange: ${marketData?.changePercent}%\nVolume: ${this.formatVolume(marketData?.volume)}\nP/E: ${marketData?.pe || 'N/A'}\n\nInclude:\n1. Technical outlook\n2. Recommendation (Buy/Hold/Sell)\n3. Price target\n4. Risk level\n\nKeep under 200 words with bullets.`;
+        let prompt = `Provide a concise ${analysisType} analysis for ${symbol}:\n\nPrice: ${price}\nChange: ${change}\nVolume: ${this.formatVolume(snapshot.volume)}\nP/E: ${snapshot.pe ? snapshot.pe.toFixed(2) : 'N/A'}\n`;
+        if (analysisType === 'technical' && technical) {
+          prompt += this.formatTechnicalSection(technical, outlook);
+          prompt += `\nBase the outlook on these computed indicators; do not invent other values.\n`;
+        }
+        if (analysisType === 'fundamental' && fundamental) {
+          prompt += this.formatFundamentalSection(fundamental);
+          prompt += `\nBase the assessment on these metrics. Treat "unavailable" as missing data, not zero.\n`;
+          prompt += `\nInclude:\n1. Valuation\n2. Profitability and balance sheet\n3. Growth\n4. Recommendation (Buy/Hold/Sell)\n\nKeep under 200 words with bullets.`;
+        } else {
+          prompt += `\nInclude:\n1. Technical outlook\n2. Recommendation (Buy/Hold/Sell)\n3. Price target\n4. Risk level\n\nKeep under 200 words with bullets.`;
+        }
         
-        const result = await this.model.generateContent(prompt);
-        const text = result.response.text();
+        // From chat, the question may need more than the snapshot above ("given its 5-year history")
+        let tools = [];
+        if (options.message) {
+          prompt += `\nThe user asked: "${options.message}"\n`;
+          tools = this.getTools(options.message, { userId: options.userId, intent: { intent: 'analysis', entities: { symbols: [symbol] } } });
+        }
+        const { text, toolRun } = await this.answerWithTools(prompt, tools, { purpose: 'analysis', message: options.message || symbol, userId: options.userId });
 
         return {
           text: text,
           recommendation: this.extractRecommendation(text),
           confidence: 0.80,
           keyPoints: this.extractKeyPoints(text),
-          source: 'gemini'
+          outlook: analysisType === 'fundamental' ? fundamentalOutlook : outlook,
+          source: this.llm.name,
+          model: this.llm.model,
+          tools: this.describeToolRun(toolRun)
         };
       } catch (error) {
-        console.error('Gemini analysis error:', error.message);
+        console.error(`${this.llm.name} analysis error:`, error.message);
+      }
+    }
+
+    if (analysisType === 'fundamental' && fundamentalOutlook) {
+      let text = `**FUNDAMENTAL Analysis - ${symbol}**\n\n`;
+      text += `📊 Current: ${price}\n`;
+      text += `🏷️ Grade: ${fundamental.grade} (score ${fundamental.scores.overall}/100)\n`;
+      text += Object.keys(fundamental.metrics)
+        .map(category => `• ${category[0].toUpperCase()}${category.slice(1)}: ${fundamental.scores[category] === null ? 'unavailable' : `${fundamental.scores[category]}/100`}`)
+        .join('\n');
+      if (fundamental.strengths.length > 0) text += `\n\n✅ Strengths: ${fundamental.strengths.join(', ')}`;
+      if (fundamental.weaknesses.length > 0) text += `\n⚠️ Weaknesses: ${fundamental.weaknesses.join(', ')}`;
+      if (fundamental.unavailable.length > 0) text += `\n❔ Unavailable: ${fundamental.unavailable.join(', ')}`;
+
+      return {
+        text,
+        recommendation: fundamentalOutlook.recommendation,
+        confidence: fundamentalOutlook.confidence,
+        keyPoints: [...fundamental.strengths.slice(0, 3), ...fundamental.weaknesses.slice(0, 2)],
+        outlook: fundamentalOutlook,
+        source: 'formatted'
+      };
+    }
+
+    // Fallback analysis reasons from the indicators when there is enough history
+    if (outlook) {
+      const signals = technical.signals.filter(signal => signal.signal !== 'neutral');
+      let text = `**${analysisType.toUpperCase()} Analysis - ${symbol}**\n\n`;
+      text += `📊 Current: ${price} (${change})\n`;
+      text += `📈 Bias: ${technical.bias} (signal score ${technical.score})\n`;
+      text += `🎯 Target: $${outlook.priceTarget}\n`;
+      text += `⚠️ Stop Loss: $${outlook.stopLoss}\n`;
+      text += `📏 Risk: ${outlook.riskLevel}${technical.atr.percent !== null ? ` (ATR ${technical.atr.percent}% of price)` : ''}\n`;
+      if (signals.length > 0) {
+        text += `\n${signals.map(signal => `• ${signal.detail}`).join('\n')}`;
       }
+
+      return {
+        text,
+        recommendation: outlook.recommendation,
+        confidence: outlook.confidence,
+        keyPoints: signals.slice(0, 5).map(signal => signal.detail),
+        outlook,
+        source: 'formatted'
+      };
     }
 
-    // Fallback analysis
-    const trend = (marketData?.changePercent || 0) >= 0 ? 'Bullish' : 'Bearish';
+    const trend = (snapshot.changePercent || 0) >= 0 ? 'Bullish' : 'Bearish';
     return {
-      text: `**${analysisType.toUpperCase()} Analysis - ${symbol}**\n\n📊 Current: $${marketData?.price}\n📈 Trend: ${trend}\n🎯 Target: $${((marketData?.price || 0) * 1.10).toFixed(2)}\n⚠️ Stop Loss: $${((marketData?.price || 0) * 0.95).toFixed(2)}`,
-      recommendation: (marketData?.changePercent || 0) >= 2 ? 'BUY' : (marketData?.changePercent || 0) <= -2 ? 'SELL' : 'HOLD',
-      confidence: 0.70,
-      keyPoints: [`Current Price: $${marketData?.price}`, `Change: ${marketData?.changePercent}%`],
+      text: `**${analysisType.toUpperCase()} Analysis - ${symbol}**\n\n📊 Current: ${price}\n📈 Trend: ${trend}\n\nNot enough ${analysisType === 'fundamental' ? 'financial data' : 'price history'} to compute indicators.`,
+      recommendation: 'HOLD',
+      confidence: 0.50,
+      keyPoints: [`Current Price: ${price}`, `Change: ${change}`],
+      outlook: null,
       source: 'formatted'
     };
   }
 
-  determineMessageType(message) {
+  buildMemorySection(memory) {
+    if (!memory.summary && memory.facts.length === 0 && memory.symbols.length === 0) return '';
+
+    let section = `**🧠 Conversation Memory:**\n`;
+    if (memory.facts.length > 0) {
+      section += `Facts the user told you:\n`;
+      memory.facts.forEach(fact => { section += `• ${fact}\n`; });
+    }
+    if (memory.symbols.length > 0) {
+      section += `Symbols discussed (most recent first): ${memory.symbols.join(', ')}\n`;
+    }
+    if (memory.summary) {
+      section += `Earlier in this conversation:\n${memory.summary}\n`;
+    }
+    return section + `\n`;
+  }
+
+  // Rolling summary of older chat turns; null without a model so the caller
+  // can fall back to an extractive summary
+  async summarizeConversation(previousSummary, messages, maxChars = 1500) {
+    if (!this.llm) return null;
+
+    const transcript = messages
+      .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content.substring(0, 1000)}`)
+      .join('\n');
+    const prompt = `You maintain the memory of a conversation between a user and a stock market assistant.\n\n` +
+      (previousSummary ? `Summary so far:\n${previousSummary}\n\n` : '') +
+      `New messages:\n${transcript}\n\n` +
+      `Write an updated summary as short bullet points (under ${maxChars} characters). Keep symbols discussed, numbers the user gave, ` +
+      `conclusions reached and open questions. Drop greetings and repeated market figures. Reply with the bullets only.`;
+
+    try {
+      return (await this.complete(prompt, { purpose: 'summary', temperature: 0.2 })).trim();
+    } catch (error) {
+      console.error(`${this.llm.name} conversation summary error:`, error.message);
+      return null;
+    }
+  }
+
+  // LLM-assisted intent classification. Returns the parsed JSON object or null.
+  async classifyIntent(message, intents) {
+    if (!this.llm) return null;
+
+    const prompt = `Classify this message sent to a stock market assistant.\n\n` +
+      `Intents: ${intents.join(', ')}\n` +
+      `Reply with JSON only, no prose: {"intent": string, "confidence": number 0-1, "symbols": [ticker strings, resolve company names to tickers], "period": one of 1mo,3mo,6mo,ytd,1y,2y,5y,10y,max or null}\n\n` +
+      `Message: ${JSON.stringify(message.substring(0, 500))}`;
+
+    try {
+      const text = (await this.complete(prompt, { purpose: 'intent', message, temperature: 0 })).replace(/```(json)?/g, '').trim();
+      const json = text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+      return JSON.parse(json);
+    } catch (error) {
+      console.error(`${this.llm.name} intent classification error:`, error.message);
+      return null;
+    }
+  }
+
+  // Uses the classified intent when there is one, the old keyword check otherwise
+  determineMessageType(message, context = {}) {
+    if (context.intent && MESSAGE_TYPES[context.intent.intent]) {
+      return MESSAGE_TYPES[context.intent.intent];
+    }
+
     const lower = (message || '').toLowerCase();
     if (lower.includes('price') || lower.includes('quote')) return 'stock_quote';
     if (lower.includes('market') || lower.includes('summary')) return 'market_data';
@@ -0,0 +1,268 @@
+const EventEmitter = require('events');
+const marketService = require('./marketService');
+const { getUserStore } = require('../stores/users');
+
+const systemClock = {
+  now: () => Date.now(),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: timer => clearInterval(timer)
+};
+
+// Default price source: marketService batches, which go through its rate limit and cache
+const marketQuoteSource = {
+  async getPrices(symbols) {
+    const quotes = await marketService.getMultipleQuotes(symbols);
+    const prices = new Map();
+    quotes.forEach(quote => {
+      const normalized = marketService.normalizeQuote(quote);
+      if (normalized && normalized.symbol && Number.isFinite(normalized.price)) {
+        prices.set(normalized.symbol.toUpperCase(), normalized.price);
+      }
+    });
+    return prices;
+  }
+};
+
+// Periodically checks every watchlist alert against live prices.
+// An alert fires when its condition holds while armed, then stays disarmed until
+// the price moves back across the threshold by rearmPercent. Even once re-armed it
+// will not fire again within cooldownMs of the last trigger.
+// Emits 'alert' with each triggered alert.
+class AlertEngine extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.clock = options.clock || systemClock;
+    this.quoteSource = options.quoteSource || marketQuoteSource;
+    this.getStore = options.getStore || getUserStore;
+
+    this.intervalMs = options.intervalMs || parseInt(process.env.ALERT_CHECK_INTERVAL_MS, 10) || 60 * 1000;
+    this.cooldownMs = options.cooldownMs ?? (parseInt(process.env.ALERT_COOLDOWN_MS, 10) || 15 * 60 * 1000);
+    this.rearmPercent = options.rearmPercent ?? (parseFloat(process.env.ALERT_REARM_PERCENT) || 0.5);
+    this.batchSize = options.batchSize || parseInt(process.env.ALERT_BATCH_SIZE, 10) || 20;
+    this.maxTriggeredPerUser = options.maxTriggeredPerUser || 100;
+
+    this.timer = null;
+    this.running = false;
+    this.stats = {
+      runs: 0,
+      alertsChecked: 0,
+      alertsTriggered: 0,
+      lastRunAt: null,
+      lastRunDurationMs: null,
+      lastError: null
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = this.clock.setInterval(() => {
+      this.runOnce().catch(() => {});
+    }, this.intervalMs);
+
+    // Don't keep the process alive just for alert checks
+    if (this.timer && typeof this.timer.unref === 'function') {
+      this.timer.unref();
+    }
+
+    console.log(`🔔 Alert engine started (every ${Math.round(this.intervalMs / 1000)}s)`);
+  }
+
+  stop() {
+    if (!this.timer) return;
+    this.clock.clearInterval(this.timer);
+    this.timer = null;
+    console.log('🔕 Alert engine stopped');
+  }
+
+  async runOnce() {
+    // A slow pass (rate limit wait) must not overlap the next tick
+    if (this.running) return { skipped: true, checked: 0, triggered: [], failed: [] };
+
+    this.running = true;
+    const now = this.clock.now();
+
+    try {
+      const store = await this.getStore();
+      const users = await store.findUsersWithAlerts();
+
+      const symbols = new Set();
+      users.forEach(user => {
+        user.watchlist.filter(item => this.isActive(item)).forEach(item => symbols.add(item.symbol));
+      });
+
+      const prices = await this.fetchPrices([...symbols]);
+      const triggered = [];
+      const failed = [];
+      let checked = 0;
+
+      for (const user of users) {
+        const decisions = [];
+        user.watchlist.filter(item => this.isActive(item)).forEach(item => {
+          checked++;
+          const decision = this.evaluateAlert(item, prices.get(item.symbol), now);
+          if (decision.changed) decisions.push({ item, decision, price: prices.get(item.symbol) });
+        });
+
+        if (decisions.length === 0) continue;
+
+        // One user's failed update must not skip everyone after them
+        let fired;
+        try {
+          fired = await this.applyDecisions(store, user.userId, decisions, now);
+        } catch (error) {
+          failed.push(user.userId);
+          this.stats.lastError = `${user.userId}: ${error.message}`;
+          console.error(`❌ Alert update failed for ${user.userId}:`, error.message);
+          continue;
+        }
+
+        fired.forEach(alert => {
+          triggered.push(alert);
+          this.emit('alert', alert);
+        });
+      }
+
+      this.stats.runs++;
+      this.stats.alertsChecked += checked;
+      this.stats.alertsTriggered += triggered.length;
+      this.stats.lastRunAt = new Date(now).toISOString();
+      this.stats.lastRunDurationMs = this.clock.now() - now;
+      if (failed.length === 0) this.stats.lastError = null;
+
+      if (triggered.length > 0) {
+        console.log(`🔔 ${triggered.length} price alert(s) triggered`);
+      }
+
+      return { skipped: false, checked, triggered, failed };
+
+    } catch (error) {
+      this.stats.lastError = error.message;
+      console.error('❌ Alert evaluation failed:', error.message);
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async fetchPrices(symbols) {
+    const prices = new Map();
+
+    for (let i = 0; i < symbols.length; i += this.batchSize) {
+      const batch = symbols.slice(i, i + this.batchSize);
+      try {
+        const batchPrices = await this.quoteSource.getPrices(batch);
+        batchPrices.forEach((price, symbol) => prices.set(symbol, price));
+      } catch (error) {
+        console.error(`⚠️ Alert price fetch failed for ${batch.join(', ')}:`, error.message);
+      }
+    }
+
+    return prices;
+  }
+
+  async applyDecisions(store, userId, decisions, now) {
+    let fired = [];
+
+    await store.updateUser(userId, user => {
+      // The store may rerun this on a version conflict; only the last run counts
+      fired = [];
+      decisions.forEach(({ item, decision, price }) => {
+        const target = user.watchlist.find(entry => entry.symbol === item.symbol);
+
+        // Skip alerts the user changed or removed since this pass read them
+        if (!target || target.alertType !== item.alertType || target.alertPrice !== item.alertPrice) return;
+
+        target.alertArmed = decision.armed;
+
+        if (decision.triggered) {
+          target.lastTriggeredAt = new Date(now);
+          user.triggeredAlerts.push({
+            symbol: item.symbol,
+            alertType: item.alertType,
+            alertPrice: item.alertPrice,
+            triggerPrice: price,
+            triggeredAt: new Date(now)
+          });
+          fired.push(this.formatTriggered(user.triggeredAlerts[user.triggeredAlerts.length - 1], userId));
+        }
+      });
+
+      if (user.triggeredAlerts.length > this.maxTriggeredPerUser) {
+        user.triggeredAlerts.splice(0, user.triggeredAlerts.length - this.maxTriggeredPerUser);
+      }
+    });
+
+    return fired;
+  }
+
+  isActive(item) {
+    return (item.alertType === 'above' || item.alertType === 'below') && item.alertPrice > 0;
+  }
+
+  // Decision for one alert at one price: { triggered, armed, changed }
+  evaluateAlert(item, price, now) {
+    const armed = item.alertArmed !== false;
+
+    if (!this.isActive(item) || !Number.isFinite(price)) {
+      return { triggered: false, armed, changed: false };
+    }
+
+    const above = item.alertType === 'above';
+    const conditionMet = above ? price >= item.alertPrice : price <= item.alertPrice;
+
+    if (armed) {
+      const lastTriggered = item.lastTriggeredAt ? new Date(item.lastTriggeredAt).getTime() : null;
+      const coolingDown = lastTriggered !== null && now - lastTriggered < this.cooldownMs;
+
+      if (conditionMet && !coolingDown) {
+        return { triggered: true, armed: false, changed: true };
+      }
+      return { triggered: false, armed: true, changed: false };
+    }
+
+    const band = item.alertPrice * (this.rearmPercent / 100);
+    const rearm = above ? price <= item.alertPrice - band : price >= item.alertPrice + band;
+    return { triggered: false, armed: rearm, changed: rearm };
+  }
+
+  async getTriggeredAlerts(userId, options = {}) {
+    const limit = options.limit || 50;
+    const since = options.since ? new Date(options.since).getTime() : null;
+
+    const store = await this.getStore();
+    const user = await store.getUser(userId);
+
+    return (user.triggeredAlerts || [])
+      .filter(alert => since === null || new Date(alert.triggeredAt).getTime() >= since)
+      .slice(-limit)
+      .reverse()
+      .map(alert => this.formatTriggered(alert, userId));
+  }
+
+  formatTriggered(alert, userId) {
+    return {
+      id: alert._id ? String(alert._id) : undefined,
+      userId,
+      symbol: alert.symbol,
+      alertType: alert.alertType,
+      alertPrice: alert.alertPrice,
+      triggerPrice: alert.triggerPrice,
+      triggeredAt: alert.triggeredAt,
+      message: `${alert.symbol} is ${alert.alertType === 'above' ? 'at or above' : 'at or below'} $${alert.alertPrice} (last $${Number(alert.triggerPrice).toFixed(2)})`
+    };
+  }
+
+  status() {
+    return {
+      running: !!this.timer,
+      intervalMs: this.intervalMs,
+      cooldownMs: this.cooldownMs,
+      rearmPercent: this.rearmPercent,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new AlertEngine();
+module.exports.AlertEngine = AlertEngine;
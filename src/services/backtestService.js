@@ -0,0 +1,369 @@
+const marketService = require('./marketService');
+const intentService = require('./intentService');
+const symbolResolver = require('./symbolResolver');
+const indicators = require('../utils/indicators');
+const HttpError = require('../utils/httpError');
+
+const { round } = indicators;
+
+const STRATEGY_TYPES = ['crossover', 'rsi', 'buy_and_hold'];
+const TRADING_DAYS = 252;
+
+// A longer period is fetched so slow indicators (e.g. the 200-day SMA) are
+// already warmed up on the first day of the requested range
+const WARMUP_PERIOD = {
+  '3mo': '1y', '6mo': '1y', 'ytd': '2y', '1y': '2y', '2y': '5y', '5y': '10y', '10y': 'max', 'max': 'max'
+};
+
+const DEFAULTS = {
+  period: '5y',
+  initialCapital: 10000,
+  commissionPerTrade: 0,
+  commissionPercent: 0.1,
+  slippagePercent: 0.05
+};
+
+// Words that look like tickers in chat messages but are strategy vocabulary
+const NON_SYMBOLS = new Set(['SMA', 'EMA', 'RSI', 'MACD', 'CAGR', 'ETF', 'I', 'A', 'HOW', 'WHAT', 'IF', 'MY', 'TP', 'SL']);
+
+const SYMBOL_STOPWORDS = new Set(['THE', 'AN', 'THIS', 'THAT', 'IT', 'STOCK', 'STOCKS', 'SHARE', 'DATA', 'YEARS', 'YEAR']);
+
+const positive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// Long-only, single-position simulator. Strategies are declarative:
+//   { type: 'crossover', indicator: 'sma' | 'ema', fast: 50, slow: 200 }
+//   { type: 'rsi', period: 14, oversold: 30, overbought: 70 }
+//   { type: 'buy_and_hold' }
+// and any of them may add stopLossPercent / takeProfitPercent.
+// Signals are read at a bar's close and filled at the next bar's open.
+class BacktestService {
+  normalizeStrategy(input = {}) {
+    const strategy = typeof input === 'string' ? { type: input } : { ...input };
+    const type = String(strategy.type || '').toLowerCase().replace(/[\s-]+/g, '_');
+
+    if (!STRATEGY_TYPES.includes(type)) {
+      throw new HttpError(400, `Unknown strategy type. Use one of: ${STRATEGY_TYPES.join(', ')}`);
+    }
+
+    const normalized = { type };
+
+    if (type === 'crossover') {
+      normalized.indicator = String(strategy.indicator || 'sma').toLowerCase();
+      normalized.fast = parseInt(strategy.fast) || 50;
+      normalized.slow = parseInt(strategy.slow) || 200;
+      if (!['sma', 'ema'].includes(normalized.indicator)) {
+        throw new HttpError(400, 'Crossover indicator must be sma or ema');
+      }
+      if (normalized.fast < 2 || normalized.slow > 400 || normalized.fast >= normalized.slow) {
+        throw new HttpError(400, 'Crossover needs 2 <= fast < slow <= 400');
+      }
+    }
+
+    if (type === 'rsi') {
+      normalized.period = parseInt(strategy.period) || 14;
+      normalized.oversold = strategy.oversold !== undefined ? Number(strategy.oversold) : 30;
+      normalized.overbought = strategy.overbought !== undefined ? Number(strategy.overbought) : 70;
+      if (normalized.period < 2 || normalized.period > 100) {
+        throw new HttpError(400, 'RSI period must be between 2 and 100');
+      }
+      if (!(normalized.oversold > 0 && normalized.oversold < normalized.overbought && normalized.overbought < 100)) {
+        throw new HttpError(400, 'RSI thresholds need 0 < oversold < overbought < 100');
+      }
+    }
+
+    ['stopLossPercent', 'takeProfitPercent'].forEach(key => {
+      if (strategy[key] === undefined || strategy[key] === null) return;
+      const value = Number(strategy[key]);
+      if (!positive(value) || (key === 'stopLossPercent' && value >= 100)) {
+        throw new HttpError(400, `${key} must be a positive percentage${key === 'stopLossPercent' ? ' below 100' : ''}`);
+      }
+      normalized[key] = value;
+    });
+
+    return normalized;
+  }
+
+  normalizeCosts(options = {}) {
+    const costs = {};
+    ['initialCapital', 'commissionPerTrade', 'commissionPercent', 'slippagePercent'].forEach(key => {
+      const value = options[key] !== undefined ? Number(options[key]) : DEFAULTS[key];
+      if (!Number.isFinite(value) || value < 0 || (key === 'initialCapital' && value <= 0)) {
+        throw new HttpError(400, `${key} must be a ${key === 'initialCapital' ? 'positive' : 'non-negative'} number`);
+      }
+      costs[key] = value;
+    });
+    if (costs.commissionPercent >= 10 || costs.slippagePercent >= 10) {
+      throw new HttpError(400, 'Commission and slippage percentages must be below 10');
+    }
+    return costs;
+  }
+
+  async run({ symbol, period = DEFAULTS.period, strategy, ...options }) {
+    const normalizedStrategy = this.normalizeStrategy(strategy);
+    const costs = this.normalizeCosts(options);
+
+    if (!WARMUP_PERIOD[period]) {
+      throw new HttpError(400, `Invalid period. Use one of: ${Object.keys(WARMUP_PERIOD).join(', ')}`);
+    }
+
+    // Adjusted prices so splits and dividends don't show up as crashes or gaps
+    const history = await marketService.getHistoricalData(symbol, { period: WARMUP_PERIOD[period], adjusted: true });
+    const startDate = marketService.calculatePeriodStart(period);
+    const startIndex = history.bars.findIndex(bar => new Date(bar.date) >= startDate);
+
+    if (startIndex === -1 || history.bars.length - startIndex < 20) {
+      throw new HttpError(422, `Not enough price history for ${history.symbol} to backtest over ${period}`);
+    }
+
+    const result = this.simulate(history.bars, normalizedStrategy, costs, startIndex);
+    const benchmark = normalizedStrategy.type === 'buy_and_hold'
+      ? null
+      : this.simulate(history.bars, { type: 'buy_and_hold' }, costs, startIndex);
+
+    return {
+      symbol: history.symbol,
+      period,
+      strategy: normalizedStrategy,
+      costs,
+      start: history.bars[startIndex].date,
+      end: history.bars[history.bars.length - 1].date,
+      bars: history.bars.length - startIndex,
+      metrics: result.metrics,
+      benchmark: benchmark ? { strategy: { type: 'buy_and_hold' }, metrics: benchmark.metrics } : null,
+      trades: result.trades,
+      equityCurve: this.sampleCurve(result.equityCurve, 250)
+    };
+  }
+
+  // Per-bar desired position (true = long) plus a "reset" flag that must be seen
+  // before re-entering after a stop-loss or take-profit exit
+  buildSignals(bars, strategy) {
+    const closes = bars.map(bar => bar.close);
+
+    if (strategy.type === 'crossover') {
+      const average = strategy.indicator === 'ema' ? indicators.ema : indicators.sma;
+      const fast = average(closes, strategy.fast);
+      const slow = average(closes, strategy.slow);
+      return closes.map((_, i) => {
+        if (fast[i] === null || slow[i] === null) return { long: false, reset: false };
+        return { long: fast[i] > slow[i], reset: fast[i] <= slow[i] };
+      });
+    }
+
+    if (strategy.type === 'rsi') {
+      const rsi = indicators.rsi(closes, strategy.period);
+      let long = false;
+      return closes.map((_, i) => {
+        if (rsi[i] === null) return { long: false, reset: false };
+        if (rsi[i] < strategy.oversold) long = true;
+        else if (rsi[i] > strategy.overbought) long = false;
+        // Only a fresh drop into oversold allows re-entry after a protective exit
+        return { long, reset: rsi[i] < strategy.oversold && rsi[i - 1] !== null && rsi[i - 1] >= strategy.oversold };
+      });
+    }
+
+    return closes.map(() => ({ long: true, reset: false }));
+  }
+
+  simulate(bars, strategy, costs, startIndex) {
+    const signals = this.buildSignals(bars, strategy);
+    const slip = costs.slippagePercent / 100;
+    const commissionRate = costs.commissionPercent / 100;
+
+    let cash = costs.initialCapital;
+    let position = null;
+    let blocked = false;
+    let pendingEntry = false;
+    let pendingExit = false;
+    const trades = [];
+    const equityCurve = [];
+
+    const buy = (bar, price) => {
+      const fill = price * (1 + slip);
+      const budget = cash - costs.commissionPerTrade;
+      if (budget <= 0) return;
+      const shares = budget / (fill * (1 + commissionRate));
+      const commission = costs.commissionPerTrade + shares * fill * commissionRate;
+      cash -= shares * fill + commission;
+      position = { entryDate: bar.date, entryPrice: fill, shares, cost: shares * fill + commission, commission };
+    };
+
+    const sell = (bar, price, reason) => {
+      const fill = price * (1 - slip);
+      const gross = position.shares * fill;
+      const commission = costs.commissionPerTrade + gross * commissionRate;
+      cash += gross - commission;
+      const pnl = gross - commission - position.cost;
+      trades.push({
+        entryDate: position.entryDate,
+        entryPrice: round(position.entryPrice, 4),
+        exitDate: bar.date,
+        exitPrice: round(fill, 4),
+        shares: round(position.shares, 4),
+        pnl: round(pnl, 2),
+        returnPercent: round((pnl / position.cost) * 100, 2),
+        commission: round(position.commission + commission, 2),
+        holdingDays: Math.round((new Date(bar.date) - new Date(position.entryDate)) / (24 * 60 * 60 * 1000)),
+        exitReason: reason
+      });
+      position = null;
+    };
+
+    for (let i = startIndex; i < bars.length; i++) {
+      const bar = bars[i];
+
+      // Orders decided at the previous close fill at this bar's open
+      if (pendingExit && position) sell(bar, bar.open, 'signal');
+      if (pendingEntry && !position) buy(bar, bar.open);
+      pendingEntry = false;
+      pendingExit = false;
+
+      // Protective exits trigger intraday; a gap through the level fills at the open.
+      // If both levels are inside the same bar the stop is assumed to hit first.
+      if (position) {
+        const stop = strategy.stopLossPercent ? position.entryPrice * (1 - strategy.stopLossPercent / 100) : null;
+        const target = strategy.takeProfitPercent ? position.entryPrice * (1 + strategy.takeProfitPercent / 100) : null;
+        if (stop !== null && bar.low <= stop) {
+          sell(bar, Math.min(bar.open, stop), 'stop_loss');
+          blocked = true;
+        } else if (target !== null && bar.high >= target) {
+          sell(bar, Math.max(bar.open, target), 'take_profit');
+          blocked = true;
+        }
+      }
+
+      const signal = signals[i];
+      if (blocked && signal.reset) blocked = false;
+      if (i < bars.length - 1) {
+        if (!position && signal.long && !blocked) pendingEntry = true;
+        if (position && !signal.long) pendingExit = true;
+      }
+
+      equityCurve.push({ date: bar.date, equity: cash + (position ? position.shares * bar.close : 0) });
+    }
+
+    if (position) {
+      sell(bars[bars.length - 1], bars[bars.length - 1].close, 'end_of_data');
+      equityCurve[equityCurve.length - 1].equity = cash;
+    }
+
+    return { trades, equityCurve, metrics: this.computeMetrics(equityCurve, trades, costs.initialCapital) };
+  }
+
+  computeMetrics(equityCurve, trades, initialCapital) {
+    const finalEquity = equityCurve[equityCurve.length - 1].equity;
+    const days = (new Date(equityCurve[equityCurve.length - 1].date) - new Date(equityCurve[0].date)) / (24 * 60 * 60 * 1000);
+    const years = days / 365.25;
+
+    let peak = initialCapital;
+    let maxDrawdown = 0;
+    const returns = [];
+    equityCurve.forEach((point, i) => {
+      peak = Math.max(peak, point.equity);
+      maxDrawdown = Math.max(maxDrawdown, (peak - point.equity) / peak);
+      const previous = i === 0 ? initialCapital : equityCurve[i - 1].equity;
+      returns.push(previous > 0 ? point.equity / previous - 1 : 0);
+    });
+
+    const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+    const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(returns.length - 1, 1);
+    const stdDev = Math.sqrt(variance);
+
+    const wins = trades.filter(trade => trade.pnl > 0);
+    const losses = trades.filter(trade => trade.pnl <= 0);
+    const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.pnl, 0));
+    const daysInMarket = trades.reduce((sum, trade) => sum + trade.holdingDays, 0);
+
+    return {
+      initialCapital,
+      finalEquity: round(finalEquity, 2),
+      totalReturnPercent: round((finalEquity / initialCapital - 1) * 100, 2),
+      cagrPercent: years > 0 && finalEquity > 0 ? round((Math.pow(finalEquity / initialCapital, 1 / years) - 1) * 100, 2) : null,
+      maxDrawdownPercent: round(maxDrawdown * 100, 2),
+      // Annualized, risk-free rate taken as 0
+      sharpeRatio: stdDev > 0 ? round((mean / stdDev) * Math.sqrt(TRADING_DAYS), 2) : null,
+      volatilityPercent: round(stdDev * Math.sqrt(TRADING_DAYS) * 100, 2),
+      trades: trades.length,
+      winRatePercent: trades.length > 0 ? round((wins.length / trades.length) * 100, 1) : null,
+      profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss, 2) : null,
+      averageTradePercent: trades.length > 0 ? round(trades.reduce((sum, trade) => sum + trade.returnPercent, 0) / trades.length, 2) : null,
+      exposurePercent: days > 0 ? round(Math.min(100, (daysInMarket / days) * 100), 1) : null,
+      totalCommission: round(trades.reduce((sum, trade) => sum + trade.commission, 0), 2)
+    };
+  }
+
+  // Evenly spaced points (always including the last) so responses stay small
+  sampleCurve(curve, maxPoints) {
+    const step = Math.max(1, Math.ceil(curve.length / maxPoints));
+    return curve
+      .filter((_, i) => i % step === 0 || i === curve.length - 1)
+      .map(point => ({ date: point.date, equity: round(point.equity, 2) }));
+  }
+
+  // Recognizes chat questions like "how would a 50/200 SMA crossover have done
+  // on MSFT over 5 years?". Returns run() arguments, or null if the message
+  // isn't a backtest request.
+  parseRequest(message) {
+    if (!message || typeof message !== 'string') return null;
+    const lower = message.toLowerCase();
+
+    let strategy = null;
+    const crossover = lower.match(/(\d{1,3})\s*(?:\/|-|and|vs\.?|over)\s*(\d{1,3})[\s-]*(?:day\s+)?(sma|ema|moving average)?/);
+    if (/\brsi\b/.test(lower)) {
+      const oversold = lower.match(/(?:below|under|<)\s*([1-4]\d)\b/);
+      const overbought = lower.match(/(?:above|over|>)\s*([5-9]\d)\b/);
+      strategy = {
+        type: 'rsi',
+        oversold: oversold ? parseInt(oversold[1]) : 30,
+        overbought: overbought ? parseInt(overbought[1]) : 70
+      };
+    } else if (/cross|golden|\bsma\b|\bema\b|moving average/.test(lower)) {
+      strategy = {
+        type: 'crossover',
+        indicator: /\bema\b|exponential/.test(lower) ? 'ema' : 'sma',
+        fast: crossover ? Math.min(parseInt(crossover[1]), parseInt(crossover[2])) : 50,
+        slow: crossover ? Math.max(parseInt(crossover[1]), parseInt(crossover[2])) : 200
+      };
+    } else if (/buy[\s-]+and[\s-]+hold/.test(lower)) {
+      strategy = { type: 'buy_and_hold' };
+    }
+
+    const asksForResult = /back-?test|how (would|did|has|does)|perform|returns?\b|have done/.test(lower);
+    if (!strategy || !asksForResult) return null;
+
+    const stopLoss = lower.match(/(\d{1,2}(?:\.\d+)?)\s*%\s*stop|stop[\s-]*loss(?:\s+(?:of|at))?\s+(\d{1,2}(?:\.\d+)?)\s*%/);
+    const takeProfit = lower.match(/(\d{1,3}(?:\.\d+)?)\s*%\s*(?:take[\s-]*profit|profit target)|(?:take[\s-]*profit|profit target)(?:\s+(?:of|at))?\s+(\d{1,3}(?:\.\d+)?)\s*%/);
+    if (stopLoss) strategy.stopLossPercent = parseFloat(stopLoss[1] || stopLoss[2]);
+    if (takeProfit) strategy.takeProfitPercent = parseFloat(takeProfit[1] || takeProfit[2]);
+
+    const symbol = this.findSymbol(message);
+    if (!symbol) return null;
+
+    return { symbol, period: this.parsePeriod(lower), strategy };
+  }
+
+  findSymbol(message) {
+    const symbols = symbolResolver.extractSymbols(message);
+    if (symbols.length > 0) return symbols[0];
+
+    // Lowercase messages: take the word after "on"/"for"/"with", e.g. "crossover on msft"
+    const pattern = /\b(?:on|for|with|using)\s+\$?([a-z]{1,5}(?:[.-][a-z])?)\b/gi;
+    let match;
+    while ((match = pattern.exec(message)) !== null) {
+      const symbol = match[1].toUpperCase();
+      if (!NON_SYMBOLS.has(symbol) && !SYMBOL_STOPWORDS.has(symbol)) return symbol;
+    }
+    return null;
+  }
+
+  // Periods shorter than the indicators need are stretched to three months
+  parsePeriod(lower) {
+    const period = intentService.extractPeriod(lower);
+    if (!period) return DEFAULTS.period;
+    return WARMUP_PERIOD[period] ? period : '3mo';
+  }
+}
+
+module.exports = new BacktestService();
+module.exports.STRATEGY_TYPES = STRATEGY_TYPES;
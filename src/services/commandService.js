@@ -0,0 +1,321 @@
+const aiService = require('./aiService');
+const marketService = require('./marketService');
+const watchlistService = require('./watchlistService');
+const portfolioService = require('./portfolioService');
+const comparisonService = require('./comparisonService');
+const intentHandlers = require('./intentHandlers');
+const symbolResolver = require('./symbolResolver');
+const { getHistoryStore } = require('../stores/history');
+const { DEFAULT_CONVERSATION_ID } = require('../stores/history/memoryHistoryStore');
+const HttpError = require('../utils/httpError');
+
+const COMMANDS = {
+  quote: { usage: '/quote <SYMBOL> [SYMBOL ...]', description: 'Live quotes for up to 10 symbols' },
+  watch: { usage: '/watch <SYMBOL> [above|below <price>]', description: 'Add a symbol to your watchlist, optionally with a price alert' },
+  unwatch: { usage: '/unwatch <SYMBOL>', description: 'Remove a symbol from your watchlist' },
+  watchlist: { usage: '/watchlist', description: 'Show your watchlist with live prices' },
+  buy: { usage: '/buy <quantity> <SYMBOL> [@ <price>]', description: 'Record a buy (uses the live price when none is given)' },
+  sell: { usage: '/sell <quantity> <SYMBOL> [@ <price>]', description: 'Record a sell (uses the live price when none is given)' },
+  portfolio: { usage: '/portfolio', description: 'Show your holdings and P&L' },
+  history: { usage: `/history <SYMBOL> [${marketService.HISTORY_PERIODS.join('|')}]`, description: 'Price history summary (default 1y)' },
+  analyze: { usage: '/analyze <SYMBOL> [technical|fundamental]', description: 'Indicator-based analysis (default technical)' },
+  compare: { usage: `/compare <SYMBOL> <SYMBOL> [...] [${comparisonService.COMPARISON_PERIODS.join('|')}]`, description: 'Side-by-side comparison of 2-10 symbols' },
+  market: { usage: '/market', description: 'Indices, sectors, movers and sentiment' },
+  clear: { usage: '/clear', description: 'Clear the chat history of this conversation' },
+  help: { usage: '/help [command]', description: 'List commands or show usage for one' }
+};
+
+const COMMAND_PATTERN = /^\s*\/([a-z]+)\b\s*(.*)$/is;
+
+// Deterministic "/command args" shortcuts typed in the chat box. Commands call
+// services directly and never reach the model; bad input gets usage help back.
+class CommandService {
+  isCommand(message) {
+    return typeof message === 'string' && /^\s*\/[a-z]/i.test(message);
+  }
+
+  parse(message) {
+    const match = message.match(COMMAND_PATTERN);
+    if (!match) {
+      throw new HttpError(400, 'Commands start with "/" followed by a name, e.g. /quote AAPL');
+    }
+
+    const name = match[1].toLowerCase();
+    if (!COMMANDS[name]) {
+      throw new HttpError(400, `Unknown command /${name}. Type /help for the list.`);
+    }
+
+    // Whitespace only: a comma may be a thousands separator ("/buy 10 AAPL @1,450")
+    return { name, args: match[2].trim().split(/\s+/).filter(Boolean) };
+  }
+
+  // Returns { success, command, text, type, data, suggestions } and, on failure,
+  // status (the HttpError status: 400 for bad input, 404/409 from the services,
+  // 502 without market data), error and usage. Errors without a status are real
+  // failures and are rethrown.
+  // options.conversationId is the thread the command was sent in
+  async execute(userId, message, options = {}) {
+    let command = null;
+    try {
+      command = this.parse(message);
+      console.log(`⌨️ Command /${command.name} ${command.args.join(' ')}`.trim());
+
+      const result = await this[`run${command.name[0].toUpperCase()}${command.name.slice(1)}`](userId, command.args, options);
+      return {
+        success: true,
+        command,
+        text: result.text,
+        type: result.type || 'command',
+        data: result.data === undefined ? null : result.data,
+        suggestions: result.suggestions || []
+      };
+
+    } catch (error) {
+      if (!error.status) throw error;
+
+      const usage = command ? COMMANDS[command.name].usage : null;
+      return {
+        success: false,
+        command,
+        text: `⚠️ ${error.message}${usage ? `\n\nUsage: \`${usage}\`` : ''}`,
+        type: 'command_error',
+        data: null,
+        suggestions: command ? [] : ['/help'],
+        status: error.status,
+        error: error.message,
+        usage
+      };
+    }
+  }
+
+  // Resolves a symbol argument, including aliases from the symbol directory ("/quote apple")
+  requireSymbol(arg) {
+    if (!arg) {
+      throw new HttpError(400, 'A symbol is required');
+    }
+
+    const { symbol, candidates } = symbolResolver.resolveToken(arg);
+    if (candidates.length > 0) {
+      throw new HttpError(400, `"${arg}" is ambiguous: ${candidates.map(candidate => `${candidate.symbol} (${candidate.name})`).join(', ')}`);
+    }
+    if (!symbol) {
+      throw new HttpError(400, `Invalid symbol: ${arg}`);
+    }
+    return symbol;
+  }
+
+  // Symbol lists may also be comma separated ("/quote AAPL, MSFT")
+  splitList(args) {
+    return args.flatMap(arg => arg.split(',')).filter(Boolean);
+  }
+
+  requirePrice(value, label = 'price') {
+    const price = Number(String(value).replace(/^[@$]+/, '').replace(/,/g, ''));
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new HttpError(400, `${label} must be a positive number`);
+    }
+    return price;
+  }
+
+  async runQuote(userId, args) {
+    const tokens = this.splitList(args);
+    if (tokens.length === 0 || tokens.length > 10) {
+      throw new HttpError(400, 'Give between 1 and 10 symbols');
+    }
+
+    const symbols = [...new Set(tokens.map(token => this.requireSymbol(token)))];
+    const { marketContext } = await intentHandlers.quote({ symbols });
+    const quotes = (marketContext ? marketContext.relevantData : []).map(quote => marketService.normalizeQuote(quote)).filter(Boolean);
+    if (quotes.length === 0) {
+      throw new HttpError(502, `No quote data available for ${symbols.join(', ')}`);
+    }
+
+    if (symbols.length === 1) {
+      const response = aiService.generateFormattedResponse(`/quote ${symbols[0]}`, { marketContext });
+      return { text: response.text, type: response.type, data: quotes, suggestions: [`/analyze ${symbols[0]}`, `/history ${symbols[0]} 6mo`, `/watch ${symbols[0]}`] };
+    }
+
+    let text = `📊 **Quotes**\n\n`;
+    text += quotes.map(quote => {
+      const changePercent = Number.isFinite(quote.changePercent) ? Number(quote.changePercent.toFixed(2)) : null;
+      return `• **${quote.symbol.toUpperCase()}** ${Number.isFinite(quote.price) ? `$${quote.price.toFixed(2)}` : 'N/A'} (${aiService.formatChange(changePercent)})`;
+    }).join('\n');
+    const missing = symbols.filter(symbol => !quotes.some(quote => quote.symbol.toUpperCase() === symbol));
+    if (missing.length > 0) text += `\n\n❔ Unavailable: ${missing.join(', ')}`;
+
+    return { text, type: 'stock_quote', data: quotes, suggestions: [`/compare ${symbols.slice(0, 3).join(' ')}`] };
+  }
+
+  async runWatch(userId, args) {
+    const symbol = this.requireSymbol(args[0]);
+    let alertType;
+    let alertPrice;
+
+    if (args.length > 1) {
+      alertType = args[1].toLowerCase();
+      if (!['above', 'below'].includes(alertType) || args.length !== 3) {
+        throw new HttpError(400, 'Alerts are written as "above <price>" or "below <price>"');
+      }
+      alertPrice = this.requirePrice(args[2], 'Alert price');
+    }
+
+    let item;
+    let updated = false;
+    try {
+      item = await watchlistService.addSymbol(userId, { symbol, alertPrice, alertType });
+    } catch (error) {
+      // Re-watching a listed symbol with an alert updates the alert instead
+      if (error.status !== 409 || !alertType) throw error;
+      item = await watchlistService.updateAlert(userId, symbol, { alertPrice, alertType });
+      updated = true;
+    }
+
+    const alert = item.alertType !== 'none' ? ` with an alert ${item.alertType} $${item.alertPrice}` : '';
+    return {
+      text: updated ? `🔔 Updated the ${symbol} alert: ${item.alertType} $${item.alertPrice}` : `👀 Added **${symbol}** to your watchlist${alert}`,
+      data: item,
+      suggestions: ['/watchlist', `/quote ${symbol}`]
+    };
+  }
+
+  async runUnwatch(userId, args) {
+    const symbol = this.requireSymbol(args[0]);
+    await watchlistService.removeSymbol(userId, symbol);
+    return { text: `🗑️ Removed **${symbol}** from your watchlist`, data: { symbol, removed: true }, suggestions: ['/watchlist'] };
+  }
+
+  async runWatchlist(userId) {
+    const context = await intentHandlers.watchlist(userId);
+    const response = aiService.generateWatchlistResponse(context);
+    return { text: response.text, type: response.type, data: context.watchlist, suggestions: response.suggestions };
+  }
+
+  async runBuy(userId, args) {
+    return this.recordTrade(userId, 'buy', args);
+  }
+
+  async runSell(userId, args) {
+    return this.recordTrade(userId, 'sell', args);
+  }
+
+  // Accepts "10 NVDA @ 450", "10 NVDA @450", "10 NVDA at 450" and "NVDA 10"
+  async recordTrade(userId, type, args) {
+    const tokens = [...args];
+    let priceArg = null;
+
+    const atIndex = tokens.findIndex(token => token === '@' || token.toLowerCase() === 'at' || /^@\S/.test(token));
+    if (atIndex !== -1) {
+      const joined = tokens[atIndex].length > 1 && tokens[atIndex].startsWith('@');
+      priceArg = joined ? tokens[atIndex] : tokens[atIndex + 1];
+      if (priceArg === undefined) {
+        throw new HttpError(400, 'A price is required after "@"');
+      }
+      tokens.splice(atIndex, joined ? 1 : 2);
+    }
+
+    const quantityIndex = tokens.findIndex(token => /^\d+(\.\d+)?$/.test(token));
+    if (quantityIndex === -1 || tokens.length !== 2) {
+      throw new HttpError(400, 'Give a quantity and a symbol');
+    }
+    const quantity = Number(tokens[quantityIndex]);
+    const symbol = this.requireSymbol(tokens[1 - quantityIndex]);
+
+    let price;
+    if (priceArg !== null) {
+      price = this.requirePrice(priceArg);
+    } else {
+      const [quote] = await marketService.getMultipleQuotes([symbol]);
+      price = quote ? marketService.normalizeQuote(quote).price : null;
+      if (!Number.isFinite(price) || price <= 0) {
+        throw new HttpError(502, `No live price for ${symbol}; give one with "@ <price>"`);
+      }
+    }
+
+    const result = await portfolioService.recordTransaction(userId, { type, symbol, quantity, price });
+    const position = result.position;
+    let text = `✅ ${type === 'buy' ? 'Bought' : 'Sold'} ${quantity} **${symbol}** @ $${price.toFixed(2)}${priceArg === null ? ' (live price)' : ''}`;
+    text += position && position.quantity > 0
+      ? `\n\n💼 Position: ${position.quantity} shares, average cost $${position.averageCost}`
+      : `\n\n💼 Position closed${position ? `, realized P&L $${position.realizedPnL}` : ''}`;
+
+    return { text, data: result, suggestions: ['/portfolio', `/quote ${symbol}`] };
+  }
+
+  async runPortfolio(userId) {
+    const context = await intentHandlers.portfolio(userId);
+    const response = aiService.generatePortfolioResponse(context);
+    return { text: response.text, type: response.type, data: context.portfolio, suggestions: response.suggestions };
+  }
+
+  async runHistory(userId, args) {
+    const symbol = this.requireSymbol(args[0]);
+    const period = args[1] ? args[1].toLowerCase() : '1y';
+    if (!marketService.HISTORY_PERIODS.includes(period) || args.length > 2) {
+      throw new HttpError(400, `Period must be one of: ${marketService.HISTORY_PERIODS.join(', ')}`);
+    }
+
+    const context = await intentHandlers.history({ symbols: [symbol], period });
+    const response = aiService.generatePriceHistoryResponse(context);
+    return { text: response.text, type: response.type, data: context.priceHistory, suggestions: [`/analyze ${symbol}`, `/history ${symbol} 5y`] };
+  }
+
+  async runAnalyze(userId, args) {
+    const symbol = this.requireSymbol(args[0]);
+    const analysisType = args[1] ? args[1].toLowerCase() : 'technical';
+    if (!['technical', 'fundamental'].includes(analysisType) || args.length > 2) {
+      throw new HttpError(400, 'Analysis type must be technical or fundamental');
+    }
+
+    const context = await intentHandlers.analysis({ symbols: [symbol], analysisType }, { skipLLM: true });
+    const { text, ...data } = context.analysis;
+    return {
+      text,
+      type: 'analysis',
+      data,
+      suggestions: [`/analyze ${symbol} ${analysisType === 'technical' ? 'fundamental' : 'technical'}`, `/history ${symbol} 1y`]
+    };
+  }
+
+  async runCompare(userId, args) {
+    const tokens = this.splitList(args);
+    const last = tokens.length > 0 ? tokens[tokens.length - 1].toLowerCase() : null;
+    const period = comparisonService.COMPARISON_PERIODS.includes(last) ? tokens.pop().toLowerCase() : '1y';
+    if (tokens.length < 2 || tokens.length > 10) {
+      throw new HttpError(400, 'Give between 2 and 10 symbols');
+    }
+
+    const symbols = tokens.map(token => this.requireSymbol(token));
+    const context = await intentHandlers.compare({ symbols, period });
+    const response = aiService.generateComparisonResponse(context);
+    return { text: response.text, type: response.type, data: context.comparison, suggestions: response.suggestions };
+  }
+
+  async runMarket() {
+    const context = await intentHandlers.marketSummary();
+    const response = aiService.generateMarketOverviewResponse(context);
+    return { text: response.text, type: response.type, data: context.marketOverview, suggestions: ['/quote SPY QQQ DIA'] };
+  }
+
+  async runClear(userId, args, { conversationId } = {}) {
+    const store = await getHistoryStore();
+    const hadHistory = await store.clear(userId, conversationId || DEFAULT_CONVERSATION_ID);
+    return {
+      text: hadHistory ? '🧹 Chat history cleared' : '🧹 There was no chat history to clear',
+      data: { cleared: hadHistory }
+    };
+  }
+
+  async runHelp(userId, args) {
+    const name = args[0] ? args[0].replace(/^\//, '').toLowerCase() : null;
+    if (name && !COMMANDS[name]) {
+      throw new HttpError(400, `Unknown command /${name}`);
+    }
+
+    const names = name ? [name] : Object.keys(COMMANDS);
+    const text = `⌨️ **Commands**\n\n${names.map(key => `• \`${COMMANDS[key].usage}\` - ${COMMANDS[key].description}`).join('\n')}`;
+    return { text, data: names.map(key => ({ name: key, ...COMMANDS[key] })), suggestions: ['/quote AAPL MSFT', '/market'] };
+  }
+}
+
+module.exports = new CommandService();
+module.exports.COMMANDS = COMMANDS;
@@ -0,0 +1,185 @@
+const marketService = require('./marketService');
+const HttpError = require('../utils/httpError');
+const { round } = require('../utils/indicators');
+
+const MIN_SYMBOLS = 2;
+const MAX_SYMBOLS = 10;
+const COMPARISON_PERIODS = ['1mo', '3mo', '6mo', 'ytd', '1y', '2y', '5y'];
+const MAX_PERFORMANCE_POINTS = 120;
+
+const num = value => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+// Side-by-side comparison of 2-10 symbols: quote table, relative performance
+// rebased to 100 and a correlation matrix of daily returns
+class ComparisonService {
+  parseSymbols(input) {
+    const list = Array.isArray(input) ? input : String(input || '').split(/[\s,]+/);
+    return [...new Set(list.map(symbol => marketService.normalizeSymbol(symbol)).filter(Boolean))];
+  }
+
+  async compare(input, options = {}) {
+    const symbols = this.parseSymbols(input);
+    const period = options.period || '1y';
+
+    if (symbols.length < MIN_SYMBOLS || symbols.length > MAX_SYMBOLS) {
+      throw new HttpError(400, `Provide between ${MIN_SYMBOLS} and ${MAX_SYMBOLS} valid symbols`);
+    }
+    if (!COMPARISON_PERIODS.includes(period)) {
+      throw new HttpError(400, `Invalid period. Use one of: ${COMPARISON_PERIODS.join(', ')}`);
+    }
+
+    // One batched quote request; histories are fetched per symbol and a failure
+    // only drops that symbol from the performance and correlation sections
+    const [quotes, histories] = await Promise.all([
+      marketService.getMultipleQuotes(symbols, { signal: options.signal }).catch(() => []),
+      Promise.all(symbols.map(symbol =>
+        marketService.getHistoricalData(symbol, { period, adjusted: true, signal: options.signal }).catch(error => {
+          console.warn(`⚠️ Comparison history unavailable for ${symbol}:`, error.message);
+          return null;
+        })
+      ))
+    ]);
+
+    const table = symbols.map(symbol => {
+      const quote = quotes.find(entry => entry && entry.symbol && entry.symbol.toUpperCase() === symbol);
+      return quote ? this.buildRow(quote) : null;
+    }).filter(Boolean);
+
+    const series = {};
+    histories.forEach((history, index) => {
+      if (history && history.bars.length > 1) series[symbols[index]] = history.bars;
+    });
+
+    const aligned = this.alignCloses(series);
+    const performance = this.buildPerformance(aligned, period);
+    const correlation = this.buildCorrelation(aligned);
+
+    const found = new Set([...table.map(row => row.symbol), ...Object.keys(series)]);
+    if (found.size === 0) {
+      throw new HttpError(502, 'Market data unavailable for the requested symbols');
+    }
+
+    return {
+      symbols,
+      period,
+      table,
+      performance,
+      correlation,
+      unavailable: symbols.filter(symbol => !found.has(symbol)),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Works with raw yahoo quotes and getStockData's fallback shape
+  buildRow(quote) {
+    const price = num(quote.regularMarketPrice ?? quote.price);
+    const high = num(quote.fiftyTwoWeekHigh) || null;
+    const low = num(quote.fiftyTwoWeekLow) || null;
+    const dividendYield = num(quote.trailingAnnualDividendYield);
+
+    return {
+      symbol: quote.symbol.toUpperCase(),
+      name: quote.shortName || quote.longName || quote.name || quote.symbol,
+      price,
+      change: num(quote.regularMarketChange ?? quote.change),
+      changePercent: round(num(quote.regularMarketChangePercent ?? quote.changePercent), 2),
+      marketCap: num(quote.marketCap) || null,
+      trailingPE: round(num(quote.trailingPE ?? quote.pe), 2),
+      forwardPE: round(num(quote.forwardPE), 2),
+      priceToBook: round(num(quote.priceToBook), 2),
+      dividendYieldPercent: dividendYield !== null ? round(dividendYield * 100, 2) : null,
+      fiftyTwoWeekHigh: high,
+      fiftyTwoWeekLow: low,
+      // 0 = at the 52-week low, 100 = at the 52-week high
+      fiftyTwoWeekPosition: price !== null && high !== null && low !== null && high > low
+        ? round(((price - low) / (high - low)) * 100, 1)
+        : null,
+      fromHighPercent: price !== null && high ? round(((price - high) / high) * 100, 2) : null
+    };
+  }
+
+  // Closes keyed by symbol on the trading days every series shares
+  alignCloses(series) {
+    const symbols = Object.keys(series);
+    if (symbols.length === 0) return { symbols, dates: [], closes: {} };
+
+    const byDate = symbols.map(symbol => new Map(series[symbol].map(bar => [bar.date.slice(0, 10), bar.close])));
+    const dates = [...byDate[0].keys()].filter(date => byDate.every(map => map.has(date))).sort();
+
+    const closes = {};
+    symbols.forEach((symbol, index) => {
+      closes[symbol] = dates.map(date => byDate[index].get(date));
+    });
+
+    return { symbols, dates, closes };
+  }
+
+  buildPerformance({ symbols, dates, closes }, period) {
+    if (dates.length < 2) return null;
+
+    const step = Math.max(1, Math.ceil(dates.length / MAX_PERFORMANCE_POINTS));
+    const points = [];
+    dates.forEach((date, i) => {
+      if (i % step !== 0 && i !== dates.length - 1) return;
+      const point = { date };
+      symbols.forEach(symbol => {
+        point[symbol] = round((closes[symbol][i] / closes[symbol][0]) * 100, 2);
+      });
+      points.push(point);
+    });
+
+    const returns = {};
+    symbols.forEach(symbol => {
+      returns[symbol] = round((closes[symbol][dates.length - 1] / closes[symbol][0] - 1) * 100, 2);
+    });
+    const ranked = [...symbols].sort((a, b) => returns[b] - returns[a]);
+
+    return {
+      period,
+      start: dates[0],
+      end: dates[dates.length - 1],
+      base: 100,
+      totalReturnPercent: returns,
+      best: ranked[0],
+      worst: ranked[ranked.length - 1],
+      points
+    };
+  }
+
+  buildCorrelation({ symbols, dates, closes }) {
+    if (symbols.length < 2 || dates.length < 3) return null;
+
+    const returns = {};
+    const volatility = {};
+    symbols.forEach(symbol => {
+      returns[symbol] = closes[symbol].slice(1).map((close, i) => close / closes[symbol][i] - 1);
+      volatility[symbol] = round(this.stdDev(returns[symbol]) * Math.sqrt(252) * 100, 2);
+    });
+
+    const matrix = symbols.map(a => symbols.map(b => (a === b ? 1 : round(this.pearson(returns[a], returns[b]), 3))));
+
+    return { symbols, observations: dates.length - 1, matrix, annualizedVolatilityPercent: volatility };
+  }
+
+  stdDev(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(values.length - 1, 1));
+  }
+
+  pearson(a, b) {
+    const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+    const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = 0; i < a.length; i++) {
+      covariance += (a[i] - meanA) * (b[i] - meanB);
+      varianceA += (a[i] - meanA) ** 2;
+      varianceB += (b[i] - meanB) ** 2;
+    }
+    return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : null;
+  }
+}
+
+module.exports = new ComparisonService();
+module.exports.COMPARISON_PERIODS = COMPARISON_PERIODS;
@@ -0,0 +1,276 @@
+const aiService = require('./aiService');
+const { getHistoryStore } = require('../stores/history');
+
+// Recent turns are sent verbatim; anything older is folded into a rolling
+// summary, MEMORY_SUMMARY_BATCH messages at a time. The prompt memory
+// (facts, summary, recent turns) is kept within MEMORY_TOKEN_BUDGET.
+const MEMORY_DEFAULTS = {
+  recentMessages: 10,
+  summaryBatch: 10,
+  tokenBudget: 1500,
+  maxFacts: 20,
+  maxSymbols: 10,
+  maxSummaryChars: 1500,
+  // Follow-ups stop inheriting symbols after this much quiet time
+  activeContextMinutes: 30
+};
+
+// Facts worth carrying for the whole conversation. A newer fact with the same
+// key replaces the older one ("my budget is $5k" then "actually $8k").
+const FACT_PATTERNS = [
+  { kind: 'note', pattern: /\bremember (?:that )?(.{3,200}?)[.!?]*$/i, key: () => null },
+  { kind: 'holding', pattern: /\bi (?:own|hold|have|bought)\s+([\d,.]+)\s+(?:shares? of\s+|units? of\s+)?\$?([A-Za-z][A-Za-z.\-]{0,9})\b/i, key: match => `holding:${match[2].toUpperCase()}` },
+  { kind: 'budget', pattern: /\bi have\s+(\$[\d,.]+\s*[km]?|[\d,.]+\s*(?:k|dollars|usd))\b.*\b(?:invest|spend|put)/i, key: () => 'budget' },
+  { kind: 'budget', pattern: /\bmy budget is\s+(\$?[\d,.]+\s*[km]?)/i, key: () => 'budget' },
+  { kind: 'goal', pattern: /\b(?:my goal is|i(?:'m| am) saving for|i want to save for)\s+(.{3,120}?)[.!?]*$/i, key: () => 'goal' },
+  { kind: 'horizon', pattern: /\b(?:for|over|within) (?:the next )?(\d+\s*(?:years?|months?))\b/i, key: () => 'horizon', requires: /\b(invest|hold|retire|save|horizon|plan)/i },
+  { kind: 'risk', pattern: /\bi(?:'m| am) (?:a )?(very )?(conservative|cautious|aggressive|risk[- ]averse)\b/i, key: () => 'risk' }
+];
+
+// Rough token count (about 4 characters per token for English prose)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function toTime(value) {
+  return value ? new Date(value).getTime() : 0;
+}
+
+class ConversationMemoryService {
+  constructor() {
+    this.config = {
+      recentMessages: parseInt(process.env.MEMORY_RECENT_MESSAGES, 10) || MEMORY_DEFAULTS.recentMessages,
+      summaryBatch: parseInt(process.env.MEMORY_SUMMARY_BATCH, 10) || MEMORY_DEFAULTS.summaryBatch,
+      tokenBudget: parseInt(process.env.MEMORY_TOKEN_BUDGET, 10) || MEMORY_DEFAULTS.tokenBudget,
+      maxFacts: parseInt(process.env.MEMORY_MAX_FACTS, 10) || MEMORY_DEFAULTS.maxFacts,
+      maxSymbols: MEMORY_DEFAULTS.maxSymbols,
+      maxSummaryChars: MEMORY_DEFAULTS.maxSummaryChars,
+      activeContextMinutes: parseInt(process.env.MEMORY_ACTIVE_CONTEXT_MINUTES, 10) || MEMORY_DEFAULTS.activeContextMinutes
+    };
+    // Users with a summary being written, so overlapping replies don't summarize twice
+    this.summarizing = new Set();
+  }
+
+  emptyMemory() {
+    return {
+      summary: '',
+      summarySource: null,
+      summarizedThrough: null,
+      summarizedMessages: 0,
+      symbols: [],
+      activeSymbols: [],
+      activeSymbolsAt: null,
+      facts: [],
+      updatedAt: new Date()
+    };
+  }
+
+  async getMemory(userId, conversationId) {
+    const store = await getHistoryStore();
+    const memory = await store.getMemory(userId, conversationId);
+    return memory ? { ...this.emptyMemory(), ...memory } : this.emptyMemory();
+  }
+
+  // Call after the exchange is in the history store. Symbols and facts are
+  // saved right away; the summary catches up in the background. symbols are
+  // the ones this turn was about (stated or inherited); resetContext clears
+  // the active set after a change of topic. Each conversation thread has its
+  // own memory.
+  async recordExchange(userId, message, response, { symbols = [], resetContext = false, conversationId } = {}) {
+    const store = await getHistoryStore();
+    const memory = await this.getMemory(userId, conversationId);
+
+    this.trackSymbols(memory, symbols);
+    this.updateActiveSymbols(memory, symbols, resetContext);
+    this.extractFacts(message).forEach(fact => this.pinFact(memory, fact));
+    memory.updatedAt = new Date();
+    await store.saveMemory(userId, memory, conversationId);
+
+    this.summarizeIfNeeded(userId, conversationId).catch(error => {
+      console.error(`⚠️ Conversation summary failed for ${userId}:`, error.message);
+    });
+
+    return memory;
+  }
+
+  trackSymbols(memory, symbols) {
+    const now = new Date();
+    symbols.forEach(symbol => {
+      const existing = memory.symbols.find(entry => entry.symbol === symbol);
+      if (existing) {
+        existing.mentions++;
+        existing.lastMentionedAt = now;
+      } else {
+        memory.symbols.push({ symbol, mentions: 1, lastMentionedAt: now });
+      }
+    });
+
+    // Most recently discussed first
+    memory.symbols.sort((a, b) => toTime(b.lastMentionedAt) - toTime(a.lastMentionedAt));
+    memory.symbols = memory.symbols.slice(0, this.config.maxSymbols);
+  }
+
+  // The symbol set follow-ups refer to: replaced by each turn that names
+  // symbols, kept by turns that don't
+  updateActiveSymbols(memory, symbols, reset) {
+    if (reset) {
+      memory.activeSymbols = [];
+      memory.activeSymbolsAt = null;
+    } else if (symbols.length > 0) {
+      memory.activeSymbols = symbols.slice(0, this.config.maxSymbols);
+      memory.activeSymbolsAt = new Date();
+    }
+  }
+
+  getActiveSymbols(memory) {
+    const maxAge = this.config.activeContextMinutes * 60 * 1000;
+    if (!memory.activeSymbolsAt || Date.now() - toTime(memory.activeSymbolsAt) > maxAge) return [];
+    return memory.activeSymbols || [];
+  }
+
+  extractFacts(message) {
+    const facts = [];
+    const text = message.trim();
+
+    FACT_PATTERNS.forEach(({ kind, pattern, key, requires }) => {
+      if (requires && !requires.test(text)) return;
+      const match = text.match(pattern);
+      if (!match) return;
+      // A note keeps the user's own words; other facts keep the sentence they came from
+      const sentence = kind === 'note' ? match[1] : this.sentenceAround(text, match.index);
+      facts.push({ key: key(match), kind, text: sentence.substring(0, 200) });
+    });
+
+    return facts;
+  }
+
+  sentenceAround(text, index) {
+    const start = Math.max(text.lastIndexOf('.', index), text.lastIndexOf('?', index), text.lastIndexOf('!', index)) + 1;
+    const end = text.slice(index).search(/[.!?](\s|$)/);
+    return text.slice(start, end === -1 ? text.length : index + end + 1).trim();
+  }
+
+  pinFact(memory, fact) {
+    const existing = fact.key ? memory.facts.findIndex(entry => entry.key === fact.key) : -1;
+    if (existing !== -1) memory.facts.splice(existing, 1);
+    if (memory.facts.some(entry => entry.text === fact.text)) return;
+
+    memory.facts.push({ ...fact, createdAt: new Date() });
+    // Oldest facts go first once the cap is reached
+    memory.facts = memory.facts.slice(-this.config.maxFacts);
+  }
+
+  // Folds messages that have left the recent window into the summary, once
+  // at least a batch of them has built up
+  async summarizeIfNeeded(userId, conversationId) {
+    const key = `${userId}:${conversationId || ''}`;
+    if (this.summarizing.has(key)) return null;
+    this.summarizing.add(key);
+
+    try {
+      const store = await getHistoryStore();
+      const memory = await this.getMemory(userId, conversationId);
+      const history = await store.getHistory(userId, store.maxMessages, conversationId);
+      const unsummarized = history.filter(entry => toTime(entry.timestamp) > toTime(memory.summarizedThrough));
+
+      const overflow = unsummarized.length - this.config.recentMessages;
+      if (overflow < this.config.summaryBatch) return null;
+
+      // Whole exchanges only: a user message and its reply share a timestamp
+      const batch = unsummarized.slice(0, overflow - (overflow % 2));
+      const summary = await this.buildSummary(memory.summary, batch);
+
+      // Re-read so facts and symbols saved while the LLM was working survive
+      const latest = await this.getMemory(userId, conversationId);
+      latest.summary = summary.text;
+      latest.summarySource = summary.source;
+      latest.summarizedThrough = batch[batch.length - 1].timestamp;
+      latest.summarizedMessages += batch.length;
+      latest.updatedAt = new Date();
+      await store.saveMemory(userId, latest, conversationId);
+
+      console.log(`🧠 Summarized ${batch.length} older messages for ${userId} (${summary.source})`);
+      return latest;
+    } finally {
+      this.summarizing.delete(key);
+    }
+  }
+
+  async buildSummary(previousSummary, messages) {
+    const text = await aiService.summarizeConversation(previousSummary, messages, this.config.maxSummaryChars);
+    if (text) {
+      return { text: text.substring(0, this.config.maxSummaryChars), source: 'llm' };
+    }
+    return { text: this.extractiveSummary(previousSummary, messages), source: 'extractive' };
+  }
+
+  // One bullet per exchange: the question and the first sentence of the answer.
+  // The oldest bullets are dropped once the summary gets too long.
+  extractiveSummary(previousSummary, messages) {
+    const lines = previousSummary ? previousSummary.split('\n').filter(Boolean) : [];
+
+    for (let i = 0; i < messages.length; i += 2) {
+      const question = this.firstSentence(messages[i].content, 120);
+      const answer = messages[i + 1] ? this.firstSentence(messages[i + 1].content, 160) : '';
+      lines.push(`- User asked: ${question}${answer ? ` → ${answer}` : ''}`);
+    }
+
+    while (lines.length > 1 && lines.join('\n').length > this.config.maxSummaryChars) {
+      lines.shift();
+    }
+    return lines.join('\n');
+  }
+
+  // First sentence of the first non-empty line, without markdown
+  firstSentence(text, maxLength) {
+    const line = (text || '').split('\n').map(part => part.replace(/[*_#`>]/g, '').trim()).find(Boolean) || '';
+    const match = line.match(/^.+?[.!?](\s|$)/);
+    const sentence = match ? match[0].trim() : line;
+    return sentence.length > maxLength ? `${sentence.substring(0, maxLength - 3)}...` : sentence;
+  }
+
+  // { summary, facts, symbols, activeSymbols, recentTurns, tokens } within the token budget.
+  // Facts are pinned and always included. The summary may take up to half of
+  // what is left, recent turns fill the rest (newest first, returned oldest
+  // first) and the summary gets back whatever they don't use.
+  async getPromptMemory(userId, conversationId) {
+    const store = await getHistoryStore();
+    const memory = await this.getMemory(userId, conversationId);
+    const history = await store.getHistory(userId, this.config.recentMessages + this.config.summaryBatch, conversationId);
+    const unsummarized = history.filter(entry => toTime(entry.timestamp) > toTime(memory.summarizedThrough));
+
+    const facts = memory.facts.map(fact => fact.text);
+    const symbols = memory.symbols.map(entry => entry.symbol);
+    let tokens = estimateTokens(facts.join('\n')) + estimateTokens(symbols.join(', '));
+
+    const remaining = Math.max(0, this.config.tokenBudget - tokens);
+    const summaryReserve = Math.min(estimateTokens(memory.summary), Math.floor(remaining / 2));
+
+    const recentTurns = [];
+    let turnTokens = 0;
+    for (const entry of unsummarized.slice(-this.config.recentMessages).reverse()) {
+      const cost = estimateTokens(entry.content);
+      if (turnTokens + cost > remaining - summaryReserve) break;
+      recentTurns.unshift(entry);
+      turnTokens += cost;
+    }
+
+    const summary = this.fitSummary(memory.summary, remaining - turnTokens);
+    tokens += turnTokens + estimateTokens(summary);
+
+    return { summary, facts, symbols, activeSymbols: this.getActiveSymbols(memory), recentTurns, tokens };
+  }
+
+  // Drops the oldest summary lines until it fits in maxTokens
+  fitSummary(summary, maxTokens) {
+    const lines = (summary || '').split('\n').filter(Boolean);
+    while (lines.length > 0 && estimateTokens(lines.join('\n')) > maxTokens) {
+      lines.shift();
+    }
+    return lines.join('\n');
+  }
+}
+
+module.exports = new ConversationMemoryService();
+module.exports.MEMORY_DEFAULTS = MEMORY_DEFAULTS;
+module.exports.estimateTokens = estimateTokens;
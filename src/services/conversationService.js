@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { getHistoryStore } = require('../stores/history');
+const { DEFAULT_CONVERSATION_ID } = require('../stores/history/memoryHistoryStore');
+const HttpError = require('../utils/httpError');
+
+const MAX_CONVERSATIONS = 50;
+const MAX_TITLE_LENGTH = 100;
+const DEFAULT_TITLE = 'General';
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Conversation threads per user. Each thread has its own history and memory in
+// the history store; clients that send no conversationId use the default thread,
+// which always exists and can be renamed but not archived or deleted.
+class ConversationService {
+  async createConversation(userId, { title } = {}) {
+    const store = await getHistoryStore();
+    const threads = await store.listThreads(userId);
+    if (threads.filter(thread => thread.conversationId !== DEFAULT_CONVERSATION_ID).length >= MAX_CONVERSATIONS) {
+      throw new HttpError(409, `Conversation limit reached (${MAX_CONVERSATIONS}); delete or reuse an old one`);
+    }
+
+    const now = new Date();
+    const thread = await store.saveThread(userId, {
+      conversationId: crypto.randomUUID(),
+      title: title === undefined || title === null ? null : this.validateTitle(title),
+      archived: false,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    console.log(`🗂️ Conversation ${thread.conversationId} created for ${userId}`);
+    return this.formatConversation(thread, []);
+  }
+
+  // Most recently active first; archived threads only when asked for
+  async listConversations(userId, { includeArchived = false } = {}) {
+    const store = await getHistoryStore();
+    const threads = await store.listThreads(userId);
+    if (!threads.some(thread => thread.conversationId === DEFAULT_CONVERSATION_ID)) {
+      threads.unshift(this.defaultThread());
+    }
+
+    const conversations = await Promise.all(threads
+      .filter(thread => includeArchived || !thread.archived)
+      .map(async thread => this.formatConversation(thread, await store.getHistory(userId, 1, thread.conversationId))));
+
+    return conversations.sort((a, b) => this.activityTime(b) - this.activityTime(a));
+  }
+
+  async getConversation(userId, conversationId) {
+    const thread = await this.requireConversation(userId, conversationId);
+    const store = await getHistoryStore();
+    return this.formatConversation(thread, await store.getHistory(userId, 1, thread.conversationId));
+  }
+
+  // Rename and/or archive: only the fields present in data change
+  async updateConversation(userId, conversationId, data = {}) {
+    const thread = await this.requireConversation(userId, conversationId);
+    const updates = {};
+
+    if (data.title !== undefined) {
+      updates.title = this.validateTitle(data.title);
+    }
+    if (data.archived !== undefined) {
+      if (typeof data.archived !== 'boolean') {
+        throw new HttpError(400, 'archived must be true or false');
+      }
+      if (data.archived && thread.conversationId === DEFAULT_CONVERSATION_ID) {
+        throw new HttpError(400, 'The default conversation cannot be archived');
+      }
+      updates.archived = data.archived;
+    }
+    if (Object.keys(updates).length === 0) {
+      throw new HttpError(400, 'Nothing to update (expected title and/or archived)');
+    }
+
+    const store = await getHistoryStore();
+    const saved = await store.saveThread(userId, { ...thread, ...updates, updatedAt: new Date() });
+    return this.formatConversation(saved, await store.getHistory(userId, 1, saved.conversationId));
+  }
+
+  async deleteConversation(userId, conversationId) {
+    if (conversationId === DEFAULT_CONVERSATION_ID) {
+      throw new HttpError(400, 'The default conversation cannot be deleted; clear its history instead');
+    }
+    await this.requireConversation(userId, conversationId);
+
+    const store = await getHistoryStore();
+    await store.deleteThread(userId, conversationId);
+    console.log(`🗑️ Conversation ${conversationId} deleted for ${userId}`);
+    return true;
+  }
+
+  // The thread a chat message goes to. Archived threads must be reopened first.
+  async resolveForMessage(userId, conversationId) {
+    if (conversationId === undefined || conversationId === null || conversationId === '') {
+      return DEFAULT_CONVERSATION_ID;
+    }
+
+    const thread = await this.requireConversation(userId, conversationId);
+    if (thread.archived) {
+      throw new HttpError(409, 'Conversation is archived; unarchive it to continue');
+    }
+    return thread.conversationId;
+  }
+
+  // Names an untitled thread after its first message
+  async titleFromMessage(userId, conversationId, message) {
+    // The default thread stays "General" unless renamed
+    if (conversationId === DEFAULT_CONVERSATION_ID) return;
+
+    const store = await getHistoryStore();
+    const thread = await store.getThread(userId, conversationId);
+    if (!thread || thread.title) return;
+
+    const title = message.replace(/\s+/g, ' ').trim();
+    await store.saveThread(userId, {
+      ...thread,
+      title: title.length > 60 ? `${title.substring(0, 57)}...` : title,
+      updatedAt: new Date()
+    });
+  }
+
+  async requireConversation(userId, conversationId) {
+    if (typeof conversationId !== 'string' || !CONVERSATION_ID_PATTERN.test(conversationId)) {
+      throw new HttpError(400, 'Invalid conversationId');
+    }
+
+    const store = await getHistoryStore();
+    const thread = await store.getThread(userId, conversationId);
+    if (thread) return thread;
+    if (conversationId === DEFAULT_CONVERSATION_ID) return this.defaultThread();
+
+    throw new HttpError(404, `Conversation ${conversationId} not found`);
+  }
+
+  // Removes every thread of a user (profile deletion)
+  async deleteAllConversations(userId) {
+    const store = await getHistoryStore();
+    const threads = await store.listThreads(userId);
+    for (const thread of threads) {
+      await store.deleteThread(userId, thread.conversationId);
+    }
+    await store.clear(userId);
+  }
+
+  validateTitle(title) {
+    if (typeof title !== 'string' || title.trim().length === 0) {
+      throw new HttpError(400, 'Title must be a non-empty string');
+    }
+    if (title.trim().length > MAX_TITLE_LENGTH) {
+      throw new HttpError(400, `Title too long (max ${MAX_TITLE_LENGTH} characters)`);
+    }
+    return title.trim();
+  }
+
+  defaultThread() {
+    return {
+      conversationId: DEFAULT_CONVERSATION_ID,
+      title: null,
+      archived: false,
+      createdAt: null,
+      updatedAt: null
+    };
+  }
+
+  formatConversation(thread, lastMessages) {
+    const lastMessage = lastMessages[lastMessages.length - 1];
+    return {
+      conversationId: thread.conversationId,
+      title: thread.title || (thread.conversationId === DEFAULT_CONVERSATION_ID ? DEFAULT_TITLE : 'New conversation'),
+      archived: !!thread.archived,
+      isDefault: thread.conversationId === DEFAULT_CONVERSATION_ID,
+      createdAt: thread.createdAt,
+      lastActivityAt: lastMessage ? lastMessage.timestamp : thread.updatedAt || thread.createdAt
+    };
+  }
+
+  activityTime(conversation) {
+    return conversation.lastActivityAt ? new Date(conversation.lastActivityAt).getTime() : 0;
+  }
+}
+
+module.exports = new ConversationService();
+module.exports.DEFAULT_CONVERSATION_ID = DEFAULT_CONVERSATION_ID;
+module.exports.MAX_CONVERSATIONS = MAX_CONVERSATIONS;
+module.exports.MAX_TITLE_LENGTH = MAX_TITLE_LENGTH;
@@ -0,0 +1,143 @@
+const num = value => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+// Thresholds for rating each metric. For higher-is-better metrics a value at or
+// above `strong` is strong and below `weak` is weak; lower-is-better metrics
+// flip that, and a non-positive multiple (negative earnings) always rates weak.
+const METRICS = [
+  { key: 'trailingPE', label: 'P/E (TTM)', category: 'valuation', format: 'ratio', higherIsBetter: false, strong: 15, weak: 25 },
+  { key: 'forwardPE', label: 'Forward P/E', category: 'valuation', format: 'ratio', higherIsBetter: false, strong: 15, weak: 25 },
+  { key: 'pegRatio', label: 'PEG', category: 'valuation', format: 'ratio', higherIsBetter: false, strong: 1, weak: 2 },
+  { key: 'priceToBook', label: 'P/B', category: 'valuation', format: 'ratio', higherIsBetter: false, strong: 1.5, weak: 4 },
+  { key: 'freeCashflowYield', label: 'FCF yield', category: 'valuation', format: 'percent', higherIsBetter: true, strong: 0.05, weak: 0.02 },
+  { key: 'grossMargin', label: 'Gross margin', category: 'profitability', format: 'percent', higherIsBetter: true, strong: 0.4, weak: 0.2 },
+  { key: 'operatingMargin', label: 'Operating margin', category: 'profitability', format: 'percent', higherIsBetter: true, strong: 0.15, weak: 0.05 },
+  { key: 'profitMargin', label: 'Net margin', category: 'profitability', format: 'percent', higherIsBetter: true, strong: 0.15, weak: 0.05 },
+  { key: 'returnOnEquity', label: 'ROE', category: 'profitability', format: 'percent', higherIsBetter: true, strong: 0.15, weak: 0.08 },
+  { key: 'debtToEquity', label: 'Debt/Equity', category: 'leverage', format: 'multiple', higherIsBetter: false, strong: 0.5, weak: 1.5, allowZero: true },
+  { key: 'currentRatio', label: 'Current ratio', category: 'leverage', format: 'ratio', higherIsBetter: true, strong: 1.5, weak: 1 },
+  { key: 'revenueGrowth', label: 'Revenue growth (YoY)', category: 'growth', format: 'percent', higherIsBetter: true, strong: 0.1, weak: 0 },
+  { key: 'earningsGrowth', label: 'Earnings growth (YoY)', category: 'growth', format: 'percent', higherIsBetter: true, strong: 0.1, weak: 0 }
+];
+
+const CATEGORIES = ['valuation', 'profitability', 'leverage', 'growth'];
+const RATING_POINTS = { strong: 2, fair: 1, weak: 0 };
+
+// Scores a company from the quoteSummary modules getDetailedStockData already
+// fetches (summaryDetail, defaultKeyStatistics, financialData, price)
+class FundamentalAnalysisService {
+  // Raw values keyed by METRICS key; null when Yahoo doesn't report the field
+  extractValues(detail) {
+    const summary = (detail && detail.summaryDetail) || {};
+    const stats = (detail && detail.statistics) || {};
+    const financial = (detail && detail.financialData) || {};
+    const quote = (detail && detail.quote) || {};
+
+    const marketCap = num(summary.marketCap ?? quote.marketCap);
+    const freeCashflow = num(financial.freeCashflow);
+    const debtToEquity = num(financial.debtToEquity);
+
+    return {
+      marketCap,
+      freeCashflow,
+      trailingPE: num(summary.trailingPE),
+      forwardPE: num(summary.forwardPE ?? stats.forwardPE),
+      pegRatio: num(stats.pegRatio),
+      priceToBook: num(stats.priceToBook),
+      freeCashflowYield: freeCashflow !== null && marketCap ? freeCashflow / marketCap : null,
+      grossMargin: num(financial.grossMargins),
+      operatingMargin: num(financial.operatingMargins),
+      profitMargin: num(financial.profitMargins ?? stats.profitMargins),
+      returnOnEquity: num(financial.returnOnEquity),
+      // Yahoo reports debt/equity as a percentage (150 = 1.5x)
+      debtToEquity: debtToEquity === null ? null : debtToEquity / 100,
+      currentRatio: num(financial.currentRatio),
+      revenueGrowth: num(financial.revenueGrowth),
+      earningsGrowth: num(financial.earningsGrowth ?? stats.earningsQuarterlyGrowth)
+    };
+  }
+
+  rate(definition, value) {
+    if (value === null) return 'unavailable';
+    if (definition.higherIsBetter) {
+      if (value >= definition.strong) return 'strong';
+      return value < definition.weak ? 'weak' : 'fair';
+    }
+    if (value < 0 || (value === 0 && !definition.allowZero)) return 'weak';
+    if (value <= definition.strong) return 'strong';
+    return value > definition.weak ? 'weak' : 'fair';
+  }
+
+  formatValue(definition, value) {
+    if (value === null) return 'unavailable';
+    if (definition.format === 'percent') return `${(value * 100).toFixed(1)}%`;
+    if (definition.format === 'multiple') return `${value.toFixed(2)}x`;
+    return value.toFixed(2);
+  }
+
+  // Returns null when none of the modules came back (e.g. getStockData fallback)
+  analyze(detail) {
+    if (!detail || !(detail.summaryDetail || detail.statistics || detail.financialData)) return null;
+
+    const values = this.extractValues(detail);
+    const metrics = {};
+    CATEGORIES.forEach(category => { metrics[category] = {}; });
+
+    METRICS.forEach(definition => {
+      const value = values[definition.key];
+      metrics[definition.category][definition.key] = {
+        label: definition.label,
+        value: value === null ? null : parseFloat(value.toFixed(4)),
+        display: this.formatValue(definition, value),
+        rating: this.rate(definition, value)
+      };
+    });
+
+    const scores = {};
+    CATEGORIES.forEach(category => {
+      const rated = Object.values(metrics[category]).filter(metric => metric.rating !== 'unavailable');
+      scores[category] = rated.length > 0
+        ? Math.round((rated.reduce((sum, metric) => sum + RATING_POINTS[metric.rating], 0) / (rated.length * 2)) * 100)
+        : null;
+    });
+
+    const available = CATEGORIES.map(category => scores[category]).filter(score => score !== null);
+    const overall = available.length > 0 ? Math.round(available.reduce((sum, score) => sum + score, 0) / available.length) : null;
+
+    const all = METRICS.map(definition => metrics[definition.category][definition.key]);
+    return {
+      metrics,
+      scores: { ...scores, overall },
+      grade: this.grade(overall),
+      strengths: all.filter(metric => metric.rating === 'strong').map(metric => `${metric.label} ${metric.display}`),
+      weaknesses: all.filter(metric => metric.rating === 'weak').map(metric => `${metric.label} ${metric.display}`),
+      unavailable: all.filter(metric => metric.rating === 'unavailable').map(metric => metric.label),
+      coverage: parseFloat(((all.length - all.filter(metric => metric.rating === 'unavailable').length) / all.length).toFixed(2)),
+      marketCap: values.marketCap,
+      freeCashflow: values.freeCashflow
+    };
+  }
+
+  grade(score) {
+    if (score === null) return null;
+    if (score >= 80) return 'A';
+    if (score >= 65) return 'B';
+    if (score >= 50) return 'C';
+    if (score >= 35) return 'D';
+    return 'F';
+  }
+
+  // Rule-based call from the overall score; confidence scales with data coverage
+  deriveOutlook(fundamental) {
+    if (!fundamental || fundamental.scores.overall === null) return null;
+    const overall = fundamental.scores.overall;
+    return {
+      recommendation: overall >= 65 ? 'BUY' : overall <= 35 ? 'SELL' : 'HOLD',
+      confidence: parseFloat((0.45 + 0.35 * fundamental.coverage * Math.min(1, Math.abs(overall - 50) / 30 + 0.3)).toFixed(2)),
+      grade: fundamental.grade,
+      score: overall
+    };
+  }
+}
+
+module.exports = new FundamentalAnalysisService();
+module.exports.METRICS = METRICS;
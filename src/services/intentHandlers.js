@@ -0,0 +1,164 @@
+const aiService = require('./aiService');
+const marketService = require('./marketService');
+const watchlistService = require('./watchlistService');
+const portfolioService = require('./portfolioService');
+const technicalAnalysisService = require('./technicalAnalysisService');
+const fundamentalAnalysisService = require('./fundamentalAnalysisService');
+const backtestService = require('./backtestService');
+const comparisonService = require('./comparisonService');
+const marketOverviewService = require('./marketOverviewService');
+
+// Intents that act on specific symbols, so an ambiguous name needs a clarifying question first
+const SYMBOL_INTENTS = ['quote', 'compare', 'analysis', 'history', 'backtest', 'general'];
+
+// One handler per intent. Each returns the context fragment aiService needs to
+// answer: marketContext, comparison, analysis, priceHistory, backtest,
+// marketOverview, watchlist or portfolio. Education and small talk need no data.
+// A watchlist or portfolio change asked for in words ("buy 10 NVDA at 450")
+// returns proposedCommand instead: the matching slash command, which the user
+// sends to confirm, so nothing changes on a misread message.
+class IntentHandlers {
+  async dispatch(classification, { userId, message }) {
+    const { ambiguous = [] } = classification.entities;
+    if (ambiguous.length > 0 && SYMBOL_INTENTS.includes(classification.intent)) {
+      console.log(`🤔 Ambiguous symbol${ambiguous.length > 1 ? 's' : ''}: ${ambiguous.map(entry => entry.input).join(', ')}`);
+      return { clarification: { message, ambiguous } };
+    }
+
+    const handlers = {
+      quote: () => this.quote(classification.entities),
+      compare: () => this.compare(classification.entities),
+      analysis: () => this.analysis(classification.entities, { message, userId }),
+      history: () => this.history(classification.entities),
+      backtest: () => this.backtest(classification.entities, message),
+      market_summary: () => this.marketSummary(),
+      watchlist: () => this.watchlist(userId, classification.entities),
+      portfolio: () => this.portfolio(userId, classification.entities),
+      education: async () => ({}),
+      small_talk: async () => ({}),
+      // Only the LLM classifier returns general with symbols attached
+      general: () => this.quote(classification.entities)
+    };
+
+    return (handlers[classification.intent] || handlers.general)();
+  }
+
+  // { relevantData, extractedSymbols, timestamp }, the market context aiService formats
+  async quote({ symbols }) {
+    if (symbols.length === 0) return {};
+
+    const quotes = await marketService.getMultipleQuotes(symbols);
+    console.log(`📊 Quotes retrieved for ${symbols.join(', ')}`);
+    return {
+      marketContext: {
+        relevantData: quotes,
+        extractedSymbols: symbols,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  async compare(entities) {
+    if (entities.symbols.length < 2) return this.quote(entities);
+
+    const period = comparisonService.COMPARISON_PERIODS.includes(entities.period) ? entities.period : '1y';
+    const comparison = await comparisonService.compare(entities.symbols, { period });
+    console.log(`⚖️ Comparison built for ${comparison.symbols.join(', ')}`);
+    return { comparison };
+  }
+
+  // Runs the same pipeline as POST /analyze, so the chat answer and the endpoint agree
+  async analysis(entities, options = {}) {
+    const symbol = entities.symbols[0];
+    if (!symbol) return {};
+
+    const analysisType = entities.analysisType || 'technical';
+    const marketData = await marketService.getDetailedStockData(symbol, {
+      period: analysisType === 'technical' ? '1y' : '1mo'
+    });
+    const technical = technicalAnalysisService.computeSnapshot(marketData?.historical);
+    const fundamental = fundamentalAnalysisService.analyze(marketData);
+    const result = await aiService.generateAnalysis(symbol, marketData, analysisType, { technical, fundamental }, options);
+    console.log(`🔍 ${analysisType} analysis generated for ${symbol}`);
+
+    return {
+      analysis: {
+        symbol,
+        analysisType,
+        ...result,
+        score: technical ? technical.score : null,
+        bias: technical ? technical.bias : null,
+        grade: fundamental ? fundamental.grade : null
+      }
+    };
+  }
+
+  async history({ symbols, period }) {
+    const symbol = symbols[0];
+    if (!symbol) return {};
+
+    const history = await marketService.getHistoricalData(symbol, { period: period || '1y', adjusted: true });
+    console.log(`📜 Price history retrieved for ${symbol} (${history.period})`);
+    return { priceHistory: marketService.summarizeHistory(history) };
+  }
+
+  async backtest(entities, message) {
+    const request = backtestService.parseRequest(message);
+    if (!request) return this.quote(entities);
+
+    const backtest = await backtestService.run(request);
+    console.log(`🧪 Backtest ran for ${backtest.symbol} (${backtest.strategy.type}, ${backtest.period})`);
+    return { backtest };
+  }
+
+  async marketSummary() {
+    const marketOverview = await marketOverviewService.getOverview();
+    console.log(`🌎 Market overview retrieved (${marketOverview.sentiment})`);
+    return { marketOverview };
+  }
+
+  async watchlist(userId, entities = null) {
+    const proposedCommand = entities && this.proposeWatchlistCommand(entities);
+    if (proposedCommand) return { proposedCommand };
+
+    return { watchlist: await watchlistService.getWatchlist(userId, { withQuotes: true }) };
+  }
+
+  async portfolio(userId, entities = null) {
+    const proposedCommand = entities && this.proposeTradeCommand(entities);
+    if (proposedCommand) return { proposedCommand };
+
+    const { holdings, summary, pricedAt } = await portfolioService.getPortfolio(userId, { withQuotes: true });
+    return { portfolio: { holdings, summary, pricedAt } };
+  }
+
+  // { command, description } for "add TSLA to my watchlist with an alert below 200", or null
+  proposeWatchlistCommand({ action, symbols, alertType, price }) {
+    if (symbols.length !== 1) return null;
+    const [symbol] = symbols;
+
+    if (action === 'remove') {
+      return { command: `/unwatch ${symbol}`, description: `remove ${symbol} from your watchlist` };
+    }
+    if (action !== 'add') return null;
+
+    const alert = alertType && price > 0 ? ` ${alertType} ${price}` : '';
+    return {
+      command: `/watch ${symbol}${alert}`,
+      description: `add ${symbol} to your watchlist${alert ? ` with an alert ${alertType} $${price}` : ''}`
+    };
+  }
+
+  // { command, description } for "buy 10 NVDA at 450" or "I sold 5 MSFT", or null
+  proposeTradeCommand({ action, symbols, quantity, price }) {
+    if (!['buy', 'sell'].includes(action) || symbols.length !== 1 || !(quantity > 0)) return null;
+    const [symbol] = symbols;
+
+    return {
+      command: `/${action} ${quantity} ${symbol}${price > 0 ? ` @ ${price}` : ''}`,
+      description: `record a ${action} of ${quantity} ${symbol} ${price > 0 ? `at $${price}` : 'at the live price'}`
+    };
+  }
+}
+
+module.exports = new IntentHandlers();
@@ -0,0 +1,228 @@
+const aiService = require('./aiService');
+const marketService = require('./marketService');
+const marketOverviewService = require('./marketOverviewService');
+const symbolResolver = require('./symbolResolver');
+
+const INTENTS = [
+  'quote',
+  'compare',
+  'analysis',
+  'history',
+  'backtest',
+  'market_summary',
+  'watchlist',
+  'portfolio',
+  'education',
+  'small_talk',
+  'general'
+];
+
+// rules: deterministic only. llm: ask the language model for every message when one is configured.
+// auto: ask the model only when the rules are unsure.
+const CLASSIFIER_MODES = ['rules', 'llm', 'auto'];
+const AUTO_LLM_THRESHOLD = 0.7;
+
+const PATTERNS = {
+  smallTalk: /^\s*(hi|hello|hey|yo|thanks|thank you|thx|good (morning|afternoon|evening)|how are you|bye|goodbye|who are you|what can you do)\b/i,
+  watchlist: /\bwatch\s?list\b|\bwatching\b|\b(price )?alerts?\b/i,
+  portfolio: /\bportfolio\b|\bmy (holdings|positions|shares|investments)\b|\b(i )?(bought|sold)\b|\bp&l\b|\bpnl\b|\bunrealized\b|\bcost basis\b/i,
+  compare: /\bcompare\b|\bcomparison\b|\bversus\b|\bvs\.?\b|\bbetter (buy|investment|than)\b|\bor\b.*\?$/i,
+  history: /\bhistor(y|ical)\b|\bchart\b|\bover the (last|past)\b|\bsince\b|\b\d+\s*(year|yr|month)s?\b|\bytd\b|\b(last|past) (year|month|week)\b|\bperformed\b/i,
+  analysis: /\banaly[sz]|\btechnical\b|\bfundamental|\boutlook\b|\bshould i (buy|sell|hold)\b|\bprice target\b|\bforecast\b|\bvaluation\b|\b(under|over)valued\b|\bbuy or sell\b|\ba (good )?(buy|sell)\b|\bsupport\b|\bresistance\b/i,
+  quote: /\bprice\b|\bquote\b|\btrading at\b|\bhow much is\b|\bworth\b|\bcurrent(ly)?\b/i,
+  education: /^\s*(what('s| is| are)|how (do|does|to)|why (do|does|is|are)|explain|define|tell me about|can you explain)\b|\bwhat does .+ mean\b|\bdifference between\b|\bdefinition\b|\bmeaning of\b/i
+};
+
+// Follow-ups that lean on the symbols of earlier turns. A reference ("its P/E",
+// "compare it with AMD") adds the active symbols to whatever is stated; an
+// elliptical message ("and the 5 year chart?") inherits them when it names none.
+const FOLLOW_UP = {
+  reference: /\b(it|its|it's|they|them|their|those|these|both|that (one|stock|company|ticker)|this (one|stock|company)|the (stock|company|same one)|same (one|stock|ones))\b/i,
+  elliptical: /^\s*(and|also|plus|what about|how about|ok(ay)?,? (and|what about|how about)|then)\b|^\s*(\S+\s*){1,3}\?\s*$/i,
+  topicChange: /\b(something else|(different|another|new) (topic|question|subject)|change (of |the )?subject|never ?mind|forget (it|that|about (it|that|those)))\b/i
+};
+// Intents that move the conversation away from individual symbols
+const TOPIC_CHANGE_INTENTS = ['market_summary', 'watchlist', 'portfolio', 'small_talk'];
+
+class IntentService {
+  constructor() {
+    const mode = (process.env.INTENT_CLASSIFIER || 'auto').toLowerCase();
+    this.mode = CLASSIFIER_MODES.includes(mode) ? mode : 'auto';
+  }
+
+  // Returns { intent, confidence, method, entities, context }. activeSymbols are
+  // the symbols the conversation was about before this message; context says
+  // which symbols were stated, which were inherited and whether to reset.
+  async classify(message, { activeSymbols = [] } = {}) {
+    const text = typeof message === 'string' ? message : '';
+    const stated = await symbolResolver.resolveWithSearch(text);
+    const followUp = this.resolveFollowUp(text, stated, activeSymbols);
+    const resolution = followUp.inherited.length > 0
+      ? { ...stated, symbols: [...followUp.inherited.map(symbol => this.inheritedMatch(symbol)), ...stated.symbols] }
+      : stated;
+
+    const classification = await this.classifyResolved(message, resolution);
+    const reset = followUp.reset ||
+      (followUp.inherited.length === 0 && TOPIC_CHANGE_INTENTS.includes(classification.intent) && activeSymbols.length > 0);
+
+    return {
+      ...classification,
+      context: {
+        stated: stated.symbols.map(match => match.symbol),
+        inherited: followUp.inherited,
+        reset
+      }
+    };
+  }
+
+  // { inherited, reset } for a message given the conversation's active symbols
+  resolveFollowUp(text, resolution, activeSymbols) {
+    if (FOLLOW_UP.topicChange.test(text)) return { inherited: [], reset: true };
+    if (activeSymbols.length === 0) return { inherited: [], reset: false };
+
+    const statedSymbols = resolution.symbols.map(match => match.symbol);
+    const namesNothing = statedSymbols.length === 0 && resolution.ambiguous.length === 0;
+    // "What is RSI?" and "how is the market?" are new questions, not follow-ups
+    const standsAlone = PATTERNS.smallTalk.test(text) || PATTERNS.education.test(text) || marketOverviewService.isOverviewRequest(text);
+    const isFollowUp = FOLLOW_UP.reference.test(text) ||
+      (namesNothing && FOLLOW_UP.elliptical.test(text) && !standsAlone);
+
+    if (!isFollowUp) return { inherited: [], reset: false };
+    return { inherited: activeSymbols.filter(symbol => !statedSymbols.includes(symbol)), reset: false };
+  }
+
+  inheritedMatch(symbol) {
+    return { symbol, name: null, confidence: symbolResolver.CONFIDENCE.context, source: 'context', input: null };
+  }
+
+  async classifyResolved(message, resolution) {
+    const rules = this.classifyWithRules(message, resolution);
+
+    const llmAvailable = !!aiService.llm;
+    const wantLLM = this.mode === 'llm' || (this.mode === 'auto' && rules.confidence < AUTO_LLM_THRESHOLD);
+    if (!llmAvailable || !wantLLM) {
+      return rules;
+    }
+
+    const llm = await aiService.classifyIntent(message, INTENTS);
+    if (!llm || !INTENTS.includes(llm.intent)) {
+      return { ...rules, llmFallback: true };
+    }
+
+    const llmSymbols = [...new Set((Array.isArray(llm.symbols) ? llm.symbols : [])
+      .map(symbol => marketService.normalizeSymbol(symbol))
+      .filter(Boolean))].slice(0, 10);
+    // Resolved symbols are exact; the model only fills in names the directory doesn't know
+    const useLLMSymbols = rules.entities.symbols.length === 0 && rules.entities.ambiguous.length === 0;
+
+    return {
+      intent: llm.intent,
+      confidence: typeof llm.confidence === 'number' ? Math.min(Math.max(llm.confidence, 0), 1) : 0.75,
+      method: 'llm',
+      entities: {
+        ...rules.entities,
+        symbols: useLLMSymbols ? llmSymbols : rules.entities.symbols,
+        symbolMatches: useLLMSymbols
+          ? llmSymbols.map(symbol => ({ symbol, name: null, confidence: symbolResolver.CONFIDENCE.llm, source: 'llm', input: null }))
+          : rules.entities.symbolMatches,
+        period: rules.entities.period || (marketService.HISTORY_PERIODS.includes(llm.period) ? llm.period : null)
+      },
+      rulesIntent: rules.intent
+    };
+  }
+
+  classifyWithRules(message, resolution = null) {
+    const text = typeof message === 'string' ? message : '';
+    const entities = this.extractEntities(text, resolution || symbolResolver.resolve(text));
+    // An ambiguous name ("berkshire") still shapes the intent; the handler asks which one
+    const symbols = [...entities.symbols, ...entities.ambiguous.map(entry => entry.input)];
+    const result = (intent, confidence) => ({ intent, confidence, method: 'rules', entities });
+
+    if (PATTERNS.smallTalk.test(text) && symbols.length === 0 && text.length < 60) return result('small_talk', 0.9);
+
+    // Backtest questions are recognized by the backtest parser itself
+    if (/back-?test|how (would|did) .*(crossover|rsi|buy[\s-]+and[\s-]+hold)|(crossover|buy[\s-]+and[\s-]+hold).*(have done|performed?|returns?)/i.test(text) && symbols.length > 0) {
+      return result('backtest', 0.85);
+    }
+
+    // "buy 10 NVDA at 450" and "watch AMD above 150" ask for a change rather than information
+    const isTrade = ['buy', 'sell'].includes(entities.action) && entities.quantity !== null && symbols.length === 1 &&
+      !/\?\s*$/.test(text) && !PATTERNS.analysis.test(text);
+    if (isTrade) return result('portfolio', 0.85);
+    if (/^\s*(un)?watch\b/i.test(text) && symbols.length > 0) return result('watchlist', 0.85);
+
+    if (PATTERNS.watchlist.test(text)) return result('watchlist', 0.85);
+    if (PATTERNS.portfolio.test(text)) return result('portfolio', 0.85);
+
+    if (symbols.length === 0 && marketOverviewService.isOverviewRequest(text)) return result('market_summary', 0.85);
+
+    if (symbols.length >= 2) return result('compare', PATTERNS.compare.test(text) ? 0.9 : 0.8);
+    if (symbols.length === 1 && PATTERNS.compare.test(text) && /\bcompare|versus|\bvs\b/i.test(text)) return result('compare', 0.6);
+
+    if (symbols.length > 0 && PATTERNS.analysis.test(text)) return result('analysis', 0.85);
+    if (symbols.length > 0 && PATTERNS.history.test(text)) return result('history', 0.8);
+    if (symbols.length > 0) return result('quote', PATTERNS.quote.test(text) ? 0.9 : 0.75);
+
+    if (PATTERNS.education.test(text)) return result('education', 0.75);
+    if (PATTERNS.smallTalk.test(text)) return result('small_talk', 0.6);
+
+    return result('general', 0.3);
+  }
+
+  extractEntities(message, resolution) {
+    const lower = message.toLowerCase();
+    const analysisType = /\bfundamental|valuation|(under|over)valued|p\/?e\b|earnings|balance sheet/i.test(message)
+      ? 'fundamental'
+      : /\btechnical|rsi|macd|moving average|support|resistance|chart/i.test(message) ? 'technical' : null;
+
+    const quantity = lower.match(/(\d+(?:\.\d+)?)\s*(?:shares?|units?|stocks?)\b/) || lower.match(/\b(?:buy|sell|bought|sold|add)\s+(\d+(?:\.\d+)?)\b/);
+    const price = lower.match(/(?:\bat|@|\bfor|\bprice of|\babove|\bbelow|\bhits?|\breaches)\s*\$\s?(\d+(?:,\d{3})*(?:\.\d+)?)/) ||
+      lower.match(/(?:\bat|@)\s*(\d+(?:\.\d+)?)\b(?!\s*%)/) ||
+      lower.match(/\$(\d+(?:,\d{3})*(?:\.\d+)?)\b/);
+    const action = lower.match(/\b(buy|sell|bought|sold|add|remove|delete|watch|unwatch)\b/);
+    // "alert below 200": the threshold doubles as the price when none was given with "at" or "$"
+    const alert = lower.match(/\b(above|below)\s*\$?\s?(\d+(?:,\d{3})*(?:\.\d+)?)\b/);
+    const priceText = price ? price[1] : alert ? alert[2] : null;
+
+    return {
+      symbols: resolution.symbols.map(match => match.symbol),
+      symbolMatches: resolution.symbols,
+      ambiguous: resolution.ambiguous,
+      period: this.extractPeriod(lower),
+      quantity: quantity ? parseFloat(quantity[1]) : null,
+      price: priceText ? parseFloat(priceText.replace(/,/g, '')) : null,
+      action: action ? { bought: 'buy', sold: 'sell', delete: 'remove', unwatch: 'remove', watch: 'add' }[action[1]] || action[1] : null,
+      alertType: alert ? alert[1] : null,
+      analysisType
+    };
+  }
+
+  // Maps "over 5 years", "last 6 months", "ytd" to a supported period key, or null
+  extractPeriod(lower) {
+    if (/\bytd\b|year[\s-]+to[\s-]+date/.test(lower)) return 'ytd';
+    if (/\ball[\s-]+time\b|\bmax(imum)?\b|\bsince (ipo|inception)\b/.test(lower)) return 'max';
+
+    const years = lower.match(/(\d{1,2})[\s-]*(?:years?|yrs?|y)\b/);
+    if (years) {
+      const count = parseInt(years[1]);
+      if (count <= 1) return '1y';
+      if (count <= 2) return '2y';
+      if (count <= 5) return '5y';
+      return count <= 10 ? '10y' : 'max';
+    }
+    const months = lower.match(/(\d{1,2})[\s-]*(?:months?|mo)\b/);
+    if (months) {
+      const count = parseInt(months[1]);
+      if (count <= 1) return '1mo';
+      return count <= 3 ? '3mo' : count <= 6 ? '6mo' : '1y';
+    }
+    if (/\b(\d+\s*)?days?\b|\b(this|last|past) week\b/.test(lower)) return '5d';
+    if (/\b(last|past) year\b|\b12 months\b/.test(lower)) return '1y';
+    if (/\b(last|past) month\b/.test(lower)) return '1mo';
+    if (/\bdecade\b/.test(lower)) return '10y';
+    return null;
+  }
+}
+
+module.exports = new IntentService();
+module.exports.INTENTS = INTENTS;
@@ -0,0 +1,137 @@
+const marketService = require('./marketService');
+const HttpError = require('../utils/httpError');
+const { round } = require('../utils/indicators');
+
+const INDICES = ['^GSPC', '^DJI', '^IXIC', '^RUT'];
+const VIX_SYMBOL = '^VIX';
+
+const SECTOR_ETFS = {
+  XLK: 'Technology',
+  XLF: 'Financials',
+  XLV: 'Health Care',
+  XLE: 'Energy',
+  XLY: 'Consumer Discretionary',
+  XLP: 'Consumer Staples',
+  XLI: 'Industrials',
+  XLU: 'Utilities',
+  XLRE: 'Real Estate',
+  XLB: 'Materials',
+  XLC: 'Communication Services'
+};
+
+// Large caps scanned for gainers, losers and breadth; override with MARKET_SUMMARY_UNIVERSE
+const DEFAULT_UNIVERSE = [
+  'AAPL', 'MSFT', 'NVDA', 'GOOGL', 'AMZN', 'META', 'TSLA', 'AVGO', 'BRK-B', 'JPM',
+  'V', 'UNH', 'XOM', 'LLY', 'JNJ', 'WMT', 'MA', 'PG', 'HD', 'COST',
+  'ORCL', 'CVX', 'MRK', 'ABBV', 'KO', 'PEP', 'BAC', 'AMD', 'NFLX', 'CRM'
+];
+
+const OVERVIEW_PATTERN = /\bmarket (summary|overview|update|recap|today|now|doing)|\bhow('?s| is| are| did) (the )?(stock )?markets?\b|\b(top )?(gainers|losers|movers)\b|\bsector performance\b|\bmarket indices\b|\b(major )?indices\b|\bvix\b/i;
+
+// Snapshot of the whole market: indices, volatility, sectors, movers and breadth
+class MarketOverviewService {
+  constructor() {
+    this.universe = this.parseUniverse(process.env.MARKET_SUMMARY_UNIVERSE);
+    this.moversCount = parseInt(process.env.MARKET_SUMMARY_MOVERS) || 5;
+  }
+
+  parseUniverse(value) {
+    if (!value) return DEFAULT_UNIVERSE;
+    const symbols = [...new Set(value.split(',').map(symbol => marketService.normalizeSymbol(symbol)).filter(Boolean))];
+    return symbols.length > 0 ? symbols.slice(0, 100) : DEFAULT_UNIVERSE;
+  }
+
+  isOverviewRequest(message) {
+    return typeof message === 'string' && OVERVIEW_PATTERN.test(message);
+  }
+
+  async getOverview() {
+    const sectorSymbols = Object.keys(SECTOR_ETFS);
+    const symbols = [...new Set([...INDICES, VIX_SYMBOL, ...sectorSymbols, ...this.universe])];
+
+    // One batched request; getMultipleQuotes serves recently fetched symbols from cache
+    const quotes = await marketService.getMultipleQuotes(symbols);
+    const bySymbol = new Map(quotes.filter(quote => quote && quote.symbol).map(quote => [quote.symbol.toUpperCase(), quote]));
+
+    if (bySymbol.size === 0) {
+      throw new HttpError(502, 'Market data is currently unavailable');
+    }
+
+    const indices = INDICES.filter(symbol => bySymbol.has(symbol)).map(symbol => ({
+      ...this.toEntry(bySymbol.get(symbol)),
+      name: marketService.getIndexName(symbol)
+    }));
+
+    const sectors = sectorSymbols
+      .filter(symbol => bySymbol.has(symbol))
+      .map(symbol => ({ ...this.toEntry(bySymbol.get(symbol)), sector: SECTOR_ETFS[symbol] }))
+      .sort((a, b) => (b.changePercent ?? -Infinity) - (a.changePercent ?? -Infinity));
+
+    const universe = this.universe
+      .filter(symbol => bySymbol.has(symbol))
+      .map(symbol => this.toEntry(bySymbol.get(symbol)))
+      .filter(entry => entry.changePercent !== null);
+    const ranked = [...universe].sort((a, b) => b.changePercent - a.changePercent);
+
+    const volatility = this.describeVolatility(bySymbol.get(VIX_SYMBOL));
+    const breadth = this.computeBreadth(universe);
+
+    return {
+      indices,
+      volatility,
+      sectors,
+      movers: {
+        universeSize: this.universe.length,
+        gainers: ranked.filter(entry => entry.changePercent > 0).slice(0, this.moversCount),
+        losers: ranked.filter(entry => entry.changePercent < 0).reverse().slice(0, this.moversCount)
+      },
+      breadth,
+      sentiment: marketService.calculateMarketSentiment(indices.length > 0 ? indices : universe),
+      sentimentInputs: {
+        averageIndexChangePercent: indices.length > 0
+          ? round(indices.reduce((sum, index) => sum + (index.changePercent || 0), 0) / indices.length, 2)
+          : null,
+        volatilityRegime: volatility ? volatility.regime : null,
+        advanceDeclineRatio: breadth.ratio
+      },
+      unavailable: symbols.filter(symbol => !bySymbol.has(symbol)),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  toEntry(quote) {
+    const normalized = marketService.normalizeQuote(quote);
+    return {
+      symbol: normalized.symbol.toUpperCase(),
+      name: normalized.name,
+      price: round(normalized.price, 2),
+      change: round(normalized.change, 2),
+      changePercent: round(normalized.changePercent, 2)
+    };
+  }
+
+  describeVolatility(quote) {
+    if (!quote) return null;
+    const entry = this.toEntry(quote);
+    const level = entry.price;
+    let regime = null;
+    if (level !== null) {
+      regime = level < 15 ? 'calm' : level < 20 ? 'normal' : level < 30 ? 'elevated' : 'high';
+    }
+    return { ...entry, name: marketService.getIndexName(VIX_SYMBOL), level, regime };
+  }
+
+  computeBreadth(entries) {
+    const advancers = entries.filter(entry => entry.changePercent > 0).length;
+    const decliners = entries.filter(entry => entry.changePercent < 0).length;
+    return {
+      advancers,
+      decliners,
+      unchanged: entries.length - advancers - decliners,
+      ratio: decliners > 0 ? round(advancers / decliners, 2) : null
+    };
+  }
+}
+
+module.exports = new MarketOverviewService();
+module.exports.SECTOR_ETFS = SECTOR_ETFS;
@@ -1,38 +1,19 @@
-// marketService.js - CORRECTED VERSION
-let yahooFinance = null;
-let initPromise = null;
-
-async function initYahooFinance() {
-  if (initPromise) return initPromise;
-  
-  initPromise = (async () => {
-    try {
-      console.log('🔄 Loading yahoo-finance2 module...');
-      const module = await import('yahoo-finance2');
-      
-      if (typeof module.default === 'function') {
-        console.log('📦 Creating yahooFinance instance...');
-        // Simple initialization without cookieJar to avoid errors
-        yahooFinance = new module.default({ 
-          suppressNotices: ['yahooSurvey']
-        });
-        console.log('✅ Yahoo Finance instance created successfully');
-      } else {
-        yahooFinance = module.default;
-        console.log('✅ Yahoo Finance loaded as object');
-      }
-      
-      console.log('📊 Available methods:', Object.keys(Object.getPrototypeOf(yahooFinance)).filter(k => typeof yahooFinance[k] === 'function').slice(0, 10).join(', '));
-      
-      return yahooFinance;
-    } catch (error) {
-      console.error('❌ Failed to load yahoo-finance2:', error.message);
-      throw error;
-    }
-  })();
-  
-  return initPromise;
-}
+const { initMarketProvider } = require('../providers/market');
+const HttpError = require('../utils/httpError');
+const { round } = require('../utils/indicators');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lookback in days for each supported period ('ytd' is computed on demand)
+const PERIOD_DAYS = {
+  '1d': 1, '5d': 5, '1mo': 30, '3mo': 90, '6mo': 180,
+  '1y': 365, '2y': 730, '5y': 1825, '10y': 3650, 'max': 36500
+};
+const HISTORY_PERIODS = [...Object.keys(PERIOD_DAYS), 'ytd'];
+// yahoo-finance2's historical() only serves daily, weekly and monthly bars
+const HISTORY_INTERVALS = ['1d', '1wk', '1mo'];
+
+const round4 = value => (typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 10000) / 10000 : null);
 
 class MarketService {
   constructor() {
@@ -54,22 +35,40 @@ class MarketService {
       lastResetTime: new Date().toISOString()
     };
     
-    this.ready = initYahooFinance();
+    // Yahoo, fixture replay or recording (see providers/market), started by
+    // the first ensureReady() rather than at require time
+    this.provider = null;
+    this.ready = null;
     
     console.log('✅ MarketService initialized');
   }
 
   async ensureReady() {
-    if (!yahooFinance) {
+    if (!this.provider) {
+      if (!this.ready) {
+        this.ready = initMarketProvider()
+          .then(provider => {
+            this.provider = provider;
+            return provider;
+          })
+          .catch(() => null);
+      }
       await this.ready;
     }
-    if (!yahooFinance) {
-      throw new Error('Yahoo Finance module failed to initialize');
+    if (!this.provider) {
+      throw new Error('Market data provider failed to initialize');
     }
-    return yahooFinance;
+    return this.provider;
   }
 
-  async checkRateLimit() {
+  describeProvider() {
+    return this.provider ? this.provider.describe() : { provider: null, ready: false };
+  }
+
+  // An aborted signal (a tool call past its deadline) gives up instead of
+  // waiting for the next window or spending a request
+  async checkRateLimit(signal) {
+    if (signal) signal.throwIfAborted();
     const now = Date.now();
     
     if (now > this.rateLimit.resetTime) {
@@ -80,7 +79,15 @@ class MarketService {
     if (this.rateLimit.requests >= this.rateLimit.maxRequests) {
       const waitTime = this.rateLimit.resetTime - now;
       console.log(`⏳ Rate limit reached. Waiting ${waitTime}ms...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, waitTime);
+        if (signal) {
+          signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+          }, { once: true });
+        }
+      });
       this.rateLimit.requests = 0;
       this.rateLimit.resetTime = Date.now() + 60000;
     }
@@ -113,18 +120,18 @@ class MarketService {
     return data;
   }
 
-  async getStockData(symbol) {
+  async getStockData(symbol, options = {}) {
     this.stats.totalRequests++;
     
     try {
-      const yf = await this.ensureReady();
-      await this.checkRateLimit();
+      const provider = await this.ensureReady();
+      await this.checkRateLimit(options.signal);
       
       return await this.getCachedData(`quote_${symbol}`, async () => {
         console.log(`📈 Fetching quote for: ${symbol}`);
         
         // Use only valid fields according to yahoo-finance2 schema
-        const quote = await yf.quote(symbol.toUpperCase(), {
+        const quote = await provider.quote(symbol.toUpperCase(), {
           fields: [
             'regularMarketPrice', 
             'regularMarketChange', 
@@ -183,7 +190,7 @@ class MarketService {
           exchange: quote.exchange || 'N/A',
           quoteType: quote.quoteType || 'EQUITY',
           timestamp: new Date().toISOString(),
-          source: 'yahoo-finance'
+          source: provider.source
         };
       });
 
@@ -195,16 +202,17 @@ class MarketService {
   }
 
   async getDetailedStockData(symbol, options = {}) {
+    const { signal, ...cacheOptions } = options;
     try {
-      const yf = await this.ensureReady();
-      await this.checkRateLimit();
+      const provider = await this.ensureReady();
+      await this.checkRateLimit(signal);
       
-      const cacheKey = `detailed_${symbol}_${JSON.stringify(options)}`;
+      const cacheKey = `detailed_${symbol}_${JSON.stringify(cacheOptions)}`;
       
       return await this.getCachedData(cacheKey, async () => {
         console.log(`🔍 Fetching detailed data for: ${symbol}`);
         
-        const quoteSummary = await yf.quoteSummary(symbol.toUpperCase(), {
+        const quoteSummary = await provider.quoteSummary(symbol.toUpperCase(), {
           modules: ['price', 'summaryDetail', 'defaultKeyStatistics', 'financialData']
         }).catch(err => {
           console.warn(`⚠️ Could not fetch quote summary for ${symbol}:`, err.message);
@@ -214,7 +222,8 @@ class MarketService {
         const period = options.period || '1mo';
         const interval = options.interval || '1d';
         
-        const historical = await yf.historical(symbol.toUpperCase(), {
+        // Callers that only need fundamentals can skip the history request
+        const historical = options.includeHistory === false ? [] : await provider.historical(symbol.toUpperCase(), {
           period1: this.calculatePeriodStart(period),
           period2: new Date(),
           interval: interval
@@ -236,38 +245,63 @@ class MarketService {
 
     } catch (error) {
       console.error(`❌ Error fetching detailed data for ${symbol}:`, error.message);
-      return await this.getStockData(symbol);
+      return await this.getStockData(symbol, { signal });
     }
   }
 
-  async getMultipleQuotes(symbols) {
+  async getMultipleQuotes(symbols, options = {}) {
     try {
-      const yf = await this.ensureReady();
+      const provider = await this.ensureReady();
       
-      const validSymbols = symbols.filter(s => s && typeof s === 'string' && s.length > 0 && s.length <= 5);
+      const validSymbols = [...new Set(symbols.map(s => this.normalizeSymbol(s)).filter(Boolean))];
       
       if (validSymbols.length === 0) {
         console.warn('⚠️ No valid symbols to fetch');
         return [];
       }
 
-      await this.checkRateLimit();
-      
-      console.log(`📊 Fetching multiple quotes for: ${validSymbols.join(', ')}`);
-      
-      const quotes = await yf.quote(validSymbols.map(s => s.toUpperCase()));
-      
-      const result = Array.isArray(quotes) ? quotes : [quotes];
-      console.log(`✅ Successfully fetched ${result.length} quotes`);
+      // Serve fresh quotes from cache so repeated batches (watchlists, alerts) don't refetch
+      const quotesBySymbol = new Map();
+      const missingSymbols = [];
+      validSymbols.forEach(symbol => {
+        const cached = this.cache.get(`multi_${symbol}`);
+        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+          this.stats.cacheHits++;
+          quotesBySymbol.set(symbol, cached.data);
+        } else {
+          missingSymbols.push(symbol);
+        }
+      });
+
+      if (missingSymbols.length > 0) {
+        await this.checkRateLimit(options.signal);
+        this.stats.cacheMisses += missingSymbols.length;
+        
+        console.log(`📊 Fetching multiple quotes for: ${missingSymbols.join(', ')}`);
+        
+        const quotes = await provider.quotes(missingSymbols);
+        const fetched = quotes.filter(quote => quote && quote.symbol);
+        
+        fetched.forEach(quote => {
+          const symbol = quote.symbol.toUpperCase();
+          quotesBySymbol.set(symbol, quote);
+          this.cache.set(`multi_${symbol}`, { data: quote, timestamp: Date.now() });
+        });
+        console.log(`✅ Successfully fetched ${fetched.length} quotes`);
+
+        if (this.cache.size > 100) {
+          this.cleanupCache();
+        }
+      }
       
-      return result;
+      return validSymbols.filter(symbol => quotesBySymbol.has(symbol)).map(symbol => quotesBySymbol.get(symbol));
 
     } catch (error) {
       console.error('❌ Error fetching multiple quotes:', error.message);
       const results = [];
       for (const symbol of symbols) {
         try {
-          const data = await this.getStockData(symbol);
+          const data = await this.getStockData(symbol, options);
           results.push(data);
         } catch (err) {
           console.error(`Failed to fetch ${symbol}:`, err.message);
@@ -277,41 +311,126 @@ class MarketService {
     }
   }
 
-  async getRelevantMarketData(message) {
-    const symbols = this.extractSymbolsFromMessage(message);
-    
-    console.log(`🔍 Extracted symbols from message: ${symbols.join(', ') || 'none'}`);
-    
-    if (symbols.length === 0) {
-      return null;
-    }
+  // Provider symbol search for names missing from the local directory.
+  // Search is optional, so failures return no matches instead of throwing.
+  async searchSymbols(query) {
+    const cleaned = (query || '').trim().toLowerCase();
+    if (!cleaned) return [];
 
     try {
-      const marketData = await this.getMultipleQuotes(symbols);
-      
-      return {
-        relevantData: marketData,
-        extractedSymbols: symbols,
-        timestamp: new Date().toISOString()
-      };
-
+      const provider = await this.ensureReady();
+      return await this.getCachedData(`search_${cleaned}`, async () => {
+        await this.checkRateLimit();
+        console.log(`🔎 Searching symbols for: ${cleaned}`);
+        const result = await provider.search(cleaned, { quotesCount: 5, newsCount: 0 });
+        return (result.quotes || [])
+          .filter(quote => quote.symbol && quote.isYahooFinance !== false)
+          .map(quote => ({
+            symbol: quote.symbol.toUpperCase(),
+            name: quote.longname || quote.shortname || quote.symbol,
+            type: quote.quoteType || null,
+            exchange: quote.exchDisp || quote.exchange || null,
+            score: quote.score || 0
+          }));
+      });
     } catch (error) {
-      console.error('❌ Relevant market data error:', error);
-      return null;
+      console.warn(`⚠️ Symbol search failed for "${cleaned}":`, error.message);
+      return [];
     }
   }
 
   calculatePeriodStart(period) {
     const now = new Date();
-    const periodMap = {
-      '1d': 1, '5d': 5, '1mo': 30, '3mo': 90, '6mo': 180,
-      '1y': 365, '2y': 730, '5y': 1825, '10y': 3650,
-      'ytd': Math.floor((now - new Date(now.getFullYear(), 0, 1)) / (24 * 60 * 60 * 1000)),
-      'max': 36500
+    const days = period === 'ytd'
+      ? Math.floor((now - new Date(now.getFullYear(), 0, 1)) / DAY_MS)
+      : PERIOD_DAYS[period] || 30;
+    return new Date(Date.now() - days * DAY_MS);
+  }
+
+  // OHLCV bars for export. Unlike the quote helpers this never falls back to mock
+  // data: a failed fetch surfaces as an error so exports can't contain fake prices.
+  // With `adjusted`, open/high/low/close are scaled by adjClose/close so the whole
+  // series is split- and dividend-adjusted.
+  async getHistoricalData(symbol, options = {}) {
+    const normalized = this.normalizeSymbol(symbol);
+    const period = options.period || '1y';
+    const interval = options.interval || '1d';
+    const adjusted = options.adjusted === true;
+
+    if (!normalized) {
+      throw new HttpError(400, `Invalid symbol: ${symbol}`);
+    }
+    if (!HISTORY_PERIODS.includes(period)) {
+      throw new HttpError(400, `Invalid period. Use one of: ${HISTORY_PERIODS.join(', ')}`);
+    }
+    if (!HISTORY_INTERVALS.includes(interval)) {
+      throw new HttpError(400, `Invalid interval. Use one of: ${HISTORY_INTERVALS.join(', ')}`);
+    }
+
+    const provider = await this.ensureReady();
+    const start = this.calculatePeriodStart(period);
+
+    const bars = await this.getCachedData(`history_${normalized}_${period}_${interval}`, async () => {
+      await this.checkRateLimit(options.signal);
+      console.log(`📜 Fetching ${period}/${interval} history for: ${normalized}`);
+      try {
+        return await provider.historical(normalized, { period1: start, period2: new Date(), interval });
+      } catch (error) {
+        console.error(`❌ Error fetching history for ${normalized}:`, error.message);
+        throw new HttpError(502, `Historical data unavailable for ${normalized}`);
+      }
+    });
+
+    return {
+      symbol: normalized,
+      period,
+      interval,
+      adjusted,
+      start: start.toISOString(),
+      end: new Date().toISOString(),
+      bars: (bars || [])
+        .filter(bar => bar && Number.isFinite(bar.close))
+        .map(bar => {
+          const adjClose = Number.isFinite(bar.adjClose) ? bar.adjClose : bar.close;
+          const factor = adjusted && bar.close !== 0 ? adjClose / bar.close : 1;
+          return {
+            date: new Date(bar.date).toISOString(),
+            open: round4(bar.open * factor),
+            high: round4(bar.high * factor),
+            low: round4(bar.low * factor),
+            close: round4(bar.close * factor),
+            adjClose: round4(adjClose),
+            volume: bar.volume || 0
+          };
+        })
+    };
+  }
+
+  // Period return, range and a few recent closes instead of every bar
+  summarizeHistory(history) {
+    const { bars } = history;
+    if (bars.length === 0) {
+      return { symbol: history.symbol, period: history.period, bars: 0 };
+    }
+
+    const first = bars[0];
+    const last = bars[bars.length - 1];
+    const high = bars.reduce((best, bar) => (bar.high > best.high ? bar : best), bars[0]);
+    const low = bars.reduce((best, bar) => (bar.low < best.low ? bar : best), bars[0]);
+
+    return {
+      symbol: history.symbol,
+      period: history.period,
+      start: first.date.slice(0, 10),
+      end: last.date.slice(0, 10),
+      bars: bars.length,
+      firstClose: round(first.close, 2),
+      lastClose: round(last.close, 2),
+      changePercent: round((last.close / first.close - 1) * 100, 2),
+      high: { price: round(high.high, 2), date: high.date.slice(0, 10) },
+      low: { price: round(low.low, 2), date: low.date.slice(0, 10) },
+      recentCloses: bars.slice(-5).map(bar => ({ date: bar.date.slice(0, 10), close: round(bar.close, 2) }))
     };
-    
-    const days = periodMap[period] || 30;
-    return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
   }
 
   getIndexName(symbol) {
@@ -322,28 +441,25 @@ class MarketService {
     return indexNames[symbol] || symbol;
   }
 
-  extractSymbolsFromMessage(message) {
-    const symbolPattern = /\$?[A-Z]{1,5}\b/g;
-    const possibleSymbols = message.toUpperCase().match(symbolPattern) || [];
-    
-    const commonWords = new Set([
-      'THE', 'AND', 'FOR', 'ARE', 'BUT', 'NOT', 'YOU', 'ALL', 'CAN', 'HER', 'WAS', 'ONE',
-      'OUR', 'HAD', 'GET', 'MAY', 'HIM', 'OLD', 'SEE', 'NOW', 'WAY', 'WHO', 'BOY', 'ITS',
-      'LET', 'PUT', 'SAY', 'SHE', 'TOO', 'USE', 'API', 'WITH', 'STOCK', 'PRICE', 'OF',
-      'IS', 'IN', 'AT', 'TO', 'FROM', 'BY', 'ON', 'AS', 'OR', 'AN', 'BE', 'SO', 'UP',
-      'OUT', 'IF', 'NO', 'GO', 'DO', 'MY', 'IT', 'WE', 'ME', 'HE', 'US', 'AM', 'PM'
-    ]);
-    
-    const validSymbols = possibleSymbols
-      .map(s => s.replace('$', ''))
-      .filter(symbol => {
-        if (commonWords.has(symbol)) return false;
-        if (symbol.length < 1 || symbol.length > 5) return false;
-        if (!/^[A-Z]+$/.test(symbol)) return false;
-        return true;
-      });
-    
-    return [...new Set(validSymbols)].slice(0, 5);
+  // Uppercases and validates a ticker (AAPL, BRK.B, BTC-USD, ^GSPC, EURUSD=X).
+  // Returns null when it cannot be a symbol.
+  normalizeSymbol(symbol) {
+    if (!symbol || typeof symbol !== 'string') return null;
+    const cleaned = symbol.trim().replace(/^\$/, '').toUpperCase();
+    return /^\^?[A-Z0-9][A-Z0-9.\-=]{0,11}$/.test(cleaned) ? cleaned : null;
+  }
+
+  // Common fields from either a raw yahoo quote or a getStockData result
+  normalizeQuote(quote) {
+    if (!quote) return null;
+    return {
+      symbol: quote.symbol,
+      name: quote.shortName || quote.longName || quote.name || quote.symbol,
+      price: quote.regularMarketPrice ?? quote.price ?? null,
+      change: quote.regularMarketChange ?? quote.change ?? null,
+      changePercent: quote.regularMarketChangePercent ?? quote.changePercent ?? null,
+      currency: quote.currency || 'USD'
+    };
   }
 
   calculateMarketSentiment(marketData) {
@@ -406,12 +522,12 @@ class MarketService {
 
   async healthCheck() {
     try {
-      const yf = await this.ensureReady();
-      const testQuote = await yf.quote('AAPL');
+      const provider = await this.ensureReady();
+      const testQuote = await provider.quote('AAPL');
       
       return {
         status: 'healthy',
-        service: 'Yahoo Finance',
+        service: provider.name,
         testSymbol: 'AAPL',
         testPrice: testQuote.regularMarketPrice,
         timestamp: new Date().toISOString()
@@ -427,3 +543,5 @@ class MarketService {
 }
 
 module.exports = new MarketService();
+module.exports.HISTORY_PERIODS = HISTORY_PERIODS;
+module.exports.HISTORY_INTERVALS = HISTORY_INTERVALS;
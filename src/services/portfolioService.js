@@ -0,0 +1,369 @@
+const marketService = require('./marketService');
+const { getUserStore } = require('../stores/users');
+const HttpError = require('../utils/httpError');
+
+const TRANSACTION_TYPES = ['buy', 'sell'];
+
+// Small tolerance so fractional share sells don't fail on float noise
+const QUANTITY_EPSILON = 1e-9;
+
+const round = (value, digits = 2) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+// Portfolios are driven by buy/sell transactions. Holdings are rebuilt from them
+// with FIFO tax lots: buy fees go into the lot cost, sell fees reduce proceeds.
+class PortfolioService {
+  async getPortfolio(userId, options = {}) {
+    const store = await getUserStore();
+    const user = await store.getUser(userId);
+    const transactions = this.getTransactions(user);
+    const { positions, totals } = this.buildPositions(transactions);
+
+    const openSymbols = positions.filter(position => position.quantity > QUANTITY_EPSILON).map(position => position.symbol);
+    const prices = options.withQuotes === false ? new Map() : await this.fetchPrices(openSymbols, options.signal);
+
+    const holdings = positions.map(position => this.markToMarket(position, prices.get(position.symbol)));
+    const summary = this.summarize(holdings, totals);
+
+    return {
+      holdings: holdings.filter(holding => holding.quantity > QUANTITY_EPSILON),
+      closedPositions: holdings.filter(holding => holding.quantity <= QUANTITY_EPSILON).map(holding => ({
+        symbol: holding.symbol,
+        realizedPnL: holding.realizedPnL,
+        fees: holding.fees
+      })),
+      summary,
+      portfolio: this.buildLegacyView(holdings).map(row => ({ ...row, currentPrice: prices.has(row.symbol) ? round(prices.get(row.symbol).price, 4) : null })),
+      pricedAt: prices.size > 0 ? new Date().toISOString() : null
+    };
+  }
+
+  async getTransactionHistory(userId, options = {}) {
+    const store = await getUserStore();
+    const user = await store.getUser(userId);
+    let transactions = this.getTransactions(user);
+
+    if (options.symbol !== undefined && options.symbol !== '') {
+      // A repeated ?symbol= arrives as an array
+      if (typeof options.symbol !== 'string') {
+        throw new HttpError(400, 'symbol must be a single ticker symbol');
+      }
+      const symbol = options.symbol.trim().toUpperCase();
+      transactions = transactions.filter(transaction => transaction.symbol === symbol);
+    }
+
+    return transactions
+      .sort((a, b) => new Date(b.executedAt).getTime() - new Date(a.executedAt).getTime())
+      .map(transaction => this.formatTransaction(transaction));
+  }
+
+  async recordTransaction(userId, input = {}) {
+    const transaction = this.validateTransaction(input);
+    const store = await getUserStore();
+
+    let recorded = null;
+    let position = null;
+
+    await store.updateUser(userId, user => {
+      this.migrateLegacyHoldings(user);
+
+      user.transactions.push(transaction);
+      recorded = user.transactions[user.transactions.length - 1].toObject();
+
+      // Rebuilding validates the whole ledger, so a sell can't exceed what was held at that time
+      const { positions } = this.buildPositions(user.transactions.map(entry => entry.toObject()));
+      user.portfolio = this.buildLegacyView(positions);
+      position = positions.find(entry => entry.symbol === transaction.symbol) || null;
+    });
+
+    return {
+      transaction: this.formatTransaction(recorded),
+      position: position ? this.formatPosition(position) : null
+    };
+  }
+
+  async deleteTransaction(userId, transactionId) {
+    const store = await getUserStore();
+
+    await store.updateUser(userId, user => {
+      this.migrateLegacyHoldings(user);
+
+      const index = user.transactions.findIndex(entry => String(entry._id) === String(transactionId));
+      if (index === -1) {
+        throw new HttpError(404, 'Transaction not found');
+      }
+
+      user.transactions.splice(index, 1);
+      const { positions } = this.buildPositions(user.transactions.map(entry => entry.toObject()));
+      user.portfolio = this.buildLegacyView(positions);
+    });
+
+    return true;
+  }
+
+  validateTransaction(input) {
+    // The old { symbol, quantity, averagePrice } body set a holding outright; recording
+    // it as a buy would silently add to the position instead
+    if (input.averagePrice !== undefined && input.price === undefined) {
+      throw new HttpError(400, 'averagePrice is no longer accepted: post a transaction { type, symbol, quantity, price }');
+    }
+
+    const type = String(input.type || 'buy').toLowerCase();
+    const symbol = marketService.normalizeSymbol(input.symbol);
+    const quantity = Number(input.quantity);
+    const price = Number(input.price);
+    const fees = input.fees === undefined || input.fees === null || input.fees === '' ? 0 : Number(input.fees);
+    const executedAt = input.executedAt ? new Date(input.executedAt) : new Date();
+
+    if (!TRANSACTION_TYPES.includes(type)) {
+      throw new HttpError(400, `type must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+    }
+    if (!symbol) {
+      throw new HttpError(400, 'A valid stock symbol is required');
+    }
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw new HttpError(400, 'quantity must be a positive number');
+    }
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new HttpError(400, 'price must be a positive number');
+    }
+    if (!Number.isFinite(fees) || fees < 0) {
+      throw new HttpError(400, 'fees must be zero or a positive number');
+    }
+    if (isNaN(executedAt.getTime())) {
+      throw new HttpError(400, 'executedAt must be a valid date');
+    }
+    if (executedAt.getTime() > Date.now() + 60 * 1000) {
+      throw new HttpError(400, 'executedAt cannot be in the future');
+    }
+
+    return {
+      type,
+      symbol,
+      quantity,
+      price,
+      fees,
+      executedAt,
+      note: typeof input.note === 'string' ? input.note.substring(0, 200) : ''
+    };
+  }
+
+  // Users saved before transactions existed only have portfolio rows. Seed the
+  // ledger with an opening buy per row so their cost basis carries over.
+  getTransactions(user) {
+    if (user.transactions && user.transactions.length > 0) {
+      return [...user.transactions];
+    }
+    return (user.portfolio || [])
+      .filter(holding => holding.quantity > 0)
+      .map(holding => ({
+        _id: holding._id,
+        type: 'buy',
+        symbol: holding.symbol,
+        quantity: holding.quantity,
+        price: holding.averagePrice,
+        fees: 0,
+        executedAt: holding.lastUpdated || user.createdAt,
+        note: 'Opening balance'
+      }));
+  }
+
+  migrateLegacyHoldings(userDoc) {
+    if (userDoc.transactions.length > 0 || userDoc.portfolio.length === 0) return;
+    this.getTransactions(userDoc.toObject()).forEach(transaction => {
+      const { _id, ...fields } = transaction;
+      userDoc.transactions.push(fields);
+    });
+  }
+
+  buildPositions(transactions) {
+    const ordered = transactions
+      .map((transaction, index) => ({ transaction, index }))
+      .sort((a, b) => {
+        const diff = new Date(a.transaction.executedAt).getTime() - new Date(b.transaction.executedAt).getTime();
+        return diff !== 0 ? diff : a.index - b.index;
+      })
+      .map(entry => entry.transaction);
+
+    const positions = new Map();
+    const totals = { realizedPnL: 0, fees: 0, proceeds: 0, invested: 0 };
+
+    ordered.forEach(transaction => {
+      if (!positions.has(transaction.symbol)) {
+        positions.set(transaction.symbol, {
+          symbol: transaction.symbol,
+          lots: [],
+          realizedPnL: 0,
+          fees: 0,
+          lastTransactionAt: null
+        });
+      }
+
+      const position = positions.get(transaction.symbol);
+      const fees = transaction.fees || 0;
+      position.fees += fees;
+      position.lastTransactionAt = transaction.executedAt;
+      totals.fees += fees;
+
+      if (transaction.type === 'buy') {
+        position.lots.push({
+          quantity: transaction.quantity,
+          costPerShare: transaction.price + fees / transaction.quantity,
+          acquiredAt: transaction.executedAt,
+          transactionId: transaction._id ? String(transaction._id) : undefined
+        });
+        totals.invested += transaction.price * transaction.quantity + fees;
+        return;
+      }
+
+      const held = position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+      if (transaction.quantity > held + QUANTITY_EPSILON) {
+        throw new HttpError(400, `Cannot sell ${transaction.quantity} ${transaction.symbol}: only ${round(held, 6)} held on ${new Date(transaction.executedAt).toISOString().slice(0, 10)}`);
+      }
+
+      const proceedsPerShare = transaction.price - fees / transaction.quantity;
+      let remaining = transaction.quantity;
+      while (remaining > QUANTITY_EPSILON && position.lots.length > 0) {
+        const lot = position.lots[0];
+        const used = Math.min(lot.quantity, remaining);
+        position.realizedPnL += (proceedsPerShare - lot.costPerShare) * used;
+        lot.quantity -= used;
+        remaining -= used;
+        if (lot.quantity <= QUANTITY_EPSILON) position.lots.shift();
+      }
+      totals.proceeds += transaction.price * transaction.quantity - fees;
+    });
+
+    const result = [...positions.values()].map(position => {
+      const quantity = position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+      const costBasis = position.lots.reduce((sum, lot) => sum + lot.quantity * lot.costPerShare, 0);
+      return {
+        ...position,
+        quantity,
+        costBasis,
+        averageCost: quantity > QUANTITY_EPSILON ? costBasis / quantity : 0
+      };
+    });
+
+    totals.realizedPnL = result.reduce((sum, position) => sum + position.realizedPnL, 0);
+    return { positions: result, totals };
+  }
+
+  async fetchPrices(symbols, signal) {
+    const prices = new Map();
+    if (symbols.length === 0) return prices;
+
+    try {
+      const quotes = await marketService.getMultipleQuotes(symbols, { signal });
+      quotes.forEach(quote => {
+        const normalized = marketService.normalizeQuote(quote);
+        if (normalized && normalized.symbol && Number.isFinite(normalized.price)) {
+          prices.set(normalized.symbol.toUpperCase(), normalized);
+        }
+      });
+    } catch (error) {
+      console.error('⚠️ Portfolio quote fetch failed:', error.message);
+    }
+
+    return prices;
+  }
+
+  markToMarket(position, quote) {
+    const holding = this.formatPosition(position);
+    const open = position.quantity > QUANTITY_EPSILON;
+
+    if (!open || !quote) {
+      return { ...holding, currentPrice: null, marketValue: null, unrealizedPnL: null, unrealizedPnLPercent: null, dayChange: null };
+    }
+
+    const marketValue = quote.price * position.quantity;
+    const unrealizedPnL = marketValue - position.costBasis;
+
+    return {
+      ...holding,
+      name: quote.name,
+      currentPrice: round(quote.price, 4),
+      marketValue: round(marketValue),
+      unrealizedPnL: round(unrealizedPnL),
+      unrealizedPnLPercent: position.costBasis > 0 ? round((unrealizedPnL / position.costBasis) * 100) : null,
+      dayChange: Number.isFinite(quote.change) ? round(quote.change * position.quantity) : null
+    };
+  }
+
+  summarize(holdings, totals) {
+    const open = holdings.filter(holding => holding.quantity > QUANTITY_EPSILON);
+    const priced = open.filter(holding => holding.marketValue !== null);
+
+    const costBasis = open.reduce((sum, holding) => sum + holding.costBasis, 0);
+    const pricedCost = priced.reduce((sum, holding) => sum + holding.costBasis, 0);
+    const marketValue = priced.reduce((sum, holding) => sum + holding.marketValue, 0);
+    const unrealizedPnL = priced.reduce((sum, holding) => sum + holding.unrealizedPnL, 0);
+
+    return {
+      positions: open.length,
+      pricedPositions: priced.length,
+      costBasis: round(costBasis),
+      marketValue: priced.length > 0 ? round(marketValue) : null,
+      unrealizedPnL: priced.length > 0 ? round(unrealizedPnL) : null,
+      unrealizedPnLPercent: pricedCost > 0 ? round((unrealizedPnL / pricedCost) * 100) : null,
+      realizedPnL: round(totals.realizedPnL),
+      totalPnL: priced.length > 0 ? round(unrealizedPnL + totals.realizedPnL) : null,
+      totalFees: round(totals.fees),
+      totalInvested: round(totals.invested),
+      totalProceeds: round(totals.proceeds)
+    };
+  }
+
+  // The original { symbol, quantity, averagePrice, lastUpdated } rows kept on the user.
+  // Prices are never stored; getPortfolio adds the live currentPrice to its copy.
+  buildLegacyView(holdings) {
+    return holdings
+      .filter(holding => holding.quantity > QUANTITY_EPSILON)
+      .map(holding => ({
+        symbol: holding.symbol,
+        quantity: round(holding.quantity, 6),
+        averagePrice: round(holding.averageCost, 4),
+        lastUpdated: new Date()
+      }));
+  }
+
+  formatPosition(position) {
+    return {
+      symbol: position.symbol,
+      quantity: round(position.quantity, 6),
+      averageCost: round(position.averageCost, 4),
+      costBasis: round(position.costBasis),
+      realizedPnL: round(position.realizedPnL),
+      fees: round(position.fees),
+      lots: position.lots.map(lot => ({
+        quantity: round(lot.quantity, 6),
+        costPerShare: round(lot.costPerShare, 4),
+        acquiredAt: lot.acquiredAt,
+        transactionId: lot.transactionId
+      })),
+      lastTransactionAt: position.lastTransactionAt
+    };
+  }
+
+  formatTransaction(transaction) {
+    return {
+      id: transaction._id ? String(transaction._id) : undefined,
+      type: transaction.type,
+      symbol: transaction.symbol,
+      quantity: transaction.quantity,
+      price: transaction.price,
+      fees: transaction.fees || 0,
+      total: round(transaction.type === 'buy'
+        ? transaction.quantity * transaction.price + (transaction.fees || 0)
+        : transaction.quantity * transaction.price - (transaction.fees || 0)),
+      executedAt: transaction.executedAt,
+      note: transaction.note || ''
+    };
+  }
+}
+
+module.exports = new PortfolioService();
+module.exports.TRANSACTION_TYPES = TRANSACTION_TYPES;
@@ -0,0 +1,156 @@
+const EventEmitter = require('events');
+const marketService = require('./marketService');
+
+// Shared quote polling for streaming clients. Subscriptions are reference counted
+// per symbol, so any number of clients watching AAPL cost one upstream fetch per
+// tick. Emits 'quote' (symbol, quote) at most once per interval per symbol, and
+// only when the price has changed since the last update.
+class QuoteStreamService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.intervalMs = options.intervalMs || parseInt(process.env.QUOTE_STREAM_INTERVAL_MS, 10) || 15 * 1000;
+    this.maxSymbolsPerClient = options.maxSymbolsPerClient || 25;
+    this.subscribers = new Map(); // symbol -> Set of client ids
+    this.clientSymbols = new Map(); // client id -> Set of symbols
+    this.lastQuotes = new Map();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  subscribe(clientId, symbols) {
+    const current = this.clientSymbols.get(clientId) || new Set();
+    const added = [];
+    const rejected = [];
+
+    symbols.forEach(raw => {
+      const symbol = marketService.normalizeSymbol(raw);
+      if (!symbol) {
+        rejected.push(raw);
+        return;
+      }
+      if (current.has(symbol)) return;
+      if (current.size >= this.maxSymbolsPerClient) {
+        rejected.push(symbol);
+        return;
+      }
+
+      current.add(symbol);
+      if (!this.subscribers.has(symbol)) this.subscribers.set(symbol, new Set());
+      this.subscribers.get(symbol).add(clientId);
+      added.push(symbol);
+    });
+
+    this.clientSymbols.set(clientId, current);
+    this.ensurePolling();
+
+    return { added, rejected, symbols: [...current] };
+  }
+
+  unsubscribe(clientId, symbols) {
+    const current = this.clientSymbols.get(clientId);
+    if (!current) return { removed: [], symbols: [] };
+
+    const removed = [];
+    symbols.forEach(raw => {
+      const symbol = marketService.normalizeSymbol(raw);
+      if (!symbol || !current.has(symbol)) return;
+      current.delete(symbol);
+      this.release(clientId, symbol);
+      removed.push(symbol);
+    });
+
+    if (current.size === 0) this.clientSymbols.delete(clientId);
+    this.ensurePolling();
+
+    return { removed, symbols: [...current] };
+  }
+
+  removeClient(clientId) {
+    const current = this.clientSymbols.get(clientId);
+    if (!current) return;
+    current.forEach(symbol => this.release(clientId, symbol));
+    this.clientSymbols.delete(clientId);
+    this.ensurePolling();
+  }
+
+  release(clientId, symbol) {
+    const clients = this.subscribers.get(symbol);
+    if (!clients) return;
+    clients.delete(clientId);
+    if (clients.size === 0) {
+      this.subscribers.delete(symbol);
+      this.lastQuotes.delete(symbol);
+    }
+  }
+
+  // Latest quotes for a set of symbols, used to answer a new subscription immediately
+  async getSnapshot(symbols) {
+    const quotes = await marketService.getMultipleQuotes(symbols);
+    return quotes.map(quote => this.formatQuote(quote)).filter(Boolean);
+  }
+
+  // Poll only while someone is subscribed
+  ensurePolling() {
+    if (this.subscribers.size > 0 && !this.timer) {
+      this.timer = setInterval(() => this.poll(), this.intervalMs);
+      if (typeof this.timer.unref === 'function') this.timer.unref();
+    } else if (this.subscribers.size === 0 && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async poll() {
+    if (this.polling || this.subscribers.size === 0) return;
+    this.polling = true;
+
+    try {
+      const quotes = await marketService.getMultipleQuotes([...this.subscribers.keys()]);
+
+      quotes.forEach(raw => {
+        const quote = this.formatQuote(raw);
+        if (!quote || !this.subscribers.has(quote.symbol)) return;
+
+        const previous = this.lastQuotes.get(quote.symbol);
+        if (previous && previous.price === quote.price && previous.volume === quote.volume) return;
+
+        this.lastQuotes.set(quote.symbol, quote);
+        this.emit('quote', quote.symbol, quote);
+      });
+    } catch (error) {
+      console.error('⚠️ Quote stream poll failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  formatQuote(raw) {
+    const quote = marketService.normalizeQuote(raw);
+    if (!quote || !quote.symbol) return null;
+    return {
+      ...quote,
+      symbol: quote.symbol.toUpperCase(),
+      volume: raw.regularMarketVolume ?? raw.volume ?? null,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  status() {
+    return {
+      clients: this.clientSymbols.size,
+      symbols: this.subscribers.size,
+      intervalMs: this.intervalMs,
+      polling: !!this.timer
+    };
+  }
+}
+
+module.exports = new QuoteStreamService();
+module.exports.QuoteStreamService = QuoteStreamService;
@@ -0,0 +1,334 @@
+const marketService = require('./marketService');
+const { getUserStore } = require('../stores/users');
+const HttpError = require('../utils/httpError');
+
+// Candidate universes. Strategy categories and sectors both map to a list of
+// liquid US large caps; scoring decides what is actually recommended.
+const UNIVERSES = {
+  general: ['AAPL', 'MSFT', 'GOOGL', 'AMZN', 'NVDA', 'JPM', 'JNJ', 'XOM', 'PG', 'V'],
+  growth: ['NVDA', 'AMD', 'TSLA', 'CRM', 'NOW', 'SHOP', 'META', 'AMZN', 'NFLX', 'AVGO'],
+  dividend: ['JNJ', 'PG', 'KO', 'PEP', 'XOM', 'CVX', 'VZ', 'O', 'ABBV', 'MO'],
+  value: ['BRK-B', 'JPM', 'BAC', 'CVX', 'XOM', 'INTC', 'PFE', 'CSCO', 'WFC', 'VZ'],
+  technology: ['AAPL', 'MSFT', 'NVDA', 'GOOGL', 'META', 'AVGO', 'ORCL', 'CRM', 'ADBE', 'AMD'],
+  healthcare: ['JNJ', 'UNH', 'LLY', 'PFE', 'ABBV', 'MRK', 'TMO', 'ABT'],
+  financials: ['JPM', 'BAC', 'WFC', 'GS', 'MS', 'V', 'MA', 'BLK'],
+  energy: ['XOM', 'CVX', 'COP', 'SLB', 'EOG', 'PSX'],
+  'consumer-discretionary': ['AMZN', 'TSLA', 'HD', 'MCD', 'NKE', 'SBUX'],
+  'consumer-staples': ['PG', 'KO', 'PEP', 'WMT', 'COST', 'CL'],
+  industrials: ['CAT', 'HON', 'UPS', 'GE', 'RTX', 'DE'],
+  utilities: ['NEE', 'DUK', 'SO', 'D', 'AEP'],
+  'real-estate': ['PLD', 'AMT', 'O', 'SPG', 'EQIX'],
+  communication: ['GOOGL', 'META', 'NFLX', 'DIS', 'VZ', 'T'],
+  materials: ['LIN', 'APD', 'SHW', 'NEM', 'FCX']
+};
+
+const SECTOR_ALIASES = {
+  tech: 'technology',
+  'information-technology': 'technology',
+  health: 'healthcare',
+  'health-care': 'healthcare',
+  finance: 'financials',
+  financial: 'financials',
+  banks: 'financials',
+  consumer: 'consumer-discretionary',
+  'consumer-cyclical': 'consumer-discretionary',
+  'consumer-defensive': 'consumer-staples',
+  staples: 'consumer-staples',
+  industrial: 'industrials',
+  utility: 'utilities',
+  realestate: 'real-estate',
+  reits: 'real-estate',
+  'communication-services': 'communication',
+  telecom: 'communication',
+  material: 'materials'
+};
+
+const STRATEGY_CATEGORIES = ['general', 'growth', 'dividend', 'value'];
+
+// Factor weights per strategy; sectors use the general mix
+const CATEGORY_WEIGHTS = {
+  general: { quality: 0.3, value: 0.25, growth: 0.25, momentum: 0.2 },
+  growth: { growth: 0.45, momentum: 0.25, quality: 0.2, value: 0.1 },
+  dividend: { dividend: 0.5, quality: 0.3, value: 0.2 },
+  value: { value: 0.5, quality: 0.3, dividend: 0.1, momentum: 0.1 }
+};
+
+// Risk tolerance adds a volatility factor: conservative users prefer low beta,
+// aggressive users accept (and slightly favour) higher beta
+const RISK_WEIGHT = { conservative: 0.3, moderate: 0, aggressive: 0.15 };
+
+const MAX_CANDIDATES = 12;
+
+const clamp = (value, min = 0, max = 1) => Math.min(max, Math.max(min, value));
+const num = value => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+const pct = value => `${(value * 100).toFixed(1)}%`;
+
+class RecommendationService {
+  resolveCategory(category) {
+    const key = String(category || 'general').toLowerCase().trim().replace(/[\s_]+/g, '-');
+    const resolved = SECTOR_ALIASES[key] || key;
+    if (!UNIVERSES[resolved]) {
+      throw new HttpError(400, `Unknown category "${category}". Try one of: ${this.listCategories().join(', ')}`);
+    }
+    return resolved;
+  }
+
+  listCategories() {
+    return Object.keys(UNIVERSES);
+  }
+
+  async getRecommendations({ category = 'general', userId = null, limit = 5 } = {}) {
+    const resolvedCategory = this.resolveCategory(category);
+    const profile = await this.loadProfile(userId);
+    const universe = this.buildUniverse(resolvedCategory, profile);
+
+    console.log(`💡 Scoring ${universe.length} ${resolvedCategory} candidates${profile ? ` for ${userId}` : ''}`);
+
+    const candidates = await this.fetchCandidateData(universe.map(entry => entry.symbol));
+    const weights = this.buildWeights(resolvedCategory, profile);
+
+    const scored = candidates
+      .map(candidate => this.scoreCandidate(candidate, weights, profile, universe.find(entry => entry.symbol === candidate.symbol)))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+
+    const personalization = this.describePersonalization(profile);
+
+    return {
+      category: resolvedCategory,
+      items: scored.slice(0, Math.max(1, Math.min(limit, 10))),
+      candidatesEvaluated: candidates.length,
+      universeSize: universe.length,
+      weights,
+      personalized: personalization.applied,
+      personalization
+    };
+  }
+
+  async loadProfile(userId) {
+    if (!userId) return null;
+
+    try {
+      const store = await getUserStore();
+      const user = await store.findUser(userId);
+      if (!user) return null;
+
+      const preferences = user.preferences || {};
+      return {
+        userId,
+        riskTolerance: preferences.riskTolerance || 'moderate',
+        preferredSectors: (preferences.preferredSectors || [])
+          .map(sector => {
+            const key = String(sector).toLowerCase().trim().replace(/[\s_]+/g, '-');
+            return SECTOR_ALIASES[key] || key;
+          })
+          .filter(sector => UNIVERSES[sector] && !STRATEGY_CATEGORIES.includes(sector))
+      };
+    } catch (error) {
+      console.error('⚠️ Could not load user preferences:', error.message);
+      return null;
+    }
+  }
+
+  // For strategy categories, preferred sectors contribute extra candidates
+  buildUniverse(category, profile) {
+    const entries = UNIVERSES[category].map(symbol => ({ symbol, sector: STRATEGY_CATEGORIES.includes(category) ? this.findSector(symbol) : category }));
+
+    if (profile && profile.preferredSectors.length > 0 && STRATEGY_CATEGORIES.includes(category)) {
+      profile.preferredSectors.forEach(sector => {
+        UNIVERSES[sector].slice(0, 4).forEach(symbol => {
+          if (!entries.some(entry => entry.symbol === symbol)) entries.push({ symbol, sector });
+        });
+      });
+    }
+
+    return entries.slice(0, MAX_CANDIDATES);
+  }
+
+  findSector(symbol) {
+    return Object.keys(UNIVERSES).find(key => !STRATEGY_CATEGORIES.includes(key) && UNIVERSES[key].includes(symbol)) || null;
+  }
+
+  buildWeights(category, profile) {
+    const weights = { ...(CATEGORY_WEIGHTS[category] || CATEGORY_WEIGHTS.general) };
+    const riskWeight = profile ? RISK_WEIGHT[profile.riskTolerance] || 0 : 0;
+
+    if (riskWeight > 0) {
+      Object.keys(weights).forEach(factor => {
+        weights[factor] = Number((weights[factor] * (1 - riskWeight)).toFixed(3));
+      });
+      weights.risk = riskWeight;
+    }
+
+    return weights;
+  }
+
+  async fetchCandidateData(symbols) {
+    let quotes = [];
+    try {
+      quotes = await marketService.getMultipleQuotes(symbols);
+    } catch (error) {
+      console.error('⚠️ Recommendation quotes failed:', error.message);
+    }
+
+    const details = await Promise.all(symbols.map(symbol =>
+      marketService.getDetailedStockData(symbol, { includeHistory: false }).catch(() => null)
+    ));
+
+    return symbols.map((symbol, index) => {
+      const quote = quotes.find(entry => entry && entry.symbol && entry.symbol.toUpperCase() === symbol) || null;
+      const detail = details[index];
+      if (!quote && !(detail && detail.summaryDetail)) return null;
+      return { symbol, metrics: this.extractMetrics(quote, detail) };
+    }).filter(Boolean);
+  }
+
+  // Unavailable values stay null so they are skipped rather than scored as 0
+  extractMetrics(quote, detail) {
+    const summary = (detail && detail.summaryDetail) || {};
+    const stats = (detail && detail.statistics) || {};
+    const financial = (detail && detail.financialData) || {};
+    const q = quote || {};
+
+    return {
+      name: q.shortName || q.longName || (detail && detail.quote && detail.quote.shortName) || null,
+      price: num(q.regularMarketPrice ?? q.price ?? financial.currentPrice),
+      changePercent: num(q.regularMarketChangePercent ?? q.changePercent),
+      fiftyDayAverage: num(q.fiftyDayAverage ?? summary.fiftyDayAverage),
+      twoHundredDayAverage: num(q.twoHundredDayAverage ?? summary.twoHundredDayAverage),
+      fiftyTwoWeekHigh: num(q.fiftyTwoWeekHigh ?? summary.fiftyTwoWeekHigh),
+      fiftyTwoWeekLow: num(q.fiftyTwoWeekLow ?? summary.fiftyTwoWeekLow),
+      trailingPE: num(summary.trailingPE ?? q.trailingPE),
+      forwardPE: num(summary.forwardPE ?? q.forwardPE),
+      pegRatio: num(stats.pegRatio),
+      priceToBook: num(stats.priceToBook ?? q.priceToBook),
+      dividendYield: num(summary.dividendYield),
+      payoutRatio: num(summary.payoutRatio),
+      beta: num(summary.beta ?? stats.beta),
+      revenueGrowth: num(financial.revenueGrowth),
+      earningsGrowth: num(financial.earningsGrowth),
+      profitMargins: num(financial.profitMargins ?? stats.profitMargins),
+      returnOnEquity: num(financial.returnOnEquity),
+      debtToEquity: num(financial.debtToEquity)
+    };
+  }
+
+  // Each factor returns { score: 0..1, reasons } or null when data is missing
+  scoreFactors(m, profile) {
+    const factors = {};
+
+    const valueParts = [];
+    if (m.forwardPE !== null && m.forwardPE > 0) valueParts.push({ score: clamp((35 - m.forwardPE) / 25), reason: m.forwardPE < 15 ? `Low forward P/E of ${m.forwardPE.toFixed(1)}` : null });
+    else if (m.trailingPE !== null && m.trailingPE > 0) valueParts.push({ score: clamp((35 - m.trailingPE) / 25), reason: m.trailingPE < 15 ? `Low P/E of ${m.trailingPE.toFixed(1)}` : null });
+    if (m.pegRatio !== null && m.pegRatio > 0) valueParts.push({ score: clamp((3 - m.pegRatio) / 2), reason: m.pegRatio < 1 ? `PEG below 1 (${m.pegRatio.toFixed(2)})` : null });
+    if (m.priceToBook !== null && m.priceToBook > 0) valueParts.push({ score: clamp((6 - m.priceToBook) / 5), reason: m.priceToBook < 1.5 ? `Trades near book value (P/B ${m.priceToBook.toFixed(2)})` : null });
+    factors.value = this.combine(valueParts);
+
+    const growthParts = [];
+    if (m.revenueGrowth !== null) growthParts.push({ score: clamp((m.revenueGrowth + 0.05) / 0.35), reason: m.revenueGrowth > 0.15 ? `Revenue growing ${pct(m.revenueGrowth)}` : null });
+    if (m.earningsGrowth !== null) growthParts.push({ score: clamp((m.earningsGrowth + 0.05) / 0.4), reason: m.earningsGrowth > 0.2 ? `Earnings growing ${pct(m.earningsGrowth)}` : null });
+    factors.growth = this.combine(growthParts);
+
+    const qualityParts = [];
+    if (m.profitMargins !== null) qualityParts.push({ score: clamp(m.profitMargins / 0.3), reason: m.profitMargins > 0.2 ? `Strong profit margin (${pct(m.profitMargins)})` : null });
+    if (m.returnOnEquity !== null) qualityParts.push({ score: clamp(m.returnOnEquity / 0.3), reason: m.returnOnEquity > 0.2 ? `High return on equity (${pct(m.returnOnEquity)})` : null });
+    // Yahoo reports debt/equity as a percentage (150 = 1.5x)
+    if (m.debtToEquity !== null) qualityParts.push({ score: clamp((250 - m.debtToEquity) / 200), reason: m.debtToEquity < 50 ? 'Low leverage' : null });
+    factors.quality = this.combine(qualityParts);
+
+    const dividendParts = [];
+    if (m.dividendYield !== null) dividendParts.push({ score: clamp(m.dividendYield / 0.05), reason: m.dividendYield >= 0.025 ? `Dividend yield of ${pct(m.dividendYield)}` : null });
+    if (m.payoutRatio !== null && m.payoutRatio > 0) dividendParts.push({ score: m.payoutRatio < 0.75 ? 1 : clamp((1.2 - m.payoutRatio) / 0.45), reason: m.payoutRatio < 0.6 ? `Sustainable payout ratio (${pct(m.payoutRatio)})` : null });
+    factors.dividend = m.dividendYield === null && m.payoutRatio === null ? { score: 0, reasons: [] } : this.combine(dividendParts);
+
+    const momentumParts = [];
+    if (m.price !== null && m.twoHundredDayAverage) momentumParts.push({ score: clamp(0.5 + (m.price / m.twoHundredDayAverage - 1) * 2.5), reason: m.price > m.twoHundredDayAverage * 1.05 ? 'Trading above its 200-day average' : null });
+    if (m.price !== null && m.fiftyDayAverage) momentumParts.push({ score: clamp(0.5 + (m.price / m.fiftyDayAverage - 1) * 4), reason: null });
+    if (m.price !== null && m.fiftyTwoWeekHigh && m.fiftyTwoWeekLow && m.fiftyTwoWeekHigh > m.fiftyTwoWeekLow) {
+      const position = (m.price - m.fiftyTwoWeekLow) / (m.fiftyTwoWeekHigh - m.fiftyTwoWeekLow);
+      momentumParts.push({ score: clamp(position), reason: position > 0.85 ? 'Near its 52-week high' : null });
+    }
+    factors.momentum = this.combine(momentumParts);
+
+    if (profile && m.beta !== null) {
+      const beta = m.beta;
+      if (profile.riskTolerance === 'conservative') {
+        factors.risk = { score: clamp((1.6 - beta) / 1.0), reasons: beta < 0.9 ? [`Low volatility (beta ${beta.toFixed(2)}) suits a conservative profile`] : [] };
+      } else if (profile.riskTolerance === 'aggressive') {
+        factors.risk = { score: clamp((beta - 0.5) / 1.2), reasons: beta > 1.3 ? [`Higher beta (${beta.toFixed(2)}) fits an aggressive profile`] : [] };
+      }
+    }
+
+    return factors;
+  }
+
+  combine(parts) {
+    if (parts.length === 0) return null;
+    return {
+      score: parts.reduce((sum, part) => sum + part.score, 0) / parts.length,
+      reasons: parts.map(part => part.reason).filter(Boolean)
+    };
+  }
+
+  scoreCandidate(candidate, weights, profile, universeEntry) {
+    const factors = this.scoreFactors(candidate.metrics, profile);
+
+    let weighted = 0;
+    let usedWeight = 0;
+    const reasons = [];
+    const missing = [];
+
+    Object.entries(weights).forEach(([factor, weight]) => {
+      const result = factors[factor];
+      if (!result) {
+        missing.push(factor);
+        return;
+      }
+      weighted += result.score * weight;
+      usedWeight += weight;
+      reasons.push(...result.reasons.map(text => ({ factor, text, weight })));
+    });
+
+    // Too little data to rank honestly
+    if (usedWeight < 0.4) return null;
+
+    let score = (weighted / usedWeight) * 100;
+    const sector = universeEntry ? universeEntry.sector : null;
+
+    if (profile && sector && profile.preferredSectors.includes(sector)) {
+      score = Math.min(100, score + 5);
+      reasons.push({ factor: 'preference', text: `In your preferred sector (${sector})`, weight: 1 });
+    }
+
+    return {
+      symbol: candidate.symbol,
+      name: candidate.metrics.name || candidate.symbol,
+      sector,
+      price: candidate.metrics.price,
+      changePercent: candidate.metrics.changePercent,
+      score: Math.round(score),
+      rating: score >= 70 ? 'strong' : score >= 55 ? 'favorable' : score >= 40 ? 'neutral' : 'weak',
+      reasons: reasons.sort((a, b) => b.weight - a.weight).slice(0, 4).map(reason => reason.text),
+      factorScores: Object.fromEntries(Object.keys(weights).map(factor => [factor, factors[factor] ? Math.round(factors[factor].score * 100) : null])),
+      missingData: missing,
+      metrics: candidate.metrics
+    };
+  }
+
+  describePersonalization(profile) {
+    if (!profile) {
+      return { applied: false, reason: 'No user profile found' };
+    }
+
+    const applied = profile.riskTolerance !== 'moderate' || profile.preferredSectors.length > 0;
+    return {
+      applied,
+      riskTolerance: profile.riskTolerance,
+      preferredSectors: profile.preferredSectors,
+      reason: applied ? undefined : 'Profile uses default preferences'
+    };
+  }
+}
+
+module.exports = new RecommendationService();
+module.exports.UNIVERSES = UNIVERSES;
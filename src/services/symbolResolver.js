@@ -0,0 +1,335 @@
+const fs = require('fs');
+const path = require('path');
+const marketService = require('./marketService');
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '..', 'data', 'symbols.json');
+
+// Confidence of a match by how it was found
+const CONFIDENCE = {
+  cashtag: 1,
+  explicit: 0.95,
+  directory: 0.95,
+  alias: 0.9,
+  casedAlias: 0.85,
+  // Carried over from an earlier turn ("and its P/E?")
+  context: 0.8,
+  search: 0.75,
+  llm: 0.7,
+  ticker: 0.6,
+  keyword: 0.5
+};
+
+// Yahoo exchange suffixes (RELIANCE.NS, 7203.T, VOD.L). Single letters outside
+// this list after a dot are share classes (BRK.B -> BRK-B).
+const EXCHANGE_SUFFIXES = new Set([
+  'AS', 'AX', 'BK', 'BO', 'BR', 'CO', 'DE', 'F', 'HE', 'HK', 'IR', 'JK', 'KL', 'KS', 'KQ', 'L', 'LS', 'MC',
+  'MI', 'MX', 'NS', 'NZ', 'OL', 'PA', 'SA', 'SI', 'SS', 'ST', 'SW', 'SZ', 'T', 'TO', 'TW', 'V', 'VI'
+]);
+
+const CURRENCIES = new Set(['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD', 'CNY', 'HKD', 'INR', 'SGD', 'SEK', 'NOK', 'MXN', 'ZAR', 'KRW', 'BRL']);
+const CRYPTO_BASES = new Set(['BTC', 'ETH', 'SOL', 'XRP', 'DOGE', 'ADA', 'LTC', 'DOT', 'AVAX', 'LINK', 'BNB', 'MATIC', 'SHIB', 'TRX']);
+
+// Uppercase words that are finance vocabulary rather than tickers
+const NON_SYMBOLS = new Set([
+  'I', 'A', 'OK', 'VS', 'US', 'USA', 'USD', 'EUR', 'CEO', 'CFO', 'IPO', 'ETF', 'ETFS', 'AI', 'API',
+  'SMA', 'EMA', 'RSI', 'MACD', 'ATR', 'PE', 'EPS', 'ROE', 'ROI', 'PEG', 'FCF', 'CAGR', 'GDP', 'CPI',
+  'FED', 'FOMC', 'SEC', 'IRA', 'YTD', 'PM', 'AM', 'PNL', 'TP', 'SL', 'DCA', 'NAV', 'REIT', 'REITS'
+]);
+
+// Lowercase words that can follow "price of" / "analyze" without being tickers
+const COMMON_WORDS = new Set([
+  'the', 'a', 'an', 'my', 'this', 'that', 'it', 'me', 'us', 'our', 'your', 'stock', 'stocks', 'share',
+  'shares', 'market', 'markets', 'price', 'all', 'some', 'any', 'them', 'these', 'those', 'today', 'now',
+  'with', 'doing', 'going', 'looking', 'performing', 'trading', 'right', 'currently', 'lately', 'and', 'vs'
+]);
+
+const KEYWORD_PATTERN = /\b(?:price of|quote for|quote on|analy[sz]e|analysis of|chart of|history of|history for|buy|sell|watch|compare|about)\s+\$?([a-z]{1,5}(?:[.-][a-z])?)\b(?:\s+(?:and|vs\.?|versus|with|to)\s+\$?([a-z]{1,5}(?:[.-][a-z])?)\b)?/gi;
+// Phrases worth a symbol search when nothing else matched: "how is palantir doing"
+const SEARCH_PHRASE_PATTERN = /\b(?:price of|quote for|analy[sz]e|analysis of|how is|how's|how are|thoughts on|about|shares of|stock of)\s+([a-z][a-z0-9&.' -]{1,40}?)(?=\s+(?:doing|stock|shares|today|now|trading|performing|looking|price|lately|right now)\b|[?.!,]|$)/gi;
+
+const MAX_SYMBOLS = 10;
+
+// Maps free text to Yahoo tickers. Each match carries a confidence and the text
+// it came from. Passes run from most to least explicit, and text claimed by an
+// earlier pass is skipped by later ones:
+//   1. $cashtags (authoritative, taken as written)
+//   2. explicit formats: ^INDEX, class shares, exchange suffixes, crypto and FX pairs
+//   3. company names and aliases from the symbol directory
+//   4. uppercase tokens typed like tickers
+//   5. for lowercase messages, the word after "price of", "analyze", "buy" etc.
+// Directory aliases are matched case-insensitively unless they start with a
+// capital ("Target", "Block"), which keeps everyday words from matching.
+// A name that maps to several symbols is reported as ambiguous instead.
+class SymbolResolver {
+  constructor() {
+    this.searchEnabled = process.env.SYMBOL_SEARCH === 'true';
+    this.load(process.env.SYMBOL_DIRECTORY_FILE || DEFAULT_DIRECTORY);
+  }
+
+  load(file) {
+    let entries = [];
+    try {
+      entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error(`❌ Failed to load symbol directory ${file}:`, error.message);
+    }
+
+    this.bySymbol = new Map();
+    this.aliases = new Map();
+    entries.forEach(entry => {
+      const symbol = marketService.normalizeSymbol(entry.symbol);
+      if (!symbol) return;
+      const record = { symbol, name: entry.name || symbol, type: entry.type || 'equity' };
+      this.bySymbol.set(symbol, record);
+
+      (entry.aliases || []).forEach(alias => {
+        const caseSensitive = /^[A-Z]/.test(alias);
+        const key = caseSensitive ? alias : alias.toLowerCase();
+        if (!this.aliases.has(key)) this.aliases.set(key, { caseSensitive, records: [] });
+        this.aliases.get(key).records.push(record);
+      });
+    });
+
+    // Longest first, so "bank of america" wins over any shorter alias inside it
+    this.aliasKeys = [...this.aliases.keys()].sort((a, b) => b.length - a.length);
+    console.log(`📇 Symbol directory loaded: ${this.bySymbol.size} symbols, ${this.aliases.size} aliases`);
+  }
+
+  // Returns { symbols: [{ symbol, name, confidence, source, input }], ambiguous: [{ input, candidates }], unresolved: [phrase] }
+  resolve(message) {
+    const text = typeof message === 'string' ? message : '';
+    const state = { text, claimed: [], matches: [], ambiguous: [] };
+
+    this.matchCashtags(state);
+    this.matchExplicitFormats(state);
+    this.matchAliases(state);
+    this.matchTickers(state);
+    if (state.matches.length === 0 && state.ambiguous.length === 0) {
+      this.matchKeywords(state);
+    }
+
+    // "toyota 7203.T" already says which Toyota
+    const resolved = new Set(state.matches.map(match => match.symbol));
+    const ambiguous = state.ambiguous.filter(entry => !entry.candidates.some(candidate => resolved.has(candidate.symbol)));
+
+    return {
+      symbols: this.finalize(state.matches),
+      ambiguous,
+      // Keyword guesses are weak enough that a search may still do better
+      unresolved: state.matches.every(match => match.source === 'keyword') && ambiguous.length === 0 ? this.findSearchPhrases(text) : []
+    };
+  }
+
+  // resolve() plus a Yahoo search for unmatched company names when SYMBOL_SEARCH=true
+  async resolveWithSearch(message) {
+    const result = this.resolve(message);
+    if (!this.searchEnabled || result.unresolved.length === 0) return result;
+
+    for (const phrase of result.unresolved.slice(0, 2)) {
+      const candidates = (await marketService.searchSymbols(phrase))
+        .filter(candidate => ['EQUITY', 'ETF', 'INDEX', 'CRYPTOCURRENCY', 'CURRENCY', 'MUTUALFUND'].includes(candidate.type));
+      if (candidates.length === 0) continue;
+
+      const [best, next] = candidates;
+      if (!next || best.score >= next.score * 2) {
+        result.symbols.push({ symbol: best.symbol, name: best.name, confidence: CONFIDENCE.search, source: 'search', input: phrase });
+      } else {
+        result.ambiguous.push({ input: phrase, candidates: candidates.slice(0, 3).map(({ symbol, name }) => ({ symbol, name })) });
+      }
+    }
+
+    if (result.symbols.some(match => match.source === 'search') || result.ambiguous.length > 0) {
+      result.symbols = result.symbols.filter(match => match.source !== 'keyword');
+    }
+    result.unresolved = result.unresolved.filter(phrase => !result.symbols.some(match => match.input === phrase) && !result.ambiguous.some(entry => entry.input === phrase));
+    return result;
+  }
+
+  // Resolves one token typed where a symbol is expected (slash-command arguments):
+  // explicit formats, then directory aliases, then a plain ticker.
+  // Returns { symbol, candidates } with candidates set when an alias is ambiguous.
+  resolveToken(token) {
+    const raw = String(token || '').trim().replace(/^\$/, '');
+    if (!raw) return { symbol: null, candidates: [] };
+
+    const explicit = this.normalizeExplicit(raw.toUpperCase());
+    if (explicit) return { symbol: explicit, candidates: [] };
+
+    const upper = raw.toUpperCase();
+    if (this.bySymbol.has(upper)) return { symbol: upper, candidates: [] };
+
+    const alias = this.aliases.get(raw) || this.aliases.get(raw.toLowerCase());
+    if (alias && alias.records.length === 1) return { symbol: alias.records[0].symbol, candidates: [] };
+    if (alias) return { symbol: null, candidates: alias.records.map(({ symbol, name }) => ({ symbol, name })) };
+
+    return { symbol: marketService.normalizeSymbol(raw), candidates: [] };
+  }
+
+  // Symbols only, for callers that don't need confidence
+  extractSymbols(message) {
+    return this.resolve(message).symbols.map(match => match.symbol);
+  }
+
+  // Normalizes explicit formats to Yahoo's spelling, or returns null:
+  // BRK.B -> BRK-B, reliance.ns -> RELIANCE.NS, BTC/USD -> BTC-USD, EUR/USD -> EURUSD=X
+  normalizeExplicit(token) {
+    const upper = token.toUpperCase().replace(/\s+/g, '');
+
+    if (/^\^[A-Z0-9]{2,8}$/.test(upper)) return upper;
+
+    const fx = upper.match(/^([A-Z]{3})\/?([A-Z]{3})(=X)?$/);
+    if (fx && CURRENCIES.has(fx[1]) && CURRENCIES.has(fx[2]) && fx[1] !== fx[2] && (fx[3] || token.includes('/'))) {
+      return `${fx[1]}${fx[2]}=X`;
+    }
+
+    const pair = upper.match(/^([A-Z]{2,6})[-/](USDT|USD|EUR|GBP|BTC)$/);
+    if (pair && (CRYPTO_BASES.has(pair[1]) || (token.includes('-') && token === token.toUpperCase()))) {
+      return `${pair[1]}-${pair[2]}`;
+    }
+
+    const suffixed = upper.match(/^([A-Z0-9&]{1,10})([.-])([A-Z]{1,3})$/);
+    if (suffixed) {
+      const [, base, separator, suffix] = suffixed;
+      if (separator === '.' && EXCHANGE_SUFFIXES.has(suffix)) return `${base}.${suffix}`;
+      // Share classes must be typed in capitals; "e.g" and "U.S" are not tickers
+      if (suffix.length === 1 && /^[A-Z]{2,5}$/.test(base) && token === token.toUpperCase()) return `${base}-${suffix}`;
+    }
+
+    return null;
+  }
+
+  matchCashtags(state) {
+    const pattern = /\$([A-Za-z^][A-Za-z0-9]{0,9}(?:[.\-/=][A-Za-z]{1,3})?)(?![A-Za-z0-9])/g;
+    let match;
+    while ((match = pattern.exec(state.text)) !== null) {
+      const raw = match[1];
+      const symbol = this.normalizeExplicit(raw.toUpperCase()) || marketService.normalizeSymbol(raw);
+      if (symbol) this.claim(state, match.index, match[0].length, symbol, CONFIDENCE.cashtag, 'cashtag', match[0]);
+    }
+  }
+
+  matchExplicitFormats(state) {
+    const patterns = [
+      /\^[A-Za-z0-9]{2,8}\b/g,
+      /\b[A-Za-z]{3}\s?\/\s?[A-Za-z]{3}\b|\b[A-Za-z]{6}=[Xx]\b/g,
+      /\b[A-Za-z]{2,6}[-/](?:USDT|USD|EUR|GBP|BTC)\b/gi,
+      /\b[A-Za-z0-9&]{1,10}[.-][A-Za-z]{1,3}\b/g
+    ];
+
+    patterns.forEach(pattern => {
+      let match;
+      while ((match = pattern.exec(state.text)) !== null) {
+        const symbol = this.normalizeExplicit(match[0]);
+        if (symbol) this.claim(state, match.index, match[0].length, symbol, CONFIDENCE.explicit, 'explicit', match[0]);
+      }
+    });
+  }
+
+  matchAliases(state) {
+    const lower = state.text.toLowerCase();
+
+    this.aliasKeys.forEach(key => {
+      const { caseSensitive, records } = this.aliases.get(key);
+      const haystack = caseSensitive ? state.text : lower;
+      let index = haystack.indexOf(key);
+
+      while (index !== -1) {
+        const before = haystack[index - 1];
+        const after = haystack[index + key.length];
+        const bounded = (!before || !/[A-Za-z0-9$^]/.test(before)) && (!after || !/[A-Za-z0-9]/.test(after));
+
+        if (bounded && !this.isClaimed(state, index, key.length)) {
+          const input = state.text.substr(index, key.length);
+          if (records.length === 1) {
+            const confidence = caseSensitive ? CONFIDENCE.casedAlias : CONFIDENCE.alias;
+            this.claim(state, index, key.length, records[0].symbol, confidence, 'alias', input);
+          } else {
+            state.claimed.push([index, index + key.length]);
+            state.ambiguous.push({ input, candidates: records.map(({ symbol, name }) => ({ symbol, name })) });
+          }
+        }
+        index = haystack.indexOf(key, index + key.length);
+      }
+    });
+  }
+
+  matchTickers(state) {
+    // All-caps messages are shouting, not tickers; only known symbols count there
+    const shouting = !/[a-z]/.test(state.text);
+    // Letters joined by "/" or "&" are abbreviations (P/E, S&P), not tickers
+    const pattern = /(^|[^A-Za-z0-9$^/&.\-])([A-Z]{1,5})(?![A-Za-z0-9/&])/g;
+    let match;
+
+    while ((match = pattern.exec(state.text)) !== null) {
+      const token = match[2];
+      const index = match.index + match[1].length;
+      if (NON_SYMBOLS.has(token)) continue;
+
+      if (this.bySymbol.has(token)) {
+        this.claim(state, index, token.length, token, CONFIDENCE.directory, 'directory', token);
+      } else if (!shouting && token.length >= 2) {
+        this.claim(state, index, token.length, token, CONFIDENCE.ticker, 'ticker', token);
+      }
+    }
+  }
+
+  matchKeywords(state) {
+    let match;
+    KEYWORD_PATTERN.lastIndex = 0;
+    while ((match = KEYWORD_PATTERN.exec(state.text)) !== null) {
+      [match[1], match[2]].filter(Boolean).forEach(word => {
+        if (COMMON_WORDS.has(word.toLowerCase())) return;
+        const symbol = this.normalizeExplicit(word) || marketService.normalizeSymbol(word);
+        if (!symbol) return;
+        const known = this.bySymbol.has(symbol);
+        this.claim(state, state.text.indexOf(word, match.index), word.length, symbol, known ? CONFIDENCE.directory : CONFIDENCE.keyword, known ? 'directory' : 'keyword', word);
+      });
+    }
+  }
+
+  findSearchPhrases(text) {
+    const phrases = [];
+    let match;
+    SEARCH_PHRASE_PATTERN.lastIndex = 0;
+    while ((match = SEARCH_PHRASE_PATTERN.exec(text)) !== null) {
+      const phrase = match[1].trim().replace(/^(the|a|an)\s+/i, '');
+      if (phrase.length >= 3 && !COMMON_WORDS.has(phrase.toLowerCase()) && !phrases.includes(phrase)) phrases.push(phrase);
+    }
+    return phrases;
+  }
+
+  isClaimed(state, start, length) {
+    return state.claimed.some(([from, to]) => start < to && start + length > from);
+  }
+
+  claim(state, start, length, symbol, confidence, source, input) {
+    if (this.isClaimed(state, start, length)) return;
+    state.claimed.push([start, start + length]);
+    state.matches.push({ symbol, confidence, source, input, position: start });
+  }
+
+  // Message order, one entry per symbol at its best confidence, directory names attached
+  finalize(matches) {
+    const bySymbol = new Map();
+    [...matches].sort((a, b) => a.position - b.position).forEach(match => {
+      const existing = bySymbol.get(match.symbol);
+      if (!existing || match.confidence > existing.confidence) {
+        bySymbol.set(match.symbol, { ...match, position: existing ? existing.position : match.position });
+      }
+    });
+
+    return [...bySymbol.values()]
+      .sort((a, b) => a.position - b.position)
+      .slice(0, MAX_SYMBOLS)
+      .map(({ symbol, confidence, source, input }) => ({
+        symbol,
+        name: this.bySymbol.has(symbol) ? this.bySymbol.get(symbol).name : null,
+        confidence,
+        source,
+        input
+      }));
+  }
+}
+
+module.exports = new SymbolResolver();
+module.exports.CONFIDENCE = CONFIDENCE;
@@ -0,0 +1,185 @@
+const indicators = require('../utils/indicators');
+
+const { round, last } = indicators;
+
+// Turns historical OHLCV bars into indicator readings, signals and a rule-based
+// outlook. Used for analysisType 'technical' with or without a language model.
+class TechnicalAnalysisService {
+  normalizeBars(historical) {
+    return (historical || [])
+      .filter(bar => bar && Number.isFinite(bar.close) && Number.isFinite(bar.high) && Number.isFinite(bar.low))
+      .map(bar => ({
+        date: new Date(bar.date),
+        open: Number.isFinite(bar.open) ? bar.open : bar.close,
+        high: bar.high,
+        low: bar.low,
+        close: bar.close,
+        adjClose: Number.isFinite(bar.adjClose) ? bar.adjClose : bar.close,
+        volume: bar.volume || 0
+      }))
+      .sort((a, b) => a.date - b.date);
+  }
+
+  computeSnapshot(historical) {
+    const bars = this.normalizeBars(historical);
+    if (bars.length < 2) return null;
+
+    const closes = bars.map(bar => bar.close);
+    const price = closes[closes.length - 1];
+
+    const sma20 = last(indicators.sma(closes, 20));
+    const sma50 = last(indicators.sma(closes, 50));
+    const sma200 = last(indicators.sma(closes, 200));
+    const sma50Series = indicators.sma(closes, 50);
+    const sma200Series = indicators.sma(closes, 200);
+    const ema12 = last(indicators.ema(closes, 12));
+    const ema26 = last(indicators.ema(closes, 26));
+    const rsi = last(indicators.rsi(closes, 14));
+    const macd = indicators.macd(closes);
+    const bands = indicators.bollingerBands(closes, 20, 2);
+    const atr = last(indicators.atr(bars, 14));
+    const levels = indicators.supportResistance(bars);
+    const volume = indicators.volumeTrend(bars);
+
+    const upper = last(bands.upper);
+    const lower = last(bands.lower);
+    const middle = last(bands.middle);
+
+    const snapshot = {
+      asOf: bars[bars.length - 1].date.toISOString(),
+      bars: bars.length,
+      price: round(price, 2),
+      periodChangePercent: round(((price - closes[0]) / closes[0]) * 100, 2),
+      movingAverages: {
+        sma20: round(sma20, 2),
+        sma50: round(sma50, 2),
+        sma200: round(sma200, 2),
+        ema12: round(ema12, 2),
+        ema26: round(ema26, 2),
+        priceVsSma50Percent: sma50 ? round(((price - sma50) / sma50) * 100, 2) : null,
+        priceVsSma200Percent: sma200 ? round(((price - sma200) / sma200) * 100, 2) : null,
+        crossover: this.findCrossover(sma50Series, sma200Series, 10)
+      },
+      rsi: {
+        value: round(rsi, 2),
+        state: rsi === null ? null : rsi >= 70 ? 'overbought' : rsi <= 30 ? 'oversold' : 'neutral'
+      },
+      macd: {
+        macd: round(last(macd.macd), 4),
+        signal: round(last(macd.signal), 4),
+        histogram: round(last(macd.histogram), 4),
+        crossover: this.findCrossover(macd.macd, macd.signal, 3)
+      },
+      bollinger: {
+        upper: round(upper, 2),
+        middle: round(middle, 2),
+        lower: round(lower, 2),
+        percentB: upper !== null && upper !== lower ? round((price - lower) / (upper - lower), 2) : null,
+        bandwidthPercent: middle ? round(((upper - lower) / middle) * 100, 2) : null
+      },
+      atr: {
+        value: round(atr, 2),
+        percent: atr !== null ? round((atr / price) * 100, 2) : null
+      },
+      levels,
+      volume
+    };
+
+    snapshot.signals = this.buildSignals(snapshot);
+    snapshot.score = this.scoreSignals(snapshot.signals);
+    snapshot.bias = snapshot.score >= 25 ? 'bullish' : snapshot.score <= -25 ? 'bearish' : 'neutral';
+
+    return snapshot;
+  }
+
+  // 'bullish' if fast crossed above slow within the last `within` bars, 'bearish' if below
+  findCrossover(fast, slow, within) {
+    for (let i = fast.length - 1; i > 0 && i >= fast.length - within; i--) {
+      if ([fast[i], slow[i], fast[i - 1], slow[i - 1]].some(value => value === null)) return null;
+      if (fast[i - 1] <= slow[i - 1] && fast[i] > slow[i]) return 'bullish';
+      if (fast[i - 1] >= slow[i - 1] && fast[i] < slow[i]) return 'bearish';
+    }
+    return null;
+  }
+
+  buildSignals(s) {
+    const signals = [];
+    const add = (indicator, signal, detail, weight = 1) => signals.push({ indicator, signal, detail, weight });
+    const ma = s.movingAverages;
+
+    if (ma.sma200 !== null) {
+      add('SMA200', s.price > ma.sma200 ? 'bullish' : 'bearish', `Price ${s.price > ma.sma200 ? 'above' : 'below'} the 200-day SMA ($${ma.sma200})`, 1.5);
+    }
+    if (ma.sma50 !== null) {
+      add('SMA50', s.price > ma.sma50 ? 'bullish' : 'bearish', `Price ${s.price > ma.sma50 ? 'above' : 'below'} the 50-day SMA ($${ma.sma50})`);
+    }
+    if (ma.crossover) {
+      add('SMA50/200', ma.crossover, ma.crossover === 'bullish' ? 'Recent golden cross (50-day above 200-day)' : 'Recent death cross (50-day below 200-day)', 1.5);
+    }
+    if (s.rsi.value !== null) {
+      const signal = s.rsi.state === 'oversold' ? 'bullish' : s.rsi.state === 'overbought' ? 'bearish' : 'neutral';
+      add('RSI', signal, `RSI(14) at ${s.rsi.value} (${s.rsi.state})`);
+    }
+    if (s.macd.histogram !== null) {
+      const signal = s.macd.crossover || (s.macd.histogram > 0 ? 'bullish' : 'bearish');
+      add('MACD', signal, s.macd.crossover
+        ? `MACD ${s.macd.crossover} crossover in the last 3 sessions`
+        : `MACD histogram ${s.macd.histogram > 0 ? 'positive' : 'negative'} (${s.macd.histogram})`);
+    }
+    if (s.bollinger.percentB !== null) {
+      const b = s.bollinger.percentB;
+      const signal = b > 1 ? 'bearish' : b < 0 ? 'bullish' : 'neutral';
+      add('Bollinger', signal, b > 1 ? 'Price above the upper band (stretched)' : b < 0 ? 'Price below the lower band (stretched)' : `Price inside the bands (%B ${b})`, 0.5);
+    }
+    if (s.volume.trend) {
+      const confirming = s.volume.upDownRatio !== null && s.volume.upDownRatio > 1.2 ? 'bullish' : s.volume.upDownRatio !== null && s.volume.upDownRatio < 0.8 ? 'bearish' : 'neutral';
+      add('Volume', s.volume.trend === 'rising' ? confirming : 'neutral', `Volume ${s.volume.trend} (${s.volume.ratio}x the longer average)`, 0.5);
+    }
+
+    return signals;
+  }
+
+  // -100 (all bearish) to +100 (all bullish)
+  scoreSignals(signals) {
+    const total = signals.reduce((sum, signal) => sum + signal.weight, 0);
+    if (total === 0) return 0;
+    const net = signals.reduce((sum, signal) => sum + signal.weight * (signal.signal === 'bullish' ? 1 : signal.signal === 'bearish' ? -1 : 0), 0);
+    return Math.round((net / total) * 100);
+  }
+
+  // Rule-based outlook: targets come from support/resistance levels and ATR
+  // rather than a fixed percentage
+  deriveOutlook(snapshot) {
+    if (!snapshot) return null;
+
+    const { price, levels } = snapshot;
+    const atr = snapshot.atr.value || price * 0.02;
+
+    const recommendation = snapshot.score >= 30 ? 'BUY' : snapshot.score <= -30 ? 'SELL' : 'HOLD';
+
+    // Levels closer than half an ATR are noise; ones further than a few ATRs are out of reach
+    const target = levels.nearestResistance && levels.nearestResistance - price > atr * 0.5
+      ? Math.min(levels.nearestResistance, price + atr * 4)
+      : price + atr * 2;
+    const stopLoss = levels.nearestSupport && price - levels.nearestSupport > atr * 0.5
+      ? Math.max(levels.nearestSupport - atr * 0.5, price - atr * 3)
+      : price - atr * 2;
+
+    const directional = snapshot.signals.filter(signal => signal.signal !== 'neutral');
+    const agreement = directional.length > 0
+      ? Math.abs(directional.reduce((sum, signal) => sum + (signal.signal === 'bullish' ? 1 : -1), 0)) / directional.length
+      : 0;
+    const dataFactor = Math.min(1, snapshot.bars / 200);
+
+    return {
+      recommendation,
+      confidence: round(0.45 + 0.3 * agreement * dataFactor + 0.1 * dataFactor, 2),
+      priceTarget: round(target, 2),
+      stopLoss: round(Math.max(stopLoss, 0), 2),
+      riskReward: price - stopLoss > 0 ? round((target - price) / (price - stopLoss), 2) : null,
+      riskLevel: snapshot.atr.percent === null ? 'unknown' : snapshot.atr.percent > 4 ? 'high' : snapshot.atr.percent > 2 ? 'medium' : 'low'
+    };
+  }
+}
+
+module.exports = new TechnicalAnalysisService();
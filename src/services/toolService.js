@@ -0,0 +1,187 @@
+const marketService = require('./marketService');
+const comparisonService = require('./comparisonService');
+const watchlistService = require('./watchlistService');
+const portfolioService = require('./portfolioService');
+const technicalAnalysisService = require('./technicalAnalysisService');
+const fundamentalAnalysisService = require('./fundamentalAnalysisService');
+const HttpError = require('../utils/httpError');
+
+const TOOL_DEFAULTS = {
+  // Tool calls the model may make while answering one message
+  maxCalls: 6,
+  // Time the whole tool loop may take before the model must answer with what it has
+  maxLatencyMs: 15000,
+  // Output cap for tool rounds when the answer is streamed afterwards, so a round
+  // where the model answers instead of calling a tool costs little
+  roundMaxTokens: 256
+};
+
+const symbolParameter = { type: 'string', description: 'Ticker symbol, e.g. AAPL, BRK.B, BTC-USD or ^GSPC' };
+
+// Declarations sent to the model. Parameters are JSON Schema; requiresUser
+// tools are only offered when the message comes from a known user.
+const TOOL_DECLARATIONS = [
+  {
+    name: 'getStockData',
+    description: 'Current quote for one symbol: price, daily change, volume, day and 52-week range, market cap, P/E and dividend yield.',
+    parameters: { type: 'object', properties: { symbol: symbolParameter }, required: ['symbol'] }
+  },
+  {
+    name: 'getDetailedStockData',
+    description: 'Fundamentals (valuation, profitability, balance sheet, growth with a letter grade) and one-year technical indicators (moving averages, RSI, MACD, signal score) for one symbol.',
+    parameters: { type: 'object', properties: { symbol: symbolParameter }, required: ['symbol'] }
+  },
+  {
+    name: 'getHistoricalData',
+    description: 'Split-adjusted price history summary for one symbol over a period: start and end close, percent change, high, low and the last five closes.',
+    parameters: {
+      type: 'object',
+      properties: {
+        symbol: symbolParameter,
+        period: { type: 'string', enum: marketService.HISTORY_PERIODS, description: 'Lookback period (default 1y)' },
+        interval: { type: 'string', enum: marketService.HISTORY_INTERVALS, description: 'Bar size (default 1d)' }
+      },
+      required: ['symbol']
+    }
+  },
+  {
+    name: 'compareStocks',
+    description: 'Side-by-side comparison of 2-10 symbols: quote table, total return over the period and return correlations.',
+    parameters: {
+      type: 'object',
+      properties: {
+        symbols: { type: 'array', items: { type: 'string' }, description: 'Ticker symbols to compare' },
+        period: { type: 'string', enum: comparisonService.COMPARISON_PERIODS, description: 'Performance period (default 1y)' }
+      },
+      required: ['symbols']
+    }
+  },
+  {
+    name: 'getWatchlist',
+    description: "The user's watchlist with current prices and price alerts.",
+    parameters: { type: 'object', properties: {} },
+    requiresUser: true
+  },
+  {
+    name: 'getPortfolio',
+    description: "The user's portfolio: open positions with cost basis, market value and P&L, plus totals.",
+    parameters: { type: 'object', properties: {} },
+    requiresUser: true
+  }
+];
+
+const pick = (source, keys) => keys.reduce((picked, key) => {
+  if (source[key] !== undefined && source[key] !== null) picked[key] = source[key];
+  return picked;
+}, {});
+
+// Read-only market and account lookups the language model can call while
+// answering (see aiService.runToolLoop). Results are compact JSON so a few
+// calls fit in the prompt; failures throw and are reported to the model.
+// An aborted signal stops a tool before its next market data request.
+class ToolService {
+  constructor() {
+    const parsed = {
+      maxCalls: parseInt(process.env.LLM_TOOL_MAX_CALLS, 10),
+      maxLatencyMs: parseInt(process.env.LLM_TOOL_MAX_LATENCY_MS, 10)
+    };
+    this.enabled = process.env.LLM_TOOLS !== 'false';
+    this.config = { ...TOOL_DEFAULTS };
+    Object.keys(parsed).forEach(key => {
+      if (Number.isFinite(parsed[key]) && parsed[key] >= 0) this.config[key] = parsed[key];
+    });
+  }
+
+  // Tool declarations for one request, without run details
+  getDeclarations({ userId } = {}) {
+    if (!this.enabled || this.config.maxCalls === 0) return [];
+    return TOOL_DECLARATIONS
+      .filter(tool => !tool.requiresUser || userId)
+      .map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  async execute(name, args = {}, { userId, signal } = {}) {
+    const tool = TOOL_DECLARATIONS.find(declaration => declaration.name === name);
+    if (!tool || typeof this[name] !== 'function') {
+      throw new HttpError(400, `Unknown tool: ${name}`);
+    }
+    if (tool.requiresUser && !userId) {
+      throw new HttpError(400, `${name} needs a signed-in user`);
+    }
+    return this[name](args || {}, { userId, signal });
+  }
+
+  requireSymbol(symbol) {
+    const normalized = marketService.normalizeSymbol(symbol);
+    if (!normalized) {
+      throw new HttpError(400, `Invalid symbol: ${symbol}`);
+    }
+    return normalized;
+  }
+
+  async getStockData({ symbol }, { signal }) {
+    const quote = await marketService.getStockData(this.requireSymbol(symbol), { signal });
+    return pick(quote, ['symbol', 'name', 'price', 'change', 'changePercent', 'volume', 'open', 'high', 'low',
+      'previousClose', 'marketCap', 'fiftyTwoWeekHigh', 'fiftyTwoWeekLow', 'pe', 'forwardPE', 'dividendYield', 'currency']);
+  }
+
+  async getDetailedStockData({ symbol }, { signal }) {
+    const normalized = this.requireSymbol(symbol);
+    const detail = await marketService.getDetailedStockData(normalized, { period: '1y', signal });
+    const fundamental = fundamentalAnalysisService.analyze(detail);
+    const technical = technicalAnalysisService.computeSnapshot(detail.historical);
+
+    return {
+      symbol: normalized,
+      fundamentals: fundamental ? {
+        grade: fundamental.grade,
+        scores: fundamental.scores,
+        strengths: fundamental.strengths,
+        weaknesses: fundamental.weaknesses,
+        unavailable: fundamental.unavailable
+      } : null,
+      technicals: technical ? {
+        price: technical.price,
+        periodChangePercent: technical.periodChangePercent,
+        movingAverages: technical.movingAverages,
+        rsi: technical.rsi,
+        macd: technical.macd,
+        atr: technical.atr,
+        score: technical.score,
+        bias: technical.bias,
+        signals: technical.signals.map(signal => signal.detail)
+      } : null
+    };
+  }
+
+  async getHistoricalData({ symbol, period = '1y', interval = '1d' }, { signal }) {
+    const history = await marketService.getHistoricalData(this.requireSymbol(symbol), { period, interval, adjusted: true, signal });
+    return marketService.summarizeHistory(history);
+  }
+
+  async compareStocks({ symbols, period = '1y' }, { signal }) {
+    const comparison = await comparisonService.compare(symbols, { period, signal });
+    return {
+      symbols: comparison.symbols,
+      period: comparison.period,
+      table: comparison.table.map(row => pick(row, ['symbol', 'name', 'price', 'changePercent', 'marketCap', 'trailingPE',
+        'forwardPE', 'dividendYieldPercent', 'fiftyTwoWeekPosition'])),
+      totalReturnPercent: comparison.performance ? comparison.performance.totalReturnPercent : null,
+      correlation: comparison.correlation,
+      unavailable: comparison.unavailable
+    };
+  }
+
+  async getWatchlist(args, { userId, signal }) {
+    return { items: await watchlistService.getWatchlist(userId, { withQuotes: true, signal }) };
+  }
+
+  async getPortfolio(args, { userId, signal }) {
+    const { holdings, summary, pricedAt } = await portfolioService.getPortfolio(userId, { withQuotes: true, signal });
+    return { holdings, summary, pricedAt };
+  }
+}
+
+module.exports = new ToolService();
+module.exports.TOOL_DEFAULTS = TOOL_DEFAULTS;
+module.exports.TOOL_DECLARATIONS = TOOL_DECLARATIONS;
@@ -0,0 +1,489 @@
+const { getHistoryStore } = require('../stores/history');
+const conversationService = require('./conversationService');
+const conversationMemoryService = require('./conversationMemoryService');
+const comparisonService = require('./comparisonService');
+const HttpError = require('../utils/httpError');
+
+const TRANSCRIPT_FORMAT = 'sentivest-transcript';
+const TRANSCRIPT_VERSION = 1;
+const DISCLAIMER = 'Generated by Sentivest AI for informational purposes only. Not investment advice. ' +
+  'Market data may be delayed and past performance does not guarantee future results.';
+
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+const FORMAT_ALIASES = { md: 'markdown', htm: 'html' };
+
+const MAX_IMPORT_CONTENT_LENGTH = 20000;
+const MAX_SNAPSHOT_LENGTH = 20000;
+
+const pick = (source, keys) => keys.reduce((picked, key) => {
+  if (source[key] !== undefined && source[key] !== null) picked[key] = source[key];
+  return picked;
+}, {});
+
+const isRecord = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Like pick, but keeps only strings, finite numbers and booleans
+const pickScalars = (source, keys) => keys.reduce((picked, key) => {
+  const value = source[key];
+  if (typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value))) {
+    picked[key] = value;
+  }
+  return picked;
+}, {});
+
+const pickRows = (list, keys) => (Array.isArray(list) ? list.filter(isRecord).map(row => pickScalars(row, keys)) : []);
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatTimestamp(timestamp) {
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? '' : `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function formatNumber(value, suffix = '') {
+  return typeof value === 'number' ? `${value.toFixed(2)}${suffix}` : '—';
+}
+
+// Renders a conversation as Markdown, a self-contained HTML page or versioned
+// JSON, and restores JSON exports. Assistant turns carry a compact snapshot of
+// the data their answer was based on (buildSnapshot), stored with the history.
+class TranscriptService {
+  // What an assistant reply was based on, small enough to keep with every message
+  buildSnapshot(context, aiResponse = {}) {
+    const snapshot = pick({ type: aiResponse.type, intent: context.intent ? context.intent.intent : null }, ['type', 'intent']);
+
+    const quotes = context.marketContext && Array.isArray(context.marketContext.relevantData)
+      ? context.marketContext.relevantData.filter(quote => quote && quote.symbol)
+      : [];
+    if (quotes.length > 0) {
+      snapshot.quotes = quotes.map(quote => pick(comparisonService.buildRow(quote),
+        ['symbol', 'name', 'price', 'change', 'changePercent', 'trailingPE', 'marketCap']));
+      snapshot.asOf = context.marketContext.timestamp;
+    }
+
+    if (context.analysis) {
+      snapshot.analysis = pick(context.analysis,
+        ['symbol', 'analysisType', 'recommendation', 'confidence', 'score', 'bias', 'grade', 'keyPoints']);
+    }
+
+    if (context.comparison) {
+      const { symbols, period, table, performance } = context.comparison;
+      snapshot.comparison = {
+        symbols,
+        period,
+        rows: table.map(row => pick(row, ['symbol', 'price', 'changePercent', 'trailingPE', 'fiftyTwoWeekPosition'])),
+        totalReturnPercent: performance ? performance.totalReturnPercent : null
+      };
+    }
+
+    if (context.priceHistory && context.priceHistory.bars > 0) {
+      snapshot.priceHistory = pick(context.priceHistory,
+        ['symbol', 'period', 'start', 'end', 'firstClose', 'lastClose', 'changePercent', 'high', 'low']);
+    }
+
+    if (context.backtest) {
+      const { symbol, period, strategy, start, end, metrics, benchmark } = context.backtest;
+      snapshot.backtest = { symbol, period, strategy, start, end, metrics, benchmark: benchmark ? benchmark.metrics : null };
+    }
+
+    if (context.marketOverview) {
+      snapshot.marketOverview = {
+        sentiment: context.marketOverview.sentiment,
+        indices: context.marketOverview.indices.map(index => pick(index, ['symbol', 'name', 'price', 'changePercent'])),
+        asOf: context.marketOverview.timestamp
+      };
+    }
+
+    if (context.portfolio && context.portfolio.summary) {
+      snapshot.portfolio = { summary: context.portfolio.summary, pricedAt: context.portfolio.pricedAt };
+    }
+
+    return snapshot;
+  }
+
+  // { filename, contentType, body } for GET /history/:userId/export
+  async exportConversation(userId, { conversationId, format = 'markdown' } = {}) {
+    const formatName = FORMAT_ALIASES[String(format).toLowerCase()] || String(format).toLowerCase();
+    const exportFormat = EXPORT_FORMATS[formatName];
+    if (!exportFormat) {
+      throw new HttpError(400, `Invalid format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const conversation = await conversationService.getConversation(
+      userId,
+      conversationId || conversationService.DEFAULT_CONVERSATION_ID
+    );
+    const store = await getHistoryStore();
+    const messages = await store.getHistory(userId, store.maxMessages, conversation.conversationId);
+    if (messages.length === 0) {
+      throw new HttpError(404, 'This conversation has no messages to export');
+    }
+
+    const transcript = this.buildTranscript(conversation, messages);
+    const body = formatName === 'json'
+      ? JSON.stringify(transcript, null, 2)
+      : formatName === 'html' ? this.renderHtml(transcript) : this.renderMarkdown(transcript);
+
+    const slug = conversation.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'conversation';
+    return {
+      filename: `sentivest-${slug}-${transcript.exportedAt.slice(0, 10)}.${exportFormat.extension}`,
+      contentType: exportFormat.contentType,
+      body
+    };
+  }
+
+  buildTranscript(conversation, messages) {
+    return {
+      format: TRANSCRIPT_FORMAT,
+      version: TRANSCRIPT_VERSION,
+      exportedAt: new Date().toISOString(),
+      conversation: pick(conversation, ['title', 'createdAt', 'lastActivityAt']),
+      messages: messages.map(message => pick({
+        role: message.role,
+        content: message.content,
+        timestamp: new Date(message.timestamp).toISOString(),
+        data: message.data
+      }, ['role', 'content', 'timestamp', 'data'])),
+      disclaimer: DISCLAIMER
+    };
+  }
+
+  // Tables and lists describing a snapshot, shared by the Markdown and HTML renderers
+  describeSnapshot(data) {
+    const blocks = [];
+    if (!data) return blocks;
+
+    if (data.quotes) {
+      blocks.push({
+        title: `Market data${data.asOf ? ` (as of ${formatTimestamp(data.asOf)})` : ''}`,
+        headers: ['Symbol', 'Price', 'Change', 'P/E'],
+        rows: data.quotes.map(quote => [quote.symbol, formatNumber(quote.price), formatNumber(quote.changePercent, '%'), formatNumber(quote.trailingPE)])
+      });
+    }
+
+    if (data.analysis) {
+      const { symbol, analysisType, recommendation, confidence, score, bias, grade, keyPoints = [] } = data.analysis;
+      const details = [
+        recommendation ? `Recommendation: ${recommendation}${typeof confidence === 'number' ? ` (${Math.round(confidence * 100)}% confidence)` : ''}` : null,
+        typeof score === 'number' ? `Technical score: ${score}${bias ? ` (${bias})` : ''}` : null,
+        grade ? `Fundamental grade: ${grade}` : null,
+        ...keyPoints
+      ].filter(Boolean);
+      blocks.push({ title: `${analysisType ? `${analysisType[0].toUpperCase()}${analysisType.slice(1)} analysis` : 'Analysis'} of ${symbol}`, items: details });
+    }
+
+    if (data.comparison) {
+      const returns = data.comparison.totalReturnPercent || {};
+      blocks.push({
+        title: `Comparison (${data.comparison.period})`,
+        headers: ['Symbol', 'Price', 'Change', 'P/E', `${data.comparison.period} return`],
+        rows: data.comparison.rows.map(row => [row.symbol, formatNumber(row.price), formatNumber(row.changePercent, '%'), formatNumber(row.trailingPE), formatNumber(returns[row.symbol], '%')])
+      });
+    }
+
+    if (data.priceHistory) {
+      const history = data.priceHistory;
+      blocks.push({
+        title: `${history.symbol} price history (${history.period})`,
+        items: [
+          `${history.start} → ${history.end}: ${formatNumber(history.firstClose)} → ${formatNumber(history.lastClose)} (${formatNumber(history.changePercent, '%')})`,
+          history.high ? `High ${formatNumber(history.high.price)} on ${history.high.date}` : null,
+          history.low ? `Low ${formatNumber(history.low.price)} on ${history.low.date}` : null
+        ].filter(Boolean)
+      });
+    }
+
+    if (data.backtest && data.backtest.metrics) {
+      const { symbol, period, metrics, benchmark } = data.backtest;
+      blocks.push({
+        title: `Backtest of ${symbol} (${period})`,
+        items: [
+          `Total return ${formatNumber(metrics.totalReturnPercent, '%')}${benchmark ? ` vs buy and hold ${formatNumber(benchmark.totalReturnPercent, '%')}` : ''}`,
+          `Max drawdown ${formatNumber(metrics.maxDrawdownPercent, '%')}`,
+          typeof metrics.trades === 'number' ? `${metrics.trades} trades` : null
+        ].filter(Boolean)
+      });
+    }
+
+    if (data.marketOverview) {
+      blocks.push({
+        title: `Market overview (${data.marketOverview.sentiment})`,
+        headers: ['Index', 'Level', 'Change'],
+        rows: data.marketOverview.indices.map(index => [index.name || index.symbol, formatNumber(index.price), formatNumber(index.changePercent, '%')])
+      });
+    }
+
+    if (data.portfolio) {
+      const summary = data.portfolio.summary;
+      blocks.push({
+        title: 'Portfolio',
+        items: [
+          `Market value ${formatNumber(summary.marketValue)}, cost basis ${formatNumber(summary.costBasis)}`,
+          `Unrealized P&L ${formatNumber(summary.unrealizedPnL)} (${formatNumber(summary.unrealizedPnLPercent, '%')})`
+        ]
+      });
+    }
+
+    return blocks;
+  }
+
+  renderMarkdown(transcript) {
+    const lines = [
+      `# ${transcript.conversation.title}`,
+      '',
+      `*Exported from Sentivest AI on ${formatTimestamp(transcript.exportedAt)} · ${transcript.messages.length} messages*`,
+      ''
+    ];
+
+    transcript.messages.forEach(message => {
+      lines.push('---', '', `### ${message.role === 'user' ? '👤 You' : '🤖 Sentivest AI'} · ${formatTimestamp(message.timestamp)}`, '', message.content, '');
+
+      this.describeSnapshot(message.data).forEach(block => {
+        lines.push(`**${block.title}**`, '');
+        if (block.rows) {
+          lines.push(`| ${block.headers.join(' | ')} |`, `| ${block.headers.map(() => '---').join(' | ')} |`);
+          block.rows.forEach(row => lines.push(`| ${row.join(' | ')} |`));
+        } else {
+          block.items.forEach(item => lines.push(`- ${item}`));
+        }
+        lines.push('');
+      });
+    });
+
+    lines.push('---', '', `*Generated ${transcript.exportedAt}. ${transcript.disclaimer}*`, '');
+    return lines.join('\n');
+  }
+
+  // Self-contained page: inline styles, no scripts or external assets
+  renderHtml(transcript) {
+    const renderContent = content => escapeHtml(content)
+      .split(/\n{2,}/)
+      .map(paragraph => `<p>${paragraph
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\n]+)\*/g, '$1<em>$2</em>')
+        .replace(/\n/g, '<br>')}</p>`)
+      .join('\n');
+
+    const renderBlock = block => {
+      const body = block.rows
+        ? `<table><thead><tr>${block.headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>` +
+          `<tbody>${block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`
+        : `<ul>${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+      return `<div class="snapshot"><h4>${escapeHtml(block.title)}</h4>${body}</div>`;
+    };
+
+    const messages = transcript.messages.map(message => `
+    <section class="message ${message.role}">
+      <header>${message.role === 'user' ? '👤 You' : '🤖 Sentivest AI'} <time datetime="${escapeHtml(message.timestamp)}">${formatTimestamp(message.timestamp)}</time></header>
+      ${renderContent(message.content)}
+      ${this.describeSnapshot(message.data).map(renderBlock).join('\n')}
+    </section>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(transcript.conversation.title)} · Sentivest AI</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 820px; margin: 2rem auto; padding: 0 1rem; color: #1f2933; line-height: 1.5; }
+    h1 { margin-bottom: 0.25rem; }
+    .meta, footer { color: #616e7c; font-size: 0.9rem; }
+    .message { border-radius: 8px; padding: 0.75rem 1rem; margin: 1rem 0; }
+    .message.user { background: #e8f1fd; }
+    .message.assistant { background: #f5f7fa; }
+    .message header { font-weight: 600; margin-bottom: 0.25rem; }
+    .message time { font-weight: 400; color: #616e7c; font-size: 0.85rem; margin-left: 0.5rem; }
+    .snapshot { border-top: 1px solid #d9e2ec; margin-top: 0.75rem; padding-top: 0.5rem; font-size: 0.9rem; }
+    .snapshot h4 { margin: 0 0 0.25rem; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #d9e2ec; padding: 0.25rem 0.6rem; text-align: right; }
+    th:first-child, td:first-child { text-align: left; }
+    footer { border-top: 1px solid #d9e2ec; margin-top: 2rem; padding-top: 0.75rem; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(transcript.conversation.title)}</h1>
+  <p class="meta">Exported from Sentivest AI on ${formatTimestamp(transcript.exportedAt)} · ${transcript.messages.length} messages</p>
+${messages}
+  <footer>Generated ${escapeHtml(transcript.exportedAt)}. ${escapeHtml(transcript.disclaimer)}</footer>
+</body>
+</html>
+`;
+  }
+
+  // Restores a JSON export into a new conversation, or appends it to an
+  // existing one when conversationId is given
+  async importTranscript(userId, transcript, { conversationId, title } = {}) {
+    const store = await getHistoryStore();
+    const exchanges = this.parseTranscript(transcript, { maxMessages: store.maxMessages });
+
+    let targetId;
+    if (conversationId) {
+      targetId = await conversationService.resolveForMessage(userId, conversationId);
+      // The store trims each conversation to maxMessages, so an import must not push its history out
+      const existing = await store.getHistory(userId, store.maxMessages, targetId);
+      if (existing.length + exchanges.length * 2 > store.maxMessages) {
+        throw new HttpError(400, `Conversation has ${existing.length} messages; importing ${exchanges.length * 2} more ` +
+          `would exceed the ${store.maxMessages} messages kept per conversation. Import into a new conversation instead.`);
+      }
+    } else {
+      const importedTitle = title || `${(transcript.conversation && transcript.conversation.title) || 'Conversation'} (imported)`;
+      const created = await conversationService.createConversation(userId, {
+        title: String(importedTitle).slice(0, conversationService.MAX_TITLE_LENGTH)
+      });
+      targetId = created.conversationId;
+    }
+
+    try {
+      await store.importExchanges(userId, exchanges, targetId);
+    } catch (error) {
+      // Don't leave an empty conversation behind for a failed import
+      if (!conversationId) {
+        await store.deleteThread(userId, targetId).catch(cleanupError => {
+          console.error(`⚠️ Failed to remove conversation ${targetId} after import error:`, cleanupError.message);
+        });
+      }
+      throw error;
+    }
+    console.log(`📥 Imported ${exchanges.length * 2} messages into conversation ${targetId} for ${userId}`);
+
+    // Fold older imported turns into the conversation memory right away
+    try {
+      await conversationMemoryService.summarizeIfNeeded(userId, targetId);
+    } catch (error) {
+      console.error('⚠️ Summary after import failed:', error.message);
+    }
+
+    return {
+      conversation: await conversationService.getConversation(userId, targetId),
+      imported: exchanges.length * 2
+    };
+  }
+
+  // Validates a JSON export and pairs its messages into exchanges. maxMessages
+  // is what the history store keeps per conversation; longer transcripts are rejected
+  // rather than silently trimmed.
+  parseTranscript(transcript, { maxMessages } = {}) {
+    if (!transcript || typeof transcript !== 'object' || transcript.format !== TRANSCRIPT_FORMAT) {
+      throw new HttpError(400, `Not a Sentivest transcript (expected format "${TRANSCRIPT_FORMAT}")`);
+    }
+    if (!Number.isInteger(transcript.version) || transcript.version < 1 || transcript.version > TRANSCRIPT_VERSION) {
+      throw new HttpError(400, `Unsupported transcript version ${transcript.version} (supported: ${TRANSCRIPT_VERSION})`);
+    }
+
+    const { messages } = transcript;
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new HttpError(400, 'Transcript has no messages');
+    }
+    if (maxMessages && messages.length > maxMessages) {
+      throw new HttpError(400, `Transcript too long (${messages.length} messages; at most ${maxMessages} are kept per conversation)`);
+    }
+
+    const exchanges = [];
+    for (let i = 0; i < messages.length; i += 2) {
+      const question = this.validateMessage(messages[i], i, 'user');
+      const answer = this.validateMessage(messages[i + 1], i + 1, 'assistant');
+      exchanges.push({ message: question.content, response: answer.content, timestamp: answer.timestamp, data: answer.data });
+    }
+    return exchanges;
+  }
+
+  validateMessage(message, index, role) {
+    if (!message || typeof message !== 'object' || message.role !== role) {
+      throw new HttpError(400, `Message ${index} must be a ${role} message (messages alternate user and assistant)`);
+    }
+    if (typeof message.content !== 'string' || message.content.length === 0 || message.content.length > MAX_IMPORT_CONTENT_LENGTH) {
+      throw new HttpError(400, `Message ${index} needs content of 1-${MAX_IMPORT_CONTENT_LENGTH} characters`);
+    }
+
+    const timestamp = new Date(message.timestamp);
+    if (!message.timestamp || Number.isNaN(timestamp.getTime())) {
+      throw new HttpError(400, `Message ${index} has an invalid timestamp`);
+    }
+
+    return { content: message.content, timestamp, data: this.sanitizeSnapshot(message.data) };
+  }
+
+  // Snapshots are informational, so an imported one is rebuilt from the fields
+  // buildSnapshot writes: blocks of the wrong shape and unknown keys are dropped
+  // rather than rejected, and an oversized or empty snapshot becomes null.
+  sanitizeSnapshot(data) {
+    if (!isRecord(data) || JSON.stringify(data).length > MAX_SNAPSHOT_LENGTH) return null;
+    const snapshot = pickScalars(data, ['type', 'intent', 'asOf']);
+
+    if (Array.isArray(data.quotes)) {
+      snapshot.quotes = pickRows(data.quotes, ['symbol', 'name', 'price', 'change', 'changePercent', 'trailingPE', 'marketCap']);
+    }
+
+    if (isRecord(data.analysis)) {
+      snapshot.analysis = pickScalars(data.analysis,
+        ['symbol', 'analysisType', 'recommendation', 'confidence', 'score', 'bias', 'grade']);
+      if (typeof snapshot.analysis.analysisType !== 'string') delete snapshot.analysis.analysisType;
+      if (Array.isArray(data.analysis.keyPoints)) {
+        snapshot.analysis.keyPoints = data.analysis.keyPoints.filter(point => typeof point === 'string');
+      }
+    }
+
+    if (isRecord(data.comparison) && Array.isArray(data.comparison.rows)) {
+      const { symbols, totalReturnPercent } = data.comparison;
+      snapshot.comparison = {
+        ...pickScalars(data.comparison, ['period']),
+        symbols: Array.isArray(symbols) ? symbols.filter(symbol => typeof symbol === 'string') : [],
+        rows: pickRows(data.comparison.rows, ['symbol', 'price', 'changePercent', 'trailingPE', 'fiftyTwoWeekPosition']),
+        totalReturnPercent: isRecord(totalReturnPercent) ? pickScalars(totalReturnPercent, Object.keys(totalReturnPercent)) : null
+      };
+    }
+
+    if (isRecord(data.priceHistory)) {
+      const history = data.priceHistory;
+      snapshot.priceHistory = pickScalars(history,
+        ['symbol', 'period', 'start', 'end', 'firstClose', 'lastClose', 'changePercent']);
+      ['high', 'low'].forEach(key => {
+        if (isRecord(history[key])) snapshot.priceHistory[key] = pickScalars(history[key], ['price', 'date']);
+      });
+    }
+
+    if (isRecord(data.backtest) && isRecord(data.backtest.metrics)) {
+      const { metrics, benchmark } = data.backtest;
+      snapshot.backtest = {
+        ...pickScalars(data.backtest, ['symbol', 'period', 'start', 'end']),
+        strategy: isRecord(data.backtest.strategy) ? pickScalars(data.backtest.strategy, Object.keys(data.backtest.strategy)) : null,
+        metrics: pickScalars(metrics, Object.keys(metrics)),
+        benchmark: isRecord(benchmark) ? pickScalars(benchmark, Object.keys(benchmark)) : null
+      };
+    }
+
+    if (isRecord(data.marketOverview) && Array.isArray(data.marketOverview.indices)) {
+      snapshot.marketOverview = {
+        ...pickScalars(data.marketOverview, ['sentiment', 'asOf']),
+        indices: pickRows(data.marketOverview.indices, ['symbol', 'name', 'price', 'changePercent'])
+      };
+    }
+
+    if (isRecord(data.portfolio) && isRecord(data.portfolio.summary)) {
+      snapshot.portfolio = {
+        ...pickScalars(data.portfolio, ['pricedAt']),
+        summary: pickScalars(data.portfolio.summary, Object.keys(data.portfolio.summary))
+      };
+    }
+
+    return Object.keys(snapshot).length > 0 ? snapshot : null;
+  }
+}
+
+module.exports = new TranscriptService();
+module.exports.TRANSCRIPT_FORMAT = TRANSCRIPT_FORMAT;
+module.exports.TRANSCRIPT_VERSION = TRANSCRIPT_VERSION;
+module.exports.EXPORT_FORMATS = EXPORT_FORMATS;
@@ -0,0 +1,157 @@
+const validator = require('validator');
+const User = require('../models/User');
+const { getUserStore } = require('../stores/users');
+const conversationService = require('./conversationService');
+const HttpError = require('../utils/httpError');
+
+const RISK_TOLERANCES = User.schema.path('preferences.riskTolerance').enumValues;
+const MAX_LIST_ITEMS = 10;
+const MAX_ITEM_LENGTH = 100;
+
+class UserProfileService {
+  async createProfile(userId, data = {}) {
+    this.requireUserId(userId);
+    const updates = this.validateProfile(data);
+    const store = await getUserStore();
+
+    if (await store.findUser(userId)) {
+      throw new HttpError(409, `Profile for ${userId} already exists`);
+    }
+
+    const user = await store.updateUser(userId, doc => this.applyUpdates(doc, updates));
+    return this.formatProfile(user);
+  }
+
+  async getProfile(userId) {
+    const store = await getUserStore();
+    const user = await store.findUser(userId);
+    if (!user) {
+      throw new HttpError(404, `No profile found for ${userId}`);
+    }
+    return this.formatProfile(user);
+  }
+
+  // Partial update: only the fields present in data change
+  async updateProfile(userId, data = {}) {
+    const updates = this.validateProfile(data);
+    const store = await getUserStore();
+
+    if (!(await store.findUser(userId))) {
+      throw new HttpError(404, `No profile found for ${userId}`);
+    }
+
+    const user = await store.updateUser(userId, doc => this.applyUpdates(doc, updates));
+    return this.formatProfile(user);
+  }
+
+  // Removes the profile together with the user's watchlist, portfolio, chat history and conversations
+  async deleteProfile(userId) {
+    const store = await getUserStore();
+    const deleted = await store.deleteUser(userId);
+    if (!deleted) {
+      throw new HttpError(404, `No profile found for ${userId}`);
+    }
+
+    try {
+      await conversationService.deleteAllConversations(userId);
+    } catch (error) {
+      console.error('⚠️ Failed to clear history for deleted user:', error.message);
+    }
+
+    return true;
+  }
+
+  // Profile details used to tailor AI answers; null when the user has no profile
+  async getPromptProfile(userId) {
+    try {
+      const store = await getUserStore();
+      const user = await store.findUser(userId);
+      if (!user) return null;
+
+      const preferences = user.preferences || {};
+      return {
+        name: user.name && user.name !== 'User' ? user.name : null,
+        riskTolerance: preferences.riskTolerance || 'moderate',
+        investmentGoals: preferences.investmentGoals || [],
+        preferredSectors: preferences.preferredSectors || []
+      };
+    } catch (error) {
+      console.error('⚠️ Could not load user profile:', error.message);
+      return null;
+    }
+  }
+
+  requireUserId(userId) {
+    if (!userId || typeof userId !== 'string' || userId.length > 100) {
+      throw new HttpError(400, 'A userId (max 100 characters) is required');
+    }
+  }
+
+  validateProfile(data) {
+    const updates = {};
+    const preferences = data.preferences || {};
+
+    if (data.name !== undefined) {
+      if (typeof data.name !== 'string' || data.name.trim().length === 0 || data.name.length > MAX_ITEM_LENGTH) {
+        throw new HttpError(400, `name must be a non-empty string (max ${MAX_ITEM_LENGTH} characters)`);
+      }
+      updates.name = data.name.trim();
+    }
+
+    if (data.email !== undefined) {
+      if (typeof data.email !== 'string' || (data.email !== '' && !validator.isEmail(data.email))) {
+        throw new HttpError(400, 'email must be a valid email address');
+      }
+      updates.email = data.email === '' ? '' : validator.normalizeEmail(data.email);
+    }
+
+    if (preferences.riskTolerance !== undefined) {
+      const riskTolerance = String(preferences.riskTolerance).toLowerCase();
+      if (!RISK_TOLERANCES.includes(riskTolerance)) {
+        throw new HttpError(400, `preferences.riskTolerance must be one of: ${RISK_TOLERANCES.join(', ')}`);
+      }
+      updates.riskTolerance = riskTolerance;
+    }
+
+    ['investmentGoals', 'preferredSectors'].forEach(field => {
+      if (preferences[field] === undefined) return;
+      const list = preferences[field];
+      if (!Array.isArray(list) || list.length > MAX_LIST_ITEMS ||
+          list.some(item => typeof item !== 'string' || item.trim().length === 0 || item.length > MAX_ITEM_LENGTH)) {
+        throw new HttpError(400, `preferences.${field} must be a list of up to ${MAX_LIST_ITEMS} non-empty strings`);
+      }
+      updates[field] = [...new Set(list.map(item => item.trim()))];
+    });
+
+    return updates;
+  }
+
+  applyUpdates(doc, updates) {
+    if (updates.name !== undefined) doc.name = updates.name;
+    if (updates.email !== undefined) doc.email = updates.email;
+    if (updates.riskTolerance !== undefined) doc.preferences.riskTolerance = updates.riskTolerance;
+    if (updates.investmentGoals !== undefined) doc.preferences.investmentGoals = updates.investmentGoals;
+    if (updates.preferredSectors !== undefined) doc.preferences.preferredSectors = updates.preferredSectors;
+  }
+
+  formatProfile(user) {
+    const preferences = user.preferences || {};
+    return {
+      userId: user.userId,
+      name: user.name,
+      email: user.email,
+      preferences: {
+        riskTolerance: preferences.riskTolerance,
+        investmentGoals: preferences.investmentGoals || [],
+        preferredSectors: preferences.preferredSectors || []
+      },
+      watchlistSize: (user.watchlist || []).length,
+      holdings: (user.portfolio || []).length,
+      createdAt: user.createdAt,
+      lastActive: user.lastActive
+    };
+  }
+}
+
+module.exports = new UserProfileService();
+module.exports.RISK_TOLERANCES = RISK_TOLERANCES;
@@ -0,0 +1,155 @@
+const marketService = require('./marketService');
+const { getUserStore } = require('../stores/users');
+const HttpError = require('../utils/httpError');
+
+const ALERT_TYPES = ['above', 'below', 'none'];
+const MAX_WATCHLIST_SIZE = 50;
+
+class WatchlistService {
+  async getWatchlist(userId, options = {}) {
+    const store = await getUserStore();
+    const user = await store.getUser(userId);
+    const items = (user.watchlist || []).map(item => this.formatItem(item));
+
+    if (options.withQuotes === false || items.length === 0) {
+      return items;
+    }
+
+    let quotes = [];
+    try {
+      quotes = await marketService.getMultipleQuotes(items.map(item => item.symbol), { signal: options.signal });
+    } catch (error) {
+      console.error('⚠️ Watchlist quote fetch failed:', error.message);
+    }
+
+    const quotesBySymbol = new Map();
+    quotes.forEach(quote => {
+      const normalized = marketService.normalizeQuote(quote);
+      if (normalized && normalized.symbol) quotesBySymbol.set(normalized.symbol.toUpperCase(), normalized);
+    });
+
+    return items.map(item => this.withQuote(item, quotesBySymbol.get(item.symbol) || null));
+  }
+
+  async addSymbol(userId, { symbol, alertPrice, alertType } = {}) {
+    const normalizedSymbol = this.requireSymbol(symbol);
+    const alert = this.normalizeAlert(alertPrice, alertType);
+    const store = await getUserStore();
+
+    let added = null;
+    await store.updateUser(userId, user => {
+      if (user.watchlist.some(item => item.symbol === normalizedSymbol)) {
+        throw new HttpError(409, `${normalizedSymbol} is already on the watchlist`);
+      }
+      if (user.watchlist.length >= MAX_WATCHLIST_SIZE) {
+        throw new HttpError(400, `Watchlist is limited to ${MAX_WATCHLIST_SIZE} symbols`);
+      }
+
+      user.watchlist.push({ symbol: normalizedSymbol, ...alert, addedAt: new Date() });
+      added = user.watchlist[user.watchlist.length - 1].toObject();
+    });
+
+    return this.formatItem(added);
+  }
+
+  async updateAlert(userId, symbol, { alertPrice, alertType } = {}) {
+    const normalizedSymbol = this.requireSymbol(symbol);
+    const alert = this.normalizeAlert(alertPrice, alertType);
+    const store = await getUserStore();
+
+    let updated = null;
+    await store.updateUser(userId, user => {
+      const item = user.watchlist.find(entry => entry.symbol === normalizedSymbol);
+      if (!item) {
+        throw new HttpError(404, `${normalizedSymbol} is not on the watchlist`);
+      }
+
+      item.alertPrice = alert.alertPrice;
+      item.alertType = alert.alertType;
+      // A changed alert starts fresh
+      item.alertArmed = true;
+      item.lastTriggeredAt = null;
+      updated = item.toObject();
+    });
+
+    return this.formatItem(updated);
+  }
+
+  async removeSymbol(userId, symbol) {
+    const normalizedSymbol = this.requireSymbol(symbol);
+    const store = await getUserStore();
+
+    let removed = false;
+    await store.updateUser(userId, user => {
+      const index = user.watchlist.findIndex(entry => entry.symbol === normalizedSymbol);
+      if (index === -1) {
+        throw new HttpError(404, `${normalizedSymbol} is not on the watchlist`);
+      }
+      user.watchlist.splice(index, 1);
+      removed = true;
+    });
+
+    return removed;
+  }
+
+  requireSymbol(symbol) {
+    const normalized = marketService.normalizeSymbol(symbol);
+    if (!normalized) {
+      throw new HttpError(400, 'A valid stock symbol is required');
+    }
+    return normalized;
+  }
+
+  // An alert needs both a positive price and a direction; clearing either disables it
+  normalizeAlert(alertPrice, alertType) {
+    const type = alertType === undefined || alertType === null ? undefined : String(alertType).toLowerCase();
+
+    if (type !== undefined && !ALERT_TYPES.includes(type)) {
+      throw new HttpError(400, `alertType must be one of: ${ALERT_TYPES.join(', ')}`);
+    }
+
+    if (alertPrice === undefined || alertPrice === null || alertPrice === '' || type === 'none') {
+      if (type && type !== 'none') {
+        throw new HttpError(400, `alertPrice is required for "${type}" alerts`);
+      }
+      return { alertPrice: null, alertType: 'none' };
+    }
+
+    const price = Number(alertPrice);
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new HttpError(400, 'alertPrice must be a positive number');
+    }
+    if (!type) {
+      throw new HttpError(400, 'alertType ("above" or "below") is required when alertPrice is set');
+    }
+
+    return { alertPrice: price, alertType: type };
+  }
+
+  formatItem(item) {
+    return {
+      symbol: item.symbol,
+      alertPrice: item.alertPrice ?? null,
+      alertType: item.alertType || 'none',
+      alertArmed: item.alertArmed !== false,
+      lastTriggeredAt: item.lastTriggeredAt || null,
+      addedAt: item.addedAt
+    };
+  }
+
+  withQuote(item, quote) {
+    const result = { ...item, quote };
+
+    if (quote && quote.price && item.alertType !== 'none' && item.alertPrice) {
+      result.alert = {
+        distancePercent: Number((((item.alertPrice - quote.price) / quote.price) * 100).toFixed(2)),
+        conditionMet: item.alertType === 'above' ? quote.price >= item.alertPrice : quote.price <= item.alertPrice
+      };
+    }
+
+    return result;
+  }
+}
+
+module.exports = new WatchlistService();
+module.exports.ALERT_TYPES = ALERT_TYPES;
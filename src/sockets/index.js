@@ -0,0 +1,120 @@
+const { Server } = require('socket.io');
+const chatController = require('../controllers/chatController');
+const quoteStream = require('../services/quoteStreamService');
+const alertEngine = require('../services/alertEngine');
+const { verifyCredentials } = require('../middleware/auth');
+
+// Accepts 'AAPL', ['AAPL', 'MSFT'] or { symbols: [...] }
+function toSymbolList(payload) {
+  const value = payload && payload.symbols !== undefined ? payload.symbols : payload;
+  if (typeof value === 'string') return value.split(/[\s,]+/).filter(Boolean);
+  return Array.isArray(value) ? value.filter(symbol => typeof symbol === 'string') : [];
+}
+
+function reply(ack, payload) {
+  if (typeof ack === 'function') {
+    ack({ ...payload, timestamp: new Date().toISOString() });
+  }
+}
+
+// Real-time layer:
+//   client -> server: subscribe, unsubscribe, chat:message
+//   server -> client: quote, alert, chat:response
+// Clients authenticate in the handshake with auth.token (JWT) or auth.apiKey plus
+// auth.userId; the verified userId decides which alerts and chat history they get.
+function attachSocketServer(httpServer, options = {}) {
+  const io = new Server(httpServer, {
+    cors: options.cors || { origin: '*', methods: ['GET', 'POST'] }
+  });
+
+  quoteStream.on('quote', (symbol, quote) => {
+    io.to(`quote:${symbol}`).emit('quote', quote);
+  });
+
+  alertEngine.on('alert', alert => {
+    io.to(`user:${alert.userId}`).emit('alert', alert);
+  });
+
+  io.use((socket, next) => {
+    const { auth = {}, query = {} } = socket.handshake;
+    try {
+      socket.data.identity = verifyCredentials({
+        token: auth.token,
+        apiKey: auth.apiKey,
+        requestedUserId: auth.userId || query.userId
+      });
+      next();
+    } catch (error) {
+      next(new Error(error.message));
+    }
+  });
+
+  io.on('connection', socket => {
+    const userId = socket.data.identity.userId || null;
+
+    if (userId) {
+      socket.join(`user:${userId}`);
+    }
+
+    console.log(`🔌 Socket connected: ${socket.id}${userId ? ` (user ${userId})` : ''}`);
+
+    socket.on('subscribe', async (payload, ack) => {
+      const result = quoteStream.subscribe(socket.id, toSymbolList(payload));
+      result.added.forEach(symbol => socket.join(`quote:${symbol}`));
+
+      reply(ack, { success: true, ...result });
+
+      // Send current prices right away instead of waiting for the next tick
+      if (result.added.length > 0) {
+        try {
+          const snapshot = await quoteStream.getSnapshot(result.added);
+          snapshot.forEach(quote => socket.emit('quote', quote));
+        } catch (error) {
+          console.error('⚠️ Quote snapshot failed:', error.message);
+        }
+      }
+    });
+
+    socket.on('unsubscribe', (payload, ack) => {
+      const result = quoteStream.unsubscribe(socket.id, toSymbolList(payload));
+      result.removed.forEach(symbol => socket.leave(`quote:${symbol}`));
+      reply(ack, { success: true, ...result });
+    });
+
+    let chatInFlight = false;
+    socket.on('chat:message', async (payload, ack) => {
+      const message = payload && typeof payload === 'object' ? payload.message : payload;
+
+      const validationError = chatController.validateChatInput(userId, message);
+      if (validationError) {
+        return reply(ack, { success: false, error: userId ? validationError : 'Connect with a userId to chat' });
+      }
+      if (chatInFlight) {
+        return reply(ack, { success: false, error: 'Please wait for the previous reply' });
+      }
+
+      chatInFlight = true;
+      try {
+        const conversationId = payload && typeof payload === 'object' ? payload.conversationId : undefined;
+        const result = await chatController.processMessage(userId, message, { conversationId });
+        const response = { success: true, ...result };
+        socket.emit('chat:response', response);
+        reply(ack, response);
+      } catch (error) {
+        if (!error.status) console.error('❌ Socket chat error:', error.message);
+        reply(ack, { success: false, error: error.status ? error.message : 'Failed to process message' });
+      } finally {
+        chatInFlight = false;
+      }
+    });
+
+    socket.on('disconnect', () => {
+      quoteStream.removeClient(socket.id);
+    });
+  });
+
+  console.log('🔌 Socket.IO attached');
+  return io;
+}
+
+module.exports = attachSocketServer;
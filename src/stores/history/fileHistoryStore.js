@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryHistoryStore = require('./memoryHistoryStore');
+const { threadKey, splitKey, DEFAULT_CONVERSATION_ID } = require('./memoryHistoryStore');
+
+// JSON lines file store for single-box deployments. Every message is appended
+// as one line, as is every conversation memory update ({ userId, memory }) and
+// thread change ({ userId, thread }); for those the last line wins. Lines of
+// conversations other than the default one carry a conversationId. The file is
+// rewritten from memory when it grows well past what is retained or when
+// history is cleared.
+class FileHistoryStore extends MemoryHistoryStore {
+  constructor(options = {}) {
+    super(options);
+    this.backend = 'file';
+    this.filePath = path.resolve(options.filePath || 'data/chat-history.jsonl');
+    this.lineCount = 0;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async init() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    let raw = '';
+    try {
+      raw = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    let skipped = 0;
+    raw.split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        const { userId, conversationId, role, content, timestamp, data, memory, thread } = JSON.parse(line);
+        const key = threadKey(userId, conversationId);
+        if (userId && thread) {
+          super.saveThread(userId, thread);
+        } else if (userId && memory) {
+          this.memories.set(key, memory);
+        } else {
+          if (!userId || !role) throw new Error('missing fields');
+          if (!this.histories.has(key)) this.histories.set(key, []);
+          this.histories.get(key).push(data ? { role, content, timestamp: new Date(timestamp), data } : { role, content, timestamp: new Date(timestamp) });
+        }
+        this.lineCount++;
+      } catch (error) {
+        skipped++;
+      }
+    });
+
+    if (skipped > 0) {
+      console.warn(`⚠️ Skipped ${skipped} malformed lines in ${this.filePath}`);
+    }
+
+    for (const [key, history] of this.histories.entries()) {
+      this.histories.set(key, history.slice(-this.maxMessages));
+    }
+
+    if (skipped > 0 || this.lineCount > this.countRetained()) {
+      await this.compact();
+    }
+
+    console.log(`💾 Loaded chat history for ${await this.countUsers()} users from ${this.filePath}`);
+    return this;
+  }
+
+  async addExchange(userId, message, response, conversationId = DEFAULT_CONVERSATION_ID, data = null) {
+    const entries = await super.addExchange(userId, message, response, conversationId, data);
+    await this.append(entries.map(entry => this.toLine(userId, conversationId, entry)));
+    return entries;
+  }
+
+  // Imported messages may predate what is on disk, so the file is rewritten in order
+  async importExchanges(userId, exchanges, conversationId = DEFAULT_CONVERSATION_ID) {
+    const entries = await super.importExchanges(userId, exchanges, conversationId);
+    await this.compact();
+    return entries;
+  }
+
+  async saveMemory(userId, memory, conversationId = DEFAULT_CONVERSATION_ID) {
+    await super.saveMemory(userId, memory, conversationId);
+    await this.append([this.toLine(userId, conversationId, { memory })]);
+    return memory;
+  }
+
+  async saveThread(userId, thread) {
+    await super.saveThread(userId, thread);
+    await this.append([JSON.stringify({ userId, thread })]);
+    return thread;
+  }
+
+  async deleteThread(userId, conversationId) {
+    const existed = await super.deleteThread(userId, conversationId);
+    if (existed) await this.compact();
+    return existed;
+  }
+
+  async clear(userId, conversationId = null) {
+    const hadHistory = await super.clear(userId, conversationId);
+    if (hadHistory) await this.compact();
+    return hadHistory;
+  }
+
+  toLine(userId, conversationId, data) {
+    return JSON.stringify(conversationId && conversationId !== DEFAULT_CONVERSATION_ID
+      ? { userId, conversationId, ...data }
+      : { userId, ...data });
+  }
+
+  async append(lines) {
+    await this.enqueue(() => fs.promises.appendFile(this.filePath, lines.join('\n') + '\n', 'utf8'));
+    this.lineCount += lines.length;
+
+    if (this.lineCount > this.countRetained() * 2 + this.maxMessages) {
+      await this.compact();
+    }
+  }
+
+  async clearAll() {
+    const userCount = await super.clearAll();
+    await this.compact();
+    return userCount;
+  }
+
+  countRetained() {
+    let total = 0;
+    for (const history of this.histories.values()) total += history.length;
+    for (const threads of this.threads.values()) total += threads.size;
+    return total + this.memories.size;
+  }
+
+  // Rewrite the file from what is currently retained in memory
+  async compact() {
+    await this.enqueue(async () => {
+      const lines = [];
+      for (const [key, history] of this.histories.entries()) {
+        const { userId, conversationId } = splitKey(key);
+        history.forEach(entry => lines.push(this.toLine(userId, conversationId, entry)));
+      }
+      for (const [key, memory] of this.memories.entries()) {
+        const { userId, conversationId } = splitKey(key);
+        lines.push(this.toLine(userId, conversationId, { memory }));
+      }
+      for (const [userId, threads] of this.threads.entries()) {
+        threads.forEach(thread => lines.push(JSON.stringify({ userId, thread })));
+      }
+
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, lines.length > 0 ? lines.join('\n') + '\n' : '', 'utf8');
+      await fs.promises.rename(tmpPath, this.filePath);
+      this.lineCount = lines.length;
+    });
+  }
+
+  // Serialize file writes so appends and rewrites never interleave
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(error => {
+      console.error(`❌ History file write failed (${this.filePath}):`, error.message);
+    });
+    return run;
+  }
+
+  describe() {
+    return {
+      ...super.describe(),
+      persistent: true,
+      filePath: this.filePath
+    };
+  }
+}
+
+module.exports = FileHistoryStore;
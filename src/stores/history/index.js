@@ -0,0 +1,62 @@
+const MemoryHistoryStore = require('./memoryHistoryStore');
+const FileHistoryStore = require('./fileHistoryStore');
+const MongoHistoryStore = require('./mongoHistoryStore');
+
+// Chat history backend, selected with HISTORY_STORE=memory|mongodb|file.
+// If the configured backend cannot start we fall back to memory so chat keeps working.
+const HISTORY_BACKENDS = {
+  memory: MemoryHistoryStore,
+  mongodb: MongoHistoryStore,
+  file: FileHistoryStore
+};
+
+let activeStore = null;
+let initPromise = null;
+
+function getHistoryConfig() {
+  return {
+    backend: (process.env.HISTORY_STORE || 'memory').toLowerCase(),
+    filePath: process.env.HISTORY_FILE || 'data/chat-history.jsonl',
+    maxMessages: parseInt(process.env.HISTORY_MAX_MESSAGES, 10) || 100
+  };
+}
+
+function createHistoryStore(config = getHistoryConfig()) {
+  const StoreClass = HISTORY_BACKENDS[config.backend];
+  if (!StoreClass) {
+    throw new Error(`Unknown HISTORY_STORE "${config.backend}" (expected one of: ${Object.keys(HISTORY_BACKENDS).join(', ')})`);
+  }
+  return new StoreClass(config);
+}
+
+async function initHistoryStore() {
+  if (initPromise) return initPromise;
+
+  initPromise = (async () => {
+    const config = getHistoryConfig();
+
+    try {
+      activeStore = await createHistoryStore(config).init();
+      console.log(`💾 Chat history backend: ${activeStore.backend}`);
+    } catch (error) {
+      console.error(`❌ Failed to start "${config.backend}" history backend:`, error.message);
+      console.log('⚠️  Falling back to in-memory chat history');
+      activeStore = await new MemoryHistoryStore(config).init();
+    }
+
+    return activeStore;
+  })();
+
+  return initPromise;
+}
+
+async function getHistoryStore() {
+  return activeStore || initHistoryStore();
+}
+
+module.exports = {
+  initHistoryStore,
+  getHistoryStore,
+  createHistoryStore,
+  HISTORY_BACKENDS
+};
@@ -0,0 +1,149 @@
+// Conversation used by clients that don't send a conversationId
+const DEFAULT_CONVERSATION_ID = 'default';
+
+// Histories and memories of the default conversation are keyed by userId alone,
+// so data from before threads existed stays where it was; other conversations
+// are keyed by userId + conversationId.
+const KEY_SEPARATOR = '\u0000';
+
+function threadKey(userId, conversationId) {
+  return !conversationId || conversationId === DEFAULT_CONVERSATION_ID
+    ? userId
+    : `${userId}${KEY_SEPARATOR}${conversationId}`;
+}
+
+function splitKey(key) {
+  const [userId, conversationId = DEFAULT_CONVERSATION_ID] = key.split(KEY_SEPARATOR);
+  return { userId, conversationId };
+}
+
+// In-memory chat history (resets on server restart, not shared between instances)
+class MemoryHistoryStore {
+  constructor(options = {}) {
+    this.backend = 'memory';
+    this.maxMessages = options.maxMessages || 100;
+    this.histories = new Map();
+    // Rolling summary, tracked symbols and facts per conversation (see conversationMemoryService)
+    this.memories = new Map();
+    // userId -> Map of conversationId -> { conversationId, title, archived, createdAt, updatedAt }
+    this.threads = new Map();
+  }
+
+  async init() {
+    return this;
+  }
+
+  async getHistory(userId, limit = 10, conversationId = DEFAULT_CONVERSATION_ID) {
+    const history = this.histories.get(threadKey(userId, conversationId)) || [];
+    return history.slice(-limit);
+  }
+
+  // data is the snapshot (quotes, analysis, ...) attached to the assistant reply
+  async addExchange(userId, message, response, conversationId = DEFAULT_CONVERSATION_ID, data = null) {
+    const key = threadKey(userId, conversationId);
+    const entries = this.buildEntries(message, response, data);
+    const history = (this.histories.get(key) || []).concat(entries);
+
+    // Keep only the last maxMessages messages per conversation
+    this.histories.set(key, history.slice(-this.maxMessages));
+    return entries;
+  }
+
+  // Restores exchanges ({ message, response, timestamp, data }) with their
+  // original timestamps, e.g. from a transcript import
+  async importExchanges(userId, exchanges, conversationId = DEFAULT_CONVERSATION_ID) {
+    const key = threadKey(userId, conversationId);
+    const entries = exchanges.flatMap(exchange =>
+      this.buildEntries(exchange.message, exchange.response, exchange.data, exchange.timestamp));
+    const history = (this.histories.get(key) || []).concat(entries)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    this.histories.set(key, history.slice(-this.maxMessages));
+    return entries;
+  }
+
+  async getMemory(userId, conversationId = DEFAULT_CONVERSATION_ID) {
+    return this.memories.get(threadKey(userId, conversationId)) || null;
+  }
+
+  async saveMemory(userId, memory, conversationId = DEFAULT_CONVERSATION_ID) {
+    this.memories.set(threadKey(userId, conversationId), memory);
+    return memory;
+  }
+
+  // Clears one conversation, or all of the user's conversations without a
+  // conversationId. Thread titles are kept.
+  async clear(userId, conversationId = null) {
+    const keys = conversationId ? [threadKey(userId, conversationId)] : this.keysFor(userId);
+    let cleared = false;
+    keys.forEach(key => {
+      if (this.memories.delete(key)) cleared = true;
+      if (this.histories.delete(key)) cleared = true;
+    });
+    return cleared;
+  }
+
+  async clearAll() {
+    const userCount = await this.countUsers();
+    this.histories.clear();
+    this.memories.clear();
+    return userCount;
+  }
+
+  async countUsers() {
+    return new Set([...this.histories.keys()].map(key => splitKey(key).userId)).size;
+  }
+
+  keysFor(userId) {
+    return [...new Set([...this.histories.keys(), ...this.memories.keys()])]
+      .filter(key => splitKey(key).userId === userId);
+  }
+
+  async listThreads(userId) {
+    return [...(this.threads.get(userId) || new Map()).values()];
+  }
+
+  async getThread(userId, conversationId) {
+    const threads = this.threads.get(userId);
+    return threads ? threads.get(conversationId) || null : null;
+  }
+
+  // Creates or replaces the thread's metadata
+  async saveThread(userId, thread) {
+    if (!this.threads.has(userId)) this.threads.set(userId, new Map());
+    this.threads.get(userId).set(thread.conversationId, thread);
+    return thread;
+  }
+
+  // Removes the thread with its history and memory
+  async deleteThread(userId, conversationId) {
+    const threads = this.threads.get(userId);
+    const existed = !!threads && threads.delete(conversationId);
+    if (threads && threads.size === 0) this.threads.delete(userId);
+    await this.clear(userId, conversationId);
+    return existed;
+  }
+
+  buildEntries(message, response, data = null, timestamp = new Date()) {
+    const reply = { role: 'assistant', content: response, timestamp };
+    if (data) reply.data = data;
+    return [
+      { role: 'user', content: message, timestamp },
+      reply
+    ];
+  }
+
+  describe() {
+    return {
+      backend: this.backend,
+      persistent: false,
+      shared: false,
+      maxMessages: this.maxMessages
+    };
+  }
+}
+
+module.exports = MemoryHistoryStore;
+module.exports.DEFAULT_CONVERSATION_ID = DEFAULT_CONVERSATION_ID;
+module.exports.threadKey = threadKey;
+module.exports.splitKey = splitKey;
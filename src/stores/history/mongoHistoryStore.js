@@ -0,0 +1,212 @@
+const User = require('../../models/User');
+const connectDB = require('../../config/database');
+const { isDBConnected } = require('../../config/database');
+const { DEFAULT_CONVERSATION_ID } = require('./memoryHistoryStore');
+
+// MongoDB store built on User.chatHistory. Each document entry holds one
+// exchange (message + response) and is expanded into role/content pairs on read.
+// Other conversation threads keep their own chatHistory and memory in
+// User.conversations; the default thread uses the top-level fields.
+class MongoHistoryStore {
+  constructor(options = {}) {
+    this.backend = 'mongodb';
+    this.maxMessages = options.maxMessages || 100;
+  }
+
+  async init() {
+    await connectDB();
+    if (!isDBConnected()) {
+      throw new Error('MongoDB is not connected (check MONGODB_URI)');
+    }
+    return this;
+  }
+
+  get maxExchanges() {
+    return Math.max(1, Math.ceil(this.maxMessages / 2));
+  }
+
+  isDefault(conversationId) {
+    return !conversationId || conversationId === DEFAULT_CONVERSATION_ID;
+  }
+
+  // The conversations entry for a thread, or null
+  async findConversation(userId, conversationId) {
+    const user = await User.findOne(
+      { userId },
+      { conversations: { $elemMatch: { conversationId } } }
+    ).lean();
+    return user && user.conversations && user.conversations.length > 0 ? user.conversations[0] : null;
+  }
+
+  expandExchanges(exchanges) {
+    const history = [];
+    exchanges.forEach(exchange => {
+      history.push({ role: 'user', content: exchange.message, timestamp: exchange.timestamp });
+      const reply = { role: 'assistant', content: exchange.response, timestamp: exchange.timestamp };
+      if (exchange.data) reply.data = exchange.data;
+      history.push(reply);
+    });
+    return history;
+  }
+
+  async getHistory(userId, limit = 10, conversationId = DEFAULT_CONVERSATION_ID) {
+    if (!this.isDefault(conversationId)) {
+      const conversation = await this.findConversation(userId, conversationId);
+      return conversation ? this.expandExchanges(conversation.chatHistory || []).slice(-limit) : [];
+    }
+
+    const user = await User.findOne(
+      { userId },
+      { chatHistory: { $slice: -Math.ceil(limit / 2) } }
+    ).lean();
+
+    if (!user || !user.chatHistory) return [];
+    return this.expandExchanges(user.chatHistory).slice(-limit);
+  }
+
+  // data is the snapshot (quotes, analysis, ...) attached to the assistant reply
+  async addExchange(userId, message, response, conversationId = DEFAULT_CONVERSATION_ID, data = null) {
+    const timestamp = new Date();
+    const exchange = data ? { message, response, timestamp, data } : { message, response, timestamp };
+    await this.pushExchanges(userId, conversationId, { $each: [exchange], $slice: -this.maxExchanges });
+    return this.expandExchanges([exchange]);
+  }
+
+  // Restores exchanges ({ message, response, timestamp, data }) with their
+  // original timestamps, e.g. from a transcript import
+  async importExchanges(userId, exchanges, conversationId = DEFAULT_CONVERSATION_ID) {
+    const docs = exchanges.map(({ message, response, timestamp, data }) =>
+      (data ? { message, response, timestamp: new Date(timestamp), data } : { message, response, timestamp: new Date(timestamp) }));
+    await this.pushExchanges(userId, conversationId, { $each: docs, $sort: { timestamp: 1 }, $slice: -this.maxExchanges });
+    return this.expandExchanges(docs);
+  }
+
+  async pushExchanges(userId, conversationId, push) {
+    const timestamp = new Date();
+    if (this.isDefault(conversationId)) {
+      await User.updateOne(
+        { userId },
+        { $push: { chatHistory: push }, $set: { lastActive: timestamp } },
+        { upsert: true }
+      );
+    } else {
+      await User.updateOne(
+        { userId, 'conversations.conversationId': conversationId },
+        { $push: { 'conversations.$.chatHistory': push }, $set: { lastActive: timestamp } }
+      );
+    }
+  }
+
+  async getMemory(userId, conversationId = DEFAULT_CONVERSATION_ID) {
+    if (!this.isDefault(conversationId)) {
+      const conversation = await this.findConversation(userId, conversationId);
+      return conversation && conversation.memory ? conversation.memory : null;
+    }
+
+    const user = await User.findOne({ userId }, { conversationMemory: 1 }).lean();
+    return user && user.conversationMemory ? user.conversationMemory : null;
+  }
+
+  async saveMemory(userId, memory, conversationId = DEFAULT_CONVERSATION_ID) {
+    if (this.isDefault(conversationId)) {
+      await User.updateOne({ userId }, { $set: { conversationMemory: memory } }, { upsert: true });
+    } else {
+      await User.updateOne(
+        { userId, 'conversations.conversationId': conversationId },
+        { $set: { 'conversations.$.memory': memory } }
+      );
+    }
+    return memory;
+  }
+
+  // Clears one conversation, or all of the user's conversations without a
+  // conversationId. Thread titles are kept.
+  async clear(userId, conversationId = null) {
+    if (conversationId && !this.isDefault(conversationId)) {
+      const result = await User.updateOne(
+        { userId, 'conversations.conversationId': conversationId },
+        { $set: { 'conversations.$.chatHistory': [], 'conversations.$.memory': null } }
+      );
+      return result.modifiedCount > 0;
+    }
+
+    const result = await User.updateOne(
+      { userId, $or: [{ 'chatHistory.0': { $exists: true } }, { conversationMemory: { $ne: null } }] },
+      { $set: { chatHistory: [], conversationMemory: null } }
+    );
+    if (conversationId) return result.modifiedCount > 0;
+
+    const threads = await User.updateOne(
+      { userId, 'conversations.0': { $exists: true } },
+      { $set: { 'conversations.$[].chatHistory': [], 'conversations.$[].memory': null } }
+    );
+    return result.modifiedCount > 0 || threads.modifiedCount > 0;
+  }
+
+  async clearAll() {
+    const result = await User.updateMany(
+      { $or: [{ 'chatHistory.0': { $exists: true } }, { conversationMemory: { $ne: null } }] },
+      { $set: { chatHistory: [], conversationMemory: null } }
+    );
+    await User.updateMany(
+      { 'conversations.0': { $exists: true } },
+      { $set: { 'conversations.$[].chatHistory': [], 'conversations.$[].memory': null } }
+    );
+    return result.modifiedCount;
+  }
+
+  async countUsers() {
+    return User.countDocuments({ 'chatHistory.0': { $exists: true } });
+  }
+
+  async listThreads(userId) {
+    const user = await User.findOne(
+      { userId },
+      { 'conversations.chatHistory': 0, 'conversations.memory': 0 }
+    ).lean();
+    return user && user.conversations ? user.conversations : [];
+  }
+
+  async getThread(userId, conversationId) {
+    const conversation = await this.findConversation(userId, conversationId);
+    if (!conversation) return null;
+
+    const { chatHistory, memory, ...thread } = conversation;
+    return thread;
+  }
+
+  // Creates or replaces the thread's metadata
+  async saveThread(userId, thread) {
+    const { title, archived, updatedAt } = thread;
+    const result = await User.updateOne(
+      { userId, 'conversations.conversationId': thread.conversationId },
+      { $set: { 'conversations.$.title': title, 'conversations.$.archived': archived, 'conversations.$.updatedAt': updatedAt } }
+    );
+
+    if (result.matchedCount === 0) {
+      await User.updateOne({ userId }, { $push: { conversations: thread } }, { upsert: true });
+    }
+    return thread;
+  }
+
+  // Removes the thread with its history and memory
+  async deleteThread(userId, conversationId) {
+    const result = await User.updateOne(
+      { userId },
+      { $pull: { conversations: { conversationId } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  describe() {
+    return {
+      backend: this.backend,
+      persistent: true,
+      shared: true,
+      maxMessages: this.maxMessages,
+      connected: isDBConnected()
+    };
+  }
+}
+
+module.exports = MongoHistoryStore;
@@ -0,0 +1,52 @@
+const MemoryUserStore = require('./memoryUserStore');
+const MongoUserStore = require('./mongoUserStore');
+
+// User documents (watchlist, portfolio, preferences), selected with
+// USER_STORE=memory|mongodb. Defaults to mongodb when HISTORY_STORE=mongodb.
+const USER_BACKENDS = {
+  memory: MemoryUserStore,
+  mongodb: MongoUserStore
+};
+
+let activeStore = null;
+let initPromise = null;
+
+function getUserStoreBackend() {
+  if (process.env.USER_STORE) return process.env.USER_STORE.toLowerCase();
+  return (process.env.HISTORY_STORE || '').toLowerCase() === 'mongodb' ? 'mongodb' : 'memory';
+}
+
+async function initUserStore() {
+  if (initPromise) return initPromise;
+
+  initPromise = (async () => {
+    const backend = getUserStoreBackend();
+
+    try {
+      const StoreClass = USER_BACKENDS[backend];
+      if (!StoreClass) {
+        throw new Error(`Unknown USER_STORE "${backend}" (expected one of: ${Object.keys(USER_BACKENDS).join(', ')})`);
+      }
+      activeStore = await new StoreClass().init();
+      console.log(`👤 User data backend: ${activeStore.backend}`);
+    } catch (error) {
+      console.error(`❌ Failed to start "${backend}" user backend:`, error.message);
+      console.log('⚠️  Falling back to in-memory user data');
+      activeStore = await new MemoryUserStore().init();
+    }
+
+    return activeStore;
+  })();
+
+  return initPromise;
+}
+
+async function getUserStore() {
+  return activeStore || initUserStore();
+}
+
+module.exports = {
+  initUserStore,
+  getUserStore,
+  USER_BACKENDS
+};
@@ -0,0 +1,68 @@
+const User = require('../../models/User');
+const KeyedQueue = require('../../utils/keyedQueue');
+
+// In-memory user documents. Updates run through the User schema (defaults,
+// casting, enum validation) without a database connection.
+class MemoryUserStore {
+  constructor() {
+    this.backend = 'memory';
+    this.users = new Map();
+    // Updates of one user run in order so overlapping read-modify-writes don't lose changes
+    this.updates = new KeyedQueue();
+  }
+
+  async init() {
+    return this;
+  }
+
+  async findUser(userId) {
+    const stored = this.users.get(userId);
+    return stored ? new User(stored).toObject() : null;
+  }
+
+  // Returns the stored user, or schema defaults (not saved) for unknown users
+  async getUser(userId) {
+    return (await this.findUser(userId)) || new User({ userId }).toObject();
+  }
+
+  async updateUser(userId, mutator) {
+    return this.updates.run(userId, async () => {
+      const stored = this.users.get(userId);
+      const doc = new User(stored || { userId });
+
+      await mutator(doc);
+      doc.lastActive = new Date();
+      await doc.validate();
+
+      this.users.set(userId, doc.toObject({ virtuals: false }));
+      return doc.toObject();
+    });
+  }
+
+  async findUsersWithAlerts() {
+    const users = [];
+    for (const stored of this.users.values()) {
+      if ((stored.watchlist || []).some(item => item.alertType && item.alertType !== 'none')) {
+        users.push(new User(stored).toObject());
+      }
+    }
+    return users;
+  }
+
+  async deleteUser(userId) {
+    return this.updates.run(userId, async () => this.users.delete(userId));
+  }
+
+  async countUsers() {
+    return this.users.size;
+  }
+
+  describe() {
+    return {
+      backend: this.backend,
+      persistent: false
+    };
+  }
+}
+
+module.exports = MemoryUserStore;
@@ -0,0 +1,79 @@
+const User = require('../../models/User');
+const connectDB = require('../../config/database');
+const { isDBConnected } = require('../../config/database');
+const KeyedQueue = require('../../utils/keyedQueue');
+
+// Attempts per update when another server instance saved the same user first
+const MAX_UPDATE_ATTEMPTS = 3;
+
+class MongoUserStore {
+  constructor() {
+    this.backend = 'mongodb';
+    // Serializes updates of one user within this process
+    this.updates = new KeyedQueue();
+  }
+
+  async init() {
+    await connectDB();
+    if (!isDBConnected()) {
+      throw new Error('MongoDB is not connected (check MONGODB_URI)');
+    }
+    return this;
+  }
+
+  async findUser(userId) {
+    const user = await User.findOne({ userId });
+    return user ? user.toObject() : null;
+  }
+
+  async getUser(userId) {
+    return (await this.findUser(userId)) || new User({ userId }).toObject();
+  }
+
+  // Read-modify-write of one user document. Updates in this process are queued
+  // per user; a concurrent save from another instance (VersionError, or a
+  // duplicate key when both created the user) reloads and re-applies the mutator.
+  async updateUser(userId, mutator) {
+    return this.updates.run(userId, async () => {
+      for (let attempt = 1; ; attempt++) {
+        const doc = (await User.findOne({ userId })) || new User({ userId });
+        await mutator(doc);
+
+        try {
+          await doc.save();
+          return doc.toObject();
+        } catch (error) {
+          const conflict = error.name === 'VersionError' || error.code === 11000;
+          if (!conflict || attempt >= MAX_UPDATE_ATTEMPTS) throw error;
+          console.warn(`⚠️ Concurrent update of user ${userId}, retrying (${attempt}/${MAX_UPDATE_ATTEMPTS - 1})`);
+        }
+      }
+    });
+  }
+
+  async findUsersWithAlerts() {
+    const users = await User.find({ 'watchlist.alertType': { $in: ['above', 'below'] } });
+    return users.map(user => user.toObject());
+  }
+
+  async deleteUser(userId) {
+    return this.updates.run(userId, async () => {
+      const result = await User.deleteOne({ userId });
+      return result.deletedCount > 0;
+    });
+  }
+
+  async countUsers() {
+    return User.countDocuments();
+  }
+
+  describe() {
+    return {
+      backend: this.backend,
+      persistent: true,
+      connected: isDBConnected()
+    };
+  }
+}
+
+module.exports = MongoUserStore;
@@ -0,0 +1,12 @@
+// Error carrying an HTTP status, so services can reject bad input and
+// controllers (or the global error handler) can answer with the right code.
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,201 @@
+// Technical indicators over plain arrays. Every series has the same length as
+// its input, with null where there is not enough data yet (warm-up period).
+
+const round = (value, digits = 4) => (value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits)));
+
+function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  }
+
+  return result;
+}
+
+// Seeded with the SMA of the first period values
+function ema(values, period) {
+  const result = new Array(values.length).fill(null);
+  if (values.length < period) return result;
+
+  const k = 2 / (period + 1);
+  let previous = values.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+  result[period - 1] = previous;
+
+  for (let i = period; i < values.length; i++) {
+    previous = values[i] * k + previous * (1 - k);
+    result[i] = previous;
+  }
+
+  return result;
+}
+
+// Wilder's RSI
+function rsi(closes, period = 14) {
+  const result = new Array(closes.length).fill(null);
+  if (closes.length <= period) return result;
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    if (change > 0) gain += change; else loss -= change;
+  }
+  gain /= period;
+  loss /= period;
+  result[period] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+  }
+
+  return result;
+}
+
+function macd(closes, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  const fast = ema(closes, fastPeriod);
+  const slow = ema(closes, slowPeriod);
+  const line = closes.map((_, i) => (fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null));
+
+  // Signal line is an EMA of the defined part of the MACD line
+  const firstDefined = line.findIndex(value => value !== null);
+  const signal = new Array(closes.length).fill(null);
+  if (firstDefined !== -1) {
+    const signalValues = ema(line.slice(firstDefined), signalPeriod);
+    signalValues.forEach((value, i) => {
+      signal[firstDefined + i] = value;
+    });
+  }
+
+  const histogram = line.map((value, i) => (value !== null && signal[i] !== null ? value - signal[i] : null));
+  return { macd: line, signal, histogram };
+}
+
+function bollingerBands(closes, period = 20, multiplier = 2) {
+  const middle = sma(closes, period);
+  const upper = new Array(closes.length).fill(null);
+  const lower = new Array(closes.length).fill(null);
+
+  for (let i = period - 1; i < closes.length; i++) {
+    const window = closes.slice(i - period + 1, i + 1);
+    const variance = window.reduce((sum, value) => sum + Math.pow(value - middle[i], 2), 0) / period;
+    const deviation = Math.sqrt(variance);
+    upper[i] = middle[i] + multiplier * deviation;
+    lower[i] = middle[i] - multiplier * deviation;
+  }
+
+  return { upper, middle, lower };
+}
+
+// Wilder's average true range over { high, low, close } bars
+function atr(bars, period = 14) {
+  const result = new Array(bars.length).fill(null);
+  if (bars.length <= period) return result;
+
+  const trueRanges = bars.map((bar, i) => {
+    if (i === 0) return bar.high - bar.low;
+    const previousClose = bars[i - 1].close;
+    return Math.max(bar.high - bar.low, Math.abs(bar.high - previousClose), Math.abs(bar.low - previousClose));
+  });
+
+  let value = trueRanges.slice(1, period + 1).reduce((sum, range) => sum + range, 0) / period;
+  result[period] = value;
+  for (let i = period + 1; i < bars.length; i++) {
+    value = (value * (period - 1) + trueRanges[i]) / period;
+    result[i] = value;
+  }
+
+  return result;
+}
+
+// Swing highs/lows (local extremes within `window` bars either side), clustered
+// into levels when they sit within `tolerance` of each other
+function supportResistance(bars, options = {}) {
+  const window = options.window || 3;
+  const tolerance = options.tolerance || 0.015;
+  const lookback = options.lookback || 120;
+  const recent = bars.slice(-lookback);
+  const lastClose = recent.length > 0 ? recent[recent.length - 1].close : null;
+
+  const pivots = [];
+  for (let i = window; i < recent.length - window; i++) {
+    const neighbours = recent.slice(i - window, i + window + 1);
+    if (recent[i].high === Math.max(...neighbours.map(bar => bar.high))) pivots.push(recent[i].high);
+    if (recent[i].low === Math.min(...neighbours.map(bar => bar.low))) pivots.push(recent[i].low);
+  }
+
+  const clusters = [];
+  pivots.sort((a, b) => a - b).forEach(price => {
+    const cluster = clusters.find(entry => Math.abs(entry.price - price) / entry.price <= tolerance);
+    if (cluster) {
+      cluster.price = (cluster.price * cluster.touches + price) / (cluster.touches + 1);
+      cluster.touches++;
+    } else {
+      clusters.push({ price, touches: 1 });
+    }
+  });
+
+  const levels = clusters.map(cluster => ({ price: round(cluster.price, 2), touches: cluster.touches }));
+  const support = levels.filter(level => lastClose !== null && level.price < lastClose).sort((a, b) => b.price - a.price);
+  const resistance = levels.filter(level => lastClose !== null && level.price > lastClose).sort((a, b) => a.price - b.price);
+
+  return {
+    support: support.slice(0, 3),
+    resistance: resistance.slice(0, 3),
+    nearestSupport: support.length > 0 ? support[0].price : null,
+    nearestResistance: resistance.length > 0 ? resistance[0].price : null
+  };
+}
+
+// Compares recent to longer-term average volume and volume on up vs down days
+function volumeTrend(bars, shortPeriod = 10, longPeriod = 50) {
+  if (bars.length < shortPeriod + 1) {
+    return { shortAverage: null, longAverage: null, ratio: null, trend: null, upDownRatio: null };
+  }
+
+  const average = list => list.reduce((sum, bar) => sum + (bar.volume || 0), 0) / list.length;
+  const shortAverage = average(bars.slice(-shortPeriod));
+  const longAverage = average(bars.slice(-Math.min(longPeriod, bars.length)));
+  const ratio = longAverage > 0 ? shortAverage / longAverage : null;
+
+  let upVolume = 0;
+  let downVolume = 0;
+  bars.slice(-shortPeriod).forEach((bar, i, recent) => {
+    const previous = i === 0 ? bars[bars.length - shortPeriod - 1] : recent[i - 1];
+    if (bar.close >= previous.close) upVolume += bar.volume || 0; else downVolume += bar.volume || 0;
+  });
+
+  return {
+    shortAverage: Math.round(shortAverage),
+    longAverage: Math.round(longAverage),
+    ratio: round(ratio, 2),
+    trend: ratio === null ? null : ratio > 1.2 ? 'rising' : ratio < 0.8 ? 'falling' : 'flat',
+    upDownRatio: downVolume > 0 ? round(upVolume / downVolume, 2) : null
+  };
+}
+
+const last = series => {
+  for (let i = series.length - 1; i >= 0; i--) {
+    if (series[i] !== null && series[i] !== undefined) return series[i];
+  }
+  return null;
+};
+
+module.exports = {
+  sma,
+  ema,
+  rsi,
+  macd,
+  bollingerBands,
+  atr,
+  supportResistance,
+  volumeTrend,
+  last,
+  round
+};
@@ -0,0 +1,26 @@
+// Runs tasks one at a time per key (e.g. per userId), in call order. Tasks for
+// different keys still run concurrently. A failed task doesn't block the next.
+class KeyedQueue {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  run(key, task) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    const result = previous.then(() => task());
+    const tail = result.catch(() => {});
+    this.tails.set(key, tail);
+
+    // Forget the key once nothing else is queued behind this task
+    tail.then(() => {
+      if (this.tails.get(key) === tail) this.tails.delete(key);
+    });
+    return result;
+  }
+
+  size() {
+    return this.tails.size;
+  }
+}
+
+module.exports = KeyedQueue;
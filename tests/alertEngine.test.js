@@ -0,0 +1,188 @@
+const { AlertEngine } = require('../src/services/alertEngine');
+const MemoryUserStore = require('../src/stores/users/memoryUserStore');
+
+const MINUTE = 60 * 1000;
+
+// Manual clock and a quote source serving whatever prices the test sets
+function createEngine(store, options = {}) {
+  const clock = { time: Date.UTC(2024, 0, 2, 15), now: () => clock.time, setInterval: () => null, clearInterval: () => {} };
+  const prices = new Map();
+  const batches = [];
+  const quoteSource = {
+    async getPrices(symbols) {
+      batches.push(symbols);
+      return new Map(symbols.filter(symbol => prices.has(symbol)).map(symbol => [symbol, prices.get(symbol)]));
+    }
+  };
+
+  const engine = new AlertEngine({
+    clock,
+    quoteSource,
+    getStore: async () => store,
+    cooldownMs: 15 * MINUTE,
+    rearmPercent: 1,
+    ...options
+  });
+  return { engine, clock, prices, batches };
+}
+
+async function addAlert(store, userId, symbol, alertType, alertPrice) {
+  await store.updateUser(userId, user => {
+    user.watchlist.push({ symbol, alertType, alertPrice });
+  });
+}
+
+describe('AlertEngine', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = await new MemoryUserStore().init();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('triggers once the condition holds and records the alert', async () => {
+    await addAlert(store, 'u1', 'AAPL', 'above', 200);
+    const { engine, prices } = createEngine(store);
+    const emitted = [];
+    engine.on('alert', alert => emitted.push(alert));
+
+    prices.set('AAPL', 199);
+    expect((await engine.runOnce()).triggered).toHaveLength(0);
+
+    prices.set('AAPL', 201.5);
+    const { checked, triggered } = await engine.runOnce();
+
+    expect(checked).toBe(1);
+    expect(triggered).toHaveLength(1);
+    expect(triggered[0]).toMatchObject({ userId: 'u1', symbol: 'AAPL', alertType: 'above', alertPrice: 200, triggerPrice: 201.5 });
+    expect(emitted).toEqual(triggered);
+
+    const user = await store.getUser('u1');
+    expect(user.watchlist[0].alertArmed).toBe(false);
+    expect(user.triggeredAlerts).toHaveLength(1);
+    expect((await engine.getTriggeredAlerts('u1'))[0].message).toBe('AAPL is at or above $200 (last $201.50)');
+  });
+
+  test('stays disarmed until the price moves back past the re-arm band', async () => {
+    await addAlert(store, 'u1', 'TSLA', 'below', 100);
+    const { engine, clock, prices } = createEngine(store, { cooldownMs: 0 });
+
+    prices.set('TSLA', 99);
+    expect((await engine.runOnce()).triggered).toHaveLength(1);
+
+    // Still below, and inside the 1% band above the threshold: no new trigger, no re-arm
+    prices.set('TSLA', 98);
+    expect((await engine.runOnce()).triggered).toHaveLength(0);
+    prices.set('TSLA', 100.5);
+    await engine.runOnce();
+    expect((await store.getUser('u1')).watchlist[0].alertArmed).toBe(false);
+
+    // Back above 101 re-arms, the next drop fires again
+    prices.set('TSLA', 101.2);
+    clock.time += MINUTE;
+    expect((await engine.runOnce()).triggered).toHaveLength(0);
+    expect((await store.getUser('u1')).watchlist[0].alertArmed).toBe(true);
+
+    prices.set('TSLA', 99.5);
+    expect((await engine.runOnce()).triggered).toHaveLength(1);
+    expect((await store.getUser('u1')).triggeredAlerts).toHaveLength(2);
+  });
+
+  test('a re-armed alert waits out the cooldown before firing again', async () => {
+    await addAlert(store, 'u1', 'MSFT', 'above', 400);
+    const { engine, clock, prices } = createEngine(store);
+
+    prices.set('MSFT', 405);
+    expect((await engine.runOnce()).triggered).toHaveLength(1);
+
+    prices.set('MSFT', 390);
+    clock.time += MINUTE;
+    await engine.runOnce();
+
+    prices.set('MSFT', 410);
+    clock.time += MINUTE;
+    expect((await engine.runOnce()).triggered).toHaveLength(0);
+
+    clock.time += 14 * MINUTE;
+    const { triggered } = await engine.runOnce();
+    expect(triggered).toHaveLength(1);
+    expect(triggered[0].triggerPrice).toBe(410);
+  });
+
+  test('applies all of a user\'s decisions in one update and batches price requests', async () => {
+    await addAlert(store, 'u1', 'AAPL', 'above', 200);
+    await addAlert(store, 'u1', 'MSFT', 'below', 300);
+    await addAlert(store, 'u1', 'NVDA', 'above', 1000);
+    await addAlert(store, 'u2', 'AAPL', 'above', 210);
+    const { engine, prices, batches } = createEngine(store, { batchSize: 2 });
+    prices.set('AAPL', 215).set('MSFT', 290).set('NVDA', 900);
+
+    const updateUser = jest.spyOn(store, 'updateUser');
+    const { checked, triggered } = await engine.runOnce();
+
+    expect(checked).toBe(4);
+    expect(triggered.map(alert => `${alert.userId}:${alert.symbol}`)).toEqual(['u1:AAPL', 'u1:MSFT', 'u2:AAPL']);
+    expect(updateUser.mock.calls.map(([userId]) => userId)).toEqual(['u1', 'u2']);
+
+    // Three distinct symbols in batches of two
+    expect(batches).toEqual([['AAPL', 'MSFT'], ['NVDA']]);
+    expect(engine.status()).toMatchObject({ runs: 1, alertsChecked: 4, alertsTriggered: 3, lastError: null });
+  });
+
+  test('skips an alert the user changed while the pass was running', async () => {
+    await addAlert(store, 'u1', 'AAPL', 'above', 200);
+    const { engine, prices } = createEngine(store);
+    prices.set('AAPL', 205);
+
+    const getPrices = engine.quoteSource.getPrices;
+    engine.quoteSource.getPrices = async symbols => {
+      await store.updateUser('u1', user => { user.watchlist[0].alertPrice = 250; });
+      return getPrices(symbols);
+    };
+
+    expect((await engine.runOnce()).triggered).toHaveLength(0);
+    expect((await store.getUser('u1')).triggeredAlerts).toHaveLength(0);
+  });
+
+  test('reports each alert once when the store reruns the update after a conflict', async () => {
+    await addAlert(store, 'u1', 'AAPL', 'above', 200);
+    const { engine, prices } = createEngine(store);
+    prices.set('AAPL', 205);
+
+    // Like the Mongo store after a VersionError: the mutator runs on a stale copy first
+    const updateUser = store.updateUser.bind(store);
+    jest.spyOn(store, 'updateUser').mockImplementation(async (userId, mutator) => {
+      await mutator(await store.getUser(userId));
+      return updateUser(userId, mutator);
+    });
+    const emitted = [];
+    engine.on('alert', alert => emitted.push(alert));
+
+    const { triggered } = await engine.runOnce();
+    expect(triggered).toHaveLength(1);
+    expect(emitted).toHaveLength(1);
+  });
+
+  test('keeps going after one user\'s update fails and records the error', async () => {
+    await addAlert(store, 'u1', 'AAPL', 'above', 200);
+    await addAlert(store, 'u2', 'AAPL', 'above', 200);
+    const { engine, prices } = createEngine(store);
+    prices.set('AAPL', 205);
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const updateUser = store.updateUser.bind(store);
+    jest.spyOn(store, 'updateUser').mockImplementation(async (userId, mutator) => {
+      if (userId === 'u1') throw new Error('version conflict');
+      return updateUser(userId, mutator);
+    });
+
+    const { triggered, failed } = await engine.runOnce();
+    expect(triggered.map(alert => alert.userId)).toEqual(['u2']);
+    expect(failed).toEqual(['u1']);
+    expect(engine.status()).toMatchObject({ runs: 1, lastError: 'u1: version conflict' });
+  });
+});
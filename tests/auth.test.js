@@ -0,0 +1,105 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const userRoutes = require('../src/routes/users');
+const { issueToken } = require('../src/middleware/auth');
+
+const AUTH_ENV = ['JWT_SECRET', 'API_KEYS', 'AUTH_DISABLED', 'NODE_ENV', 'JWT_ISSUER', 'JWT_AUDIENCE'];
+const SECRET = 'test-secret';
+
+describe('authentication and userId binding', () => {
+  let server;
+  let baseUrl;
+  const savedEnv = {};
+
+  const request = (method, path, { token, apiKey, body } = {}) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(apiKey ? { 'X-API-Key': apiKey } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  beforeAll(async () => {
+    AUTH_ENV.forEach(key => { savedEnv[key] = process.env[key]; });
+    const app = express();
+    app.use(express.json());
+    app.use('/api/users', userRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    AUTH_ENV.forEach(key => { delete process.env[key]; });
+    process.env.NODE_ENV = 'test';
+    process.env.JWT_SECRET = SECRET;
+    process.env.API_KEYS = 'backend:service-key';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    AUTH_ENV.forEach(key => {
+      if (savedEnv[key] === undefined) delete process.env[key]; else process.env[key] = savedEnv[key];
+    });
+    jest.restoreAllMocks();
+  });
+
+  test('a user token acts as its subject and fills in a missing userId', async () => {
+    const { token } = issueToken('alice');
+
+    const created = await request('POST', '/api/users', { token, body: { riskTolerance: 'low' } });
+    expect(created.status).toBe(201);
+    expect((await created.json()).profile.userId).toBe('alice');
+
+    expect((await request('GET', '/api/users/alice', { token })).status).toBe(200);
+  });
+
+  test.each([
+    ['a :userId param', 'GET', '/api/users/bob', undefined, 'You can only access your own data'],
+    ['a query userId', 'GET', '/api/users/alice?userId=bob', undefined, 'userId does not match the authenticated user'],
+    ['a body userId', 'POST', '/api/users', { userId: 'bob' }, 'userId does not match the authenticated user'],
+    ['a body userId on a matching param', 'PUT', '/api/users/alice', { userId: 'bob', riskTolerance: 'high' }, 'userId does not match the authenticated user']
+  ])('a user token is refused with 403 for another user in %s', async (name, method, path, body, error) => {
+    const response = await request(method, path, { token: issueToken('alice').token, body });
+    expect(response.status).toBe(403);
+    expect((await response.json()).error).toBe(error);
+  });
+
+  test('an API key acts for the userId named in the request', async () => {
+    const created = await request('POST', '/api/users', { apiKey: 'service-key', body: { userId: 'carol' } });
+    expect(created.status).toBe(201);
+    expect((await request('GET', '/api/users/carol', { apiKey: 'service-key' })).status).toBe(200);
+  });
+
+  test.each([
+    ['an unknown API key', { apiKey: 'wrong-key' }, 'Invalid API key'],
+    ['a token signed with another secret', { token: jwt.sign({}, 'other-secret', { subject: 'alice' }) }, 'Invalid token'],
+    ['an expired token', { token: jwt.sign({ exp: Math.floor(Date.now() / 1000) - 60 }, SECRET, { subject: 'alice' }) }, 'Token expired'],
+    ['a token without a subject', { token: jwt.sign({}, SECRET) }, 'Token has no subject'],
+    ['no credentials', {}, 'Authentication required']
+  ])('%s is refused with 401', async (name, credentials, error) => {
+    const response = await request('GET', '/api/users/alice', credentials);
+    expect(response.status).toBe(401);
+    expect((await response.json()).error).toBe(error);
+  });
+
+  test('open mode only applies outside production', async () => {
+    delete process.env.JWT_SECRET;
+    delete process.env.API_KEYS;
+    expect((await request('POST', '/api/users', { body: { userId: 'dave' } })).status).toBe(201);
+
+    process.env.NODE_ENV = 'production';
+    const refused = await request('GET', '/api/users/dave');
+    expect(refused.status).toBe(401);
+    expect((await refused.json()).error).toBe('Authentication is not configured on this server');
+
+    process.env.AUTH_DISABLED = 'true';
+    expect((await request('GET', '/api/users/dave')).status).toBe(401);
+  });
+});
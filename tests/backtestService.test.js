@@ -0,0 +1,88 @@
+const backtestService = require('../src/services/backtestService');
+
+const bar = (day, open, high, low, close) => ({ date: `2024-01-0${day}`, open, high, low, close, volume: 1000 });
+
+describe('BacktestService', () => {
+  test('fills at the next open with slippage and commission, and exits on the stop-loss', () => {
+    const bars = [
+      bar(1, 100, 101, 99, 100),
+      bar(2, 100, 102, 98, 101),
+      bar(3, 99, 100, 95, 96),
+      bar(4, 94, 95, 88, 89),
+      bar(5, 92, 93, 91, 92)
+    ];
+    const costs = { initialCapital: 10110, commissionPerTrade: 10, commissionPercent: 0, slippagePercent: 1 };
+
+    const { trades, equityCurve, metrics } = backtestService.simulate(bars, { type: 'buy_and_hold', stopLossPercent: 10 }, costs, 0);
+
+    // Entry at 100 * 1.01 = 101: (10110 - 10) / 101 = 100 shares, no cash left.
+    // Stop at 101 * 0.9 = 90.9 is hit on day 4 (low 88) and fills at 90.9 * 0.99 = 89.991.
+    // Proceeds 8999.10 - 10 = 8989.10, P&L 8989.10 - 10110 = -1120.90
+    expect(trades).toEqual([{
+      entryDate: '2024-01-02',
+      entryPrice: 101,
+      exitDate: '2024-01-04',
+      exitPrice: 89.991,
+      shares: 100,
+      pnl: -1120.9,
+      returnPercent: -11.09,
+      commission: 20,
+      holdingDays: 2,
+      exitReason: 'stop_loss'
+    }]);
+
+    // Buy and hold never resets, so the stop keeps it out for the last day
+    expect(equityCurve.map(point => Number(point.equity.toFixed(2)))).toEqual([10110, 10100, 9600, 8989.1, 8989.1]);
+    expect(metrics).toMatchObject({
+      finalEquity: 8989.1,
+      totalReturnPercent: -11.09,
+      maxDrawdownPercent: 11.09,
+      trades: 1,
+      winRatePercent: 0,
+      totalCommission: 20
+    });
+  });
+
+  test('a gap through the stop fills at the open', () => {
+    const bars = [bar(1, 100, 100, 100, 100), bar(2, 100, 100, 100, 100), bar(3, 80, 85, 78, 84)];
+    const costs = { initialCapital: 1000, commissionPerTrade: 0, commissionPercent: 0, slippagePercent: 0 };
+
+    const { trades } = backtestService.simulate(bars, { type: 'buy_and_hold', stopLossPercent: 5 }, costs, 0);
+    expect(trades[0]).toMatchObject({ exitPrice: 80, pnl: -200, exitReason: 'stop_loss' });
+  });
+
+  test('computeMetrics annualizes CAGR, Sharpe and volatility', () => {
+    // Daily returns 0, +10%, -10%, +10%: mean 2.5%, sample deviation 9.574%
+    const curve = [100, 110, 99, 108.9].map((equity, i) => ({ date: `2024-01-0${i + 1}`, equity }));
+    expect(backtestService.computeMetrics(curve, [], 100)).toMatchObject({
+      finalEquity: 108.9,
+      totalReturnPercent: 8.9,
+      maxDrawdownPercent: 10,
+      sharpeRatio: 4.15,
+      volatilityPercent: 151.99,
+      trades: 0,
+      winRatePercent: null
+    });
+
+    // 10000 -> 12100 over two years is 10% a year
+    const twoYears = [{ date: '2020-01-01', equity: 10000 }, { date: '2021-12-31T12:00:00Z', equity: 12100 }];
+    expect(backtestService.computeMetrics(twoYears, [], 10000).cagrPercent).toBe(10);
+  });
+
+  test.each([
+    ['How would a 50/200 SMA crossover have done on MSFT over 5 years?',
+      { symbol: 'MSFT', period: '5y', strategy: { type: 'crossover', indicator: 'sma', fast: 50, slow: 200 } }],
+    ['backtest RSI below 25 above 75 on aapl for 2 years with a 5% stop loss',
+      { symbol: 'AAPL', period: '2y', strategy: { type: 'rsi', oversold: 25, overbought: 75, stopLossPercent: 5 } }],
+    ['Backtest a 20/50 EMA crossover on NVDA with a 10% take profit',
+      { symbol: 'NVDA', period: '5y', strategy: { type: 'crossover', indicator: 'ema', fast: 20, slow: 50, takeProfitPercent: 10 } }],
+    ['How did buy and hold do on TSLA ytd?',
+      { symbol: 'TSLA', period: 'ytd', strategy: { type: 'buy_and_hold' } }],
+    ['how did the golden cross perform on spy over the last 10 years',
+      { symbol: 'SPY', period: '10y', strategy: { type: 'crossover', indicator: 'sma', fast: 50, slow: 200 } }],
+    ['What is RSI?', null],
+    ['Is a golden cross bullish?', null]
+  ])('parseRequest("%s")', (message, expected) => {
+    expect(backtestService.parseRequest(message)).toEqual(expected);
+  });
+});
@@ -0,0 +1,48 @@
+const chatController = require('../src/controllers/chatController');
+const { getHistoryStore } = require('../src/stores/history');
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('ChatController.healthCheck', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports the history backend when the store is up', async () => {
+    const res = mockResponse();
+    await chatController.healthCheck({}, res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      success: true,
+      status: 'operational',
+      storage: { type: 'memory', persistent: false }
+    });
+  });
+
+  test('reports a degraded service with 503 when the store fails', async () => {
+    const store = await getHistoryStore();
+    jest.spyOn(store, 'describe').mockImplementation(() => { throw new Error('connection lost'); });
+
+    const res = mockResponse();
+    await chatController.healthCheck({}, res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      success: false,
+      status: 'degraded',
+      error: 'History store unavailable',
+      features: { history: 'unavailable' }
+    });
+  });
+});
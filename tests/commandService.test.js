@@ -0,0 +1,55 @@
+const commandService = require('../src/services/commandService');
+const chatController = require('../src/controllers/chatController');
+const marketService = require('../src/services/marketService');
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('CommandService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('splits arguments on whitespace only, so prices keep their thousands separator', async () => {
+    expect(commandService.parse('/buy 10 AAPL @1,450').args).toEqual(['10', 'AAPL', '@1,450']);
+
+    const result = await commandService.execute('commands-buy', '/buy 10 AAPL @1,450');
+    expect(result.success).toBe(true);
+    expect(result.data.transaction).toMatchObject({ symbol: 'AAPL', quantity: 10, price: 1450 });
+  });
+
+  test('still accepts comma separated symbol lists', async () => {
+    const result = await commandService.execute('commands-quote', '/quote AAPL, MSFT');
+    expect(result.success).toBe(true);
+    expect(result.data.map(quote => quote.symbol)).toEqual(['AAPL', 'MSFT']);
+  });
+
+  test('reports the status of the failing service', async () => {
+    expect(await commandService.execute('commands-status', '/unwatch AAPL')).toMatchObject({ success: false, status: 404 });
+    expect(await commandService.execute('commands-status', '/frobnicate')).toMatchObject({ success: false, status: 400 });
+
+    jest.spyOn(marketService, 'getMultipleQuotes').mockResolvedValue([]);
+    expect(await commandService.execute('commands-status', '/quote AAPL')).toMatchObject({ success: false, status: 502 });
+  });
+
+  test('sendMessage answers a failed command with its status', async () => {
+    await commandService.execute('commands-http', '/watch TSLA');
+
+    const res = mockResponse();
+    await chatController.sendMessage({ body: { userId: 'commands-http', message: '/watch TSLA' } }, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ success: false, command: { name: 'watch' } });
+
+    const ok = mockResponse();
+    await chatController.sendMessage({ body: { userId: 'commands-http', message: '/unwatch TSLA' } }, ok);
+    expect(ok.status).toHaveBeenCalledWith(200);
+  });
+});
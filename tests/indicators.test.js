@@ -0,0 +1,79 @@
+const indicators = require('../src/utils/indicators');
+
+// Wilder's 14-day RSI example (as tabulated by StockCharts)
+const WILDER_CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28,
+  46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57,
+  43.42, 42.66, 43.13
+];
+const WILDER_RSI = [
+  70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88, 63.21, 56.01, 62.34, 54.67, 50.39, 40.02, 41.49, 41.90,
+  45.50, 37.32, 33.09, 37.79
+];
+
+const ramp = length => Array.from({ length }, (_, i) => i + 1);
+const rounded = (series, digits = 4) => series.map(value => indicators.round(value, digits));
+
+describe('indicators', () => {
+  test.each([
+    ['sma', indicators.sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]],
+    ['ema seeded with the sma', indicators.ema([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]],
+    ['ema reacting to a jump', indicators.ema([2, 2, 2, 8, 2], 3), [null, null, 2, 5, 3.5]],
+    ['ema without enough data', indicators.ema([1, 2], 3), [null, null]]
+  ])('%s', (name, series, expected) => {
+    expect(rounded(series)).toEqual(expected);
+  });
+
+  test('rsi matches Wilder\'s worked example', () => {
+    const rsi = indicators.rsi(WILDER_CLOSES, 14);
+    expect(rsi.slice(0, 14)).toEqual(new Array(14).fill(null));
+    expect(rounded(rsi.slice(14), 2)).toEqual(WILDER_RSI);
+  });
+
+  test.each([
+    ['only gains', [1, 2, 3, 4], 100],
+    ['only losses', [4, 3, 2, 1], 0],
+    ['equal gains and losses', [10, 11, 10, 11, 10], 50]
+  ])('rsi with %s', (name, closes, expected) => {
+    expect(indicators.last(indicators.rsi(closes, closes.length - 1))).toBe(expected);
+  });
+
+  test('macd warms up over the slow EMA and then the signal EMA', () => {
+    // On a straight line each EMA lags the price by (period - 1) / 2, so MACD is 12.5 - 5.5
+    const { macd, signal, histogram } = indicators.macd(ramp(40));
+
+    expect(macd.findIndex(value => value !== null)).toBe(25);
+    expect(signal.findIndex(value => value !== null)).toBe(33);
+    expect(histogram.findIndex(value => value !== null)).toBe(33);
+    expect(rounded(macd.slice(25))).toEqual(new Array(15).fill(7));
+    expect(rounded(signal.slice(33))).toEqual(new Array(7).fill(7));
+    histogram.slice(33).forEach(value => expect(value).toBeCloseTo(0, 10));
+  });
+
+  test('bollinger bands are null until the period fills and use the population deviation', () => {
+    const { upper, middle, lower } = indicators.bollingerBands(ramp(21), 20, 2);
+    const deviation = Math.sqrt((20 * 20 - 1) / 12);
+
+    [upper, middle, lower].forEach(series => expect(series.slice(0, 19)).toEqual(new Array(19).fill(null)));
+    expect(middle[19]).toBe(10.5);
+    expect(upper[19]).toBeCloseTo(10.5 + 2 * deviation, 10);
+    expect(lower[19]).toBeCloseTo(10.5 - 2 * deviation, 10);
+    expect(middle[20]).toBe(11.5);
+
+    const flat = indicators.bollingerBands(new Array(20).fill(50), 20);
+    expect([flat.upper[19], flat.middle[19], flat.lower[19]]).toEqual([50, 50, 50]);
+  });
+
+  test('atr uses true ranges across gaps and Wilder smoothing', () => {
+    const bars = [
+      { high: 10, low: 8, close: 9 },
+      { high: 11, low: 9, close: 10 },
+      { high: 12, low: 9.5, close: 11 },
+      { high: 11.5, low: 10, close: 10.5 },
+      { high: 13, low: 10.5, close: 12.5 }
+    ];
+    // True ranges after the first bar: 2, 2.5, 1.5, 2.5; seed (2 + 2.5 + 1.5) / 3 = 2
+    expect(rounded(indicators.atr(bars, 3))).toEqual([null, null, null, 2, 2.1667]);
+    expect(indicators.atr(bars.slice(0, 3), 3)).toEqual([null, null, null]);
+  });
+});
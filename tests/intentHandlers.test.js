@@ -0,0 +1,56 @@
+const intentService = require('../src/services/intentService');
+const intentHandlers = require('../src/services/intentHandlers');
+const aiService = require('../src/services/aiService');
+const commandService = require('../src/services/commandService');
+const { getUserStore } = require('../src/stores/users');
+
+describe('watchlist and portfolio changes asked for in words', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ['add TSLA to my watchlist with an alert below 200', 'watchlist', '/watch TSLA below 200'],
+    ['watch AMD above 150', 'watchlist', '/watch AMD above 150'],
+    ['remove AAPL from my watchlist', 'watchlist', '/unwatch AAPL'],
+    ['buy 10 NVDA at 450', 'portfolio', '/buy 10 NVDA @ 450'],
+    ['I bought 10 shares of AAPL at $180', 'portfolio', '/buy 10 AAPL @ 180'],
+    ['sell 5 MSFT', 'portfolio', '/sell 5 MSFT']
+  ])('"%s" proposes %s change %s', async (message, intent, command) => {
+    const classification = intentService.classifyWithRules(message);
+    expect(classification.intent).toBe(intent);
+
+    const context = await intentHandlers.dispatch(classification, { userId: 'words', message });
+    expect(context).toEqual({ proposedCommand: expect.objectContaining({ command }) });
+
+    const response = await aiService.generateResponse(message, context);
+    expect(response).toMatchObject({ type: 'command_proposal', suggestions: [command] });
+    expect(response.text).toContain(command);
+  });
+
+  test('questions about trades stay questions', () => {
+    expect(intentService.classifyWithRules('should I buy 10 shares of NVDA?').intent).toBe('analysis');
+  });
+
+  test('plain watchlist questions still read the watchlist', async () => {
+    const classification = intentService.classifyWithRules('what is on my watchlist');
+    const context = await intentHandlers.dispatch(classification, { userId: 'words-read', message: 'what is on my watchlist' });
+    expect(context.proposedCommand).toBeUndefined();
+    expect(context.watchlist).toBeDefined();
+  });
+
+  test('sending the proposed command makes the change', async () => {
+    const message = 'add TSLA to my watchlist with an alert below 200';
+    const { proposedCommand } = await intentHandlers.dispatch(intentService.classifyWithRules(message), { userId: 'words-confirm', message });
+
+    const result = await commandService.execute('words-confirm', proposedCommand.command);
+    expect(result.success).toBe(true);
+
+    const user = await (await getUserStore()).getUser('words-confirm');
+    expect(user.watchlist[0]).toMatchObject({ symbol: 'TSLA', alertType: 'below', alertPrice: 200 });
+  });
+});
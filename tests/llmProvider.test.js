@@ -0,0 +1,121 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { initLLMProvider, getLLMConfig } = require('../src/providers/llm');
+const ScriptedProvider = require('../src/providers/llm/scriptedProvider');
+const aiService = require('../src/services/aiService');
+
+const LLM_ENV = ['LLM_PROVIDER', 'LLM_MODEL', 'LLM_API_KEY', 'LLM_BASE_URL', 'LLM_SCRIPT_FILE', 'GEMINI_API_KEY', 'OPENAI_API_KEY', 'OPENAI_BASE_URL'];
+
+// A quote message with market data already fetched by the intent handler
+const quoteContext = {
+  intent: { intent: 'quote', symbols: ['AAPL'] },
+  marketContext: {
+    relevantData: [{ symbol: 'AAPL', shortName: 'Apple Inc.', regularMarketPrice: 190.5, regularMarketChange: 1.5, regularMarketChangePercent: 0.79 }]
+  }
+};
+
+describe('LLM provider selection', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    LLM_ENV.forEach(key => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    LLM_ENV.forEach(key => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+    jest.restoreAllMocks();
+  });
+
+  test('without LLM_PROVIDER or GEMINI_API_KEY no model is used', () => {
+    expect(getLLMConfig().provider).toBe('none');
+    expect(initLLMProvider()).toBeNull();
+  });
+
+  test('without LLM_PROVIDER, GEMINI_API_KEY selects Gemini', () => {
+    process.env.GEMINI_API_KEY = 'test-key';
+    const provider = initLLMProvider();
+    expect(provider.name).toBe('gemini');
+    expect(provider.describe().model).toBe(provider.model);
+  });
+
+  test('a provider missing its API key falls back to formatted responses', () => {
+    process.env.LLM_PROVIDER = 'openai';
+    expect(initLLMProvider()).toBeNull();
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('"openai"'), expect.stringContaining('LLM_API_KEY'));
+
+    process.env.LLM_PROVIDER = 'gemini';
+    expect(initLLMProvider()).toBeNull();
+  });
+
+  test('an unknown provider falls back to formatted responses', () => {
+    process.env.LLM_PROVIDER = 'nope';
+    expect(initLLMProvider()).toBeNull();
+  });
+
+  test('LLM_PROVIDER=scripted loads rules from LLM_SCRIPT_FILE', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-script-'));
+    const scriptFile = path.join(dir, 'script.json');
+    fs.writeFileSync(scriptFile, JSON.stringify([{ purpose: 'chat', match: 'aapl', response: 'Scripted AAPL' }]));
+    process.env.LLM_PROVIDER = 'scripted';
+    process.env.LLM_SCRIPT_FILE = scriptFile;
+    process.env.LLM_MODEL = 'scripted-test';
+
+    try {
+      expect(initLLMProvider().describe()).toEqual({ provider: 'scripted', model: 'scripted-test', rules: 1 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('aiService with a scripted provider', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    aiService.setLLMProvider(null);
+    jest.restoreAllMocks();
+  });
+
+  test('reports the provider and model that wrote the answer', async () => {
+    aiService.setLLMProvider(new ScriptedProvider({
+      model: 'scripted-test',
+      script: [{ purpose: 'chat', match: 'aapl', response: 'AAPL trades at $190.50.' }]
+    }));
+
+    const response = await aiService.generateResponse('How is AAPL doing?', quoteContext);
+
+    expect(response).toMatchObject({ text: 'AAPL trades at $190.50.', source: 'scripted', model: 'scripted-test' });
+    expect(aiService.describeLLM()).toMatchObject({ provider: 'scripted', model: 'scripted-test' });
+  });
+
+  test('a failing provider falls back to the formatted response', async () => {
+    aiService.setLLMProvider(new ScriptedProvider({ script: [{ purpose: 'chat', error: '429 Too Many Requests' }] }));
+
+    const response = await aiService.generateResponse('How is AAPL doing?', quoteContext);
+
+    expect(response.source).toBe('formatted');
+    expect(response.model).toBeUndefined();
+    expect(response.text).toContain('AAPL - Apple Inc.');
+  });
+
+  test('without a provider the answer is formatted from the data', async () => {
+    aiService.setLLMProvider(null);
+
+    const response = await aiService.generateResponse('How is AAPL doing?', quoteContext);
+
+    expect(response.source).toBe('formatted');
+    expect(aiService.describeLLM()).toEqual({ provider: 'none', model: null });
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMarketProvider, getMarketConfig } = require('../src/providers/market');
+const FixtureProvider = require('../src/providers/market/fixtureProvider');
+const RecordingProvider = require('../src/providers/market/recordingProvider');
+const marketService = require('../src/services/marketService');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'market');
+
+describe('fixture replay', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('the default fixtures directory is committed, not under the ignored data/', () => {
+    const previous = process.env.MARKET_FIXTURES_DIR;
+    delete process.env.MARKET_FIXTURES_DIR;
+    try {
+      expect(path.resolve(__dirname, '..', getMarketConfig().fixturesDir)).toBe(FIXTURES_DIR);
+    } finally {
+      process.env.MARKET_FIXTURES_DIR = previous;
+    }
+  });
+
+  test('serves recorded quotes, history and search through marketService', async () => {
+    expect((await marketService.ensureReady()).name).toBe('fixture');
+
+    const quote = await marketService.getStockData('AAPL');
+    expect(quote).toMatchObject({ symbol: 'AAPL', name: 'Apple Inc.', price: 210.62, previousClose: 214.1, source: 'fixture' });
+
+    const [msft] = await marketService.getMultipleQuotes(['MSFT', 'NOPE']);
+    expect(msft.symbol).toBe('MSFT');
+
+    const history = await marketService.getHistoricalData('AAPL', { period: '1mo' });
+    expect(history.bars.length).toBeGreaterThan(15);
+    expect(history.bars[history.bars.length - 1].close).toBe(210.62);
+
+    const matches = await marketService.searchSymbols('Apple');
+    expect(matches.map(match => match.symbol)).toEqual(['AAPL', 'APLE']);
+  });
+
+  test('revives dates and measures history windows back from the last bar', async () => {
+    const provider = await new FixtureProvider({ fixturesDir: FIXTURES_DIR }).init();
+
+    const quote = await provider.quote('AAPL');
+    expect(quote.regularMarketTime).toBeInstanceOf(Date);
+
+    const week = await provider.historical('AAPL', { period1: new Date(Date.now() - 7 * 86400000), period2: new Date(), interval: '1d' });
+    expect(week.map(bar => bar.date.toISOString().slice(0, 10))).toEqual(['2024-06-21', '2024-06-24', '2024-06-25', '2024-06-26', '2024-06-27', '2024-06-28']);
+  });
+
+  test('a request without a fixture fails', async () => {
+    const provider = await new FixtureProvider({ fixturesDir: FIXTURES_DIR }).init();
+    await expect(provider.quote('ZZZZ')).rejects.toThrow('No market fixture for quote ZZZZ');
+    await expect(new FixtureProvider({ fixturesDir: path.join(FIXTURES_DIR, 'missing') }).init()).rejects.toThrow('not found');
+  });
+});
+
+describe('record mode', () => {
+  let dir;
+
+  // Stands in for Yahoo; returns fresh objects with real Dates like yahoo-finance2
+  const liveProvider = {
+    name: 'live',
+    source: 'live-test',
+    init: async () => liveProvider,
+    quote: async symbol => ({ symbol, regularMarketPrice: 100, regularMarketTime: new Date('2024-06-28T20:00:00Z') }),
+    quotes: async symbols => symbols.map(symbol => ({ symbol, regularMarketPrice: 50 })),
+    quoteSummary: async (symbol, { modules }) => Object.fromEntries(modules.map(module => [module, { module }])),
+    historical: async (symbol, { period1 }) => {
+      const first = new Date(period1).getTime();
+      return [0, 1, 2].map(day => ({ date: new Date(first + day * 86400000), close: 10 + day }));
+    },
+    search: async query => ({ quotes: [{ symbol: query.toUpperCase(), isYahooFinance: true }] }),
+    describe: () => ({ provider: 'live', live: true })
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'market-record-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('saves live responses that the fixture provider replays', async () => {
+    const recorder = await new RecordingProvider(liveProvider, { fixturesDir: dir }).init();
+
+    await recorder.quote('^GSPC');
+    await recorder.quotes(['msft']);
+    await recorder.search('Apple');
+    await recorder.quoteSummary('AAPL', { modules: ['price'] });
+    await recorder.quoteSummary('AAPL', { modules: ['summaryDetail'] });
+    await recorder.historical('AAPL', { period1: '2024-06-03', interval: '1d' });
+    await recorder.historical('AAPL', { period1: '2024-06-04', interval: '1d' });
+
+    expect(fs.existsSync(path.join(dir, 'quote', '%5EGSPC.json'))).toBe(true);
+    expect(recorder.describe()).toMatchObject({ provider: 'live', recording: true, fixturesDir: dir });
+
+    const replay = await new FixtureProvider({ fixturesDir: dir }).init();
+    expect(await replay.quote('^GSPC')).toEqual(await liveProvider.quote('^GSPC'));
+    expect(await replay.quotes(['MSFT'])).toEqual([{ symbol: 'msft', regularMarketPrice: 50 }]);
+    expect((await replay.search('apple')).quotes[0].symbol).toBe('APPLE');
+
+    // Modules and bars from separate calls are merged
+    expect(Object.keys(await replay.quoteSummary('AAPL'))).toEqual(['price', 'summaryDetail']);
+    const bars = await replay.historical('AAPL', { interval: '1d' });
+    expect(bars.map(bar => bar.date.toISOString().slice(0, 10))).toEqual(['2024-06-03', '2024-06-04', '2024-06-05', '2024-06-06']);
+    expect(bars.map(bar => bar.close)).toEqual([10, 10, 11, 12]);
+  });
+
+  test('MARKET_RECORD needs a live provider', () => {
+    expect(() => createMarketProvider({ provider: 'fixture', fixturesDir: dir, record: true })).toThrow('MARKET_RECORD needs a live MARKET_PROVIDER');
+    expect(createMarketProvider({ provider: 'yahoo', fixturesDir: dir, record: true })).toBeInstanceOf(RecordingProvider);
+  });
+});
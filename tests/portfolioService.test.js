@@ -0,0 +1,63 @@
+const portfolioService = require('../src/services/portfolioService');
+const marketService = require('../src/services/marketService');
+const { getUserStore } = require('../src/stores/users');
+
+describe('PortfolioService', () => {
+  let store;
+
+  beforeAll(async () => {
+    store = await getUserStore();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(marketService, 'getMultipleQuotes').mockResolvedValue([
+      { symbol: 'AAPL', shortName: 'Apple Inc.', regularMarketPrice: 210, regularMarketChange: 2 }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('getPortfolio prices holdings without writing to the store', async () => {
+    await portfolioService.recordTransaction('portfolio-read', { type: 'buy', symbol: 'AAPL', quantity: 10, price: 200, executedAt: '2024-01-02' });
+    const updateUser = jest.spyOn(store, 'updateUser');
+
+    const { holdings, summary, pricedAt } = await portfolioService.getPortfolio('portfolio-read');
+
+    expect(holdings).toHaveLength(1);
+    expect(holdings[0]).toMatchObject({ symbol: 'AAPL', quantity: 10, currentPrice: 210, marketValue: 2100, unrealizedPnL: 100 });
+    expect(summary.marketValue).toBe(2100);
+    expect(pricedAt).not.toBeNull();
+    expect(updateUser).not.toHaveBeenCalled();
+  });
+
+  test('getTransactionHistory filters by symbol and rejects a repeated symbol', async () => {
+    await portfolioService.recordTransaction('portfolio-history', { type: 'buy', symbol: 'AAPL', quantity: 1, price: 100, executedAt: '2024-01-02' });
+    await portfolioService.recordTransaction('portfolio-history', { type: 'buy', symbol: 'MSFT', quantity: 1, price: 300, executedAt: '2024-01-03' });
+
+    const filtered = await portfolioService.getTransactionHistory('portfolio-history', { symbol: 'msft' });
+    expect(filtered.map(transaction => transaction.symbol)).toEqual(['MSFT']);
+
+    await expect(portfolioService.getTransactionHistory('portfolio-history', { symbol: ['AAPL', 'MSFT'] }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  test('stores holdings without a price and rejects the old averagePrice payload', async () => {
+    await portfolioService.recordTransaction('portfolio-stored', { type: 'buy', symbol: 'AAPL', quantity: 2, price: 150, executedAt: '2024-01-02' });
+
+    const user = await store.getUser('portfolio-stored');
+    expect(user.portfolio).toHaveLength(1);
+    expect(user.portfolio[0]).toMatchObject({ symbol: 'AAPL', quantity: 2, averagePrice: 150 });
+    expect(user.portfolio[0].currentPrice).toBeUndefined();
+    expect(user.portfolioValue).toBeUndefined();
+
+    const { portfolio } = await portfolioService.getPortfolio('portfolio-stored');
+    expect(portfolio[0]).toMatchObject({ symbol: 'AAPL', currentPrice: 210 });
+
+    await expect(portfolioService.recordTransaction('portfolio-stored', { symbol: 'AAPL', quantity: 5, averagePrice: 120 }))
+      .rejects.toMatchObject({ status: 400 });
+    expect((await store.getUser('portfolio-stored')).transactions).toHaveLength(1);
+  });
+});
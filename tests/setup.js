@@ -0,0 +1,11 @@
+const path = require('path');
+
+// Tests run offline and in memory, whatever the local .env configures
+// (dotenv never overrides variables that are already set)
+Object.assign(process.env, {
+  LLM_PROVIDER: 'none',
+  MARKET_PROVIDER: 'fixture',
+  MARKET_FIXTURES_DIR: path.join(__dirname, '..', 'fixtures', 'market'),
+  USER_STORE: 'memory',
+  HISTORY_STORE: 'memory'
+});
@@ -0,0 +1,278 @@
+const aiService = require('../src/services/aiService');
+const toolService = require('../src/services/toolService');
+const marketService = require('../src/services/marketService');
+const ScriptedProvider = require('../src/providers/llm/scriptedProvider');
+const GeminiProvider = require('../src/providers/llm/geminiProvider');
+const OpenAIProvider = require('../src/providers/llm/openaiProvider');
+
+// A general market question: no intent handler fetched anything for it
+const generalContext = {
+  userId: 'tool-user',
+  intent: { intent: 'general', entities: { symbols: [] } }
+};
+
+const bigTechRule = {
+  purpose: 'chat',
+  match: 'big tech',
+  toolCalls: [
+    { name: 'getStockData', args: { symbol: 'AAPL' } },
+    { name: 'getStockData', args: { symbol: 'MSFT' } }
+  ],
+  response: 'Apple and Microsoft both closed lower today.'
+};
+
+describe('aiService tool calling', () => {
+  let llm;
+  const defaults = { ...toolService.config };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    llm = new ScriptedProvider({ script: [bigTechRule] });
+    aiService.setLLMProvider(llm);
+  });
+
+  afterEach(() => {
+    Object.assign(toolService.config, defaults);
+    aiService.setLLMProvider(null);
+    jest.restoreAllMocks();
+  });
+
+  test('runs the requested tools and answers from their results', async () => {
+    const response = await aiService.generateResponse('How are big tech stocks doing today?', generalContext);
+
+    expect(response).toMatchObject({ text: bigTechRule.response, source: 'scripted' });
+    expect(response.tools.calls.map(call => [call.name, call.args.symbol, call.ok])).toEqual([
+      ['getStockData', 'AAPL', true],
+      ['getStockData', 'MSFT', true]
+    ]);
+    expect(response.tools.limit).toBeNull();
+
+    // The answering call saw the replayed quotes
+    const answer = llm.calls[llm.calls.length - 1];
+    expect(answer.toolResults.map(entry => [entry.result.symbol, entry.result.price])).toEqual([['AAPL', 210.62], ['MSFT', 446.95]]);
+  });
+
+  test('streams the answer turn after non-streamed tool rounds', async () => {
+    const chat = jest.spyOn(llm, 'chat');
+    const streamChat = jest.spyOn(llm, 'streamChat');
+    const chunks = [];
+
+    const response = await aiService.streamResponse('How are big tech stocks doing today?', generalContext, text => chunks.push(text));
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join('')).toBe(bigTechRule.response);
+    expect(response).toMatchObject({ text: bigTechRule.response, source: 'scripted' });
+    expect(response.tools.calls).toHaveLength(2);
+
+    // Tool rounds are capped; the answer is a separate streamed turn with tools withdrawn
+    expect(chat).toHaveBeenCalledTimes(2);
+    expect(chat.mock.calls[0][1]).toMatchObject({ maxTokens: toolService.config.roundMaxTokens });
+    expect(streamChat).toHaveBeenCalledTimes(1);
+    expect(streamChat.mock.calls[0][1]).toMatchObject({ toolChoice: 'none' });
+    expect(llm.calls[llm.calls.length - 1].toolResults).toHaveLength(2);
+  });
+
+  test('offers tools for analysis-style questions and for data the intent handler did not fetch', () => {
+    const quote = {
+      intent: { intent: 'quote', entities: { symbols: ['AAPL'] } },
+      marketContext: { relevantData: [{ symbol: 'AAPL', regularMarketPrice: 210.62 }] }
+    };
+
+    expect(aiService.getTools('What is the AAPL price?', quote)).toEqual([]);
+    expect(aiService.getTools('What is a P/E ratio?', { intent: { intent: 'education', entities: { symbols: [] } } })).toEqual([]);
+    expect(aiService.getTools('Thanks, that helps', { intent: { intent: 'small_talk', entities: { symbols: [] } } })).toEqual([]);
+    expect(aiService.getTools('Tell me a joke', generalContext)).toEqual([]);
+
+    expect(aiService.getTools('How are stocks doing?', generalContext).map(tool => tool.name)).toContain('getStockData');
+    const missing = { ...quote, intent: { intent: 'quote', entities: { symbols: ['AAPL', 'NVDA'] } } };
+    expect(aiService.getTools('AAPL and NVDA price', missing).length).toBeGreaterThan(0);
+
+    // Analysis-style questions can need more than the handler fetched, even for grounded symbols
+    const history = {
+      intent: { intent: 'history', entities: { symbols: ['AAPL'] } },
+      priceHistory: { symbol: 'AAPL', bars: 20 }
+    };
+    expect(aiService.getTools('How has AAPL done this year?', history).map(tool => tool.name))
+      .toEqual(expect.arrayContaining(['getHistoricalData', 'getDetailedStockData']));
+  });
+
+  test('a chat analysis can fetch history and fundamentals the snapshot lacks', async () => {
+    llm = new ScriptedProvider({
+      script: [{
+        purpose: 'analysis',
+        match: '5-year',
+        toolCalls: [
+          { name: 'getHistoricalData', args: { symbol: 'AAPL', period: '1mo' } },
+          { name: 'getDetailedStockData', args: { symbol: 'AAPL' } }
+        ],
+        response: 'AAPL looks like a HOLD given its history.'
+      }]
+    });
+    aiService.setLLMProvider(llm);
+    jest.spyOn(toolService, 'getDetailedStockData').mockResolvedValue({ symbol: 'AAPL', fundamentals: { grade: 'B' } });
+
+    const message = 'Is AAPL a buy given its 5-year history and fundamentals?';
+    const analysis = await aiService.generateAnalysis('AAPL', null, 'fundamental', {}, { message, userId: 'tool-user' });
+
+    expect(analysis.text).toBe('AAPL looks like a HOLD given its history.');
+    expect(analysis.tools.calls.map(call => [call.name, call.ok])).toEqual([['getHistoricalData', true], ['getDetailedStockData', true]]);
+    expect(llm.calls[0].prompt).toContain(message);
+
+    const response = aiService.generateAnalysisResponse({ analysis: { symbol: 'AAPL', analysisType: 'fundamental', ...analysis } });
+    expect(response.tools.calls).toHaveLength(2);
+  });
+
+  test('streams straight from the prompt when no tools are needed', async () => {
+    const chat = jest.spyOn(llm, 'chat');
+    const chunks = [];
+    const context = {
+      intent: { intent: 'quote', entities: { symbols: ['AAPL'] } },
+      marketContext: { relevantData: [{ symbol: 'AAPL', regularMarketPrice: 210.62 }] }
+    };
+
+    const response = await aiService.streamResponse('How is AAPL doing?', context, text => chunks.push(text));
+
+    expect(chat).not.toHaveBeenCalled();
+    expect(chunks.join('')).toBe(response.text);
+    expect(response.tools).toBeUndefined();
+  });
+
+  test('a model round past the deadline ends the loop with an answer from the prompt', async () => {
+    toolService.config.maxLatencyMs = 50;
+    llm = new ScriptedProvider({ script: [{ ...bigTechRule, delayMs: 200 }] });
+    aiService.setLLMProvider(llm);
+
+    const startedAt = Date.now();
+    const response = await aiService.generateResponse('How are big tech stocks doing today?', generalContext);
+
+    expect(response.text).toBe(bigTechRule.response);
+    expect(response.tools).toMatchObject({ calls: [], limit: 'maxLatency' });
+    expect(response.tools.latencyMs).toBeLessThan(150);
+    // The round was cut at the deadline; only the plain answer took the full delay
+    expect(Date.now() - startedAt).toBeLessThan(400);
+  });
+
+  test('a tool still running at the deadline is aborted and the model answers with what it has', async () => {
+    toolService.config.maxLatencyMs = 50;
+    let signal;
+    jest.spyOn(toolService, 'getStockData').mockImplementation((args, options) => {
+      signal = options.signal;
+      return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+    });
+
+    const response = await aiService.generateResponse('How are big tech stocks doing today?', generalContext);
+
+    expect(signal.aborted).toBe(true);
+    expect(response.tools.limit).toBe('maxLatency');
+    expect(response.tools.calls[0]).toMatchObject({ name: 'getStockData', ok: false, error: 'Tool call timed out' });
+    expect(response.tools.calls[1]).toMatchObject({ name: 'getStockData', skipped: true });
+    expect(response.text).toBe(bigTechRule.response);
+    expect(llm.calls[llm.calls.length - 1].toolResults[0].result).toEqual({ error: 'Tool call timed out' });
+  });
+
+  test('an aborted market request stops waiting for the rate limit', async () => {
+    const saved = { ...marketService.rateLimit };
+    marketService.rateLimit.requests = marketService.rateLimit.maxRequests;
+    marketService.rateLimit.resetTime = Date.now() + 60000;
+    const controller = new AbortController();
+
+    try {
+      const waiting = marketService.checkRateLimit(controller.signal);
+      controller.abort(new Error('Tool call timed out'));
+      await expect(waiting).rejects.toThrow('Tool call timed out');
+      await expect(marketService.getStockData('MSFT', { signal: controller.signal })).rejects.toThrow('Tool call timed out');
+    } finally {
+      Object.assign(marketService.rateLimit, saved);
+    }
+  });
+});
+
+describe('GeminiProvider requests', () => {
+  const provider = new GeminiProvider({ apiKey: 'test-key', temperature: 0.7, topK: 40, topP: 0.95, maxOutputTokens: 2048 });
+  const tools = toolService.getDeclarations({ userId: 'u1' });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('calls v1beta and reads function calls from the reply', async () => {
+    const fetch = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(JSON.stringify({
+      candidates: [{ content: { role: 'model', parts: [{ functionCall: { name: 'getStockData', args: { symbol: 'AAPL' } } }] } }]
+    }), { status: 200, headers: { 'Content-Type': 'application/json' } }));
+
+    const reply = await provider.chat([{ role: 'user', content: 'How is Apple doing?' }], { tools, timeoutMs: 1000 });
+
+    expect(fetch.mock.calls[0][0]).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent');
+    expect(JSON.parse(fetch.mock.calls[0][1].body).tools[0].functionDeclarations.map(tool => tool.name)).toContain('getStockData');
+    expect(reply).toEqual({ text: '', toolCalls: [{ id: 'call_0', name: 'getStockData', args: { symbol: 'AAPL' } }] });
+  });
+
+  test('sends tool results as function responses and can withdraw the tools', () => {
+    const turns = [
+      { role: 'user', content: 'How is big tech doing?' },
+      { role: 'assistant', content: '', toolCalls: [{ id: 'call_0', name: 'getStockData', args: { symbol: 'AAPL' } }, { id: 'call_1', name: 'getWatchlist', args: {} }] },
+      { role: 'tool', id: 'call_0', name: 'getStockData', result: { symbol: 'AAPL', price: 210.62 } },
+      { role: 'tool', id: 'call_1', name: 'getWatchlist', result: { items: [] } }
+    ];
+
+    const request = provider.buildChatRequest(turns, { tools, toolChoice: 'none', maxTokens: 256 });
+
+    expect(request.contents.map(content => content.role)).toEqual(['user', 'model', 'function']);
+    expect(request.contents[1].parts).toEqual([
+      { functionCall: { name: 'getStockData', args: { symbol: 'AAPL' } } },
+      { functionCall: { name: 'getWatchlist', args: {} } }
+    ]);
+    expect(request.contents[2].parts[0]).toEqual({
+      functionResponse: { name: 'getStockData', response: { name: 'getStockData', content: { symbol: 'AAPL', price: 210.62 } } }
+    });
+    expect(request.toolConfig).toEqual({ functionCallingConfig: { mode: 'NONE' } });
+    expect(request.generationConfig.maxOutputTokens).toBe(256);
+
+    const declarations = request.tools[0].functionDeclarations;
+    expect(declarations.find(tool => tool.name === 'getHistoricalData').parameters.properties.period.type).toBe('STRING');
+    expect(declarations.find(tool => tool.name === 'getWatchlist').parameters).toBeUndefined();
+  });
+
+  test('bounds each request by the remaining time', () => {
+    const controller = new AbortController();
+    expect(provider.requestOptions({ timeoutMs: 1200, signal: controller.signal })).toEqual({ timeout: 1200, signal: controller.signal });
+    expect(provider.requestOptions({})).toEqual({});
+  });
+});
+
+describe('OpenAIProvider requests', () => {
+  const provider = new OpenAIProvider({ baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', timeoutMs: 30000 });
+  const tools = toolService.getDeclarations();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('bounds a tool round by the remaining time and parses tool calls', async () => {
+    const post = jest.spyOn(provider.client, 'post').mockResolvedValue({
+      data: { choices: [{ message: { content: null, tool_calls: [{ id: 'call_a', type: 'function', function: { name: 'getStockData', arguments: '{"symbol":"MSFT"}' } }] } }] }
+    });
+
+    const reply = await provider.chat([{ role: 'user', content: 'How is Microsoft doing?' }], { tools, timeoutMs: 0 });
+
+    const [url, request, config] = post.mock.calls[0];
+    expect(url).toBe('/chat/completions');
+    expect(request.tools.map(tool => tool.function.name)).toContain('compareStocks');
+    expect(request.tool_choice).toBeUndefined();
+    expect(config).toEqual({ timeout: 1 });
+    expect(reply.toolCalls).toEqual([{ id: 'call_a', name: 'getStockData', args: { symbol: 'MSFT' } }]);
+  });
+
+  test('withdraws the tools for the streamed answer', () => {
+    const request = provider.buildChatRequest([
+      { role: 'user', content: 'How is Microsoft doing?' },
+      { role: 'assistant', content: '', toolCalls: [{ id: 'call_a', name: 'getStockData', args: { symbol: 'MSFT' } }] },
+      { role: 'tool', id: 'call_a', name: 'getStockData', result: { price: 446.95 } }
+    ], { tools, toolChoice: 'none' }, true);
+
+    expect(request).toMatchObject({ stream: true, tool_choice: 'none' });
+    expect(request.messages[2]).toEqual({ role: 'tool', tool_call_id: 'call_a', content: '{"price":446.95}' });
+  });
+});
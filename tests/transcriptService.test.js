@@ -0,0 +1,105 @@
+const transcriptService = require('../src/services/transcriptService');
+const conversationService = require('../src/services/conversationService');
+const { getHistoryStore } = require('../src/stores/history');
+
+const transcript = {
+  format: transcriptService.TRANSCRIPT_FORMAT,
+  version: transcriptService.TRANSCRIPT_VERSION,
+  conversation: { title: 'Apple research' },
+  messages: [
+    { role: 'user', content: 'How is AAPL doing?', timestamp: '2024-01-02T15:00:00.000Z' },
+    { role: 'assistant', content: 'AAPL is up 1.2% today.', timestamp: '2024-01-02T15:00:02.000Z' }
+  ]
+};
+
+describe('TranscriptService.importTranscript', () => {
+  let store;
+
+  beforeAll(async () => {
+    store = await getHistoryStore();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('restores the messages into a new conversation', async () => {
+    const { conversation, imported } = await transcriptService.importTranscript('import-ok', transcript);
+
+    expect(imported).toBe(2);
+    expect(conversation.title).toBe('Apple research (imported)');
+    const history = await store.getHistory('import-ok', 10, conversation.conversationId);
+    expect(history.map(message => message.content)).toEqual(['How is AAPL doing?', 'AAPL is up 1.2% today.']);
+  });
+
+  test('removes the new conversation when storing the messages fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(store, 'importExchanges').mockRejectedValue(new Error('disk full'));
+
+    await expect(transcriptService.importTranscript('import-failed', transcript)).rejects.toThrow('disk full');
+
+    const conversations = await conversationService.listConversations('import-failed', { includeArchived: true });
+    expect(conversations.map(conversation => conversation.title)).toEqual(['General']);
+  });
+
+  test('drops malformed snapshot blocks so the conversation still exports', async () => {
+    const withBadData = {
+      ...transcript,
+      messages: [
+        transcript.messages[0],
+        {
+          ...transcript.messages[1],
+          data: {
+            quotes: 'x',
+            comparison: { period: '1y', rows: 'oops' },
+            marketOverview: { sentiment: 'bullish', indices: [null, { symbol: '^GSPC', price: 5000, extra: { nested: true } }] },
+            analysis: { symbol: 'AAPL', analysisType: 7, keyPoints: ['Above the 50-day SMA', { html: '<b>' }] },
+            unknown: { anything: true }
+          }
+        }
+      ]
+    };
+
+    const { conversation } = await transcriptService.importTranscript('import-bad-data', withBadData);
+    const [, reply] = await store.getHistory('import-bad-data', 10, conversation.conversationId);
+
+    expect(reply.data).toEqual({
+      marketOverview: { sentiment: 'bullish', indices: [{ symbol: '^GSPC', price: 5000 }] },
+      analysis: { symbol: 'AAPL', keyPoints: ['Above the 50-day SMA'] }
+    });
+
+    const exported = await transcriptService.exportConversation('import-bad-data', {
+      conversationId: conversation.conversationId,
+      format: 'markdown'
+    });
+    expect(exported.body).toContain('| ^GSPC | 5000.00 | — |');
+    expect(exported.body).toContain('- Above the 50-day SMA');
+  });
+
+  test('rejects a transcript longer than the store keeps per conversation', async () => {
+    const messages = [];
+    for (let i = 0; i <= store.maxMessages / 2; i++) messages.push(...transcript.messages);
+
+    await expect(transcriptService.importTranscript('import-too-long', { ...transcript, messages }))
+      .rejects.toMatchObject({ status: 400 });
+    const conversations = await conversationService.listConversations('import-too-long', { includeArchived: true });
+    expect(conversations.map(conversation => conversation.title)).toEqual(['General']);
+  });
+
+  test('rejects an import that would push an existing conversation\'s messages out', async () => {
+    const { conversation } = await transcriptService.importTranscript('import-append', transcript);
+    const messages = [];
+    for (let i = 0; i < store.maxMessages / 2; i++) messages.push(...transcript.messages);
+
+    await expect(transcriptService.importTranscript('import-append', { ...transcript, messages }, {
+      conversationId: conversation.conversationId
+    })).rejects.toMatchObject({ status: 400 });
+
+    const history = await store.getHistory('import-append', store.maxMessages, conversation.conversationId);
+    expect(history).toHaveLength(2);
+  });
+});
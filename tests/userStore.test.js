@@ -0,0 +1,56 @@
+const MemoryUserStore = require('../src/stores/users/memoryUserStore');
+const KeyedQueue = require('../src/utils/keyedQueue');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('MemoryUserStore.updateUser', () => {
+  test('overlapping updates of one user both persist', async () => {
+    const store = await new MemoryUserStore().init();
+
+    // The slow update reads first and writes last; without serialization it drops AAPL
+    await Promise.all([
+      store.updateUser('u1', async doc => {
+        await delay(20);
+        doc.watchlist.push({ symbol: 'MSFT' });
+      }),
+      store.updateUser('u1', async doc => {
+        doc.watchlist.push({ symbol: 'AAPL' });
+      })
+    ]);
+
+    const user = await store.getUser('u1');
+    expect(user.watchlist.map(item => item.symbol)).toEqual(['MSFT', 'AAPL']);
+  });
+
+  test('a failed update does not block the next one', async () => {
+    const store = await new MemoryUserStore().init();
+
+    const failed = store.updateUser('u1', async () => {
+      throw new Error('boom');
+    });
+    const next = store.updateUser('u1', async doc => {
+      doc.watchlist.push({ symbol: 'NVDA' });
+    });
+
+    await expect(failed).rejects.toThrow('boom');
+    await next;
+    expect((await store.getUser('u1')).watchlist.map(item => item.symbol)).toEqual(['NVDA']);
+  });
+});
+
+describe('KeyedQueue', () => {
+  test('runs different keys concurrently and forgets idle keys', async () => {
+    const queue = new KeyedQueue();
+    const order = [];
+
+    await Promise.all([
+      queue.run('a', async () => { await delay(20); order.push('a1'); }),
+      queue.run('a', async () => { order.push('a2'); }),
+      queue.run('b', async () => { order.push('b1'); })
+    ]);
+    await delay(0);
+
+    expect(order).toEqual(['b1', 'a1', 'a2']);
+    expect(queue.size()).toBe(0);
+  });
+});